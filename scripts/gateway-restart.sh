@@ -2,9 +2,14 @@
 set -euo pipefail
 
 BASE_URL="${OPENCLAW_WRAPPER_URL:-http://127.0.0.1:8080}"
-SETUP_PASSWORD="${SETUP_PASSWORD:?Set SETUP_PASSWORD env var or pass via .env}"
+if [ -n "${CLAW_TOKEN:-}" ]; then
+  AUTH_ARGS=(-H "Authorization: Bearer ${CLAW_TOKEN}")
+else
+  SETUP_PASSWORD="${SETUP_PASSWORD:?Set CLAW_TOKEN or SETUP_PASSWORD env var or pass via .env}"
+  AUTH_ARGS=(-u ":${SETUP_PASSWORD}")
+fi
 
 printf 'Restarting gateway via %s/setup/api/gateway/restart ...\n' "${BASE_URL}"
-curl -sS -X POST -u ":${SETUP_PASSWORD}" \
+curl -sS -X POST "${AUTH_ARGS[@]}" \
   "${BASE_URL}/setup/api/gateway/restart" \
   | cat
@@ -1,7 +1,9 @@
 import crypto from "node:crypto";
 import fs from "node:fs";
-import { SETUP_PASSWORD } from "./constants.js";
+import path from "node:path";
+import { INTERNAL_API_KEY, SETUP_PASSWORD, STATE_DIR } from "./constants.js";
 import { configPath, getClientDomain } from "./config.js";
+import { hasScope, verifyToken } from "./tokens.js";
 
 let telegramBotUsername = null;
 let telegramBotId = null;
@@ -45,34 +47,310 @@ export function verifyTelegramWidget(data, botToken) {
   return hmac === hash;
 }
 
-export function requireSetupAuth(req, res, next) {
-  const clientDomain = getClientDomain();
-  const host = req.hostname?.toLowerCase();
-  if (clientDomain && host === `gerald.${clientDomain}`) {
-    return next();
+export function getTelegramBotToken() {
+  try {
+    const config = JSON.parse(fs.readFileSync(configPath(), 'utf8'));
+    if (config?.channels?.telegram?.botToken) return config.channels.telegram.botToken;
+  } catch {}
+  return process.env.TELEGRAM_BOT_TOKEN?.trim() || null;
+}
+
+// Widget payloads older than this are rejected (replay protection)
+const TELEGRAM_LOGIN_MAX_AGE_S = 24 * 60 * 60;
+
+/** Verify a Telegram login widget payload; returns the user id or null. */
+export function verifyTelegramLogin(data) {
+  const botToken = getTelegramBotToken();
+  if (!botToken || !data?.id || !verifyTelegramWidget(data, botToken)) return null;
+  const age = Date.now() / 1000 - Number(data.auth_date);
+  if (!(age >= 0 && age < TELEGRAM_LOGIN_MAX_AGE_S)) return null;
+  return String(data.id);
+}
+
+// ── Principals and roles ──────────────────────────────────────────────
+//
+// Every authenticated request resolves to a principal
+// `{ kind, id, role, name? }`. Roles are ordered: admin > operator > client.
+//
+//   password  SETUP_PASSWORD over Basic auth            → admin
+//   internal  INTERNAL_API_KEY bearer (dashboard server) → operator
+//   token     scoped API token bearer (tokens.js)         → scopes only
+//   telegram  session from the Telegram login widget     → mapped role
+//   email     session from an emailed magic link         → mapped role
+//
+// Telegram/email identities must be on an allow-list (ALLOWED_TELEGRAM_IDS,
+// auth.json allowedEmails) or listed in illumin8.json `roles`. Explicit
+// `roles` entries ("telegram:123": "admin") win; everyone else gets the role
+// implied by the client's guardrailLevel.
+
+export const ROLES = ["client", "operator", "admin"];
+
+const GUARDRAIL_ROLES = { standard: "client", admin: "operator" };
+
+export const SESSION_COOKIE = "gerald_session";
+export const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export function roleAtLeast(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(role);
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
   }
+}
 
-  if (!SETUP_PASSWORD) {
-    return res
-      .status(500)
-      .type("text/plain")
-      .send(
-        "SETUP_PASSWORD is not set. Set it in Railway Variables before using /setup.",
-      );
+function authConfigPath() {
+  return path.join(STATE_DIR, "auth.json");
+}
+
+export function readAuthConfig() {
+  const cfg = readJson(authConfigPath()) || {};
+  return {
+    ...cfg,
+    allowedEmails: Array.isArray(cfg.allowedEmails) ? cfg.allowedEmails : [],
+    sessions: cfg.sessions || {},
+    magicLinks: cfg.magicLinks || {},
+  };
+}
+
+export function writeAuthConfig(cfg) {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  fs.writeFileSync(authConfigPath(), JSON.stringify(cfg, null, 2), {
+    mode: 0o600,
+  });
+}
+
+export function hashSecret(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Role for a Telegram or email identity, or null when it isn't allowed in.
+ * `identity` is "telegram:<id>" or "email:<address>".
+ */
+export function roleForIdentity(identity) {
+  const illumin8 = readJson(path.join(STATE_DIR, "illumin8.json")) || {};
+  const explicit = illumin8.roles?.[identity];
+  if (ROLES.includes(explicit)) return explicit;
+
+  const [kind, id] = identity.split(/:(.*)/s);
+  let allowed = false;
+  if (kind === "telegram") {
+    allowed = (process.env.ALLOWED_TELEGRAM_IDS || "")
+      .split(",")
+      .map((v) => v.trim())
+      .includes(id);
+  } else if (kind === "email") {
+    allowed = readAuthConfig().allowedEmails.some(
+      (e) => e.toLowerCase() === id.toLowerCase(),
+    );
   }
+  if (!allowed) return null;
+  return GUARDRAIL_ROLES[illumin8.guardrailLevel] || "client";
+}
 
-  const header = req.headers.authorization || "";
-  const [scheme, encoded] = header.split(" ");
-  if (scheme !== "Basic" || !encoded) {
-    res.set("WWW-Authenticate", 'Basic realm="Openclaw Setup"');
-    return res.status(401).send("Auth required");
+export function createSession(kind, id, name) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const cfg = readAuthConfig();
+  const now = Date.now();
+  // Drop expired sessions while we're here
+  for (const [key, session] of Object.entries(cfg.sessions)) {
+    if (session.expiresAt < now) delete cfg.sessions[key];
   }
+  cfg.sessions[hashSecret(token)] = {
+    kind,
+    id: String(id),
+    name: name || null,
+    createdAt: now,
+    expiresAt: now + SESSION_TTL_MS,
+  };
+  writeAuthConfig(cfg);
+  return token;
+}
+
+export function destroySession(token) {
+  if (!token) return;
+  const cfg = readAuthConfig();
+  delete cfg.sessions[hashSecret(token)];
+  writeAuthConfig(cfg);
+}
+
+function sessionPrincipal(token) {
+  const session = readAuthConfig().sessions[hashSecret(token)];
+  if (!session || session.expiresAt < Date.now()) return null;
+  // Resolve the role on every request so allow-list/role edits apply at once
+  const role = roleForIdentity(`${session.kind}:${session.id}`);
+  if (!role) return null;
+  return { kind: session.kind, id: session.id, name: session.name, role };
+}
+
+function passwordFromBasic(header) {
+  const [scheme, encoded] = header.split(" ");
+  if (scheme !== "Basic" || !encoded) return null;
   const decoded = Buffer.from(encoded, "base64").toString("utf8");
   const idx = decoded.indexOf(":");
-  const password = idx >= 0 ? decoded.slice(idx + 1) : "";
-  if (password !== SETUP_PASSWORD) {
-    res.set("WWW-Authenticate", 'Basic realm="Openclaw Setup"');
-    return res.status(401).send("Invalid password");
+  return idx >= 0 ? decoded.slice(idx + 1) : "";
+}
+
+/** Resolve the principal for a request, or null when it's anonymous. */
+export function resolvePrincipal(req) {
+  const header = req.headers.authorization || "";
+
+  const password = passwordFromBasic(header);
+  if (password !== null && SETUP_PASSWORD && safeEqual(password, SETUP_PASSWORD)) {
+    return { kind: "password", id: "setup", role: "admin" };
+  }
+
+  const bearer = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  if (bearer && safeEqual(bearer, INTERNAL_API_KEY)) {
+    return { kind: "internal", id: "dashboard", role: "operator" };
+  }
+  if (bearer) {
+    const token = verifyToken(bearer);
+    if (token) {
+      return { kind: "token", id: token.id, name: token.name, role: null, scopes: token.scopes };
+    }
   }
-  return next();
+
+  const sessionToken = req.cookies?.[SESSION_COOKIE];
+  if (sessionToken) return sessionPrincipal(sessionToken);
+
+  return null;
+}
+
+function parseCookieHeader(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(";")) {
+    const idx = part.indexOf("=");
+    if (idx < 0) continue;
+    try {
+      cookies[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch {}
+  }
+  return cookies;
 }
+
+// Methods a cross-site page can't trigger with cookies attached in a way that
+// changes state
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+/**
+ * Whether a request's Origin header names the host it was sent to. Session
+ * cookies are SameSite=lax, which still lets dev.<domain> and other same-site
+ * hosts serving repo code post to the wrapper, so cookie-authenticated
+ * state changes (and WebSocket upgrades) must come from the wrapper's own
+ * pages. A missing Origin counts as cross-site.
+ */
+export function sameOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin || origin === "null") return false;
+  try {
+    const host = req.hostname || String(req.headers.host || "").replace(/:\d+$/, "");
+    return new URL(origin).hostname.toLowerCase() === host.toLowerCase();
+  } catch {
+    return false;
+  }
+}
+
+function isSessionPrincipal(principal) {
+  return principal.kind === "telegram" || principal.kind === "email";
+}
+
+/**
+ * Whether a WebSocket upgrade request carries a principal with at least
+ * `role` (tokens need "*"). Upgrades skip Express, so cookies are parsed
+ * here.
+ */
+export function upgradeAllowed(req, role) {
+  if (!req.cookies) req.cookies = parseCookieHeader(req.headers.cookie);
+  const principal = resolvePrincipal(req);
+  if (!principal) return false;
+  if (principal.kind === "token") return principal.scopes.includes("*");
+  if (isSessionPrincipal(principal) && !sameOrigin(req)) return false;
+  return roleAtLeast(principal.role, role);
+}
+
+/**
+ * For wrapper routes whose paths the dashboard also serves (/api/push/*,
+ * /api/health/*): on gerald.<clientDomain> a request without wrapper
+ * credentials belongs to the dashboard, which signs people in itself, so it
+ * skips to the host router and is proxied there. Use before requireRole.
+ */
+export function leaveToDashboard(req, _res, next) {
+  const clientDomain = getClientDomain();
+  const onDashboard = clientDomain && req.hostname?.toLowerCase() === `gerald.${clientDomain.toLowerCase()}`;
+  next(onDashboard && !resolvePrincipal(req) ? "route" : undefined);
+}
+
+/**
+ * Middleware: require a principal with at least `role`. Sets req.principal.
+ * Browsers get a Basic auth challenge so /setup keeps working with the
+ * setup password.
+ *
+ * API tokens carry no role; they pass when they hold `scope` (a scope name,
+ * a list of them, or a function of the request returning either). Routes
+ * without a scope only accept tokens with "*".
+ *
+ * Session cookies only count for unsafe methods when the request comes from
+ * the same origin (see sameOrigin); headers can't be attached cross-site, so
+ * Basic auth and bearer keys need no such check.
+ */
+export function requireRole(role, scope = null) {
+  return (req, res, next) => {
+    const principal = resolvePrincipal(req);
+    if (!principal) {
+      if (!SETUP_PASSWORD && !req.headers.authorization && !req.cookies?.[SESSION_COOKIE]) {
+        return res
+          .status(500)
+          .type("text/plain")
+          .send(
+            "SETUP_PASSWORD is not set. Set it in Railway Variables before using /setup.",
+          );
+      }
+      res.set("WWW-Authenticate", 'Basic realm="Openclaw Setup"');
+      return res.status(401).send(req.headers.authorization ? "Invalid credentials" : "Auth required");
+    }
+    if (principal.kind === "token") {
+      const needed = [typeof scope === "function" ? scope(req) : scope]
+        .flat()
+        .filter(Boolean);
+      const allowed = needed.length > 0
+        ? needed.every((s) => hasScope(principal.scopes, s))
+        : principal.scopes.includes("*");
+      if (!allowed) {
+        console.warn(
+          `[auth] token ${principal.id} denied ${req.method} ${req.path} (needs ${needed.join(", ") || "*"})`,
+        );
+        return res.status(403).json({ ok: false, error: `Token lacks scope: ${needed.join(", ") || "*"}` });
+      }
+      req.principal = principal;
+      return next();
+    }
+    if (isSessionPrincipal(principal) && !SAFE_METHODS.has(req.method) && !sameOrigin(req)) {
+      console.warn(
+        `[auth] ${principal.kind}:${principal.id} denied ${req.method} ${req.path} (cross-origin: ${req.headers.origin || "no Origin"})`,
+      );
+      return res.status(403).json({ ok: false, error: "Cross-origin request rejected" });
+    }
+    if (!roleAtLeast(principal.role, role)) {
+      console.warn(
+        `[auth] ${principal.kind}:${principal.id} (${principal.role}) denied ${req.method} ${req.path} (needs ${role})`,
+      );
+      return res.status(403).json({ ok: false, error: `Requires ${role} role` });
+    }
+    req.principal = principal;
+    return next();
+  };
+}
+
+// Setup wizard and everything that can reconfigure the instance
+export const requireSetupAuth = requireRole("admin");
@@ -0,0 +1,358 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { BACKUPS_DIR, STATE_DIR } from "./constants.js";
+import {
+  isBackupEncryptionConfigured,
+  isRestoreInProgress,
+  writeSnapshot,
+} from "./backup.js";
+import { resolveS3Config, s3DeleteObject, s3PutFile } from "./s3.js";
+
+// Scheduled backups: the same archive as /setup/export, written to
+// BACKUPS_DIR/backup-<timestamp>.tar.gz on the schedule in illumin8.json
+// `backups`, pruned by keep-daily/keep-weekly rules and optionally copied to
+// an S3-compatible bucket. Pre-import snapshots (backup.js) are capped
+// separately by `keepPreImport`. BACKUPS_DIR/index.json records what each backup
+// contains and where it was uploaded.
+
+const BACKUP_LABEL = "backup";
+const PRE_IMPORT_LABEL = "pre-import";
+const CHECK_INTERVAL_MS = 60_000;
+const BACKUP_FILE_RE = /^[a-z][a-z-]*-[0-9TZ-]+\.tar\.gz$/;
+const PERIOD_MS = {
+  hourly: 60 * 60_000,
+  daily: 24 * 60 * 60_000,
+  weekly: 7 * 24 * 60 * 60_000,
+};
+
+const DEFAULTS = {
+  schedule: "off",
+  time: "03:00",
+  weekday: 0,
+  keepDaily: 7,
+  keepWeekly: 4,
+  keepPreImport: 3,
+};
+
+let running = null;
+let timer = null;
+
+/** The `backups` section of illumin8.json, with defaults filled in. */
+export function readBackupConfig() {
+  let section = {};
+  try {
+    const cfg = JSON.parse(
+      fs.readFileSync(path.join(STATE_DIR, "illumin8.json"), "utf8"),
+    );
+    section = cfg.backups && typeof cfg.backups === "object" ? cfg.backups : {};
+  } catch {}
+
+  const config = { ...DEFAULTS, ...section };
+  if (!(config.schedule in PERIOD_MS)) config.schedule = "off";
+  if (!/^\d{1,2}:\d{2}$/.test(String(config.time))) config.time = DEFAULTS.time;
+  for (const key of ["weekday", "keepDaily", "keepWeekly", "keepPreImport"]) {
+    const n = Number.parseInt(config[key], 10);
+    config[key] = Number.isFinite(n) && n >= 0 ? n : DEFAULTS[key];
+  }
+  return config;
+}
+
+function indexPath() {
+  return path.join(BACKUPS_DIR, "index.json");
+}
+
+function readIndex() {
+  try {
+    const data = JSON.parse(fs.readFileSync(indexPath(), "utf8"));
+    return {
+      lastRunAt: data.lastRunAt || null,
+      lastError: data.lastError || null,
+      backups: Array.isArray(data.backups) ? data.backups : [],
+    };
+  } catch {
+    return { lastRunAt: null, lastError: null, backups: [] };
+  }
+}
+
+function writeIndex(index) {
+  fs.mkdirSync(BACKUPS_DIR, { recursive: true });
+  fs.writeFileSync(indexPath(), JSON.stringify(index, null, 2));
+}
+
+/**
+ * The most recent time the schedule was due at or before `now` (UTC), or
+ * null when backups are off.
+ */
+export function lastScheduledSlot(config, now = new Date()) {
+  if (config.schedule === "off") return null;
+  const [hours, minutes] = String(config.time).split(":").map(Number);
+  const slot = new Date(now);
+  slot.setUTCSeconds(0, 0);
+  slot.setUTCMinutes(minutes);
+
+  if (config.schedule === "hourly") {
+    if (slot > now) slot.setUTCHours(slot.getUTCHours() - 1);
+    return slot;
+  }
+
+  slot.setUTCHours(hours);
+  if (slot > now) slot.setUTCDate(slot.getUTCDate() - 1);
+  if (config.schedule === "weekly") {
+    while (slot.getUTCDay() !== config.weekday % 7) {
+      slot.setUTCDate(slot.getUTCDate() - 1);
+    }
+  }
+  return slot;
+}
+
+function nextRunAt(config, lastRunAt, now = new Date()) {
+  const slot = lastScheduledSlot(config, now);
+  if (!slot) return null;
+  if (!lastRunAt || Date.parse(lastRunAt) < slot.getTime()) return now.toISOString();
+  return new Date(slot.getTime() + PERIOD_MS[config.schedule]).toISOString();
+}
+
+// Monday of the backup's ISO week, as YYYY-MM-DD
+function weekKey(date) {
+  const d = new Date(date);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Apply keep-daily/keep-weekly retention: the newest backup of each of the
+ * last `keepDaily` days and of each of the last `keepWeekly` weeks survive.
+ * Returns the backups to delete.
+ */
+export function selectExpiredBackups(backups, { keepDaily, keepWeekly }) {
+  const sorted = [...backups].sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+  const keep = new Set();
+  const pick = (keyOf, limit) => {
+    const seen = new Set();
+    for (const backup of sorted) {
+      const key = keyOf(backup.createdAt);
+      if (seen.has(key)) continue;
+      if (seen.size >= limit) break;
+      seen.add(key);
+      keep.add(backup.id);
+    }
+  };
+  pick((at) => at.slice(0, 10), keepDaily);
+  pick(weekKey, keepWeekly);
+  return sorted.filter((backup) => !keep.has(backup.id));
+}
+
+function backupPath(id) {
+  if (typeof id !== "string" || !BACKUP_FILE_RE.test(id)) return null;
+  return path.join(BACKUPS_DIR, id);
+}
+
+/** Local path of a backup archive, or null if `id` is not one. */
+export function getBackupFile(id) {
+  const file = backupPath(id);
+  return file && fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Every archive in BACKUPS_DIR (scheduled and manual backups, pre-import
+ * snapshots), newest first, merged with what index.json knows about them.
+ */
+export function listBackups() {
+  const known = new Map(readIndex().backups.map((b) => [b.id, b]));
+  let files = [];
+  try {
+    files = fs.readdirSync(BACKUPS_DIR).filter((name) => BACKUP_FILE_RE.test(name));
+  } catch {}
+
+  return files
+    .map((id) => {
+      const stat = fs.statSync(path.join(BACKUPS_DIR, id));
+      return {
+        id,
+        kind: id.slice(0, id.search(/-\d/)),
+        createdAt: stat.mtime.toISOString(),
+        bytes: stat.size,
+        encrypted: [],
+        remote: null,
+        ...known.get(id),
+      };
+    })
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+}
+
+/** Configuration and state for GET /setup/api/backups (no credentials). */
+export function getBackupStatus() {
+  const config = readBackupConfig();
+  const index = readIndex();
+  const s3 = resolveS3Config(config.s3);
+  return {
+    schedule: config.schedule,
+    time: config.time,
+    weekday: config.weekday,
+    keepDaily: config.keepDaily,
+    keepWeekly: config.keepWeekly,
+    keepPreImport: config.keepPreImport,
+    encryption: isBackupEncryptionConfigured() && config.encrypt !== false,
+    s3: s3 ? { endpoint: s3.endpoint, bucket: s3.bucket, prefix: s3.prefix } : null,
+    running: Boolean(running),
+    lastRunAt: index.lastRunAt,
+    lastError: index.lastError,
+    nextRunAt: nextRunAt(config, index.lastRunAt),
+  };
+}
+
+async function removeBackup(record, s3) {
+  const output = [];
+  const file = backupPath(record.id);
+  if (file) fs.rmSync(file, { force: true });
+  output.push(`Deleted ${record.id}`);
+  if (record.remote?.key && s3) {
+    const remote = await s3DeleteObject(s3, record.remote.key);
+    output.push(remote.output);
+  }
+  return output;
+}
+
+async function pruneBackups(config, s3) {
+  const all = listBackups();
+  const expired = [
+    ...selectExpiredBackups(all.filter((b) => b.kind === BACKUP_LABEL), config),
+    // Newest first already; only the last few imports are worth undoing
+    ...all.filter((b) => b.kind === PRE_IMPORT_LABEL).slice(config.keepPreImport),
+  ];
+  const output = [];
+  for (const record of expired) {
+    output.push(...(await removeBackup(record, s3)));
+  }
+  if (expired.length > 0) {
+    const gone = new Set(expired.map((b) => b.id));
+    const index = readIndex();
+    index.backups = index.backups.filter((b) => !gone.has(b.id));
+    writeIndex(index);
+    console.log(`[backups] Retention removed ${expired.length} backup(s)`);
+  }
+  return { pruned: expired.map((b) => b.id), output };
+}
+
+async function performBackup(trigger) {
+  const config = readBackupConfig();
+  const s3 = resolveS3Config(config.s3);
+  const startedAt = new Date().toISOString();
+  const output = [];
+
+  try {
+    if (config.encrypt === true && !isBackupEncryptionConfigured()) {
+      throw new Error("backups.encrypt is set but BACKUP_ENCRYPTION_KEY is not");
+    }
+    const encrypt = config.encrypt !== false && isBackupEncryptionConfigured();
+    const { file, encrypted } = await writeSnapshot(BACKUP_LABEL, { encrypt });
+    const record = {
+      id: path.basename(file),
+      kind: BACKUP_LABEL,
+      createdAt: startedAt,
+      trigger,
+      bytes: fs.statSync(file).size,
+      encrypted,
+      remote: null,
+    };
+    output.push(`Wrote ${record.id} (${record.bytes} bytes${encrypted.length ? `, ${encrypted.length} file(s) encrypted` : ""})`);
+
+    if (s3) {
+      const upload = await s3PutFile(s3, record.id, file);
+      output.push(upload.output);
+      record.remote = upload.ok
+        ? { key: upload.key, bucket: s3.bucket, uploadedAt: new Date().toISOString() }
+        : { error: upload.output };
+    }
+
+    const index = readIndex();
+    index.backups = [record, ...index.backups.filter((b) => b.id !== record.id)];
+    index.lastRunAt = startedAt;
+    index.lastError = record.remote?.error || null;
+    writeIndex(index);
+
+    const { pruned, output: pruneOutput } = await pruneBackups(config, s3);
+    output.push(...pruneOutput);
+
+    console.log(`[backups] ${output[0]}`);
+    return {
+      ok: !record.remote?.error,
+      backup: record,
+      pruned,
+      output: output.join("\n"),
+    };
+  } catch (err) {
+    console.error(`[backups] Backup failed: ${err.message}`);
+    const index = readIndex();
+    index.lastRunAt = startedAt;
+    index.lastError = err.message;
+    writeIndex(index);
+    return { ok: false, output: [...output, `Backup failed: ${err.message}`].join("\n") };
+  }
+}
+
+/**
+ * Apply retention without writing a backup (after an import added a
+ * pre-import snapshot). Returns `{ pruned, output }`.
+ */
+export async function applyBackupRetention() {
+  const config = readBackupConfig();
+  return pruneBackups(config, resolveS3Config(config.s3));
+}
+
+/**
+ * Write a backup now (trigger "schedule" or "manual"), upload it if S3 is
+ * configured and apply retention. Returns `{ ok, backup, pruned, output }`.
+ */
+export async function runBackup(trigger = "manual") {
+  if (running) return { ok: false, output: "A backup is already running" };
+  if (isRestoreInProgress()) return { ok: false, output: "A restore is in progress" };
+  running = performBackup(trigger);
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+}
+
+/** Delete a backup locally and, if it was uploaded, from S3. */
+export async function deleteBackup(id) {
+  const record = listBackups().find((b) => b.id === id);
+  if (!record) return { ok: false, output: `Unknown backup: ${id}` };
+  const s3 = resolveS3Config(readBackupConfig().s3);
+  const output = await removeBackup(record, s3);
+
+  const index = readIndex();
+  index.backups = index.backups.filter((b) => b.id !== id);
+  writeIndex(index);
+  return { ok: true, output: output.join("\n") };
+}
+
+async function checkSchedule() {
+  const config = readBackupConfig();
+  const slot = lastScheduledSlot(config);
+  if (!slot || running || isRestoreInProgress()) return;
+  const { lastRunAt } = readIndex();
+  if (lastRunAt && Date.parse(lastRunAt) >= slot.getTime()) return;
+  await runBackup("schedule");
+}
+
+/**
+ * Check once a minute whether a scheduled backup is due. The config is
+ * re-read every time, so schedule changes apply without a restart; a slot
+ * missed while the container was down runs once on the next check.
+ */
+export function startBackupScheduler() {
+  if (timer) return;
+  timer = setInterval(() => {
+    checkSchedule().catch((err) => console.error(`[backups] Scheduler error: ${err.message}`));
+  }, CHECK_INTERVAL_MS);
+  timer.unref();
+  // Catch up on pre-import snapshots left by older versions
+  applyBackupRetention().catch((err) => console.error(`[backups] Retention failed: ${err.message}`));
+  const config = readBackupConfig();
+  console.log(
+    `[backups] Scheduler started (${config.schedule === "off" ? "off" : `${config.schedule} at ${config.time} UTC`})`,
+  );
+}
@@ -0,0 +1,457 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { pipeline } from "node:stream/promises";
+import * as tar from "tar";
+
+import {
+  BACKUPS_DIR,
+  DEV_DIR,
+  STATE_DIR,
+  WORKSPACE_DIR,
+} from "./constants.js";
+import { OPENCLAW_GATEWAY_TOKEN, isConfigured } from "./config.js";
+import { startDashboard, stopDashboard } from "./dashboard.js";
+import { startDevServer, stopDevServer } from "./dev-server.js";
+import { ensureGatewayRunning, stopGateway } from "./gateway.js";
+import { runCmd, safeRemoveDir } from "./helpers.js";
+import { isProdSSR, startProdServer, stopProdServer } from "./prod-server.js";
+import { isRuntimeLink, syncRuntimeSecrets } from "./secrets.js";
+
+// Export/restore of STATE_DIR + WORKSPACE_DIR. Archives are relative to
+// /data when both live there (entries look like .openclaw/... and
+// workspace/...), otherwise relative to / without the leading slash.
+
+const DATA_ROOT = "/data";
+const ALLOWED_ENTRY_TYPES = new Set([
+  "File",
+  "OldFile",
+  "ContiguousFile",
+  "Directory",
+  "SymbolicLink",
+  "Link",
+]);
+
+// Credentials that can optionally be encrypted in backups (by file name,
+// anywhere under STATE_DIR) with BACKUP_ENCRYPTION_KEY
+export const SENSITIVE_FILES = [
+  "gateway.token",
+  "github-oauth.json",
+  "auth-profiles.json",
+  "github.json",
+  "sendgrid.json",
+];
+const ENCRYPTED_SUFFIX = ".enc";
+const ENCRYPTED_MAGIC = Buffer.from("GERALDENC1");
+const SENSITIVE_SCAN_DEPTH = 4;
+
+let restoreInProgress = false;
+
+export function isRestoreInProgress() {
+  return restoreInProgress;
+}
+
+/** Where exports are rooted and which top-level paths they contain. */
+export function exportLayout() {
+  const stateAbs = path.resolve(STATE_DIR);
+  const workspaceAbs = path.resolve(WORKSPACE_DIR);
+  const underData = (p) => p === DATA_ROOT || p.startsWith(DATA_ROOT + path.sep);
+
+  let cwd = "/";
+  let roots = [stateAbs, workspaceAbs].map((p) => p.replace(/^\//, ""));
+  if (underData(stateAbs) && underData(workspaceAbs)) {
+    cwd = DATA_ROOT;
+    roots = [
+      path.relative(DATA_ROOT, stateAbs) || ".",
+      path.relative(DATA_ROOT, workspaceAbs) || ".",
+    ];
+  }
+
+  // The default workspace lives inside STATE_DIR; don't archive it twice
+  roots = roots.filter(
+    (root, i) =>
+      !roots.some(
+        (other, j) =>
+          j !== i && (other === "." || root.startsWith(`${other}/`) || (other === root && j < i)),
+      ),
+  );
+  return { cwd, roots };
+}
+
+function backupKey() {
+  const raw = process.env.BACKUP_ENCRYPTION_KEY?.trim();
+  return raw ? crypto.createHash("sha256").update(raw).digest() : null;
+}
+
+export function isBackupEncryptionConfigured() {
+  return Boolean(backupKey());
+}
+
+function encryptBuffer(key, plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const body = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return Buffer.concat([ENCRYPTED_MAGIC, iv, cipher.getAuthTag(), body]);
+}
+
+function decryptBuffer(key, data) {
+  if (!data.subarray(0, ENCRYPTED_MAGIC.length).equals(ENCRYPTED_MAGIC)) {
+    throw new Error("not an encrypted backup entry");
+  }
+  const iv = data.subarray(ENCRYPTED_MAGIC.length, ENCRYPTED_MAGIC.length + 12);
+  const tag = data.subarray(ENCRYPTED_MAGIC.length + 12, ENCRYPTED_MAGIC.length + 28);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data.subarray(ENCRYPTED_MAGIC.length + 28)), decipher.final()]);
+}
+
+function isEncryptedEntry(p) {
+  return p.endsWith(ENCRYPTED_SUFFIX) && SENSITIVE_FILES.includes(path.posix.basename(p, ENCRYPTED_SUFFIX));
+}
+
+// Sensitive files under STATE_DIR, as paths relative to the archive root.
+// The scan is shallow: they all live at most a few levels down
+// (agents/<id>/agent/auth-profiles.json) and the state dir also holds
+// large trees like dashboard/node_modules.
+function findSensitiveFiles(cwd) {
+  const found = [];
+  const skip = new Set(["node_modules", ".git", path.basename(WORKSPACE_DIR)]);
+  const walk = (dir, depth) => {
+    let entries = [];
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const abs = path.join(dir, entry.name);
+      if (entry.isDirectory() && depth < SENSITIVE_SCAN_DEPTH && !skip.has(entry.name)) {
+        walk(abs, depth + 1);
+      } else if (entry.isFile() && SENSITIVE_FILES.includes(entry.name)) {
+        found.push(path.relative(cwd, abs).split(path.sep).join("/"));
+      }
+    }
+  };
+  walk(path.resolve(STATE_DIR), 0);
+  return found;
+}
+
+// Never archive the backups themselves when BACKUPS_DIR sits inside a root,
+// nor links to the vault's tmpfs copies (vault.json carries their contents)
+function packFilter(cwd, excluded) {
+  const backupsRel = path.relative(cwd, path.resolve(BACKUPS_DIR)).split(path.sep).join("/");
+  return (p, stat) => {
+    const rel = normalizeEntryPath(p);
+    if (rel === backupsRel || rel.startsWith(`${backupsRel}/`)) return false;
+    if (stat?.isSymbolicLink() && isRuntimeLink(path.join(cwd, rel))) return false;
+    return !excluded.has(rel);
+  };
+}
+
+function packExport(extraArchives = [], excluded = new Set()) {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
+  const { cwd, roots } = exportLayout();
+  return tar.c(
+    {
+      gzip: true,
+      portable: true,
+      noMtime: true,
+      cwd,
+      filter: packFilter(cwd, excluded),
+      onwarn: () => {},
+    },
+    [...roots, ...extraArchives.map((file) => `@${file}`)],
+  );
+}
+
+/** gzip'd tar stream of the export layout (what /setup/export serves). */
+export function createExportStream() {
+  return packExport();
+}
+
+function timestamp() {
+  return new Date().toISOString().replace(/[:.]/g, "-");
+}
+
+/**
+ * Write an export to BACKUPS_DIR/<label>-<timestamp>.tar.gz. With `encrypt`
+ * (and BACKUP_ENCRYPTION_KEY set) the SENSITIVE_FILES are stored as
+ * AES-256-GCM `<name>.enc` entries instead of plain text.
+ * Returns `{ file, encrypted }`, `encrypted` being the paths that were.
+ */
+export async function writeSnapshot(label, { encrypt = false } = {}) {
+  fs.mkdirSync(BACKUPS_DIR, { recursive: true });
+  const file = path.join(BACKUPS_DIR, `${label}-${timestamp()}.tar.gz`);
+  const key = encrypt ? backupKey() : null;
+  if (encrypt && !key) {
+    throw new Error("BACKUP_ENCRYPTION_KEY is not set");
+  }
+
+  const { cwd } = exportLayout();
+  const sensitive = key ? findSensitiveFiles(cwd) : [];
+  const secretsDir = sensitive.length > 0
+    ? fs.mkdtempSync(path.join(BACKUPS_DIR, ".secrets-"))
+    : null;
+  const secretsTar = secretsDir && `${secretsDir}.tar`;
+
+  try {
+    if (secretsDir) {
+      for (const rel of sensitive) {
+        const target = path.join(secretsDir, `${rel}${ENCRYPTED_SUFFIX}`);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, encryptBuffer(key, fs.readFileSync(path.join(cwd, rel))), { mode: 0o600 });
+      }
+      await tar.c(
+        { file: secretsTar, cwd: secretsDir, portable: true, noMtime: true },
+        sensitive.map((rel) => `${rel}${ENCRYPTED_SUFFIX}`),
+      );
+    }
+    await pipeline(
+      packExport(secretsTar ? [secretsTar] : [], new Set(sensitive)),
+      fs.createWriteStream(file, { mode: 0o600 }),
+    );
+  } catch (err) {
+    fs.rmSync(file, { force: true });
+    throw err;
+  } finally {
+    if (secretsDir) {
+      await safeRemoveDir(secretsDir);
+      fs.rmSync(secretsTar, { force: true });
+    }
+  }
+  return { file, encrypted: sensitive };
+}
+
+// Decrypt the <name>.enc entries of an extracted state dir in place
+function decryptStaged(dir, key) {
+  let count = 0;
+  const walk = (current, depth) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const abs = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        if (depth < SENSITIVE_SCAN_DEPTH) walk(abs, depth + 1);
+      } else if (entry.isFile() && isEncryptedEntry(entry.name)) {
+        const plain = decryptBuffer(key, fs.readFileSync(abs));
+        fs.writeFileSync(abs.slice(0, -ENCRYPTED_SUFFIX.length), plain, { mode: 0o600 });
+        fs.rmSync(abs);
+        count += 1;
+      }
+    }
+  };
+  if (fs.existsSync(dir)) walk(dir, 0);
+  return count;
+}
+
+function normalizeEntryPath(p) {
+  return path.posix.normalize(String(p).replace(/\\/g, "/")).replace(/^(\.\/)+/, "");
+}
+
+function escapes(p) {
+  return path.posix.isAbsolute(p) || p === ".." || p.startsWith("../");
+}
+
+function rootOf(p, roots) {
+  return roots.find((root) => root === "." || p === root || p.startsWith(`${root}/`)) || null;
+}
+
+/**
+ * Check an archive against the export layout without extracting it. Rejects
+ * absolute paths, `..` traversal, links pointing outside the layout, device
+ * files, and archives without the state directory. Encrypted entries need
+ * BACKUP_ENCRYPTION_KEY to be set.
+ */
+export async function inspectArchive(file) {
+  const { roots } = exportLayout();
+  const problems = [];
+  const counts = Object.fromEntries(roots.map((root) => [root, 0]));
+  let files = 0;
+  let bytes = 0;
+  let encrypted = 0;
+
+  try {
+    await tar.t({
+      file,
+      strict: true,
+      onReadEntry: (entry) => {
+        const p = normalizeEntryPath(entry.path);
+        const problem = (msg) => problems.length < 50 && problems.push(`${entry.path}: ${msg}`);
+
+        if (!ALLOWED_ENTRY_TYPES.has(entry.type)) return problem(`unsupported entry type ${entry.type}`);
+        if (escapes(p) || String(entry.path).split(/[\\/]/).includes("..")) return problem("path traversal");
+        const root = rootOf(p, roots);
+        if (!root) return problem(`outside the backup layout (${roots.join(", ")})`);
+
+        if (entry.type === "SymbolicLink" || entry.type === "Link") {
+          const target = entry.type === "SymbolicLink"
+            ? (path.posix.isAbsolute(entry.linkpath) ? entry.linkpath : normalizeEntryPath(path.posix.join(path.posix.dirname(p), entry.linkpath)))
+            : normalizeEntryPath(entry.linkpath);
+          if (escapes(target) || !rootOf(target, roots)) return problem(`link target ${entry.linkpath} escapes the backup`);
+        }
+
+        counts[root] += 1;
+        if (entry.type === "File" && isEncryptedEntry(p)) encrypted += 1;
+        if (entry.type !== "Directory") {
+          files += 1;
+          bytes += entry.size || 0;
+        }
+      },
+    });
+  } catch (err) {
+    problems.push(`Unreadable archive: ${err.message}`);
+  }
+
+  const stateRoot = roots[0];
+  if (problems.length === 0 && !counts[stateRoot]) {
+    problems.push(`Archive has no ${stateRoot}/ directory; not a Gerald export`);
+  }
+  if (encrypted > 0 && !backupKey()) {
+    problems.push(`Archive has ${encrypted} encrypted file(s); set BACKUP_ENCRYPTION_KEY to restore it`);
+  }
+
+  return { ok: problems.length === 0, problems, files, bytes, encrypted, roots: counts };
+}
+
+async function moveDir(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (err) {
+    if (err.code !== "EXDEV") throw err;
+    const copy = await runCmd("cp", ["-a", from, to]);
+    if (copy.code !== 0) throw new Error(`Copy ${from} → ${to} failed: ${copy.output}`);
+    await safeRemoveDir(from);
+  }
+}
+
+async function stopAll() {
+  await stopGateway();
+  await stopDashboard();
+  await stopDevServer();
+  await stopProdServer();
+}
+
+async function startAll() {
+  const started = [];
+  const attempt = async (name, fn) => {
+    try {
+      const result = await fn();
+      if (result?.ok === false) throw new Error(result.output || result.reason);
+      started.push(name);
+    } catch (err) {
+      console.error(`[backup] Could not restart ${name}: ${err.message}`);
+    }
+  };
+  if (isConfigured()) await attempt("gateway", () => ensureGatewayRunning(OPENCLAW_GATEWAY_TOKEN));
+  await attempt("dashboard", () => startDashboard(OPENCLAW_GATEWAY_TOKEN));
+  if (fs.existsSync(path.join(DEV_DIR, "package.json"))) await attempt("dev-server", () => startDevServer());
+  if (isProdSSR()) await attempt("prod-server", () => startProdServer());
+  return started;
+}
+
+// The root a restore would replace that BACKUPS_DIR sits in, if any. The
+// staging directory, the upload and the pre-import snapshot all live in
+// BACKUPS_DIR, so a restore there would delete them halfway through.
+function rootHoldingBackups() {
+  const backups = path.resolve(BACKUPS_DIR);
+  return [STATE_DIR, WORKSPACE_DIR]
+    .map((dir) => path.resolve(dir))
+    .find((root) => backups === root || backups.startsWith(`${root}${path.sep}`)) || null;
+}
+
+/**
+ * Restore an export archive: validate it, stop every managed process,
+ * snapshot the current state to BACKUPS_DIR, swap in the archive's contents
+ * and start everything again. The live directories are only replaced once
+ * the archive has been fully extracted to a staging directory.
+ */
+export async function restoreArchive(file) {
+  if (restoreInProgress) {
+    return { ok: false, output: "A restore is already in progress" };
+  }
+
+  const enclosing = rootHoldingBackups();
+  if (enclosing) {
+    return {
+      ok: false,
+      output: "Restore refused",
+      problems: [`GERALD_BACKUPS_DIR (${BACKUPS_DIR}) is inside ${enclosing}, which a restore replaces; point it outside before importing`],
+    };
+  }
+
+  const inspection = await inspectArchive(file);
+  if (!inspection.ok) {
+    return { ok: false, output: "Archive rejected", problems: inspection.problems };
+  }
+
+  restoreInProgress = true;
+  try {
+    return await swapInArchive(file, inspection);
+  } finally {
+    restoreInProgress = false;
+  }
+}
+
+async function swapInArchive(file, inspection) {
+  const { cwd, roots } = exportLayout();
+  const staging = path.join(BACKUPS_DIR, `.import-${timestamp()}`);
+  let snapshot = null;
+  const restored = [];
+  let result;
+
+  try {
+    console.log("[backup] Restore: stopping managed processes...");
+    await stopAll();
+
+    snapshot = (await writeSnapshot("pre-import")).file;
+    console.log(`[backup] Restore: snapshot of current state at ${snapshot}`);
+
+    fs.mkdirSync(staging, { recursive: true });
+    await tar.x({ file, cwd: staging, strict: true, preserveOwner: false });
+    if (inspection.encrypted > 0) {
+      const decrypted = decryptStaged(path.join(staging, roots[0]), backupKey());
+      console.log(`[backup] Restore: decrypted ${decrypted} file(s)`);
+    }
+
+    for (const root of roots) {
+      const staged = path.join(staging, root);
+      if (!fs.existsSync(staged)) continue;
+      if (root === ".") {
+        // Nothing to swap atomically; copy over the live tree
+        const copy = await runCmd("cp", ["-a", `${staged}/.`, cwd]);
+        if (copy.code !== 0) throw new Error(`Copy into ${cwd} failed: ${copy.output}`);
+      } else {
+        const live = path.join(cwd, root);
+        await safeRemoveDir(live);
+        fs.mkdirSync(path.dirname(live), { recursive: true });
+        await moveDir(staged, live);
+      }
+      restored.push(root);
+    }
+    // The restored vault is the truth now, not the tmpfs copies of the old one
+    syncRuntimeSecrets({ actor: "restore", reset: true });
+    console.log(`[backup] Restore: restored ${restored.join(", ")} (${inspection.files} files)`);
+
+    result = {
+      ok: true,
+      files: inspection.files,
+      bytes: inspection.bytes,
+      roots: inspection.roots,
+      restored,
+      snapshot,
+      output: `Restored ${inspection.files} files into ${restored.join(", ")}`,
+    };
+  } catch (err) {
+    console.error(`[backup] Restore failed: ${err.message}`);
+    result = {
+      ok: false,
+      restored,
+      snapshot,
+      output: `Restore failed: ${err.message}${snapshot ? ` (previous state saved at ${snapshot})` : ""}`,
+    };
+  }
+
+  await safeRemoveDir(staging);
+  result.restarted = await startAll();
+  console.log(`[backup] Restore: restarted ${result.restarted.join(", ") || "nothing"}`);
+  return result;
+}
@@ -0,0 +1,200 @@
+import crypto from "node:crypto";
+import { EventEmitter } from "node:events";
+import fs from "node:fs";
+import path from "node:path";
+
+import { STATE_DIR } from "./constants.js";
+import { cmdOutputSink, redactSecrets } from "./helpers.js";
+import { observeBuild } from "./metrics.js";
+
+// Builds run one at a time per target (production, dev, dashboard, workspace)
+// so two quick pushes can't race on the same directory. Callers get a job id
+// straight away; status and the full runCmd output land in STATE_DIR/builds.
+
+const BUILDS_DIR = path.join(STATE_DIR, "builds");
+const HISTORY_PATH = path.join(BUILDS_DIR, "history.json");
+const HISTORY_LIMIT = 200;
+
+const jobs = loadHistory();
+const targetTails = new Map();
+const logStreams = new Map();
+
+function loadHistory() {
+  let history = [];
+  try {
+    history = JSON.parse(fs.readFileSync(HISTORY_PATH, "utf8"));
+  } catch {}
+  const map = new Map();
+  for (const job of Array.isArray(history) ? history : []) {
+    // Jobs that were in flight when the wrapper last stopped never finished
+    if (job.status === "queued" || job.status === "running") {
+      job.status = "interrupted";
+      job.finishedAt = job.finishedAt || new Date().toISOString();
+    }
+    map.set(job.id, job);
+  }
+  return map;
+}
+
+function saveHistory() {
+  const all = [...jobs.values()].sort((a, b) =>
+    a.queuedAt < b.queuedAt ? 1 : -1,
+  );
+  for (const stale of all.slice(HISTORY_LIMIT)) {
+    jobs.delete(stale.id);
+    try {
+      fs.unlinkSync(logPath(stale.id));
+    } catch {}
+  }
+  try {
+    fs.mkdirSync(BUILDS_DIR, { recursive: true });
+    fs.writeFileSync(
+      HISTORY_PATH,
+      JSON.stringify(all.slice(0, HISTORY_LIMIT).map(publicJob), null, 2),
+    );
+  } catch (err) {
+    console.warn(`[build-queue] Could not save history: ${err.message}`);
+  }
+}
+
+function logPath(id) {
+  return path.join(BUILDS_DIR, `${id}.log`);
+}
+
+function appendLog(job, text) {
+  try {
+    fs.appendFileSync(logPath(job.id), text);
+  } catch {}
+  logStreams.get(job.id)?.emit("data", text);
+}
+
+function newJobId() {
+  return `${Date.now().toString(36)}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+/**
+ * Queue `run` behind any other job for the same target. `run` receives the
+ * job record and should resolve to `{ ok, output, commit? }` like the other
+ * build helpers. Returns the queued job immediately.
+ */
+export function enqueueBuild(target, run, meta = {}) {
+  const job = {
+    id: newJobId(),
+    target,
+    label: meta.label || target,
+    trigger: meta.trigger || "api",
+    status: "queued",
+    queuedAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    durationMs: null,
+    // Known up front when the caller pushed the commit itself (see publish)
+    commit: meta.commit || null,
+    error: null,
+  };
+  jobs.set(job.id, job);
+  logStreams.set(job.id, new EventEmitter());
+  fs.mkdirSync(BUILDS_DIR, { recursive: true });
+  fs.writeFileSync(logPath(job.id), "");
+  saveHistory();
+  console.log(`[build-queue] Queued ${job.id} (${target}, ${job.trigger})`);
+
+  const previous = targetTails.get(target) || Promise.resolve();
+  const done = previous.then(() => executeJob(job, run));
+  targetTails.set(target, done);
+  done.finally(() => {
+    if (targetTails.get(target) === done) targetTails.delete(target);
+  });
+  job.done = done;
+
+  return job;
+}
+
+async function executeJob(job, run) {
+  const started = Date.now();
+  job.status = "running";
+  job.startedAt = new Date(started).toISOString();
+  saveHistory();
+  appendLog(job, `[build-queue] ${job.label} started at ${job.startedAt}\n`);
+
+  let result;
+  try {
+    result = await cmdOutputSink.run(
+      (text) => appendLog(job, text),
+      () => run(job),
+    );
+  } catch (err) {
+    result = { ok: false, output: String(err) };
+  }
+  // Clone URLs carry the GitHub token; keep it out of job.error, the saved
+  // history and the result handed back to waitForBuild() callers
+  if (result?.output) result = { ...result, output: redactSecrets(result.output) };
+
+  job.durationMs = Date.now() - started;
+  job.finishedAt = new Date().toISOString();
+  job.status = result?.ok ? "succeeded" : "failed";
+  job.commit = result?.commit || job.commit;
+  if (result?.releaseId) job.releaseId = result.releaseId;
+  if (!result?.ok) job.error = String(result?.output || "").slice(-2000);
+  appendLog(
+    job,
+    `\n[build-queue] ${job.label} ${job.status} in ${job.durationMs}ms\n`,
+  );
+  saveHistory();
+  observeBuild(job);
+  console.log(
+    `[build-queue] ${job.id} ${job.status} (${job.target}, ${job.durationMs}ms)`,
+  );
+
+  const stream = logStreams.get(job.id);
+  logStreams.delete(job.id);
+  stream?.emit("end", publicJob(job));
+  return result;
+}
+
+export function publicJob(job) {
+  if (!job) return null;
+  const { done, ...rest } = job;
+  return rest;
+}
+
+export function listBuilds({ target, limit = 50 } = {}) {
+  return [...jobs.values()]
+    .filter((job) => !target || job.target === target)
+    .sort((a, b) => (a.queuedAt < b.queuedAt ? 1 : -1))
+    .slice(0, limit)
+    .map(publicJob);
+}
+
+export function getBuild(id) {
+  return publicJob(jobs.get(id));
+}
+
+/** Resolve with the job's result once it has run (undefined for old jobs). */
+export function waitForBuild(id) {
+  return jobs.get(id)?.done;
+}
+
+export function readBuildLog(id) {
+  try {
+    return fs.readFileSync(logPath(id), "utf8");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Follow a build's log. `onData` gets new chunks; `onEnd` fires with the final
+ * job once it finishes. Returns an unsubscribe function, or null when the job
+ * is not running (callers should just read the log file).
+ */
+export function followBuildLog(id, onData, onEnd) {
+  const stream = logStreams.get(id);
+  if (!stream) return null;
+  stream.on("data", onData);
+  stream.once("end", onEnd);
+  return () => {
+    stream.off("data", onData);
+    stream.off("end", onEnd);
+  };
+}
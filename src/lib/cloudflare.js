@@ -1,7 +1,34 @@
-export async function setupCloudflareDNS(domain, railwayDomain) {
+function cloudflareHeaders() {
   const cfKey = process.env.CLOUDFLARE_API_KEY?.trim();
   const cfEmail = process.env.CLOUDFLARE_EMAIL?.trim();
-  if (!cfKey || !cfEmail) {
+  if (!cfKey || !cfEmail) return null;
+  return {
+    "X-Auth-Email": cfEmail,
+    "X-Auth-Key": cfKey,
+    "Content-Type": "application/json",
+  };
+}
+
+/**
+ * The Railway hostname the CNAMEs point at. Only the *.up.railway.app
+ * domain, never a custom domain (that would be a circular CNAME).
+ */
+export function railwayCnameTarget() {
+  const publicDomain = process.env.RAILWAY_PUBLIC_DOMAIN?.trim() || "";
+  const staticUrl = process.env.RAILWAY_STATIC_URL?.replace("https://", "")?.trim() || "";
+  return (publicDomain.endsWith(".up.railway.app") ? publicDomain : "")
+    || (staticUrl.endsWith(".up.railway.app") ? staticUrl : "")
+    || `${(process.env.RAILWAY_SERVICE_NAME || "gerald").toLowerCase()}-production.up.railway.app`;
+}
+
+/**
+ * Point `domain` at Railway. The primary domain gets the apex, www., dev.,
+ * gerald. and *.dev. (PR previews); alias and redirect domains only need
+ * the apex and www.
+ */
+export async function setupCloudflareDNS(domain, railwayDomain, { role = "primary" } = {}) {
+  const cfHeaders = cloudflareHeaders();
+  if (!cfHeaders) {
     return {
       ok: false,
       output:
@@ -9,12 +36,6 @@ export async function setupCloudflareDNS(domain, railwayDomain) {
     };
   }
 
-  const cfHeaders = {
-    "X-Auth-Email": cfEmail,
-    "X-Auth-Key": cfKey,
-    "Content-Type": "application/json",
-  };
-
   let output = "";
 
   const apexDomain = domain.replace(/^www\./, "");
@@ -48,9 +69,15 @@ export async function setupCloudflareDNS(domain, railwayDomain) {
   const records = [
     { name: apexDomain, type: "CNAME" },
     { name: `www.${apexDomain}`, type: "CNAME" },
-    { name: `dev.${apexDomain}`, type: "CNAME" },
-    { name: `gerald.${apexDomain}`, type: "CNAME" },
   ];
+  if (role === "primary") {
+    records.push(
+      { name: `dev.${apexDomain}`, type: "CNAME" },
+      { name: `gerald.${apexDomain}`, type: "CNAME" },
+      // Pull request previews (pr-<n>.dev.<domain>)
+      { name: `*.dev.${apexDomain}`, type: "CNAME" },
+    );
+  }
 
   for (const record of records) {
     const content = record.content || railwayDomain;
@@ -93,28 +120,55 @@ export async function setupCloudflareDNS(domain, railwayDomain) {
     }
   }
 
+  if (role === "primary") output += await previewCertificateNote(zoneId, apexDomain, cfHeaders);
+
   return { ok: true, output, zoneId };
 }
 
-export async function createTurnstileWidget(domain, zoneId) {
-  const cfKey = process.env.CLOUDFLARE_API_KEY?.trim();
-  const cfEmail = process.env.CLOUDFLARE_EMAIL?.trim();
-  if (!cfKey || !cfEmail) {
-    return { ok: false, output: "Cloudflare credentials not available" };
-  }
+// Universal SSL covers the apex and one level of subdomains, not
+// pr-<n>.dev.<domain> or review-<id>.dev.<domain>: those need an Advanced
+// certificate for *.dev.<domain>, which costs money, so it's only checked
+async function previewCertificateNote(zoneId, apexDomain, cfHeaders) {
+  const wildcard = `*.dev.${apexDomain}`;
+  try {
+    const packsRes = await fetch(
+      `https://api.cloudflare.com/client/v4/zones/${zoneId}/ssl/certificate_packs?status=all`,
+      { headers: cfHeaders },
+    );
+    const packsData = await packsRes.json();
+    if ((packsData.result || []).some((pack) => pack.hosts?.includes(wildcard))) {
+      return `Certificate for ${wildcard}: OK\n`;
+    }
+  } catch {}
+  return `Warning: no edge certificate covers ${wildcard}. Previews and review links won't load over HTTPS until you order an Advanced certificate for it (SSL/TLS → Edge Certificates)\n`;
+}
 
-  const cfHeaders = {
-    "X-Auth-Email": cfEmail,
-    "X-Auth-Key": cfKey,
-    "Content-Type": "application/json",
-  };
+// Where the Turnstile widget's script, iframe and challenge requests come
+// from: pages embedding the contact form widget need it in their CSP
+export const TURNSTILE_ORIGIN = "https://challenges.cloudflare.com";
+
+// Hostnames the contact form widget accepts: the primary with its dev. and
+// gerald. hosts, plus every alias that serves the site
+function turnstileDomains(domain, aliases) {
+  return [domain, `dev.${domain}`, `gerald.${domain}`, ...aliases];
+}
 
+async function accountIdForZone(zoneId, cfHeaders) {
   const zoneRes = await fetch(
     `https://api.cloudflare.com/client/v4/zones/${zoneId}`,
     { headers: cfHeaders },
   );
   const zoneData = await zoneRes.json();
-  const accountId = zoneData.result?.account?.id;
+  return zoneData.result?.account?.id || null;
+}
+
+export async function createTurnstileWidget(domain, zoneId, aliases = []) {
+  const cfHeaders = cloudflareHeaders();
+  if (!cfHeaders) {
+    return { ok: false, output: "Cloudflare credentials not available" };
+  }
+
+  const accountId = await accountIdForZone(zoneId, cfHeaders);
 
   if (!accountId) {
     return {
@@ -130,7 +184,7 @@ export async function createTurnstileWidget(domain, zoneId) {
       headers: cfHeaders,
       body: JSON.stringify({
         name: `${domain} Contact Form`,
-        domains: [domain, `dev.${domain}`, `gerald.${domain}`],
+        domains: turnstileDomains(domain, aliases),
         mode: "managed",
         bot_fight_mode: false,
       }),
@@ -153,3 +207,45 @@ export async function createTurnstileWidget(domain, zoneId) {
     output: `Turnstile widget created: ${turnstileData.result.sitekey}`,
   };
 }
+
+/** Replace the hostname list of the existing widget `siteKey`. */
+export async function updateTurnstileDomains(siteKey, domain, aliases = []) {
+  const cfHeaders = cloudflareHeaders();
+  if (!cfHeaders) {
+    return { ok: false, output: "Cloudflare credentials not available" };
+  }
+
+  const zoneRes = await fetch(
+    `https://api.cloudflare.com/client/v4/zones?name=${domain}`,
+    { headers: cfHeaders },
+  );
+  const zoneData = await zoneRes.json();
+  const zoneId = zoneData.result?.[0]?.id;
+  const accountId = zoneId ? await accountIdForZone(zoneId, cfHeaders) : null;
+  if (!accountId) {
+    return { ok: false, output: `Could not determine the Cloudflare account of ${domain}` };
+  }
+
+  const domains = turnstileDomains(domain, aliases);
+  const updateRes = await fetch(
+    `https://api.cloudflare.com/client/v4/accounts/${accountId}/challenges/widgets/${siteKey}`,
+    {
+      method: "PUT",
+      headers: cfHeaders,
+      body: JSON.stringify({
+        name: `${domain} Contact Form`,
+        domains,
+        mode: "managed",
+        bot_fight_mode: false,
+      }),
+    },
+  );
+  const updateData = await updateRes.json();
+  if (!updateData.success) {
+    return {
+      ok: false,
+      output: `Turnstile update failed: ${JSON.stringify(updateData.errors)}`,
+    };
+  }
+  return { ok: true, output: `Turnstile domains: ${domains.join(", ")}` };
+}
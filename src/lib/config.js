@@ -24,8 +24,6 @@ export function isConfigured() {
         const files = fs.readdirSync(STATE_DIR);
         console.log(`[isConfigured] Files in STATE_DIR: ${files.join(', ') || '(empty)'}`);
       }
-    } else {
-      console.log(`[isConfigured] Config file found at: ${cfgPath}`);
     }
     return exists;
   } catch (err) {
@@ -34,6 +32,15 @@ export function isConfigured() {
   }
 }
 
+// CLIENT_DOMAIN as the deployment set it (setup exports its own value to
+// process.env later, which shouldn't count)
+const ENV_CLIENT_DOMAIN = process.env.CLIENT_DOMAIN?.trim().toLowerCase() || null;
+
+/** The client domain pinned by the environment, which wins over illumin8.json. */
+export function getEnvClientDomain() {
+  return ENV_CLIENT_DOMAIN;
+}
+
 export function getClientDomain() {
   const envDomain = process.env.CLIENT_DOMAIN?.trim();
   if (envDomain) return envDomain;
@@ -263,8 +270,9 @@ export function fixInvalidConfig(dryRun = false) {
 
   // --- Write repaired config ---
   if (changed && !dryRun) {
-    // Create backup before writing
-    const backupPath = `${cfgPath}.pre-repair`;
+    // Create backup before writing, next to the real file (the vault's tmpfs
+    // copy when the config is linked there)
+    const backupPath = `${fs.realpathSync(cfgPath)}.pre-repair`;
     try { fs.copyFileSync(cfgPath, backupPath); } catch {}
     
     fs.writeFileSync(cfgPath, JSON.stringify(config, null, 2), { mode: 0o600 });
@@ -1,3 +1,4 @@
+import crypto from "node:crypto";
 import fs from "node:fs";
 import os from "node:os";
 import path from "node:path";
@@ -30,6 +31,29 @@ export const SITE_DIR = path.join(WORKSPACE_DIR, 'site');
 export const PRODUCTION_DIR = path.join(SITE_DIR, 'production');
 export const DEV_DIR = path.join(SITE_DIR, 'dev');
 
+// Production releases: each build lands in releases/<id>, PRODUCTION_DIR is a symlink to the active one
+export const RELEASES_DIR = path.join(SITE_DIR, 'releases');
+export const RELEASES_KEEP = Math.max(
+  Number.parseInt(process.env.SITE_RELEASES_KEEP ?? "5", 10) || 5,
+  1,
+);
+
+// Pull request previews: previews/pr-<n>, served on pr-<n>.dev.<clientDomain>
+export const PREVIEWS_DIR = path.join(SITE_DIR, 'previews');
+
+// Review snapshots: reviews/<id>, served on review-<id>.dev.<clientDomain>
+export const REVIEWS_DIR = path.join(SITE_DIR, 'reviews');
+
+// Backups and pre-import snapshots. Kept next to (not inside) STATE_DIR and
+// WORKSPACE_DIR so they never end up inside an export.
+export const BACKUPS_DIR =
+  process.env.GERALD_BACKUPS_DIR?.trim() ||
+  path.join(path.dirname(STATE_DIR), 'gerald-backups');
+
+// Largest archive /setup/import accepts (GERALD_IMPORT_MAX_MB, default 2 GB)
+export const IMPORT_MAX_BYTES =
+  Math.max(Number.parseInt(process.env.GERALD_IMPORT_MAX_MB ?? "2048", 10) || 2048, 1) * 1024 * 1024;
+
 // Dev server
 export const DEV_SERVER_PORT = 4321;
 export const DEV_SERVER_TARGET = `http://127.0.0.1:${DEV_SERVER_PORT}`;
@@ -42,7 +66,26 @@ export const PROD_SERVER_TARGET = `http://127.0.0.1:${PROD_SERVER_PORT}`;
 export const DASHBOARD_PORT = 3003;
 export const DASHBOARD_TARGET = `http://127.0.0.1:${DASHBOARD_PORT}`;
 export const DASHBOARD_DIR = path.join(STATE_DIR || '/data', 'dashboard');
-export const INTERNAL_API_KEY = process.env.INTERNAL_API_KEY || 'xQQB2ppPNQ+Ruo1xgr5pIFSix+86prk02IRS1+2208RRuCFM';
+// The dashboard server's credential for wrapper APIs (operator role). A key
+// of its own per install, persisted like gateway.token, unless the env sets one.
+function resolveInternalApiKey() {
+  const fromEnv = process.env.INTERNAL_API_KEY?.trim();
+  if (fromEnv) return fromEnv;
+  const keyPath = path.join(STATE_DIR, 'internal-api.key');
+  try {
+    const existing = fs.readFileSync(keyPath, 'utf8').trim();
+    if (existing) return existing;
+  } catch {}
+  const generated = crypto.randomBytes(32).toString('base64url');
+  try {
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+    fs.writeFileSync(keyPath, generated, { mode: 0o600 });
+  } catch (err) {
+    console.warn(`[internal-api] Could not persist ${keyPath}: ${err.message}`);
+  }
+  return generated;
+}
+export const INTERNAL_API_KEY = resolveInternalApiKey();
 
 // Gateway
 export const INTERNAL_GATEWAY_PORT = Number.parseInt(
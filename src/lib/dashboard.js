@@ -13,51 +13,26 @@ import {
   WORKSPACE_DIR,
 } from "./constants.js";
 import { configPath, getClientDomain } from "./config.js";
-import { runCmd, safeRemoveDir } from "./helpers.js";
+import { gitHead, runCmd, safeRemoveDir } from "./helpers.js";
 import { getGitHubToken } from "./github.js";
-
-let dashboardProcess = null;
-let dashboardStarting = null;
-let dashboardStopping = null;
+import {
+  getServiceProcess,
+  getServiceState,
+  registerService,
+  startService,
+  stopService,
+} from "./supervisor.js";
 
 export function getDashboardProcess() {
-  return dashboardProcess;
+  return getServiceProcess("dashboard");
 }
 
 export function isDashboardStarting() {
-  return !!dashboardStarting;
+  return getServiceState("dashboard").state === "starting";
 }
 
-export function isDashboardStopping() {
-  return !!dashboardStopping;
-}
-
-export async function stopDashboard() {
-  if (!dashboardProcess) return;
-  if (dashboardStopping) {
-    console.log("[dashboard] Stop already in progress, waiting...");
-    await dashboardStopping;
-    return;
-  }
-
-  dashboardStopping = (async () => {
-    const proc = dashboardProcess;
-    dashboardProcess = null; // Clear immediately to avoid race
-    try {
-      proc.kill("SIGTERM");
-    } catch {}
-    // Wait for process to actually exit (port release), with timeout
-    await new Promise((resolve) => {
-      const timeout = setTimeout(resolve, 3000);
-      proc.on("close", () => { clearTimeout(timeout); resolve(); });
-    });
-  })();
-
-  try {
-    await dashboardStopping;
-  } finally {
-    dashboardStopping = null;
-  }
+export function stopDashboard() {
+  return stopService("dashboard");
 }
 
 export async function setupDashboard(token) {
@@ -129,7 +104,11 @@ export async function setupDashboard(token) {
     return { ok: false, output: build.output };
   }
 
-  return { ok: true, output: "Dashboard installed and built" };
+  return {
+    ok: true,
+    output: "Dashboard installed and built",
+    commit: await gitHead(DASHBOARD_DIR),
+  };
 }
 
 export async function setupWorkspace(token) {
@@ -232,23 +211,13 @@ export async function setupWorkspace(token) {
     }
   }
 
-  return { ok: true, output: "Workspace ready" };
+  return { ok: true, output: "Workspace ready", commit: await gitHead(WORKSPACE_DIR) };
 }
 
-export async function startDashboard(OPENCLAW_GATEWAY_TOKEN) {
-  // Prevent concurrent starts
-  if (dashboardProcess) return;
-  if (dashboardStarting) {
-    console.log("[dashboard] Start already in progress, waiting...");
-    await dashboardStarting;
-    return;
-  }
-  if (dashboardStopping) {
-    console.log("[dashboard] Stop in progress, waiting...");
-    await dashboardStopping;
-  }
-
-  dashboardStarting = (async () => {
+registerService("dashboard", {
+  port: DASHBOARD_PORT,
+  stopTimeoutMs: 5000,
+  async prepare() {
     console.log("[workspace] Setting up workspace...");
     try {
       const workspaceResult = await setupWorkspace();
@@ -320,11 +289,11 @@ export async function startDashboard(OPENCLAW_GATEWAY_TOKEN) {
           result.output,
         );
       } else {
-        console.error("[dashboard] Setup failed, cannot start:", result.output);
-        return;
+        throw new Error(`Setup failed, cannot start: ${result.output}`);
       }
     }
-
+  },
+  spawn(OPENCLAW_GATEWAY_TOKEN) {
     console.log("[dashboard] Starting on port " + DASHBOARD_PORT);
 
     const jwtSecretPath = path.join(STATE_DIR, "dashboard-jwt-secret");
@@ -343,21 +312,7 @@ export async function startDashboard(OPENCLAW_GATEWAY_TOKEN) {
       telegramBotToken = cfg?.channels?.telegram?.botToken || "";
     } catch {}
 
-    try {
-      const lsof = childProcess
-        .execSync(`lsof -ti:${DASHBOARD_PORT} 2>/dev/null || true`)
-        .toString()
-        .trim();
-      if (lsof) {
-        console.log(
-          `[dashboard] Killing stale process on port ${DASHBOARD_PORT}: ${lsof}`,
-        );
-        childProcess.execSync(`kill -9 ${lsof} 2>/dev/null || true`);
-        await new Promise((r) => setTimeout(r, 500));
-      }
-    } catch {}
-
-    dashboardProcess = childProcess.spawn("node", ["server/index.js"], {
+    return childProcess.spawn("node", ["server/index.js"], {
       cwd: DASHBOARD_DIR,
       env: {
         ...process.env,
@@ -381,43 +336,17 @@ export async function startDashboard(OPENCLAW_GATEWAY_TOKEN) {
       },
       stdio: ["ignore", "pipe", "pipe"],
     });
+  },
+  async ready() {
+    try {
+      const res = await fetch(`http://127.0.0.1:${DASHBOARD_PORT}/api/health`);
+      if (res.ok) return true;
+    } catch {}
+    const res = await fetch(`http://127.0.0.1:${DASHBOARD_PORT}/`);
+    return res.status < 500;
+  },
+});
 
-    dashboardProcess.stdout.on("data", (d) =>
-      console.log("[dashboard]", d.toString().trim()),
-    );
-    dashboardProcess.stderr.on("data", (d) =>
-      console.error("[dashboard]", d.toString().trim()),
-    );
-    dashboardProcess.on("close", (code) => {
-      console.log("[dashboard] Process exited with code", code);
-      dashboardProcess = null;
-    });
-
-    for (let i = 0; i < 30; i++) {
-      await new Promise((r) => setTimeout(r, 1000));
-      try {
-        const res = await fetch(
-          `http://127.0.0.1:${DASHBOARD_PORT}/api/health`,
-        );
-        if (res.ok) {
-          console.log("[dashboard] Ready (health check)");
-          return;
-        }
-      } catch {}
-      try {
-        const res = await fetch(`http://127.0.0.1:${DASHBOARD_PORT}/`);
-        if (res.status < 500) {
-          console.log("[dashboard] Ready (root fallback)");
-          return;
-        }
-      } catch {}
-    }
-    console.error("[dashboard] Failed to start within 30s");
-  })();
-
-  try {
-    await dashboardStarting;
-  } finally {
-    dashboardStarting = null;
-  }
+export function startDashboard(OPENCLAW_GATEWAY_TOKEN) {
+  return startService("dashboard", OPENCLAW_GATEWAY_TOKEN);
 }
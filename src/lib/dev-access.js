@@ -0,0 +1,369 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import net from "node:net";
+import path from "node:path";
+import { promisify } from "node:util";
+
+import { getClientDomain } from "./config.js";
+import { STATE_DIR } from "./constants.js";
+
+// Optional access control for the dev site and PR previews (dev.<domain>,
+// pr-<n>.dev.<domain>). When enabled, a request gets through with any of:
+//   - an allowed IP (allowIps CIDRs, plus the Tailscale ranges with
+//     allowTailscale)
+//   - HTTP Basic credentials of one of `users`
+//   - a signed share link (?gerald_share=<token>), which sets a cookie on
+//     dev.<domain> until the link expires
+// Config lives in STATE_DIR/dev-access.json (passwords as scrypt hashes,
+// plus the HMAC secret for share links; rotating it revokes every link).
+
+const SHARE_PARAM = "gerald_share";
+const ACCESS_COOKIE = "gerald_dev_access";
+const DEFAULT_SHARE_HOURS = 72;
+const MAX_SHARE_HOURS = 30 * 24;
+const CHECK_MS = 1000;
+// Wrong Basic logins per address before it is refused without hashing
+const FAILURE_LIMIT = 10;
+const FAILURE_WINDOW_MS = 10 * 60 * 1000;
+
+const TAILSCALE_RANGES = ["100.64.0.0/10", "fd7a:115c:a1e0::/48"];
+
+// Cloudflare's edge addresses (https://www.cloudflare.com/ips/). Only a
+// request arriving from one of them has a trustworthy CF-Connecting-IP.
+const CLOUDFLARE_RANGES = [
+  "173.245.48.0/20", "103.21.244.0/22", "103.22.200.0/22", "103.31.4.0/22",
+  "141.101.64.0/18", "108.162.192.0/18", "190.93.240.0/20", "188.114.96.0/20",
+  "197.234.240.0/22", "198.41.128.0/17", "162.158.0.0/15", "104.16.0.0/13",
+  "104.24.0.0/14", "172.64.0.0/13", "131.0.72.0/22",
+  "2400:cb00::/32", "2606:4700::/32", "2803:f800::/32", "2405:b500::/32",
+  "2405:8100::/32", "2a06:98c0::/29", "2c0f:f248::/32",
+];
+
+const DEFAULTS = { enabled: false, users: [], allowIps: [], allowTailscale: false, secret: null };
+
+let cache = { mtimeMs: null, checkedAt: 0, config: null, allowList: null };
+
+const scrypt = promisify(crypto.scrypt);
+
+function configPath() {
+  return path.join(STATE_DIR, "dev-access.json");
+}
+
+function parseCidr(value) {
+  const [address, bits] = String(value).trim().split("/");
+  const family = net.isIP(address);
+  if (!family) return null;
+  const max = family === 4 ? 32 : 128;
+  const prefix = bits === undefined ? max : Number(bits);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > max) return null;
+  return { address, prefix, type: family === 4 ? "ipv4" : "ipv6" };
+}
+
+function blockList(ranges) {
+  const list = new net.BlockList();
+  for (const range of ranges) {
+    const cidr = parseCidr(range);
+    if (cidr) list.addSubnet(cidr.address, cidr.prefix, cidr.type);
+  }
+  return list;
+}
+
+const cloudflare = blockList(CLOUDFLARE_RANGES);
+
+function ipMatches(list, ip) {
+  const family = net.isIP(ip);
+  return family !== 0 && list.check(ip, family === 4 ? "ipv4" : "ipv6");
+}
+
+function normalizeIp(ip) {
+  return String(ip || "").trim().replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, "$1");
+}
+
+/**
+ * The visitor's address: the proxy hop Railway adds (as with Express's
+ * `trust proxy` 1), or CF-Connecting-IP when that hop is Cloudflare. Works
+ * on raw upgrade requests too.
+ */
+export function clientIp(req) {
+  const forwarded = String(req.headers["x-forwarded-for"] || "").split(",").map((s) => s.trim()).filter(Boolean);
+  const peer = normalizeIp(forwarded.at(-1) || req.socket?.remoteAddress);
+  const cfIp = normalizeIp(req.headers["cf-connecting-ip"]);
+  return cfIp && ipMatches(cloudflare, peer) ? cfIp : peer;
+}
+
+function readConfig() {
+  const now = Date.now();
+  if (cache.config && now - cache.checkedAt < CHECK_MS) return cache;
+  let mtimeMs = null;
+  try {
+    mtimeMs = fs.statSync(configPath()).mtimeMs;
+  } catch {}
+  if (!cache.config || mtimeMs !== cache.mtimeMs) {
+    let config = { ...DEFAULTS };
+    if (mtimeMs !== null) {
+      try {
+        config = { ...DEFAULTS, ...JSON.parse(fs.readFileSync(configPath(), "utf8")) };
+      } catch (err) {
+        console.error(`[dev-access] Could not read ${configPath()}: ${err.message}`);
+      }
+    }
+    const ranges = [...config.allowIps, ...(config.allowTailscale ? TAILSCALE_RANGES : [])];
+    cache = { mtimeMs, config, allowList: blockList(ranges) };
+  }
+  cache.checkedAt = now;
+  return cache;
+}
+
+function writeConfig(config) {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  const tmp = `${configPath()}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(config, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, configPath());
+  cache.checkedAt = 0;
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 32);
+  return `scrypt$${salt.toString("base64url")}$${hash.toString("base64url")}`;
+}
+
+// On the libuv thread pool: ~50ms of CPU that must not hold up other hosts
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64url");
+  const actual = await scrypt(password, Buffer.from(salt, "base64url"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/** Whether access control is on for the dev site and previews. */
+export function devAccessEnabled() {
+  return Boolean(readConfig().config.enabled);
+}
+
+/** The settings without password hashes or the share secret. */
+export function readDevAccess() {
+  const { config } = readConfig();
+  return {
+    enabled: Boolean(config.enabled),
+    users: config.users.map((u) => ({ username: u.username })),
+    allowIps: config.allowIps,
+    allowTailscale: Boolean(config.allowTailscale),
+  };
+}
+
+/**
+ * Update the settings. `users` replaces the list: `{ username, password }`
+ * sets a password, `{ username }` keeps the current one.
+ */
+export function updateDevAccess(patch = {}) {
+  const config = { ...readConfig().config };
+  if (patch.enabled !== undefined) {
+    if (typeof patch.enabled !== "boolean") throw new Error("enabled must be true or false");
+    config.enabled = patch.enabled;
+  }
+  if (patch.allowTailscale !== undefined) {
+    if (typeof patch.allowTailscale !== "boolean") throw new Error("allowTailscale must be true or false");
+    config.allowTailscale = patch.allowTailscale;
+  }
+  if (patch.allowIps !== undefined) {
+    if (!Array.isArray(patch.allowIps)) throw new Error("allowIps must be a list");
+    for (const range of patch.allowIps) {
+      if (!parseCidr(range)) throw new Error(`Invalid IP or CIDR: ${range}`);
+    }
+    config.allowIps = patch.allowIps.map((r) => String(r).trim());
+  }
+  if (patch.users !== undefined) {
+    if (!Array.isArray(patch.users)) throw new Error("users must be a list");
+    const seen = new Set();
+    config.users = patch.users.map((user) => {
+      const username = String(user?.username || "").trim();
+      if (!/^[^\s:]{1,64}$/.test(username)) throw new Error(`Invalid username: ${username}`);
+      if (seen.has(username)) throw new Error(`Duplicate username: ${username}`);
+      seen.add(username);
+      if (user.password !== undefined) {
+        if (typeof user.password !== "string" || user.password.length < 8) {
+          throw new Error(`Password for ${username} must be at least 8 characters`);
+        }
+        return { username, passwordHash: hashPassword(user.password) };
+      }
+      const existing = config.users.find((u) => u.username === username);
+      if (!existing) throw new Error(`New user ${username} needs a password`);
+      return existing;
+    });
+  }
+  writeConfig(config);
+  console.log(
+    `[dev-access] ${config.enabled ? "Enabled" : "Disabled"}: ${config.users.length} users, ` +
+      `${config.allowIps.length} IP ranges${config.allowTailscale ? " + Tailscale" : ""}`,
+  );
+  return readDevAccess();
+}
+
+function shareSecret(config) {
+  if (config.secret) return config.secret;
+  const next = { ...config, secret: crypto.randomBytes(32).toString("base64url") };
+  writeConfig(next);
+  return next.secret;
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+/** A share link for the dev site, valid for `hours`. */
+export function createShareLink({ hours = DEFAULT_SHARE_HOURS, label = "" } = {}) {
+  const ttl = Number(hours);
+  if (!Number.isFinite(ttl) || ttl <= 0 || ttl > MAX_SHARE_HOURS) {
+    throw new Error(`hours must be between 0 and ${MAX_SHARE_HOURS}`);
+  }
+  const domain = getClientDomain();
+  if (!domain) throw new Error("Client domain not configured");
+  const expiresAt = Date.now() + ttl * 3600 * 1000;
+  const payload = Buffer.from(JSON.stringify({ exp: expiresAt, label: String(label).slice(0, 100) })).toString("base64url");
+  const token = `${payload}.${sign(payload, shareSecret(readConfig().config))}`;
+  console.log(`[dev-access] Share link created${label ? ` (${label})` : ""}, expires ${new Date(expiresAt).toISOString()}`);
+  return { url: `https://dev.${domain}/?${SHARE_PARAM}=${token}`, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/** New share secret: every link and cookie handed out so far stops working. */
+export function rotateShareSecret() {
+  const config = { ...readConfig().config, secret: crypto.randomBytes(32).toString("base64url") };
+  writeConfig(config);
+  console.log("[dev-access] Share secret rotated");
+}
+
+// Expiry (ms) of a valid share token, or null
+function verifyShareToken(token, config) {
+  if (!config.secret || typeof token !== "string") return null;
+  const [payload, signature] = token.split(".");
+  if (!payload || !signature) return null;
+  const expected = Buffer.from(sign(payload, config.secret));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  try {
+    const { exp } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return Number.isFinite(exp) && exp > Date.now() ? exp : null;
+  } catch {
+    return null;
+  }
+}
+
+function cookieValue(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const idx = part.indexOf("=");
+    if (idx >= 0 && part.slice(0, idx).trim() === name) return part.slice(idx + 1).trim();
+  }
+  return null;
+}
+
+// Credentials that passed scrypt recently: a page load sends them with every
+// asset request, and hashing each one would cost ~50ms of CPU
+const verifiedBasic = new Map();
+const VERIFIED_TTL_MS = 5 * 60 * 1000;
+
+// Wrong Basic logins per address, so guessing can't keep scrypt busy
+const failuresByIp = new Map();
+
+function recentFailures(ip, now = Date.now()) {
+  const recent = (failuresByIp.get(ip) || []).filter((at) => now - at < FAILURE_WINDOW_MS);
+  if (recent.length) failuresByIp.set(ip, recent);
+  else failuresByIp.delete(ip);
+  return recent;
+}
+
+function recordFailure(ip) {
+  const now = Date.now();
+  failuresByIp.set(ip, [...recentFailures(ip, now), now]);
+  if (failuresByIp.size > 1000) {
+    for (const key of failuresByIp.keys()) recentFailures(key, now);
+  }
+}
+
+function loginBlocked(req) {
+  return recentFailures(clientIp(req)).length >= FAILURE_LIMIT;
+}
+
+async function basicUser(req, config) {
+  const [scheme, encoded] = String(req.headers.authorization || "").split(" ");
+  if (scheme !== "Basic" || !encoded) return null;
+  const decoded = Buffer.from(encoded, "base64").toString("utf8");
+  const idx = decoded.indexOf(":");
+  if (idx < 0) return null;
+  const ip = clientIp(req);
+  const user = config.users.find((u) => u.username === decoded.slice(0, idx));
+  const key = user && crypto.createHash("sha256").update(`${encoded}\n${user.passwordHash}`).digest("base64url");
+  if (user && verifiedBasic.get(key) > Date.now()) return user;
+  if (loginBlocked(req)) return null;
+  if (!user || !(await verifyPassword(decoded.slice(idx + 1), user.passwordHash))) {
+    recordFailure(ip);
+    return null;
+  }
+  if (verifiedBasic.size > 1000) verifiedBasic.clear();
+  verifiedBasic.set(key, Date.now() + VERIFIED_TTL_MS);
+  return user;
+}
+
+/**
+ * How a dev request is let in: "ip", "basic" or "cookie", "open" while
+ * access control is off, or null when it isn't.
+ */
+export async function devAccessMethod(req) {
+  const { config, allowList } = readConfig();
+  if (!config.enabled) return "open";
+  if (ipMatches(allowList, clientIp(req))) return "ip";
+  if (verifyShareToken(cookieValue(req, ACCESS_COOKIE), config)) return "cookie";
+  if (config.users.length && (await basicUser(req, config))) return "basic";
+  return null;
+}
+
+/** Whether a dev-server WebSocket upgrade (HMR) may go through. */
+export async function devUpgradeAllowed(req) {
+  return (await devAccessMethod(req)) !== null;
+}
+
+/**
+ * Enforce dev access on an HTTP request. Resolves to true when a response
+ * was sent (denied, or a share link redeemed into a cookie).
+ */
+export async function enforceDevAccess(req, res) {
+  const { config } = readConfig();
+  if (!config.enabled) return false;
+
+  // A share link: trade it for a cookie, then drop it from the address bar
+  const shared = req.query?.[SHARE_PARAM];
+  if (typeof shared === "string") {
+    const exp = verifyShareToken(shared, config);
+    if (exp) {
+      res.cookie(ACCESS_COOKIE, shared, {
+        domain: `dev.${getClientDomain()}`,
+        httpOnly: true,
+        secure: req.secure,
+        sameSite: "lax",
+        maxAge: exp - Date.now(),
+      });
+      const url = new URL(req.originalUrl, "http://localhost");
+      url.searchParams.delete(SHARE_PARAM);
+      res.redirect(302, url.pathname + url.search);
+      return true;
+    }
+  }
+
+  if (await devAccessMethod(req)) return false;
+
+  res.set("X-Robots-Tag", "noindex, nofollow");
+  res.set("Cache-Control", "no-store");
+  if (loginBlocked(req)) {
+    res.set("Retry-After", String(FAILURE_WINDOW_MS / 1000));
+    res.status(429).type("text/plain").send("Too many failed sign-ins, try again in a few minutes.");
+    return true;
+  }
+  if (config.users.length) {
+    res.set("WWW-Authenticate", 'Basic realm="Dev site", charset="UTF-8"');
+    res.status(401).type("text/plain").send(shared ? "This share link is no longer valid." : "Sign in to view the dev site.");
+    return true;
+  }
+  res.status(403).type("text/plain").send(shared ? "This share link is no longer valid." : "The dev site is private.");
+  return true;
+}
@@ -4,101 +4,84 @@ import path from "node:path";
 
 import { DEV_DIR, DEV_SERVER_PORT } from "./constants.js";
 import { runCmd } from "./helpers.js";
+import {
+  getServiceProcess,
+  registerService,
+  restartService,
+  startService,
+  stopService,
+} from "./supervisor.js";
 
-let devServerProcess = null;
-
-export function getDevServerProcess() {
-  return devServerProcess;
-}
-
-export async function startDevServer() {
-  if (devServerProcess) return;
-  if (!fs.existsSync(path.join(DEV_DIR, "package.json"))) {
-    console.log("[dev-server] No package.json in dev dir, skipping");
-    return;
-  }
-
-  console.log(`[dev-server] Starting on port ${DEV_SERVER_PORT}...`);
-
+function devEnv() {
   const devBinPath = path.join(DEV_DIR, "node_modules", ".bin");
-  const devEnv = {
+  return {
     ...process.env,
     PATH: `${devBinPath}:${process.env.PATH}`,
     PORT: String(DEV_SERVER_PORT),
     HOST: "0.0.0.0",
     NODE_ENV: "development",
   };
+}
 
-  if (!fs.existsSync(path.join(DEV_DIR, "node_modules"))) {
-    console.log("[dev-server] Installing dependencies...");
-    await runCmd("npm", ["install"], { cwd: DEV_DIR, env: devEnv });
-  }
+// First compiles of big sites can be slow; DEV_SERVER_READY_TIMEOUT_S raises it
+const READY_TIMEOUT_MS =
+  Math.max(Number.parseInt(process.env.DEV_SERVER_READY_TIMEOUT_S ?? "120", 10) || 120, 1) * 1000;
 
-  try {
-    const lsof = childProcess
-      .execSync(`lsof -ti:${DEV_SERVER_PORT} 2>/dev/null || true`)
-      .toString()
-      .trim();
-    if (lsof) {
-      console.log(
-        `[dev-server] Killing stale process on port ${DEV_SERVER_PORT}: ${lsof}`,
-      );
-      childProcess.execSync(`kill -9 ${lsof} 2>/dev/null || true`);
-      await new Promise((r) => setTimeout(r, 500));
+registerService("dev-server", {
+  port: DEV_SERVER_PORT,
+  readyTimeoutMs: READY_TIMEOUT_MS,
+  // A dev server still compiling is better than one killed mid-compile
+  killOnReadyTimeout: false,
+  stopTimeoutMs: 5000,
+  async prepare() {
+    if (!fs.existsSync(path.join(DEV_DIR, "node_modules"))) {
+      console.log("[dev-server] Installing dependencies...");
+      await runCmd("npm", ["install"], { cwd: DEV_DIR, env: devEnv() });
     }
-  } catch {}
+  },
+  spawn() {
+    console.log(`[dev-server] Starting on port ${DEV_SERVER_PORT}...`);
+    return childProcess.spawn(
+      "npm",
+      [
+        "run",
+        "dev",
+        "--",
+        "--port",
+        String(DEV_SERVER_PORT),
+        "--host",
+        "0.0.0.0",
+      ],
+      {
+        cwd: DEV_DIR,
+        env: devEnv(),
+        stdio: ["ignore", "pipe", "pipe"],
+      },
+    );
+  },
+  // Any answer means it is up: the site's home page may well be a 404 or 500
+  async ready() {
+    await fetch(`http://127.0.0.1:${DEV_SERVER_PORT}/`, { redirect: "manual" });
+    return true;
+  },
+});
 
-  devServerProcess = childProcess.spawn(
-    "npm",
-    [
-      "run",
-      "dev",
-      "--",
-      "--port",
-      String(DEV_SERVER_PORT),
-      "--host",
-      "0.0.0.0",
-    ],
-    {
-      cwd: DEV_DIR,
-      env: devEnv,
-      stdio: ["ignore", "pipe", "pipe"],
-    },
-  );
-
-  devServerProcess.stdout.on("data", (d) =>
-    console.log("[dev-server]", d.toString().trim()),
-  );
-  devServerProcess.stderr.on("data", (d) =>
-    console.error("[dev-server]", d.toString().trim()),
-  );
-  devServerProcess.on("close", (code) => {
-    console.log("[dev-server] Process exited with code", code);
-    devServerProcess = null;
-  });
+export function getDevServerProcess() {
+  return getServiceProcess("dev-server");
+}
 
-  for (let i = 0; i < 30; i++) {
-    await new Promise((r) => setTimeout(r, 1000));
-    try {
-      const res = await fetch(`http://127.0.0.1:${DEV_SERVER_PORT}/`);
-      if (res.ok || res.status === 304) {
-        console.log("[dev-server] Ready");
-        return;
-      }
-    } catch {}
+export async function startDevServer() {
+  if (!fs.existsSync(path.join(DEV_DIR, "package.json"))) {
+    console.log("[dev-server] No package.json in dev dir, skipping");
+    return { ok: false, output: "No package.json in dev dir" };
   }
-  console.warn("[dev-server] Timed out waiting for dev server to start");
+  return startService("dev-server");
 }
 
 export function stopDevServer() {
-  if (!devServerProcess) return;
-  console.log("[dev-server] Stopping...");
-  devServerProcess.kill("SIGTERM");
-  devServerProcess = null;
+  return stopService("dev-server");
 }
 
-export async function restartDevServer() {
-  stopDevServer();
-  await new Promise((r) => setTimeout(r, 1000));
-  await startDevServer();
+export function restartDevServer() {
+  return restartService("dev-server");
 }
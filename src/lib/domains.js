@@ -0,0 +1,169 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { getClientDomain, getEnvClientDomain } from "./config.js";
+import { STATE_DIR } from "./constants.js";
+
+// Domains of the deployment, kept in illumin8.json:
+//   "domains": [
+//     { "domain": "acme.com", "role": "primary" },
+//     { "domain": "acme.ca", "role": "alias" },      // serves the production site
+//     { "domain": "acme-old.com", "role": "redirect" } // 301s to the primary
+//   ]
+// The primary is the client domain (dev., gerald. and previews live under
+// it) and is always `clientDomain` / CLIENT_DOMAIN; a config without a
+// `domains` list has just that one. Each domain also answers on `www.`.
+// CLIENT_DOMAIN in the environment wins over illumin8.json on every start,
+// so while it is set the primary can't be changed here.
+
+export const DOMAIN_ROLES = ["primary", "alias", "redirect"];
+
+const DOMAIN_RE = /^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+const CHECK_MS = 1000;
+
+let hostCache = { key: null, checkedAt: 0, hosts: new Map() };
+
+function configPath() {
+  return path.join(STATE_DIR, "illumin8.json");
+}
+
+function readConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(configPath(), "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+function writeConfig(cfg) {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  const tmp = `${configPath()}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(cfg, null, 2));
+  fs.renameSync(tmp, configPath());
+  hostCache.checkedAt = 0;
+}
+
+/** Lowercase a domain and strip a leading "www."; null when it isn't a valid hostname. */
+export function normalizeDomain(value) {
+  if (typeof value !== "string") return null;
+  const domain = value.trim().toLowerCase().replace(/\.$/, "").replace(/^www\./, "");
+  return DOMAIN_RE.test(domain) ? domain : null;
+}
+
+function listFrom(cfg) {
+  const primary = getClientDomain();
+  const domains = primary ? [{ domain: primary, role: "primary" }] : [];
+  for (const entry of Array.isArray(cfg.domains) ? cfg.domains : []) {
+    const domain = normalizeDomain(entry?.domain);
+    if (!domain || domains.some((d) => d.domain === domain)) continue;
+    // Only the client domain is primary; any other entry marked so serves the site
+    const role = entry.role === "redirect" ? "redirect" : "alias";
+    domains.push({ domain, role });
+  }
+  return domains;
+}
+
+/** Every domain of the deployment, the primary first. */
+export function getDomains() {
+  return listFrom(readConfig());
+}
+
+/**
+ * The domain entry `host` belongs to (the domain itself or its www.), or
+ * null. Called for every request, so the lookup table is rebuilt at most
+ * once a second.
+ */
+export function domainForHost(host) {
+  if (!host) return null;
+  const now = Date.now();
+  if (now - hostCache.checkedAt >= CHECK_MS) {
+    let mtimeMs = 0;
+    try {
+      mtimeMs = fs.statSync(configPath()).mtimeMs;
+    } catch {}
+    const key = `${mtimeMs}:${getClientDomain()}`;
+    if (key !== hostCache.key) {
+      const hosts = new Map();
+      for (const entry of getDomains()) {
+        hosts.set(entry.domain, entry);
+        hosts.set(`www.${entry.domain}`, entry);
+      }
+      hostCache = { key, hosts };
+    }
+    hostCache.checkedAt = now;
+  }
+  return hostCache.hosts.get(host) || null;
+}
+
+function saveDomains(cfg, domains) {
+  const primary = domains.find((d) => d.role === "primary");
+  const pinned = getEnvClientDomain();
+  if (pinned && primary.domain !== pinned) {
+    throw new Error(
+      `CLIENT_DOMAIN is set to ${pinned} in the environment and would win again on restart; change it there (Railway Variables) to make ${primary.domain} primary`,
+    );
+  }
+  cfg.clientDomain = primary.domain;
+  cfg.domains = domains.map(({ domain, role }) => ({ domain, role }));
+  writeConfig(cfg);
+  // Setup exports the client domain to the process; keep it in step
+  if (process.env.CLIENT_DOMAIN && process.env.CLIENT_DOMAIN !== primary.domain) {
+    process.env.CLIENT_DOMAIN = primary.domain;
+  }
+  console.log(`[domains] ${domains.map((d) => `${d.domain} (${d.role})`).join(", ")}`);
+  return getDomains();
+}
+
+/** Add `domain` with `role`. A new primary turns the old one into an alias. */
+export function addDomain({ domain: value, role = "alias" } = {}) {
+  const domain = normalizeDomain(value);
+  if (!domain) throw new Error(`Invalid domain: ${value}`);
+  if (!DOMAIN_ROLES.includes(role)) throw new Error(`role must be one of: ${DOMAIN_ROLES.join(", ")}`);
+  const cfg = readConfig();
+  const domains = listFrom(cfg);
+  if (domains.some((d) => d.domain === domain)) throw new Error(`${domain} is already configured`);
+  if (role === "primary") {
+    for (const d of domains) if (d.role === "primary") d.role = "alias";
+    domains.unshift({ domain, role });
+  } else {
+    if (domains.length === 0) throw new Error("Configure the client domain first");
+    domains.push({ domain, role });
+  }
+  return saveDomains(cfg, domains);
+}
+
+/** Change the role of `domain`. */
+export function updateDomain(value, { role } = {}) {
+  const domain = normalizeDomain(value);
+  if (!DOMAIN_ROLES.includes(role)) throw new Error(`role must be one of: ${DOMAIN_ROLES.join(", ")}`);
+  const cfg = readConfig();
+  const domains = listFrom(cfg);
+  const entry = domains.find((d) => d.domain === domain);
+  if (!entry) return null;
+  if (entry.role === "primary" && role !== "primary") {
+    throw new Error("Make another domain primary instead");
+  }
+  if (role === "primary") {
+    for (const d of domains) if (d.role === "primary") d.role = "alias";
+    domains.splice(domains.indexOf(entry), 1);
+    domains.unshift(entry);
+  }
+  entry.role = role;
+  return saveDomains(cfg, domains);
+}
+
+/** Remove `domain`; the primary can't be removed. Returns null when unknown. */
+export function removeDomain(value) {
+  const domain = normalizeDomain(value);
+  const cfg = readConfig();
+  const domains = listFrom(cfg);
+  const entry = domains.find((d) => d.domain === domain);
+  if (!entry) return null;
+  if (entry.role === "primary") throw new Error("The primary domain can't be removed");
+  return saveDomains(cfg, domains.filter((d) => d !== entry));
+}
+
+/** Domains that serve the production site (primary and aliases). */
+export function siteDomains() {
+  return getDomains().filter((d) => d.role !== "redirect").map((d) => d.domain);
+}
@@ -16,13 +16,18 @@ import {
   fixInvalidConfig,
   isConfigured,
 } from "./config.js";
-import { clawArgs, runCmd, sleep } from "./helpers.js";
+import { clawArgs, runCmd } from "./helpers.js";
+import { readSecretFile, writeSecretFile } from "./secrets.js";
+import { GERALD_TOKEN_SCOPES, issueSystemToken } from "./tokens.js";
+import {
+  getServiceProcess,
+  getServiceState,
+  registerService,
+  startService,
+  stopService,
+} from "./supervisor.js";
 
-let gatewayProc = null;
 let gatewayStarting = null;
-let lastGatewayToken = null;
-let crashCount = 0;
-let lastCrashTime = 0;
 let loggedUvCrashRootCause = false;
 const MAX_CRASH_RESTARTS = 5;
 const CRASH_WINDOW_MS = 300_000; // 5 minutes
@@ -49,40 +54,35 @@ export function resolveGatewayBind() {
 }
 
 export function getGatewayProc() {
-  return gatewayProc;
+  return getServiceProcess("gateway");
 }
 
 export function isGatewayStarting() {
-  return !!gatewayStarting;
+  return !!gatewayStarting || getServiceState("gateway").state === "starting";
 }
 
-export async function waitForGatewayReady(opts = {}) {
-  const timeoutMs = opts.timeoutMs ?? 300_000;
-  const start = Date.now();
-  const endpoints = ["/openclaw", "/openclaw", "/", "/health"];
-
-  while (Date.now() - start < timeoutMs) {
-    for (const endpoint of endpoints) {
-      try {
-        const res = await fetch(`${GATEWAY_TARGET}${endpoint}`, {
-          method: "GET",
-        });
-        if (res) {
-          console.log(`[gateway] ready at ${endpoint}`);
-          return true;
-        }
-      } catch (err) {
-        // not ready
+// One pass over the endpoints the gateway answers on; any response counts
+async function gatewayResponds() {
+  const endpoints = ["/openclaw", "/", "/health"];
+  for (const endpoint of endpoints) {
+    try {
+      const res = await fetch(`${GATEWAY_TARGET}${endpoint}`, {
+        method: "GET",
+      });
+      if (res) {
+        console.log(`[gateway] ready at ${endpoint}`);
+        return true;
       }
+    } catch (err) {
+      // not ready
     }
-    await sleep(250);
   }
-  console.error(`[gateway] failed to become ready after ${timeoutMs}ms`);
   return false;
 }
 
-export async function startGateway(OPENCLAW_GATEWAY_TOKEN) {
-  if (gatewayProc) return;
+// Runs before every spawn, automatic restarts included, so the gateway
+// always comes up with the wrapper's token and settings
+async function syncGatewayConfig(OPENCLAW_GATEWAY_TOKEN) {
   if (!isConfigured()) throw new Error("Gateway cannot start: not configured");
 
   fs.mkdirSync(STATE_DIR, { recursive: true });
@@ -168,22 +168,14 @@ export async function startGateway(OPENCLAW_GATEWAY_TOKEN) {
 
   const anthropicToken = process.env.ANTHROPIC_SETUP_TOKEN?.trim();
   if (anthropicToken) {
-    const agentDir = path.join(STATE_DIR, "agents", "main", "agent");
-    const authStorePath = path.join(agentDir, "auth-profiles.json");
     try {
-      fs.mkdirSync(agentDir, { recursive: true });
-      let store = {
+      const store = readSecretFile("auth-profiles", { actor: "gateway" }) || {
         version: 1,
         profiles: {},
         order: [],
         lastGood: {},
         usageStats: {},
       };
-      if (fs.existsSync(authStorePath)) {
-        try {
-          store = JSON.parse(fs.readFileSync(authStorePath, "utf8"));
-        } catch {}
-      }
       const profileId = "anthropic:default";
       store.profiles[profileId] = {
         credential: {
@@ -198,9 +190,7 @@ export async function startGateway(OPENCLAW_GATEWAY_TOKEN) {
       }
       store.lastGood = store.lastGood || {};
       store.lastGood.anthropic = profileId;
-      fs.writeFileSync(authStorePath, JSON.stringify(store, null, 2), {
-        mode: 0o600,
-      });
+      writeSecretFile("auth-profiles", store, { actor: "gateway" });
       console.log(
         `[gateway] Anthropic token synced from ANTHROPIC_SETUP_TOKEN env`,
       );
@@ -276,6 +266,10 @@ export async function startGateway(OPENCLAW_GATEWAY_TOKEN) {
   }
 
   console.log(`[gateway] ========== TOKEN SYNC COMPLETE ==========`);
+}
+
+async function spawnGateway(OPENCLAW_GATEWAY_TOKEN) {
+  await syncGatewayConfig(OPENCLAW_GATEWAY_TOKEN);
 
   const bindAddress = resolveGatewayBind();
   const args = [
@@ -299,10 +293,26 @@ export async function startGateway(OPENCLAW_GATEWAY_TOKEN) {
     console.log(`[gateway] Using launcher shim: ${launcherPath}`);
   }
 
-  gatewayProc = childProcess.spawn(OPENCLAW_NODE, spawnArgs, {
-    stdio: ["ignore", "inherit", "pipe"],
+  // Gerald's tools (claw, gateway-*.sh) get a scoped token instead of the
+  // full-power setup password, and never the key to the secrets vault
+  const {
+    SETUP_PASSWORD: _setupPassword,
+    CLAW_SETUP_PASSWORD: _clawSetupPassword,
+    GERALD_MASTER_KEY: _masterKey,
+    ...gatewayEnv
+  } = process.env;
+  let clawToken = "";
+  try {
+    clawToken = issueSystemToken("gerald", GERALD_TOKEN_SCOPES);
+  } catch (err) {
+    console.error(`[gateway] Could not issue CLAW_TOKEN: ${err.message}`);
+  }
+
+  const proc = childProcess.spawn(OPENCLAW_NODE, spawnArgs, {
+    stdio: ["ignore", "pipe", "pipe"],
     env: {
-      ...process.env,
+      ...gatewayEnv,
+      CLAW_TOKEN: clawToken,
       OPENCLAW_STATE_DIR: STATE_DIR,
       OPENCLAW_WORKSPACE_DIR: WORKSPACE_DIR,
     },
@@ -314,88 +324,51 @@ export async function startGateway(OPENCLAW_GATEWAY_TOKEN) {
   console.log(`[gateway] STATE_DIR: ${STATE_DIR}`);
   console.log(`[gateway] WORKSPACE_DIR: ${WORKSPACE_DIR}`);
   console.log(`[gateway] config path: ${configPath()}`);
+  return proc;
+}
 
-  gatewayProc.on("error", (err) => {
-    console.error(`[gateway] spawn error: ${String(err)}`);
-    gatewayProc = null;
-  });
-
-  // Store token for auto-restart
-  lastGatewayToken = OPENCLAW_GATEWAY_TOKEN;
-
-  // Capture stderr to detect specific crash signatures
-  let stderrBuffer = "";
-  if (gatewayProc.stderr) {
-    gatewayProc.stderr.on("data", (data) => {
-      process.stderr.write(data);
-      stderrBuffer += data.toString();
-      // Keep only last 4KB to prevent memory bloat
-      if (stderrBuffer.length > 4096) {
-        stderrBuffer = stderrBuffer.slice(-4096);
-      }
-    });
+// Detect the uv_interface_addresses crash signature in the gateway's last
+// output and stop restart thrash once it has failed the same way 3 times
+function shouldRestartGateway({ crashes, outputTail }) {
+  const hasUvInterfaceError = outputTail.includes("uv_interface_addresses") ||
+                              outputTail.includes("ERR_SYSTEM_ERROR");
+  if (!hasUvInterfaceError) return true;
+
+  if (!loggedUvCrashRootCause) {
+    loggedUvCrashRootCause = true;
+    console.error(`[gateway] CRASH ROOT CAUSE: uv_interface_addresses syscall failed (container compatibility issue)`);
+    console.error(`[gateway] MITIGATION: Ensure src/lib/openclaw-launcher.cjs is present and being used`);
   }
-
-  gatewayProc.on("exit", (code, signal) => {
-    console.error(`[gateway] exited code=${code} signal=${signal}`);
-    
-    // Detect uv_interface_addresses crash signature
-    const hasUvInterfaceError = stderrBuffer.includes("uv_interface_addresses") ||
-                                  stderrBuffer.includes("ERR_SYSTEM_ERROR");
-    
-    if (hasUvInterfaceError && !loggedUvCrashRootCause) {
-      loggedUvCrashRootCause = true;
-      console.error(`[gateway] CRASH ROOT CAUSE: uv_interface_addresses syscall failed (container compatibility issue)`);
-      console.error(`[gateway] MITIGATION: Ensure src/lib/openclaw-launcher.cjs is present and being used`);
-    }
-    
-    gatewayProc = null;
-
-    // Auto-restart on unexpected crash (not SIGTERM/SIGINT = intentional stop)
-    if (signal !== 'SIGTERM' && signal !== 'SIGINT' && code !== 0 && lastGatewayToken) {
-      const now = Date.now();
-      if (now - lastCrashTime > CRASH_WINDOW_MS) {
-        crashCount = 0; // Reset crash counter outside window
-      }
-      lastCrashTime = now;
-      crashCount++;
-
-      // Short-circuit restart thrash for known fatal errors
-      if (hasUvInterfaceError && crashCount >= 3) {
-        console.error(`[gateway] FATAL: uv_interface_addresses error persists after ${crashCount} attempts. Not restarting.`);
-        console.error(`[gateway] ACTION REQUIRED: Check that src/lib/openclaw-launcher.cjs exists and startup logs show launcher shim usage`);
-        return; // Don't restart
-      }
-
-      if (crashCount <= MAX_CRASH_RESTARTS) {
-        const delayMs = Math.min(2000 * Math.pow(2, crashCount - 1), 30000);
-        console.log(`[gateway] Auto-restart in ${delayMs}ms (crash ${crashCount}/${MAX_CRASH_RESTARTS})`);
-        setTimeout(async () => {
-          try {
-            console.log(`[gateway] Auto-restarting after crash...`);
-            await startGateway(lastGatewayToken);
-          } catch (err) {
-            console.error(`[gateway] Auto-restart failed: ${err.message}`);
-          }
-        }, delayMs);
-      } else {
-        console.error(`[gateway] Too many crashes (${crashCount}) in ${CRASH_WINDOW_MS / 1000}s — not restarting. Use /setup/api/config/repair or /setup/api/gateway/restart to recover.`);
-      }
-    }
-  });
+  if (crashes >= 3) {
+    console.error(`[gateway] FATAL: uv_interface_addresses error persists after ${crashes} attempts. Not restarting.`);
+    console.error(`[gateway] ACTION REQUIRED: Check that src/lib/openclaw-launcher.cjs exists and startup logs show launcher shim usage`);
+    return false;
+  }
+  return true;
 }
 
+registerService("gateway", {
+  spawn: spawnGateway,
+  port: INTERNAL_GATEWAY_PORT,
+  ready: gatewayResponds,
+  readyTimeoutMs: 300_000,
+  readyIntervalMs: 250,
+  stopTimeoutMs: 10_000,
+  logPrefix: null, // the gateway prefixes its own output
+  restart: { maxRestarts: MAX_CRASH_RESTARTS, windowMs: CRASH_WINDOW_MS },
+  shouldRestart: shouldRestartGateway,
+});
+
 export async function ensureGatewayRunning(OPENCLAW_GATEWAY_TOKEN) {
   if (!isConfigured()) return { ok: false, reason: "not configured" };
-  if (gatewayProc) return { ok: true };
+  if (getGatewayProc() && getServiceState("gateway").state === "running") {
+    return { ok: true };
+  }
   if (!gatewayStarting) {
     gatewayStarting = (async () => {
-      await startGateway(OPENCLAW_GATEWAY_TOKEN);
-      const ready = await waitForGatewayReady({ timeoutMs: 300_000 });
-      if (!ready) {
-        throw new Error(
-          "Gateway did not become ready in time (5 min timeout)",
-        );
+      const result = await startService("gateway", OPENCLAW_GATEWAY_TOKEN);
+      if (!result.ok) {
+        throw new Error(`Gateway did not start: ${result.output}`);
       }
       // Index workspace for qmd search (background, non-blocking)
       indexWorkspaceForQmd().catch(err => console.warn('[qmd] indexing failed:', err.message));
@@ -480,29 +453,16 @@ async function indexWorkspaceForQmd() {
   }
 }
 
+// Stop the wrapper-managed gateway (SIGTERM, then SIGKILL after 10s) and
+// cancel any pending crash restart
+export function stopGateway() {
+  return stopService("gateway");
+}
+
 export async function restartGateway(OPENCLAW_GATEWAY_TOKEN) {
   console.log("[gateway] Restarting gateway...");
-
-  if (gatewayProc) {
-    console.log("[gateway] Killing wrapper-managed gateway process");
-    try {
-      gatewayProc.kill("SIGTERM");
-    } catch {}
-    gatewayProc = null;
-  }
-
-  console.log(
-    `[gateway] Killing any other gateway processes on port ${INTERNAL_GATEWAY_PORT}`,
-  );
-  try {
-    const killResult = await runCmd("pkill", ["-f", "openclaw-gateway"]);
-    console.log(`[gateway] pkill result: exit code ${killResult.code}`);
-  } catch (err) {
-    console.log(`[gateway] pkill failed: ${err.message}`);
-  }
-
-  await sleep(1500);
-
+  await stopGateway();
+  // Anything else still holding the port is killed before the next spawn
   return ensureGatewayRunning(OPENCLAW_GATEWAY_TOKEN);
 }
 
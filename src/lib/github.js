@@ -1,8 +1,9 @@
+import crypto from "node:crypto";
 import fs from "node:fs";
 import os from "node:os";
 import path from "node:path";
 
-import { STATE_DIR } from "./constants.js";
+import { readSecretFile, writeSecretFile } from "./secrets.js";
 
 export const GITHUB_CLIENT_ID = "Ov23lihLeOlzBtN5di4E";
 export const GITHUB_CLIENT_SECRET =
@@ -14,13 +15,8 @@ export function getGitHubToken() {
     return process.env.GITHUB_TOKEN;
   }
 
-  const oauthPath = path.join(STATE_DIR, "github-oauth.json");
-  if (fs.existsSync(oauthPath)) {
-    try {
-      const oauth = JSON.parse(fs.readFileSync(oauthPath, "utf8"));
-      if (oauth.access_token) return oauth.access_token;
-    } catch {}
-  }
+  const oauth = readSecretFile("github-oauth", { actor: "github" });
+  if (oauth?.access_token) return oauth.access_token;
 
   const dashboardOAuthPath = path.join(
     os.homedir(),
@@ -34,13 +30,8 @@ export function getGitHubToken() {
     } catch {}
   }
 
-  const cfgPath = path.join(STATE_DIR, "github.json");
-  if (fs.existsSync(cfgPath)) {
-    try {
-      const config = JSON.parse(fs.readFileSync(cfgPath, "utf8"));
-      if (config.token) return config.token;
-    } catch {}
-  }
+  const config = readSecretFile("github", { actor: "github" });
+  if (config?.token) return config.token;
 
   return process.env.GITHUB_TOKEN?.trim() || "";
 }
@@ -111,7 +102,6 @@ export async function completeDeviceAuth(tokenData) {
   const userData = await userRes.json();
   const username = userData.login;
 
-  fs.mkdirSync(STATE_DIR, { recursive: true });
   const oauthData = {
     access_token: accessToken,
     token_type: tokenData.token_type || "bearer",
@@ -119,12 +109,7 @@ export async function completeDeviceAuth(tokenData) {
     username,
     connected_at: new Date().toISOString(),
   };
-
-  fs.writeFileSync(
-    path.join(STATE_DIR, "github-oauth.json"),
-    JSON.stringify(oauthData, null, 2),
-    { mode: 0o600 },
-  );
+  writeSecretFile("github-oauth", oauthData, { actor: "github" });
 
   return { status: "success", access_token: accessToken, username };
 }
@@ -169,3 +154,79 @@ export async function fetchRepos(token) {
     language: repo.language || "",
   }));
 }
+
+// ── Repository webhook ────────────────────────────────────────────────
+
+export const WEBHOOK_EVENTS = ["push", "pull_request"];
+
+export function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+// GITHUB_WEBHOOK_SECRET overrides the secret generated during setup
+export function getWebhookSecret(githubConfig) {
+  return (
+    process.env.GITHUB_WEBHOOK_SECRET?.trim() ||
+    githubConfig?.webhookSecret ||
+    ""
+  );
+}
+
+// Check X-Hub-Signature-256 (HMAC-SHA256 of the raw request body)
+export function verifyWebhookSignature(rawBody, signature, secret) {
+  if (!rawBody || !secret || typeof signature !== "string") return false;
+  const expected = Buffer.from(
+    "sha256=" +
+      crypto.createHmac("sha256", secret).update(rawBody).digest("hex"),
+  );
+  const received = Buffer.from(signature);
+  return (
+    received.length === expected.length &&
+    crypto.timingSafeEqual(received, expected)
+  );
+}
+
+// Create the webhook, or update the one already pointing at webhookUrl so it
+// carries the current secret and event list.
+export async function registerWebhook(repo, webhookUrl, token, secret) {
+  const headers = {
+    Authorization: `token ${token}`,
+    Accept: "application/vnd.github.v3+json",
+    "Content-Type": "application/json",
+  };
+  const hooksUrl = `https://api.github.com/repos/${repo}/hooks`;
+
+  const existingRes = await fetch(hooksUrl, { headers });
+  const existing = existingRes.ok ? await existingRes.json() : [];
+  const hook = Array.isArray(existing)
+    ? existing.find((h) => h.config?.url === webhookUrl)
+    : null;
+
+  const hookRes = await fetch(hook ? `${hooksUrl}/${hook.id}` : hooksUrl, {
+    method: hook ? "PATCH" : "POST",
+    headers,
+    body: JSON.stringify({
+      ...(hook ? {} : { name: "web" }),
+      active: true,
+      events: WEBHOOK_EVENTS,
+      config: {
+        url: webhookUrl,
+        content_type: "json",
+        insecure_ssl: "0",
+        secret,
+      },
+    }),
+  });
+
+  if (!hookRes.ok) {
+    const err = await hookRes.text();
+    return {
+      ok: false,
+      output: `Failed to ${hook ? "update" : "register"} webhook (${hookRes.status}): ${err}`,
+    };
+  }
+  return {
+    ok: true,
+    output: `GitHub webhook ${hook ? "updated" : "registered"}: ${webhookUrl}`,
+  };
+}
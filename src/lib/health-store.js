@@ -0,0 +1,195 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { STATE_DIR } from "./constants.js";
+
+// Storage for /api/health/*. A store keeps, per user:
+//   samples   { metric, time, day, hour, value, unit, source, ...fields }
+//             (`time` is the wall-clock time where the sample was taken,
+//             "YYYY-MM-DDTHH:MM:SS", `day`/`hour` are derived from it)
+//   workouts  { id, name, start, end, day, durationMinutes, energyKcal, ... }
+//   settings  { goals, timezone }
+// The JSONL store below is the only backend today; another one (SQLite,
+// a hosted database) plugs in with registerHealthStore() and HEALTH_STORE.
+
+const HEALTH_DIR = path.join(STATE_DIR, "health");
+const USER_RE = /^[A-Za-z0-9._@+:-]{1,100}$/;
+const CACHE_FILES = 24;
+
+export function isValidHealthUser(user) {
+  return typeof user === "string" && USER_RE.test(user);
+}
+
+function userDir(user) {
+  if (!isValidHealthUser(user)) throw new Error(`Invalid health user: ${user}`);
+  // ":" is not portable in file names (telegram:123 → telegram_123)
+  return path.join(HEALTH_DIR, user.replace(/:/g, "_"));
+}
+
+function monthsBetween(fromDay, toDay) {
+  const months = [];
+  let [year, month] = fromDay.slice(0, 7).split("-").map(Number);
+  const [endYear, endMonth] = toDay.slice(0, 7).split("-").map(Number);
+  while (year < endYear || (year === endYear && month <= endMonth)) {
+    months.push(`${year}-${String(month).padStart(2, "0")}`);
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+  return months;
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+function createJsonlStore() {
+  // Parsed month files, invalidated by size/mtime (appends change both)
+  const cache = new Map();
+
+  function readJsonl(file) {
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch {
+      return [];
+    }
+    const cached = cache.get(file);
+    if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+      return cached.entries;
+    }
+    const entries = [];
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      if (!line) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {}
+    }
+    cache.delete(file);
+    cache.set(file, { size: stat.size, mtimeMs: stat.mtimeMs, entries });
+    if (cache.size > CACHE_FILES) cache.delete(cache.keys().next().value);
+    return entries;
+  }
+
+  // Exports overlap (Health Auto Export resends the whole day), so the
+  // latest copy of a sample/workout wins
+  function latest(entries, keyOf) {
+    const byKey = new Map();
+    for (const entry of entries) byKey.set(keyOf(entry), entry);
+    return [...byKey.values()];
+  }
+
+  function serialize(entries) {
+    return entries.map((e) => JSON.stringify(e)).join("\n") + "\n";
+  }
+
+  // Append, then rewrite the file without superseded copies once they make
+  // up more than half of it
+  function append(file, entries, keyOf) {
+    if (entries.length === 0) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, serialize(entries));
+    const all = readJsonl(file);
+    const unique = latest(all, keyOf);
+    if (unique.length * 2 < all.length) {
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, serialize(unique));
+      fs.renameSync(tmp, file);
+    }
+  }
+
+  const sampleKey = (s) => `${s.metric}|${s.time}|${s.source || ""}`;
+  const workoutKey = (w) => w.id;
+
+  return {
+    name: "jsonl",
+
+    appendSamples(user, samples) {
+      const dir = path.join(userDir(user), "samples");
+      for (const [month, entries] of groupBy(samples, (s) => s.day.slice(0, 7))) {
+        append(path.join(dir, `${month}.jsonl`), entries, sampleKey);
+      }
+    },
+
+    appendWorkouts(user, workouts) {
+      const dir = path.join(userDir(user), "workouts");
+      for (const [month, entries] of groupBy(workouts, (w) => w.day.slice(0, 7))) {
+        append(path.join(dir, `${month}.jsonl`), entries, workoutKey);
+      }
+    },
+
+    /** Samples with `fromDay <= day <= toDay`, optionally for some metrics. */
+    querySamples(user, { fromDay, toDay, metrics }) {
+      const dir = path.join(userDir(user), "samples");
+      const wanted = metrics ? new Set(metrics) : null;
+      const rows = monthsBetween(fromDay, toDay).flatMap((month) =>
+        readJsonl(path.join(dir, `${month}.jsonl`)).filter(
+          (s) => s.day >= fromDay && s.day <= toDay && (!wanted || wanted.has(s.metric)),
+        ),
+      );
+      return latest(rows, sampleKey);
+    },
+
+    /** Most recent sample of each of `metrics`, looking back `lookbackMonths`. */
+    latestSamples(user, metrics, { toDay, lookbackMonths = 3 }) {
+      const [year, month] = toDay.split("-").map(Number);
+      const from = new Date(Date.UTC(year, month - 1 - lookbackMonths, 1)).toISOString().slice(0, 10);
+      const found = new Map();
+      for (const sample of this.querySamples(user, { fromDay: from, toDay, metrics })) {
+        const current = found.get(sample.metric);
+        if (!current || sample.time > current.time) found.set(sample.metric, sample);
+      }
+      return found;
+    },
+
+    queryWorkouts(user, { fromDay, toDay }) {
+      const dir = path.join(userDir(user), "workouts");
+      const rows = monthsBetween(fromDay, toDay).flatMap((month) =>
+        readJsonl(path.join(dir, `${month}.jsonl`)).filter((w) => w.day >= fromDay && w.day <= toDay),
+      );
+      return latest(rows, workoutKey).sort((a, b) => (a.start < b.start ? -1 : 1));
+    },
+
+    readSettings(user) {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(userDir(user), "settings.json"), "utf8"));
+      } catch {
+        return {};
+      }
+    },
+
+    writeSettings(user, settings) {
+      const file = path.join(userDir(user), "settings.json");
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(settings, null, 2));
+      fs.renameSync(tmp, file);
+    },
+  };
+}
+
+const factories = new Map([["jsonl", createJsonlStore]]);
+let store = null;
+
+/** Make another backend selectable with HEALTH_STORE=<name>. */
+export function registerHealthStore(name, factory) {
+  factories.set(name, factory);
+}
+
+export function getHealthStore() {
+  if (!store) {
+    const name = process.env.HEALTH_STORE?.trim() || "jsonl";
+    const factory = factories.get(name);
+    if (!factory) throw new Error(`Unknown HEALTH_STORE: ${name}`);
+    store = factory();
+  }
+  return store;
+}
@@ -0,0 +1,450 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+import { STATE_DIR } from "./constants.js";
+import { getHealthStore, isValidHealthUser } from "./health-store.js";
+
+// Health data behind /api/health/*: ingest of Apple Health exports (the
+// Health Auto Export app's JSON, or a plain { samples, workouts } payload)
+// and the daily/hourly/vitals/workout views the dashboard shows.
+//
+// Samples are filed under the wall-clock time they were recorded at (the
+// offset in the export), so "Tuesday 7am" stays Tuesday 7am wherever the
+// server runs. "Today" is taken in the user's timezone setting.
+
+export const DEFAULT_GOALS = {
+  step_count: 10000,
+  active_energy: 500,
+  sleep_hours: 8,
+  exercise_minutes: 30,
+  stand_hours: 12,
+};
+
+export const SUMMARY_METRICS = Object.keys(DEFAULT_GOALS);
+
+// Export metric name → stored metric name
+const METRIC_ALIASES = {
+  apple_exercise_time: "exercise_minutes",
+  apple_stand_hour: "stand_hours",
+  sleep_analysis: "sleep_hours",
+  blood_oxygen_saturation: "blood_oxygen",
+  weight_body_mass: "body_mass",
+};
+
+// Daily/hourly totals; every other metric is averaged
+const CUMULATIVE_METRICS = new Set([
+  "step_count",
+  "active_energy",
+  "basal_energy_burned",
+  "exercise_minutes",
+  "stand_hours",
+  "sleep_hours",
+  "flights_climbed",
+  "walking_running_distance",
+  "cycling_distance",
+  "mindful_minutes",
+  "dietary_water",
+]);
+
+const VITAL_METRICS = [
+  "heart_rate",
+  "resting_heart_rate",
+  "walking_heart_rate_average",
+  "heart_rate_variability",
+  "blood_oxygen",
+  "respiratory_rate",
+  "blood_pressure",
+  "body_temperature",
+  "vo2_max",
+  "body_mass",
+];
+
+const METRIC_RE = /^[a-z0-9_]{1,64}$/;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const LOCAL_TIME_RE = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?\s*([+-]\d{2}:?\d{2})?$/;
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function defaultTimezone() {
+  const tz = process.env.TZ?.trim();
+  return tz && isValidTimezone(tz) ? tz : "UTC";
+}
+
+/** "YYYY-MM-DDTHH:MM:SS" of `date` on the wall clock of `timezone`. */
+function formatInTimezone(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value]),
+  );
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+/**
+ * Wall-clock time of an export timestamp. Health Auto Export writes
+ * "2026-03-02 07:15:00 -0500"; the local part is kept as is. Timestamps
+ * in UTC ("…Z") or epoch ms are converted to `timezone`.
+ */
+function wallTime(value, timezone) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? formatInTimezone(new Date(value), timezone) : null;
+  }
+  if (typeof value !== "string") return null;
+  const m = value.trim().match(LOCAL_TIME_RE);
+  if (m) {
+    const [, day, hh = "00", mm = "00", ss = "00"] = m;
+    return `${day}T${hh}:${mm}:${ss}`;
+  }
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? formatInTimezone(new Date(parsed), timezone) : null;
+}
+
+function finite(value) {
+  const n = typeof value === "string" ? Number(value) : value;
+  return typeof n === "number" && Number.isFinite(n) ? n : null;
+}
+
+function round(value, digits = 2) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+function normalizeMetricName(name) {
+  const metric = String(name || "").trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+  return METRIC_ALIASES[metric] || metric;
+}
+
+function isCumulative(metric) {
+  return CUMULATIVE_METRICS.has(metric);
+}
+
+// Value (and extra fields) of one export data point, in the stored unit
+function readPoint(metric, units, point) {
+  const unit = String(units || point.units || point.unit || "");
+  if (metric === "sleep_hours") {
+    const total = finite(point.totalSleep) ?? finite(point.asleep) ?? finite(point.qty) ?? finite(point.value);
+    if (total === null) return null;
+    const scale = /^min/i.test(unit) ? 1 / 60 : 1;
+    const fields = {};
+    for (const stage of ["core", "deep", "rem", "awake", "inBed"]) {
+      if (finite(point[stage]) !== null) fields[stage] = round(finite(point[stage]) * scale);
+    }
+    return { value: round(total * scale), unit: "hr", fields };
+  }
+  if (metric === "blood_pressure") {
+    const systolic = finite(point.systolic);
+    const diastolic = finite(point.diastolic);
+    if (systolic === null) return null;
+    return { value: systolic, unit: unit || "mmHg", fields: diastolic === null ? {} : { diastolic } };
+  }
+  // heart_rate and friends come as { Min, Avg, Max }
+  const value = finite(point.qty) ?? finite(point.Avg) ?? finite(point.avg) ?? finite(point.value);
+  if (value === null) return null;
+  const fields = {};
+  for (const [from, to] of [["Min", "min"], ["Max", "max"], ["min", "min"], ["max", "max"]]) {
+    if (finite(point[from]) !== null) fields[to] = finite(point[from]);
+  }
+  if (metric === "active_energy" && /^kj$/i.test(unit)) {
+    return { value: round(value / 4.184), unit: "kcal", fields };
+  }
+  return { value, unit, fields };
+}
+
+function toSample(metric, units, point, timezone) {
+  const time = wallTime(point.date ?? point.startDate ?? point.time, timezone);
+  if (!time) return null;
+  const read = readPoint(metric, units, point);
+  if (!read) return null;
+  return {
+    metric,
+    time,
+    day: time.slice(0, 10),
+    hour: Number(time.slice(11, 13)),
+    value: read.value,
+    unit: read.unit,
+    source: point.source ? String(point.source) : "",
+    ...read.fields,
+  };
+}
+
+// { qty, units } objects in Health Auto Export workouts
+function quantity(value) {
+  if (value && typeof value === "object") return { qty: finite(value.qty), units: value.units || "" };
+  return { qty: finite(value), units: "" };
+}
+
+function toWorkout(workout, timezone) {
+  const start = wallTime(workout.start ?? workout.startDate, timezone);
+  if (!start) return null;
+  const end = wallTime(workout.end ?? workout.endDate, timezone);
+  const name = String(workout.name || workout.workoutActivityType || "Workout");
+
+  let durationMinutes = null;
+  const startMs = Date.parse(workout.start ?? workout.startDate);
+  const endMs = Date.parse(workout.end ?? workout.endDate);
+  if (finite(workout.duration) !== null) {
+    // Health Auto Export reports seconds; plain payloads can say durationMinutes
+    durationMinutes = round(finite(workout.duration) / 60, 1);
+  } else if (finite(workout.durationMinutes) !== null) {
+    durationMinutes = finite(workout.durationMinutes);
+  } else if (Number.isFinite(startMs) && Number.isFinite(endMs)) {
+    durationMinutes = round((endMs - startMs) / 60000, 1);
+  }
+
+  const energy = quantity(workout.activeEnergyBurned ?? workout.activeEnergy ?? workout.energyKcal);
+  const distance = quantity(workout.distance);
+  const heartRate = quantity(workout.avgHeartRate ?? workout.heartRate?.avg);
+
+  return {
+    id: String(workout.id || crypto.createHash("sha256").update(`${name}|${start}`).digest("hex").slice(0, 16)),
+    name,
+    start,
+    end,
+    day: start.slice(0, 10),
+    durationMinutes,
+    energyKcal: energy.qty === null ? null : round(/^kj$/i.test(energy.units) ? energy.qty / 4.184 : energy.qty),
+    distance: distance.qty,
+    distanceUnit: distance.qty === null ? null : distance.units || null,
+    avgHeartRate: heartRate.qty,
+    source: workout.source ? String(workout.source) : "",
+  };
+}
+
+/**
+ * Parse an ingest payload into samples and workouts. Accepts Health Auto
+ * Export's { data: { metrics: [{ name, units, data: [...] }], workouts } }
+ * and { samples: [{ metric, date, value, unit, source }], workouts }.
+ */
+export function parseHealthPayload(payload, timezone = defaultTimezone()) {
+  const body = payload?.data && typeof payload.data === "object" && !Array.isArray(payload.data)
+    ? payload.data
+    : payload || {};
+  const samples = [];
+  let skipped = 0;
+
+  for (const entry of Array.isArray(body.metrics) ? body.metrics : []) {
+    const metric = normalizeMetricName(entry?.name);
+    if (!METRIC_RE.test(metric)) {
+      skipped += Array.isArray(entry?.data) ? entry.data.length : 1;
+      continue;
+    }
+    for (const point of Array.isArray(entry.data) ? entry.data : []) {
+      const sample = point && typeof point === "object" ? toSample(metric, entry.units, point, timezone) : null;
+      if (sample) samples.push(sample);
+      else skipped++;
+    }
+  }
+
+  for (const point of Array.isArray(body.samples) ? body.samples : []) {
+    const metric = normalizeMetricName(point?.metric);
+    const sample = METRIC_RE.test(metric) ? toSample(metric, point.unit, point, timezone) : null;
+    if (sample) samples.push(sample);
+    else skipped++;
+  }
+
+  const workouts = [];
+  for (const workout of Array.isArray(body.workouts) ? body.workouts : []) {
+    const parsed = workout && typeof workout === "object" ? toWorkout(workout, timezone) : null;
+    if (parsed) workouts.push(parsed);
+    else skipped++;
+  }
+
+  return { samples, workouts, skipped };
+}
+
+/**
+ * The stored user a requested one reads and writes. Exports are ingested
+ * under the `?user=` name in their URL ("default" unless set), while
+ * sessions ask for "telegram:<id>" or "email:<address>"; illumin8.json
+ * `healthUsers` joins the two, e.g. { "telegram:123456789": "default" }.
+ * Users without an entry keep a store of their own.
+ */
+export function resolveHealthUser(user) {
+  let mapping = {};
+  try {
+    mapping = JSON.parse(fs.readFileSync(path.join(STATE_DIR, "illumin8.json"), "utf8")).healthUsers || {};
+  } catch {}
+  const mapped = Object.hasOwn(mapping, user) ? mapping[user] : null;
+  return typeof mapped === "string" ? mapped : user;
+}
+
+/** Goals and timezone of `user`, with defaults filled in. */
+export function getHealthSettings(user) {
+  const saved = getHealthStore().readSettings(user);
+  return {
+    goals: { ...DEFAULT_GOALS, ...(saved.goals || {}) },
+    timezone: saved.timezone && isValidTimezone(saved.timezone) ? saved.timezone : defaultTimezone(),
+  };
+}
+
+/**
+ * Update goals (merged into the current ones; null resets a goal to its
+ * default) and/or the timezone. Throws on invalid input.
+ */
+export function updateHealthSettings(user, { goals, timezone } = {}) {
+  const store = getHealthStore();
+  const saved = store.readSettings(user);
+  const next = { ...saved, goals: { ...(saved.goals || {}) } };
+
+  if (goals !== undefined) {
+    if (!goals || typeof goals !== "object" || Array.isArray(goals)) {
+      throw new Error("goals must be an object");
+    }
+    for (const [metric, value] of Object.entries(goals)) {
+      if (!METRIC_RE.test(metric)) throw new Error(`Invalid metric: ${metric}`);
+      if (value === null) {
+        delete next.goals[metric];
+        continue;
+      }
+      const n = finite(value);
+      if (n === null || n <= 0) throw new Error(`Goal for ${metric} must be a positive number`);
+      next.goals[metric] = n;
+    }
+  }
+  if (timezone !== undefined) {
+    if (timezone !== null && (typeof timezone !== "string" || !isValidTimezone(timezone))) {
+      throw new Error(`Unknown timezone: ${timezone}`);
+    }
+    if (timezone) next.timezone = timezone;
+    else delete next.timezone;
+  }
+
+  store.writeSettings(user, next);
+  return getHealthSettings(user);
+}
+
+/** Store a parsed ingest payload for `user`. */
+export function ingestHealthData(user, payload) {
+  if (!isValidHealthUser(user)) throw new Error(`Invalid health user: ${user}`);
+  const { timezone } = getHealthSettings(user);
+  const { samples, workouts, skipped } = parseHealthPayload(payload, timezone);
+  const store = getHealthStore();
+  store.appendSamples(user, samples);
+  store.appendWorkouts(user, workouts);
+  const days = samples.map((s) => s.day).sort();
+  console.log(
+    `[health] ${user}: ingested ${samples.length} samples, ${workouts.length} workouts` +
+      (skipped ? ` (${skipped} skipped)` : ""),
+  );
+  return {
+    samples: samples.length,
+    workouts: workouts.length,
+    skipped,
+    from: days[0] || null,
+    to: days.at(-1) || null,
+  };
+}
+
+function todayFor(timezone) {
+  return formatInTimezone(new Date(), timezone).slice(0, 10);
+}
+
+function addDays(day, n) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// Total (cumulative metrics) or mean of a group of samples
+function aggregate(metric, samples) {
+  if (samples.length === 0) return isCumulative(metric) ? 0 : null;
+  const total = samples.reduce((sum, s) => sum + s.value, 0);
+  return round(isCumulative(metric) ? total : total / samples.length);
+}
+
+function bucket(samples, keyOf) {
+  const groups = new Map();
+  for (const sample of samples) {
+    const key = keyOf(sample);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(sample);
+  }
+  return groups;
+}
+
+export function isValidHealthMetric(metric) {
+  return METRIC_RE.test(normalizeMetricName(metric));
+}
+
+/** Today's totals for the summary metrics, plus the user's goals. */
+export function getHealthSummary(user) {
+  const { goals, timezone } = getHealthSettings(user);
+  const today = todayFor(timezone);
+  const samples = getHealthStore().querySamples(user, { fromDay: today, toDay: today, metrics: SUMMARY_METRICS });
+  const totals = {};
+  for (const metric of SUMMARY_METRICS) {
+    totals[metric] = aggregate(metric, samples.filter((s) => s.metric === metric));
+  }
+  return { date: today, timezone, today: totals, goals };
+}
+
+/** One value per day for the last `days` days (oldest first). */
+export function getHealthHistory(user, metricName, days = 7) {
+  const metric = normalizeMetricName(metricName);
+  const count = Math.min(Math.max(Number.parseInt(days, 10) || 7, 1), 366);
+  const { timezone } = getHealthSettings(user);
+  const toDay = todayFor(timezone);
+  const fromDay = addDays(toDay, -(count - 1));
+  const samples = getHealthStore().querySamples(user, { fromDay, toDay, metrics: [metric] });
+  const byDay = bucket(samples, (s) => s.day);
+  const data = [];
+  for (let i = 0; i < count; i++) {
+    const date = addDays(fromDay, i);
+    data.push({ date, value: aggregate(metric, byDay.get(date) || []) });
+  }
+  return { metric, days: count, data };
+}
+
+/** 24 hourly buckets of `metric` on `date` (today by default). */
+export function getHealthHourly(user, metricName, date) {
+  const metric = normalizeMetricName(metricName);
+  const { timezone } = getHealthSettings(user);
+  const day = date && DAY_RE.test(date) ? date : todayFor(timezone);
+  const samples = getHealthStore().querySamples(user, { fromDay: day, toDay: day, metrics: [metric] });
+  const byHour = bucket(samples, (s) => s.hour);
+  const data = [];
+  for (let hour = 0; hour < 24; hour++) {
+    data.push({ hour, value: aggregate(metric, byHour.get(hour) || []) });
+  }
+  return { metric, date: day, data };
+}
+
+/** Latest reading of each vital sign recorded in the last few months. */
+export function getHealthVitals(user) {
+  const { timezone } = getHealthSettings(user);
+  const latest = getHealthStore().latestSamples(user, VITAL_METRICS, { toDay: todayFor(timezone) });
+  const vitals = [];
+  for (const metric of VITAL_METRICS) {
+    const sample = latest.get(metric);
+    if (!sample) continue;
+    const { metric: _m, day: _d, hour: _h, time, ...rest } = sample;
+    vitals.push({ metric, ...rest, time });
+  }
+  return { vitals };
+}
+
+export function getHealthWorkouts(user, date) {
+  const { timezone } = getHealthSettings(user);
+  const day = date && DAY_RE.test(date) ? date : todayFor(timezone);
+  const workouts = getHealthStore()
+    .queryWorkouts(user, { fromDay: day, toDay: day })
+    .map(({ day: _day, ...workout }) => workout);
+  return { date: day, workouts };
+}
@@ -1,3 +1,4 @@
+import { AsyncLocalStorage } from "node:async_hooks";
 import childProcess from "node:child_process";
 import fs from "node:fs";
 import path from "node:path";
@@ -34,7 +35,17 @@ export function clawArgs(args) {
   return [OPENCLAW_ENTRY, ...args];
 }
 
+// When set (see build-queue.js), every runCmd inside the async context also
+// streams its output to this callback.
+export const cmdOutputSink = new AsyncLocalStorage();
+
+export function redactSecrets(text) {
+  return String(text).replace(/x-access-token:[^@\s]+@/g, "x-access-token:***@");
+}
+
 export function runCmd(cmd, args, opts = {}) {
+  const sink = cmdOutputSink.getStore();
+  sink?.(redactSecrets(`$ ${cmd} ${args.join(" ")}\n`));
   return new Promise((resolve) => {
     const proc = childProcess.spawn(cmd, args, {
       ...opts,
@@ -47,11 +58,17 @@ export function runCmd(cmd, args, opts = {}) {
     });
 
     let out = "";
-    proc.stdout?.on("data", (d) => (out += d.toString("utf8")));
-    proc.stderr?.on("data", (d) => (out += d.toString("utf8")));
+    const collect = (d) => {
+      const text = d.toString("utf8");
+      out += text;
+      sink?.(redactSecrets(text));
+    };
+    proc.stdout?.on("data", collect);
+    proc.stderr?.on("data", collect);
 
     proc.on("error", (err) => {
       out += `\n[spawn error] ${String(err)}\n`;
+      sink?.(`\n[spawn error] ${String(err)}\n`);
       resolve({ code: 127, output: out });
     });
 
@@ -59,6 +76,11 @@ export function runCmd(cmd, args, opts = {}) {
   });
 }
 
+export async function gitHead(cwd) {
+  const result = await runCmd("git", ["rev-parse", "HEAD"], { cwd });
+  return result.code === 0 ? result.output.trim() : null;
+}
+
 export async function safeRemoveDir(dir) {
   if (fs.existsSync(dir)) {
     await runCmd('rm', ['-rf', dir]);
@@ -0,0 +1,253 @@
+import {
+  DASHBOARD_TARGET,
+  DEV_SERVER_TARGET,
+  GATEWAY_TARGET,
+  PROD_SERVER_TARGET,
+} from "./constants.js";
+import { listServices, SERVICE_STATES } from "./supervisor.js";
+
+// Prometheus metrics for GET /metrics, in the text exposition format.
+// Counters and histograms live in memory and start from zero with the
+// wrapper; per-service state is read from the supervisor at scrape time.
+//
+// Requests are labelled with the routing target that answered them:
+// gateway, dashboard, dev-server, prod-server, static, or wrapper (routes
+// the wrapper handles itself: /setup, /api/*).
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300];
+const BUILD_BUCKETS = [5, 15, 30, 60, 120, 300, 600, 1200, 1800];
+
+const PROXY_TARGET_NAMES = new Map([
+  [GATEWAY_TARGET, "gateway"],
+  [DASHBOARD_TARGET, "dashboard"],
+  [DEV_SERVER_TARGET, "dev-server"],
+  [PROD_SERVER_TARGET, "prod-server"],
+]);
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => (a < b ? -1 : 1)));
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+// A counter or gauge: one value per label set
+function metric(name, help, type) {
+  const values = new Map();
+  return {
+    add(labels = {}, by = 1) {
+      const key = labelKey(labels);
+      const entry = values.get(key) || { labels, value: 0 };
+      entry.value += by;
+      values.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+      for (const { labels, value } of values.values()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines;
+    },
+  };
+}
+
+function histogram(name, help, buckets) {
+  const series = new Map();
+  return {
+    observe(labels, seconds) {
+      const key = labelKey(labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((le, i) => {
+        if (seconds <= le) entry.counts[i]++;
+      });
+      entry.sum += seconds;
+      entry.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((le, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    },
+  };
+}
+
+// Single-sample gauges computed at scrape time
+function sampled(name, help, type, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const [labels, value] of samples) {
+    lines.push(`${name}${formatLabels(labels)} ${value}`);
+  }
+  return lines;
+}
+
+const httpRequests = metric(
+  "gerald_http_requests_total",
+  "HTTP requests handled, by routing target, method and status code.",
+  "counter",
+);
+const httpDuration = histogram(
+  "gerald_http_request_duration_seconds",
+  "Time from request to the end of the response, by routing target.",
+  LATENCY_BUCKETS,
+);
+const proxyErrors = metric(
+  "gerald_proxy_errors_total",
+  "Errors raised by the reverse proxy, by target and error code.",
+  "counter",
+);
+const wsUpgrades = metric(
+  "gerald_websocket_upgrades_total",
+  "WebSocket upgrades proxied, by target.",
+  "counter",
+);
+const wsOpen = metric(
+  "gerald_websocket_connections_open",
+  "WebSocket connections currently open, by target.",
+  "gauge",
+);
+const buildsTotal = metric(
+  "gerald_builds_total",
+  "Finished build queue jobs, by target and outcome.",
+  "counter",
+);
+const buildDuration = histogram(
+  "gerald_build_duration_seconds",
+  "Build queue job duration, by target and outcome.",
+  BUILD_BUCKETS,
+);
+
+/** Name of the service behind a proxy target URL (the gateway by default). */
+export function proxyTargetName(target) {
+  const url = typeof target === "string" ? target : target?.href?.replace(/\/$/, "");
+  return PROXY_TARGET_NAMES.get(url) || "gateway";
+}
+
+/**
+ * Express middleware: count every request and time it to the end of the
+ * response. Handlers label the target via req._metricsTarget (or the
+ * existing req._proxyTarget); anything else was answered by the wrapper.
+ */
+export function metricsMiddleware(req, res, next) {
+  const started = process.hrtime.bigint();
+  res.once("finish", () => {
+    const target = req._metricsTarget || req._proxyTarget || "wrapper";
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    httpRequests.add({ target, method: req.method, status: res.statusCode });
+    httpDuration.observe({ target }, seconds);
+  });
+  next();
+}
+
+export function recordProxyError(req, err) {
+  proxyErrors.add({
+    target: req?._metricsTarget || req?._proxyTarget || "gateway",
+    code: err?.code || "unknown",
+  });
+}
+
+/** Count a proxied WebSocket and track it as open until the socket closes. */
+export function trackWebSocket(req, socket, target) {
+  req._metricsTarget = target;
+  wsUpgrades.add({ target });
+  wsOpen.add({ target }, 1);
+  socket.once("close", () => wsOpen.add({ target }, -1));
+}
+
+/** Record a finished build queue job. */
+export function observeBuild(job) {
+  const labels = { target: job.target, status: job.status };
+  buildsTotal.add(labels);
+  if (job.durationMs != null) buildDuration.observe(labels, job.durationMs / 1000);
+}
+
+function serviceMetrics() {
+  const services = listServices();
+  const now = Date.now();
+  return [
+    ...sampled(
+      "gerald_service_up",
+      "1 when the supervised service is running and passed its readiness probe.",
+      "gauge",
+      services.map((s) => [{ service: s.name }, s.state === "running" ? 1 : 0]),
+    ),
+    ...sampled(
+      "gerald_service_state",
+      "Supervisor state of each service (1 for the current state).",
+      "gauge",
+      services.flatMap((s) =>
+        SERVICE_STATES.map((state) => [
+          { service: s.name, state },
+          s.state === state ? 1 : 0,
+        ]),
+      ),
+    ),
+    ...sampled(
+      "gerald_service_uptime_seconds",
+      "Seconds since the service's current process was spawned (0 when not running).",
+      "gauge",
+      services.map((s) => [
+        { service: s.name },
+        s.startedAt ? Math.max(0, (now - Date.parse(s.startedAt)) / 1000) : 0,
+      ]),
+    ),
+    ...sampled(
+      "gerald_service_restarts_total",
+      "Automatic restarts of the service after a crash.",
+      "counter",
+      services.map((s) => [{ service: s.name }, s.restarts]),
+    ),
+    ...sampled(
+      "gerald_service_crashes_total",
+      "Unexpected exits of the service (including failed readiness probes).",
+      "counter",
+      services.map((s) => [{ service: s.name }, s.crashes]),
+    ),
+  ];
+}
+
+function processMetrics() {
+  const memory = process.memoryUsage();
+  return [
+    ...sampled("process_start_time_seconds", "Start time of the wrapper process since the Unix epoch.", "gauge", [
+      [{}, Math.round((Date.now() / 1000 - process.uptime()) * 1000) / 1000],
+    ]),
+    ...sampled("process_resident_memory_bytes", "Resident memory of the wrapper process.", "gauge", [
+      [{}, memory.rss],
+    ]),
+    ...sampled("nodejs_heap_used_bytes", "V8 heap in use by the wrapper process.", "gauge", [
+      [{}, memory.heapUsed],
+    ]),
+  ];
+}
+
+/** Everything, in Prometheus text format. */
+export function renderMetrics() {
+  return [
+    ...httpRequests.render(),
+    ...httpDuration.render(),
+    ...proxyErrors.render(),
+    ...wsUpgrades.render(),
+    ...wsOpen.render(),
+    ...buildsTotal.render(),
+    ...buildDuration.render(),
+    ...serviceMetrics(),
+    ...processMetrics(),
+  ].join("\n") + "\n";
+}
@@ -0,0 +1,201 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { PREVIEWS_DIR, STATE_DIR } from "./constants.js";
+import { safeRemoveDir } from "./helpers.js";
+import { cloneAndBuild } from "./site-builder.js";
+import { invalidateStaticIndex, precompressSite } from "./static-server.js";
+
+// Each open pull request gets a static build in PREVIEWS_DIR/pr-<n>, served on
+// pr-<n>.dev.<clientDomain>. A single bot comment on the PR (found again via
+// COMMENT_MARKER) carries the preview URL and is updated on every build.
+
+const COMMENT_MARKER = "<!-- gerald-preview -->";
+
+function statePath() {
+  return path.join(STATE_DIR, "previews.json");
+}
+
+function readState() {
+  try {
+    const data = JSON.parse(fs.readFileSync(statePath(), "utf8"));
+    return data.previews && typeof data.previews === "object"
+      ? data.previews
+      : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeState(previews) {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  fs.writeFileSync(statePath(), JSON.stringify({ previews }, null, 2));
+}
+
+function updateState(number, patch) {
+  const previews = readState();
+  if (patch === null) {
+    delete previews[number];
+  } else {
+    previews[number] = { ...previews[number], number, ...patch };
+  }
+  writeState(previews);
+  return previews[number] || null;
+}
+
+export function previewHost(number, clientDomain) {
+  return `pr-${number}.dev.${clientDomain}`;
+}
+
+// pr-12.dev.example.com → 12 (null for any other host)
+export function parsePreviewHost(host, clientDomain) {
+  if (!host || !clientDomain) return null;
+  const suffix = `.dev.${clientDomain}`;
+  if (!host.endsWith(suffix)) return null;
+  const match = /^pr-(\d+)$/.exec(host.slice(0, -suffix.length));
+  return match ? Number.parseInt(match[1], 10) : null;
+}
+
+export function getPreviewDir(number) {
+  return path.join(PREVIEWS_DIR, `pr-${number}`);
+}
+
+export function listPreviews() {
+  return Object.values(readState()).sort((a, b) => b.number - a.number);
+}
+
+async function upsertPreviewComment(repo, number, token, body) {
+  if (!token) return null;
+  const headers = {
+    Authorization: `token ${token}`,
+    Accept: "application/vnd.github.v3+json",
+    "Content-Type": "application/json",
+  };
+  const fullBody = `${COMMENT_MARKER}\n${body}`;
+
+  let commentId = readState()[number]?.commentId || null;
+  if (!commentId) {
+    const listRes = await fetch(
+      `https://api.github.com/repos/${repo}/issues/${number}/comments?per_page=100`,
+      { headers },
+    );
+    const comments = listRes.ok ? await listRes.json() : [];
+    commentId =
+      (Array.isArray(comments) ? comments : []).find((c) =>
+        c.body?.includes(COMMENT_MARKER),
+      )?.id || null;
+  }
+
+  const res = await fetch(
+    commentId
+      ? `https://api.github.com/repos/${repo}/issues/comments/${commentId}`
+      : `https://api.github.com/repos/${repo}/issues/${number}/comments`,
+    {
+      method: commentId ? "PATCH" : "POST",
+      headers,
+      body: JSON.stringify({ body: fullBody }),
+    },
+  );
+  if (!res.ok) {
+    console.warn(
+      `[previews] Could not comment on PR #${number} (${res.status}): ${await res.text()}`,
+    );
+    return commentId;
+  }
+  const comment = await res.json();
+  return comment.id || commentId;
+}
+
+/**
+ * Build a pull request's head branch and publish it at pr-<n>.dev.<domain>.
+ * The new build is staged next to the live preview and swapped in only once
+ * it succeeds. Returns `{ ok, output, commit, url }`.
+ */
+export async function buildPreview({ repo, number, branch, token, clientDomain }) {
+  const url = `https://${previewHost(number, clientDomain)}`;
+  const previewDir = getPreviewDir(number);
+  const stagingDir = `${previewDir}.building`;
+  fs.mkdirSync(PREVIEWS_DIR, { recursive: true });
+
+  updateState(number, {
+    branch,
+    url,
+    status: "building",
+    updatedAt: new Date().toISOString(),
+  });
+  const commentId = await upsertPreviewComment(
+    repo,
+    number,
+    token,
+    `🔨 Building preview for \`${branch}\`…`,
+  );
+  if (commentId) updateState(number, { commentId });
+
+  console.log(`[previews] Building PR #${number} (${branch})`);
+  const result = await cloneAndBuild(
+    `https://github.com/${repo}`,
+    branch,
+    stagingDir,
+    token,
+    { createMissingBranch: false },
+  );
+
+  if (!result.ok) {
+    await safeRemoveDir(stagingDir);
+    await safeRemoveDir(`${stagingDir}_built`);
+    updateState(number, {
+      status: "failed",
+      commit: result.commit || null,
+      updatedAt: new Date().toISOString(),
+    });
+    await upsertPreviewComment(
+      repo,
+      number,
+      token,
+      `❌ Preview build failed for \`${branch}\`${result.commit ? ` at ${result.commit.slice(0, 7)}` : ""}.`,
+    );
+    return { ...result, url };
+  }
+
+  // Never serve the clone's .git (its config can carry the token)
+  await safeRemoveDir(path.join(stagingDir, ".git"));
+  await precompressSite(stagingDir);
+  await safeRemoveDir(previewDir);
+  fs.renameSync(stagingDir, previewDir);
+  invalidateStaticIndex(previewDir);
+
+  updateState(number, {
+    status: "ready",
+    commit: result.commit || null,
+    updatedAt: new Date().toISOString(),
+  });
+  await upsertPreviewComment(
+    repo,
+    number,
+    token,
+    `🔍 Preview ready: ${url}\n\nBuilt from \`${branch}\`${result.commit ? ` at ${result.commit.slice(0, 7)}` : ""}. It updates on every push and is removed when the PR closes.`,
+  );
+
+  console.log(`[previews] PR #${number} ready at ${url}`);
+  return { ...result, url, output: `${result.output}\nPreview ready: ${url}` };
+}
+
+/** Delete a pull request's preview and mark its comment as removed. */
+export async function removePreview({ repo, number, token }) {
+  await safeRemoveDir(getPreviewDir(number));
+  await safeRemoveDir(`${getPreviewDir(number)}.building`);
+  invalidateStaticIndex(getPreviewDir(number));
+
+  if (readState()[number]) {
+    await upsertPreviewComment(
+      repo,
+      number,
+      token,
+      "🧹 Preview removed (pull request closed).",
+    );
+  }
+  updateState(number, null);
+
+  console.log(`[previews] Removed preview for PR #${number}`);
+  return { ok: true, output: `Removed preview for PR #${number}` };
+}
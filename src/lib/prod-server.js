@@ -4,12 +4,13 @@ import path from "node:path";
 
 import { PRODUCTION_DIR, DEV_DIR, PROD_SERVER_PORT } from "./constants.js";
 import { getClientDomain } from "./config.js";
-
-let prodServerProcess = null;
-
-export function getProdServerProcess() {
-  return prodServerProcess;
-}
+import {
+  getServiceProcess,
+  registerService,
+  restartService,
+  startService,
+  stopService,
+} from "./supervisor.js";
 
 export function isProdSSR() {
   return (
@@ -29,122 +30,89 @@ function getSSREntryScript() {
   return null;
 }
 
-export async function startProdServer(retryCount = 0) {
-  if (prodServerProcess) return;
-  if (!isProdSSR()) {
-    console.log("[prod-server] Not an SSR site, skipping");
-    return;
-  }
-
-  console.log(
-    `[prod-server] Starting SSR server on port ${PROD_SERVER_PORT}... (attempt ${retryCount + 1})`,
-  );
-
-  try {
-    childProcess.execSync(`pkill -f 'entry.mjs' 2>/dev/null || true`);
-    childProcess.execSync(
-      `fuser -k ${PROD_SERVER_PORT}/tcp 2>/dev/null || true`,
-    );
-    await new Promise((r) => setTimeout(r, 2000));
-  } catch {}
-
-  // Ensure node_modules is available for SSR runtime dependencies
-  try {
-    const prodNodeModules = path.join(PRODUCTION_DIR, "node_modules");
-    if (!fs.existsSync(prodNodeModules)) {
-      // Check if workspace has package.json and install there
-      const workspaceDir = path.dirname(PRODUCTION_DIR); // /data/workspace/site
-      const workspacePackageJson = path.join(workspaceDir, "package.json");
-      const workspaceNodeModules = path.join(workspaceDir, "node_modules");
-      
-      if (fs.existsSync(workspacePackageJson)) {
-        if (!fs.existsSync(workspaceNodeModules)) {
-          console.log("[prod-server] Installing dependencies in workspace...");
-          childProcess.execSync(`cd "${workspaceDir}" && npm install --legacy-peer-deps 2>&1`, {
-            stdio: "pipe",
-            timeout: 120000,
-          });
-        }
-        // Symlink workspace node_modules to production
-        if (fs.existsSync(workspaceNodeModules)) {
-          console.log("[prod-server] Symlinking workspace node_modules to production...");
-          fs.symlinkSync(workspaceNodeModules, prodNodeModules);
+registerService("prod-server", {
+  port: PROD_SERVER_PORT,
+  stopTimeoutMs: 5000,
+  prepare() {
+    // Ensure node_modules is available for SSR runtime dependencies
+    try {
+      const prodNodeModules = path.join(PRODUCTION_DIR, "node_modules");
+      if (!fs.existsSync(prodNodeModules)) {
+        // Check if workspace has package.json and install there
+        const workspaceDir = path.dirname(PRODUCTION_DIR); // /data/workspace/site
+        const workspacePackageJson = path.join(workspaceDir, "package.json");
+        const workspaceNodeModules = path.join(workspaceDir, "node_modules");
+
+        if (fs.existsSync(workspacePackageJson)) {
+          if (!fs.existsSync(workspaceNodeModules)) {
+            console.log("[prod-server] Installing dependencies in workspace...");
+            childProcess.execSync(`cd "${workspaceDir}" && npm install --legacy-peer-deps 2>&1`, {
+              stdio: "pipe",
+              timeout: 120000,
+            });
+          }
+          // Symlink workspace node_modules to production
+          if (fs.existsSync(workspaceNodeModules)) {
+            console.log("[prod-server] Symlinking workspace node_modules to production...");
+            fs.symlinkSync(workspaceNodeModules, prodNodeModules);
+          }
         }
-      }
-      // Fallback: copy template's node_modules
-      else {
-        const rootNodeModules = path.join(process.cwd(), "node_modules");
-        if (fs.existsSync(rootNodeModules)) {
-          console.log("[prod-server] Copying root node_modules to production...");
-          childProcess.execSync(`cp -r "${rootNodeModules}" "${prodNodeModules}"`);
+        // Fallback: copy template's node_modules
+        else {
+          const rootNodeModules = path.join(process.cwd(), "node_modules");
+          if (fs.existsSync(rootNodeModules)) {
+            console.log("[prod-server] Copying root node_modules to production...");
+            childProcess.execSync(`cp -r "${rootNodeModules}" "${prodNodeModules}"`);
+          }
         }
       }
+    } catch (e) {
+      console.warn("[prod-server] Failed to ensure dependencies:", e.message);
     }
-  } catch (e) {
-    console.warn("[prod-server] Failed to ensure dependencies:", e.message);
-  }
+  },
+  spawn() {
+    console.log(`[prod-server] Starting SSR server on port ${PROD_SERVER_PORT}...`);
+    const clientDomain = getClientDomain();
+    const siteUrl = clientDomain
+      ? `https://${clientDomain}`
+      : `http://localhost:${PROD_SERVER_PORT}`;
+
+    const startScript = getSSREntryScript() || "dist/server/entry.mjs";
+
+    return childProcess.spawn("node", [startScript], {
+      cwd: PRODUCTION_DIR,
+      env: {
+        ...process.env,
+        PORT: String(PROD_SERVER_PORT),
+        HOST: "0.0.0.0",
+        NODE_ENV: "production",
+        SITE_URL: siteUrl,
+      },
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+  },
+  async ready() {
+    const res = await fetch(`http://127.0.0.1:${PROD_SERVER_PORT}/`);
+    return res.ok || res.status === 304 || res.status === 404;
+  },
+});
 
-  const clientDomain = getClientDomain();
-  const siteUrl = clientDomain
-    ? `https://${clientDomain}`
-    : `http://localhost:${PROD_SERVER_PORT}`;
-
-  const startScript = getSSREntryScript() || "dist/server/entry.mjs";
-
-  prodServerProcess = childProcess.spawn("node", [startScript], {
-    cwd: PRODUCTION_DIR,
-    env: {
-      ...process.env,
-      PORT: String(PROD_SERVER_PORT),
-      HOST: "0.0.0.0",
-      NODE_ENV: "production",
-      SITE_URL: siteUrl,
-    },
-    stdio: ["ignore", "pipe", "pipe"],
-  });
-
-  prodServerProcess.stdout.on("data", (d) =>
-    console.log("[prod-server]", d.toString().trim()),
-  );
-  prodServerProcess.stderr.on("data", (d) =>
-    console.error("[prod-server]", d.toString().trim()),
-  );
-  prodServerProcess.on("close", (code) => {
-    console.log("[prod-server] Process exited with code", code);
-    prodServerProcess = null;
-  });
-
-  for (let i = 0; i < 30; i++) {
-    await new Promise((r) => setTimeout(r, 1000));
-    try {
-      const res = await fetch(`http://127.0.0.1:${PROD_SERVER_PORT}/`);
-      if (res.ok || res.status === 304 || res.status === 404) {
-        console.log("[prod-server] Ready");
-        return;
-      }
-    } catch {}
-  }
+export function getProdServerProcess() {
+  return getServiceProcess("prod-server");
+}
 
-  if (retryCount < 2) {
-    console.warn("[prod-server] Failed to start, retrying in 5 seconds...");
-    prodServerProcess = null;
-    await new Promise((r) => setTimeout(r, 5000));
-    return startProdServer(retryCount + 1);
+export async function startProdServer() {
+  if (!isProdSSR()) {
+    console.log("[prod-server] Not an SSR site, skipping");
+    return { ok: false, output: "Not an SSR site" };
   }
-  console.warn(
-    "[prod-server] Timed out waiting for SSR server to start after retries",
-  );
+  return startService("prod-server");
 }
 
 export function stopProdServer() {
-  if (!prodServerProcess) return;
-  console.log("[prod-server] Stopping...");
-  prodServerProcess.kill("SIGTERM");
-  prodServerProcess = null;
+  return stopService("prod-server");
 }
 
-export async function restartProdServer() {
-  stopProdServer();
-  await new Promise((r) => setTimeout(r, 1000));
-  await startProdServer();
+export function restartProdServer() {
+  return restartService("prod-server");
 }
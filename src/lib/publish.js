@@ -0,0 +1,188 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { STATE_DIR } from "./constants.js";
+import { redactSecrets, runCmd, safeRemoveDir } from "./helpers.js";
+import { getGitHubToken } from "./github.js";
+import { autoSaveDevChanges } from "./site-builder.js";
+
+// "Publish" promotes the dev branch to the production branch on GitHub. The
+// merge happens in a throwaway clone so the dev working tree is never touched;
+// the caller then builds production from the pushed commit.
+
+const GIT_IDENTITY = ["-c", "user.name=Gerald", "-c", "user.email=gerald@illumin8.ca"];
+
+function readGitHubConfig() {
+  try {
+    return JSON.parse(
+      fs.readFileSync(path.join(STATE_DIR, "github.json"), "utf8"),
+    );
+  } catch {
+    return null;
+  }
+}
+
+// Output ends up in API responses; the clone URL carries the GitHub token
+async function git(args, cwd) {
+  const result = await runCmd("git", args, { cwd });
+  return { ...result, output: redactSecrets(result.output) };
+}
+
+async function listCommits(cwd, range) {
+  const log = await git(
+    ["log", "--format=%H%x09%an%x09%aI%x09%s", range],
+    cwd,
+  );
+  if (log.code !== 0) return [];
+  return log.output
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [sha, author, date, ...subject] = line.split("\t");
+      return { sha, author, date, subject: subject.join("\t") };
+    });
+}
+
+/**
+ * Merge (or fast-forward) the dev branch — or `ref`, a commit on it — into the
+ * production branch. With `dryRun` nothing is pushed (unsaved dev edits are
+ * left alone too); the result still reports the commits, diff summary and
+ * whether the merge would conflict.
+ *
+ * Returns `{ ok, dryRun, from, to, fastForward, commits, diffStat, files,
+ * conflicts?, publishedCommit?, output }`.
+ */
+export async function publishDevToProduction({ dryRun = false, ref } = {}) {
+  const githubConfig = readGitHubConfig();
+  if (!githubConfig?.repo) {
+    return { ok: false, output: "No GitHub configuration found. Run setup first." };
+  }
+  const { prodBranch, devBranch } = githubConfig;
+  if (ref && (typeof ref !== "string" || ref.startsWith("-"))) {
+    return { ok: false, output: `Invalid ref: ${ref}` };
+  }
+
+  // Uncommitted edits on the dev site are part of what the client reviewed.
+  // Saving them commits and pushes, so a dry run compares what's on GitHub.
+  if (!dryRun) {
+    const save = await autoSaveDevChanges();
+    if (!save.ok || (save.saved && !save.pushed)) {
+      return {
+        ok: false,
+        output: `Could not save dev changes before publishing: ${save.error || "push failed"}`,
+      };
+    }
+  }
+
+  const token = getGitHubToken();
+  const repoUrl = `https://github.com/${githubConfig.repo}`;
+  const authUrl = token
+    ? repoUrl.replace("https://", `https://x-access-token:${token}@`)
+    : repoUrl;
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "gerald-publish-"));
+  try {
+    const clone = await git(
+      ["clone", "--no-tags", "--branch", prodBranch, authUrl, workDir],
+      workDir,
+    );
+    if (clone.code !== 0) {
+      return { ok: false, output: `Clone failed: ${clone.output}` };
+    }
+    const fetch = await git(["fetch", "origin", devBranch], workDir);
+    if (fetch.code !== 0) {
+      return { ok: false, output: `Could not fetch ${devBranch}: ${fetch.output}` };
+    }
+
+    const source = ref || `origin/${devBranch}`;
+    const resolved = await git(["rev-parse", "--verify", `${source}^{commit}`], workDir);
+    if (resolved.code !== 0) {
+      return { ok: false, output: `Unknown ref: ${source}` };
+    }
+    const sourceSha = resolved.output.trim();
+    if (ref) {
+      // Only commits that are actually on the dev branch can be published
+      const onDev = await git(
+        ["merge-base", "--is-ancestor", sourceSha, `origin/${devBranch}`],
+        workDir,
+      );
+      if (onDev.code !== 0) {
+        return { ok: false, output: `${ref} is not on ${devBranch}` };
+      }
+    }
+
+    const commits = await listCommits(workDir, `HEAD..${sourceSha}`);
+    const diffStat = (await git(["diff", "--stat", `HEAD...${sourceSha}`], workDir)).output.trim();
+    const files = (await git(["diff", "--name-status", `HEAD...${sourceSha}`], workDir)).output
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        const [status, ...names] = line.split("\t");
+        return { status, path: names.join(" → ") };
+      });
+    const summary = { from: devBranch, to: prodBranch, source: sourceSha, commits, diffStat, files };
+
+    if (commits.length === 0) {
+      return { ok: true, dryRun, ...summary, fastForward: true, upToDate: true, output: `${prodBranch} already contains ${devBranch}` };
+    }
+
+    const fastForward =
+      (await git(["merge-base", "--is-ancestor", "HEAD", sourceSha], workDir)).code === 0;
+
+    if (!fastForward) {
+      const merge = await git(
+        [...GIT_IDENTITY, "merge", "--no-ff", "--no-edit", "-m", `Publish ${devBranch} to ${prodBranch}`, sourceSha],
+        workDir,
+      );
+      if (merge.code !== 0) {
+        const conflicted = await git(["diff", "--name-only", "--diff-filter=U"], workDir);
+        await git(["merge", "--abort"], workDir);
+        return {
+          ok: false,
+          dryRun,
+          ...summary,
+          fastForward,
+          conflict: true,
+          conflicts: conflicted.output.split("\n").filter(Boolean),
+          output: `${devBranch} and ${prodBranch} have diverged and cannot be merged automatically`,
+        };
+      }
+    } else if (!dryRun) {
+      const ff = await git(["merge", "--ff-only", sourceSha], workDir);
+      if (ff.code !== 0) {
+        return { ok: false, dryRun, ...summary, fastForward, output: `Fast-forward failed: ${ff.output}` };
+      }
+    }
+
+    if (dryRun) {
+      return {
+        ok: true,
+        dryRun,
+        ...summary,
+        fastForward,
+        output: `Would publish ${commits.length} commit(s) from ${devBranch} to ${prodBranch}${fastForward ? " (fast-forward)" : " (merge)"}`,
+      };
+    }
+
+    const push = await git(["push", "origin", `HEAD:${prodBranch}`], workDir);
+    if (push.code !== 0) {
+      return { ok: false, dryRun, ...summary, fastForward, output: `Push failed: ${push.output}` };
+    }
+    const publishedCommit = (await git(["rev-parse", "HEAD"], workDir)).output.trim();
+
+    console.log(
+      `[publish] ${devBranch} → ${prodBranch}: ${commits.length} commit(s), now at ${publishedCommit}`,
+    );
+    return {
+      ok: true,
+      dryRun,
+      ...summary,
+      fastForward,
+      publishedCommit,
+      output: `Published ${commits.length} commit(s) from ${devBranch} to ${prodBranch}${fastForward ? " (fast-forward)" : " (merge)"}`,
+    };
+  } finally {
+    await safeRemoveDir(workDir);
+  }
+}
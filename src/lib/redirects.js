@@ -0,0 +1,418 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { STATE_DIR } from "./constants.js";
+
+// Netlify-style redirect and header rules for the sites the wrapper serves.
+// Rules come from STATE_DIR/redirects.json (edited through the API, applies
+// to every site and wins over the build) and from the `_redirects` /
+// `_headers` files of the site itself (found at its root, or in dist/,
+// client/, dist/client/ or public/).
+//
+// _redirects, one rule per line:
+//   /old-page        /new-page          301
+//   /blog/:slug      /posts/:slug       (default 301)
+//   /docs/*          /guide/:splat      302
+//   /store id=:id    /products/:id      301
+//   /app/*           /app/index.html    200     (rewrite)
+//   /gone            /410.html          410
+//   /legacy          https://old.example.com  301!
+// A rule is skipped when a file exists at the requested path ("shadowing"),
+// unless its status ends with "!".
+//
+// _headers, a path pattern followed by indented "Name: value" lines:
+//   /*
+//     X-Frame-Options: DENY
+//   /_astro/*
+//     Cache-Control: public, max-age=31536000, immutable
+
+const RULE_DIRS = ["", "dist", "client", path.join("dist", "client"), "public"];
+// What Node's setHeader() accepts; anything else would throw mid-response
+const HEADER_NAME_RE = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const HEADER_VALUE_RE = /^[\t\x20-\x7e\x80-\xff]*$/;
+const CHECK_MS = 1000;
+const MAX_RULES = 2000;
+
+// Parsed files by path, re-read when their mtime changes
+const fileCache = new Map();
+
+export function redirectsConfigPath() {
+  return path.join(STATE_DIR, "redirects.json");
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/** Compile a path pattern with :placeholders and a trailing * (splat). */
+function compilePattern(pattern) {
+  const names = [];
+  let source = "";
+  const trimmed = pattern.length > 1 ? pattern.replace(/\/+$/, "") : pattern;
+  for (const part of trimmed.split(/(:[A-Za-z_][A-Za-z0-9_]*|\*)/)) {
+    if (part === "*") {
+      names.push("splat");
+      source += "(.*)";
+    } else if (part.startsWith(":") && part.length > 1) {
+      names.push(part.slice(1));
+      source += "([^/]+)";
+    } else {
+      source += escapeRegExp(part);
+    }
+  }
+  // "/old" also matches "/old/"
+  return { re: new RegExp(`^${source}/?$`, "i"), names };
+}
+
+function matchPattern(compiled, urlPath) {
+  const m = compiled.re.exec(urlPath);
+  if (!m) return null;
+  const params = {};
+  compiled.names.forEach((name, i) => {
+    params[name] = m[i + 1] ?? "";
+  });
+  return params;
+}
+
+function substitute(target, params) {
+  return target.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (whole, name) =>
+    name in params ? params[name] : whole,
+  );
+}
+
+function buildRedirect({ from, to, status = 301, force = false, query = {} }, source) {
+  if (typeof from !== "string" || !from.startsWith("/")) throw new Error(`"from" must be a path: ${from}`);
+  if (typeof to !== "string" || !(to.startsWith("/") || /^https?:\/\//i.test(to))) {
+    throw new Error(`"to" must be a path or an http(s) URL: ${to}`);
+  }
+  const code = Number(status);
+  if (!Number.isInteger(code) || code < 200 || code > 599) throw new Error(`Invalid status: ${status}`);
+  if (code === 200 && !to.startsWith("/")) throw new Error("Rewrites (200) must target a path on the site");
+  return {
+    from,
+    to,
+    status: code,
+    force: Boolean(force),
+    query,
+    source,
+    pattern: compilePattern(from),
+  };
+}
+
+/**
+ * Parse a `_redirects` file. Returns `{ rules, errors }`; lines that can't
+ * be parsed (or use conditions the wrapper doesn't support) are reported in
+ * `errors` and skipped.
+ */
+export function parseRedirectsFile(text, source = "_redirects") {
+  const rules = [];
+  const errors = [];
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.replace(/(^|\s)#.*$/, "").trim();
+    if (!line) return;
+    const tokens = line.split(/\s+/);
+    const from = tokens.shift();
+    const query = {};
+    while (tokens.length && tokens[0].includes("=") && !tokens[0].startsWith("/")) {
+      const [key, value] = tokens.shift().split("=");
+      query[key] = value;
+    }
+    const to = tokens.shift();
+    let status = 301;
+    let force = false;
+    if (tokens.length && /^\d{3}!?$/.test(tokens[0])) {
+      const token = tokens.shift();
+      force = token.endsWith("!");
+      status = Number.parseInt(token, 10);
+    }
+    if (tokens.length) {
+      errors.push(`${source}:${i + 1}: conditions are not supported (${tokens.join(" ")})`);
+      return;
+    }
+    try {
+      rules.push(buildRedirect({ from, to, status, force, query }, source));
+    } catch (err) {
+      errors.push(`${source}:${i + 1}: ${err.message}`);
+    }
+  });
+  return { rules: rules.slice(0, MAX_RULES), errors };
+}
+
+// Error message for a header that can't be sent, or null when it's fine
+function headerError(name, value) {
+  if (!HEADER_NAME_RE.test(name)) return `invalid header name "${name}"`;
+  if (!HEADER_VALUE_RE.test(value)) return `invalid characters (line breaks?) in the value of ${name}`;
+  return null;
+}
+
+/** Parse a `_headers` file into `{ rules: [{ for, values }], errors }`. */
+export function parseHeadersFile(text, source = "_headers") {
+  const rules = [];
+  const errors = [];
+  let current = null;
+  text.split(/\r?\n/).forEach((raw, i) => {
+    if (!raw.trim() || raw.trim().startsWith("#")) return;
+    if (!/^\s/.test(raw)) {
+      const pattern = raw.trim();
+      if (!pattern.startsWith("/") && !/^https?:\/\//i.test(pattern)) {
+        errors.push(`${source}:${i + 1}: expected a path, got "${pattern}"`);
+        current = null;
+        return;
+      }
+      current = { for: pattern, values: [], source, pattern: compilePattern(pattern.replace(/^https?:\/\/[^/]+/i, "") || "/") };
+      rules.push(current);
+      return;
+    }
+    const idx = raw.indexOf(":");
+    if (!current || idx < 0) {
+      errors.push(`${source}:${i + 1}: expected "Name: value" under a path`);
+      return;
+    }
+    const name = raw.slice(0, idx).trim();
+    const value = raw.slice(idx + 1).trim();
+    const invalid = headerError(name, value);
+    if (invalid) {
+      errors.push(`${source}:${i + 1}: ${invalid}`);
+      return;
+    }
+    current.values.push([name, value]);
+  });
+  return { rules: rules.slice(0, MAX_RULES), errors };
+}
+
+function parseConfig(data) {
+  const redirects = [];
+  const headers = [];
+  const errors = [];
+  (Array.isArray(data.redirects) ? data.redirects : []).forEach((rule, i) => {
+    try {
+      redirects.push(buildRedirect(rule || {}, "redirects.json"));
+    } catch (err) {
+      errors.push(`redirects.json: redirects[${i}]: ${err.message}`);
+    }
+  });
+  (Array.isArray(data.headers) ? data.headers : []).forEach((rule, i) => {
+    if (typeof rule?.for !== "string" || !rule.for.startsWith("/") || !rule.values || typeof rule.values !== "object") {
+      errors.push(`redirects.json: headers[${i}]: needs "for" (a path) and "values" (an object)`);
+      return;
+    }
+    const values = Object.entries(rule.values).map(([k, v]) => [k, String(v)]);
+    const invalid = values.map(([name, value]) => headerError(name, value)).find(Boolean);
+    if (invalid) {
+      errors.push(`redirects.json: headers[${i}]: ${invalid}`);
+      return;
+    }
+    headers.push({
+      for: rule.for,
+      values,
+      source: "redirects.json",
+      pattern: compilePattern(rule.for),
+    });
+  });
+  return { redirects, headers, errors };
+}
+
+// Parse `file` with `parse`, cached until its mtime changes
+function cachedParse(file, parse) {
+  const now = Date.now();
+  const cached = fileCache.get(file);
+  if (cached && now - cached.checkedAt < CHECK_MS) return cached.value;
+  let mtimeMs = null;
+  try {
+    mtimeMs = fs.statSync(file).mtimeMs;
+  } catch {}
+  if (cached && cached.mtimeMs === mtimeMs) {
+    cached.checkedAt = now;
+    return cached.value;
+  }
+  let value = null;
+  if (mtimeMs !== null) {
+    try {
+      value = parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      value = { error: err.message };
+    }
+    for (const error of value.errors || (value.error ? [value.error] : [])) {
+      console.warn(`[redirects] ${file}: ${error}`);
+    }
+  }
+  fileCache.set(file, { mtimeMs, checkedAt: now, value });
+  return value;
+}
+
+function siteRulesFile(dir, name) {
+  for (const sub of RULE_DIRS) {
+    const file = path.join(dir, sub, name);
+    const parsed = cachedParse(file, name === "_redirects" ? parseRedirectsFile : parseHeadersFile);
+    if (parsed) return parsed;
+  }
+  return null;
+}
+
+function configRules() {
+  return cachedParse(redirectsConfigPath(), (text) => parseConfig(JSON.parse(text)))
+    || { redirects: [], headers: [], errors: [] };
+}
+
+/** All rules that apply to the site in `dir`, with parse errors. */
+export function describeSiteRules(dir) {
+  const config = configRules();
+  const siteRedirects = siteRulesFile(dir, "_redirects");
+  const siteHeaders = siteRulesFile(dir, "_headers");
+  const strip = ({ pattern: _p, ...rule }) => rule;
+  return {
+    redirects: [...(config.redirects || []), ...(siteRedirects?.rules || [])].map(strip),
+    headers: [...(config.headers || []), ...(siteHeaders?.rules || [])].map(strip),
+    errors: [
+      ...(config.error ? [`redirects.json: ${config.error}`] : config.errors || []),
+      ...(siteRedirects?.errors || []),
+      ...(siteHeaders?.errors || []),
+    ],
+  };
+}
+
+function queryMatches(rule, searchParams, params) {
+  for (const [key, value] of Object.entries(rule.query)) {
+    if (!searchParams.has(key)) return false;
+    if (value.startsWith(":")) params[value.slice(1)] = searchParams.get(key);
+    else if (searchParams.get(key) !== value) return false;
+  }
+  return true;
+}
+
+/**
+ * The first redirect rule matching `req` on the site in `dir`:
+ * `{ status, location }` for 3xx redirects, `{ status, path }` for rewrites
+ * (200) and custom error pages (4xx/5xx), or null.
+ * `exists(urlPath)` tells whether a file would be served for the path;
+ * matching rules are skipped for existing files unless forced.
+ * `allowRewrites: false` (proxied dev/SSR servers, where existence can't be
+ * known) applies 200 rewrites only when they are forced.
+ */
+export function matchRedirect(dir, req, { exists = () => false, allowRewrites = true } = {}) {
+  const config = configRules();
+  const site = siteRulesFile(dir, "_redirects");
+  const rules = [...(config.redirects || []), ...(site?.rules || [])];
+  if (rules.length === 0) return null;
+
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(req.path);
+  } catch {
+    return null;
+  }
+  const queryIndex = req.originalUrl.indexOf("?");
+  const search = queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : "";
+  const searchParams = new URLSearchParams(search);
+
+  let shadowed = null;
+  for (const rule of rules) {
+    const params = matchPattern(rule.pattern, urlPath);
+    if (!params || !queryMatches(rule, searchParams, params)) continue;
+    if (!rule.force) {
+      shadowed ??= exists(urlPath);
+      if (shadowed) continue;
+      if (rule.status === 200 && !allowRewrites) continue;
+    }
+    let target = substitute(rule.to, params);
+    if (rule.status >= 300 && rule.status < 400) {
+      // The original query string is kept unless the target sets its own
+      if (search && !target.includes("?") && Object.keys(rule.query).length === 0) target += search;
+      return { status: rule.status, location: target, rule: rule.from };
+    }
+    const targetPath = target.split("?")[0];
+    return { status: rule.status, path: targetPath, rule: rule.from };
+  }
+  return null;
+}
+
+/** `[name, value, source]` from every header rule matching `urlPath`. */
+export function matchHeaders(dir, urlPath) {
+  const config = configRules();
+  const site = siteRulesFile(dir, "_headers");
+  const rules = [...(config.headers || []), ...(site?.rules || [])];
+  const headers = [];
+  for (const rule of rules) {
+    if (!matchPattern(rule.pattern, urlPath)) continue;
+    for (const [name, value] of rule.values) headers.push([name, value, rule.source]);
+  }
+  return headers;
+}
+
+// Matching header rules for `req`. A name repeated within one source is
+// joined into one value; redirects.json replaces the build's value.
+function siteHeadersFor(dir, req) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(req.path);
+  } catch {
+    return [];
+  }
+  const merged = new Map();
+  for (const [name, value, source] of matchHeaders(dir, urlPath)) {
+    const key = name.toLowerCase();
+    const current = merged.get(key);
+    if (!current) merged.set(key, { name, value, source });
+    else if (current.source === source) current.value = `${current.value}, ${value}`;
+  }
+  return [...merged.values()];
+}
+
+/** Set the headers of every matching rule on `res`. */
+export function applySiteHeaders(dir, req, res) {
+  for (const { name, value } of siteHeadersFor(dir, req)) res.set(name, value);
+}
+
+/**
+ * Apply the rules of the site in `dir` to a request about to be proxied to
+ * its dev or SSR server. Redirects are sent (returns true); forced rewrites
+ * change `req.url`; header rules and custom error statuses are left on
+ * `req._siteHeaders` / `req._siteStatus` for the proxyRes hook, so they win
+ * over the upstream response. Files behind a server can't be checked, so
+ * rules are never shadowed here.
+ */
+export function applyProxiedSiteRules(dir, req, res) {
+  const redirect = matchRedirect(dir, req, { allowRewrites: false });
+  if (redirect?.location) {
+    res.redirect(redirect.status, redirect.location);
+    return true;
+  }
+  const headers = siteHeadersFor(dir, req).map(({ name, value }) => ({ name, value }));
+  if (headers.length) req._siteHeaders = headers;
+  if (redirect) {
+    const queryIndex = req.url.indexOf("?");
+    req.url = redirect.path + (queryIndex >= 0 ? req.url.slice(queryIndex) : "");
+    if (redirect.status !== 200) req._siteStatus = redirect.status;
+  }
+  return false;
+}
+
+/** Validate and save redirects.json (`{ redirects, headers }`). Throws on invalid rules. */
+export function writeRedirectsConfig(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("Expected { redirects, headers }");
+  const config = {
+    redirects: Array.isArray(data.redirects) ? data.redirects : [],
+    headers: Array.isArray(data.headers) ? data.headers : [],
+  };
+  const parsed = parseConfig(config);
+  if (parsed.errors.length) throw new Error(parsed.errors.join("; "));
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  const tmp = `${redirectsConfigPath()}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(config, null, 2));
+  fs.renameSync(tmp, redirectsConfigPath());
+  fileCache.delete(redirectsConfigPath());
+  console.log(`[redirects] Saved ${config.redirects.length} redirects, ${config.headers.length} header rules`);
+  return config;
+}
+
+export function readRedirectsConfig() {
+  try {
+    const data = JSON.parse(fs.readFileSync(redirectsConfigPath(), "utf8"));
+    return {
+      redirects: Array.isArray(data.redirects) ? data.redirects : [],
+      headers: Array.isArray(data.headers) ? data.headers : [],
+    };
+  } catch {
+    return { redirects: [], headers: [] };
+  }
+}
@@ -0,0 +1,221 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import {
+  PRODUCTION_DIR,
+  RELEASES_DIR,
+  RELEASES_KEEP,
+  STATE_DIR,
+} from "./constants.js";
+import { safeRemoveDir } from "./helpers.js";
+import { isProdSSR, restartProdServer } from "./prod-server.js";
+import { cloneAndBuild } from "./site-builder.js";
+import { refreshSitemap } from "./site-metadata.js";
+import { invalidateStaticIndex, precompressSite } from "./static-server.js";
+
+// Production builds go into RELEASES_DIR/<id>. PRODUCTION_DIR is a symlink
+// that is only swapped (atomically, via rename) once a build has succeeded,
+// so the live site never serves a half-built tree.
+
+const RELEASE_ID_RE = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+export function isValidReleaseId(id) {
+  return RELEASE_ID_RE.test(id || "");
+}
+
+function manifestPath() {
+  return path.join(STATE_DIR, "releases.json");
+}
+
+function readManifest() {
+  try {
+    const data = JSON.parse(fs.readFileSync(manifestPath(), "utf8"));
+    return Array.isArray(data.releases) ? data.releases : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeManifest(releases) {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  fs.writeFileSync(
+    manifestPath(),
+    JSON.stringify({ releases }, null, 2),
+  );
+}
+
+function newReleaseId() {
+  // 20260219T061500Z — sortable and safe as a directory name
+  return new Date()
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d+Z$/, "Z");
+}
+
+export function getActiveReleaseId() {
+  try {
+    if (!fs.lstatSync(PRODUCTION_DIR).isSymbolicLink()) return null;
+    return path.basename(fs.readlinkSync(PRODUCTION_DIR));
+  } catch {
+    return null;
+  }
+}
+
+export function listReleases() {
+  const active = getActiveReleaseId();
+  return readManifest()
+    .map((r) => ({
+      ...r,
+      active: r.id === active,
+      exists: fs.existsSync(path.join(RELEASES_DIR, r.id)),
+    }))
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+/**
+ * Older deployments have PRODUCTION_DIR as a real directory. Move it into
+ * RELEASES_DIR once so it can be rolled back to like any other release.
+ */
+function adoptLegacyProductionDir() {
+  let stat;
+  try {
+    stat = fs.lstatSync(PRODUCTION_DIR);
+  } catch {
+    return null;
+  }
+  if (stat.isSymbolicLink() || !stat.isDirectory()) return null;
+
+  fs.mkdirSync(RELEASES_DIR, { recursive: true });
+  const id = `legacy-${newReleaseId()}`;
+  fs.renameSync(PRODUCTION_DIR, path.join(RELEASES_DIR, id));
+
+  const releases = readManifest();
+  releases.push({
+    id,
+    branch: null,
+    commit: null,
+    legacy: true,
+    createdAt: new Date().toISOString(),
+  });
+  writeManifest(releases);
+  console.log(`[releases] Adopted existing production directory as ${id}`);
+  return id;
+}
+
+function swapProductionLink(id) {
+  const tmpLink = `${PRODUCTION_DIR}.next-${process.pid}`;
+  try {
+    fs.unlinkSync(tmpLink);
+  } catch {}
+  // Relative target keeps the link valid if the volume is mounted elsewhere
+  fs.symlinkSync(
+    path.relative(path.dirname(PRODUCTION_DIR), path.join(RELEASES_DIR, id)),
+    tmpLink,
+  );
+  fs.renameSync(tmpLink, PRODUCTION_DIR);
+}
+
+export async function activateRelease(id) {
+  if (!isValidReleaseId(id)) {
+    return { ok: false, error: `Invalid release id: ${id}` };
+  }
+  const releaseDir = path.join(RELEASES_DIR, id);
+  if (!fs.existsSync(releaseDir)) {
+    return { ok: false, error: `Release ${id} not found` };
+  }
+
+  const adopted = adoptLegacyProductionDir();
+  const previous = adopted || getActiveReleaseId();
+  swapProductionLink(id);
+  invalidateStaticIndex(PRODUCTION_DIR);
+
+  const releases = readManifest();
+  const entry = releases.find((r) => r.id === id);
+  if (entry) {
+    entry.activatedAt = new Date().toISOString();
+    writeManifest(releases);
+  }
+  console.log(`[releases] Activated ${id} (previous: ${previous || "none"})`);
+
+  try {
+    refreshSitemap();
+  } catch (err) {
+    console.error(`[releases] Sitemap generation failed: ${err.message}`);
+  }
+
+  let ssrRestarted = false;
+  if (isProdSSR()) {
+    await restartProdServer();
+    ssrRestarted = true;
+  }
+
+  return { ok: true, id, previous, ssrRestarted };
+}
+
+export async function pruneReleases(keep = RELEASES_KEEP) {
+  const active = getActiveReleaseId();
+  const releases = readManifest().sort((a, b) =>
+    a.createdAt < b.createdAt ? 1 : -1,
+  );
+  const kept = [];
+  const removed = [];
+  for (const release of releases) {
+    if (release.id === active || kept.length < keep) {
+      kept.push(release);
+    } else {
+      removed.push(release.id);
+      await safeRemoveDir(path.join(RELEASES_DIR, release.id));
+    }
+  }
+  if (removed.length > 0) {
+    writeManifest(kept);
+    console.log(`[releases] Pruned ${removed.join(", ")}`);
+  }
+  return removed;
+}
+
+/**
+ * Build `branch` into a fresh release directory and switch production to it
+ * only if the build succeeds. A failed build leaves the live site untouched.
+ */
+export async function deployProductionRelease(repoUrl, branch, token) {
+  fs.mkdirSync(RELEASES_DIR, { recursive: true });
+  const id = newReleaseId();
+  const releaseDir = path.join(RELEASES_DIR, id);
+
+  console.log(`[releases] Building release ${id} from ${branch}`);
+  const startedAt = Date.now();
+  const result = await cloneAndBuild(repoUrl, branch, releaseDir, token);
+  if (!result.ok) {
+    await safeRemoveDir(releaseDir);
+    await safeRemoveDir(`${releaseDir}_built`);
+    console.error(`[releases] Release ${id} failed, production unchanged`);
+    return { ...result, releaseId: null };
+  }
+
+  // Static sites are served straight from the clone; never expose .git (its
+  // config can carry the token embedded in the remote URL).
+  await safeRemoveDir(path.join(releaseDir, ".git"));
+  await precompressSite(releaseDir);
+
+  const releases = readManifest();
+  releases.push({
+    id,
+    branch,
+    commit: result.commit || null,
+    createdAt: new Date().toISOString(),
+    buildMs: Date.now() - startedAt,
+  });
+  writeManifest(releases);
+
+  const activation = await activateRelease(id);
+  await pruneReleases();
+
+  return {
+    ...result,
+    releaseId: id,
+    previousReleaseId: activation.previous || null,
+    ssrRestarted: activation.ssrRestarted || false,
+    output: `${result.output} (release ${id})`,
+  };
+}
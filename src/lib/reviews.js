@@ -0,0 +1,259 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+import { REVIEWS_DIR, STATE_DIR } from "./constants.js";
+import { safeRemoveDir } from "./helpers.js";
+import { cloneAndBuild } from "./site-builder.js";
+import { invalidateStaticIndex } from "./static-server.js";
+
+// Review snapshots: a frozen build of the dev branch at one commit, served on
+// review-<id>.dev.<clientDomain> until it expires. The random id is the only
+// thing that grants access, so the link can be handed to a reviewer as is.
+// Every HTML page gets a small banner (see reviewBanner) whose Approve button
+// publishes exactly the reviewed commit.
+//
+// Snapshots live in REVIEWS_DIR/<id> and are never rebuilt; state is kept in
+// STATE_DIR/reviews.json. They aren't precompressed: the banner is injected
+// into the plain HTML on the way out.
+
+export const REVIEW_APPROVE_PATH = "/__gerald/review/approve";
+
+const DEFAULT_HOURS = 72;
+const MAX_HOURS = 30 * 24;
+// Expired snapshots are deleted; their records are kept this long
+const KEEP_EXPIRED_MS = 30 * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const ID_RE = /^[0-9a-f]{20}$/;
+
+function statePath() {
+  return path.join(STATE_DIR, "reviews.json");
+}
+
+function readState() {
+  try {
+    const data = JSON.parse(fs.readFileSync(statePath(), "utf8"));
+    return data.reviews && typeof data.reviews === "object" ? data.reviews : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeState(reviews) {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  const tmp = `${statePath()}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ reviews }, null, 2));
+  fs.renameSync(tmp, statePath());
+}
+
+/** Merge `patch` into review `id`; null removes it. Returns the review. */
+export function updateReview(id, patch) {
+  const reviews = readState();
+  if (patch === null) {
+    delete reviews[id];
+  } else {
+    if (!reviews[id]) return null;
+    reviews[id] = { ...reviews[id], ...patch, updatedAt: new Date().toISOString() };
+  }
+  writeState(reviews);
+  return reviews[id] || null;
+}
+
+export function reviewHost(id, clientDomain) {
+  return `review-${id}.dev.${clientDomain}`;
+}
+
+// review-<id>.dev.example.com → <id> (null for any other host)
+export function parseReviewHost(host, clientDomain) {
+  if (!host || !clientDomain) return null;
+  const suffix = `.dev.${clientDomain}`;
+  if (!host.endsWith(suffix)) return null;
+  const match = /^review-([0-9a-f]{20})$/.exec(host.slice(0, -suffix.length));
+  return match ? match[1] : null;
+}
+
+export function getReviewDir(id) {
+  return path.join(REVIEWS_DIR, id);
+}
+
+export function isReviewExpired(review) {
+  return Date.parse(review.expiresAt) <= Date.now();
+}
+
+function withExpiry(review) {
+  return review.status !== "expired" && isReviewExpired(review)
+    ? { ...review, status: "expired" }
+    : review;
+}
+
+export function getReview(id) {
+  if (typeof id !== "string" || !ID_RE.test(id)) return null;
+  const review = readState()[id];
+  return review ? withExpiry(review) : null;
+}
+
+/** Every review, newest first, with `status: "expired"` once past `expiresAt`. */
+export function listReviews() {
+  return Object.values(readState())
+    .map(withExpiry)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Record a new review and return it (status "building"); buildReview() then
+ * fills in the snapshot. `hours` is the lifetime (72 by default, at most 30
+ * days), `label` a note shown on the banner, and `approvable: false` hides
+ * the Approve button.
+ */
+export function createReview({ hours = DEFAULT_HOURS, label = "", approvable = true, clientDomain } = {}) {
+  const lifetime = Number(hours);
+  if (!Number.isFinite(lifetime) || lifetime <= 0 || lifetime > MAX_HOURS) {
+    throw new Error(`hours must be between 0 and ${MAX_HOURS}`);
+  }
+  if (typeof label !== "string" || label.length > 200) {
+    throw new Error("label must be a string of at most 200 characters");
+  }
+  if (typeof approvable !== "boolean") throw new Error("approvable must be true or false");
+
+  const id = crypto.randomBytes(10).toString("hex");
+  const now = new Date();
+  const review = {
+    id,
+    url: `https://${reviewHost(id, clientDomain)}`,
+    label: label.trim(),
+    approvable,
+    status: "building",
+    commit: null,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + lifetime * 60 * 60 * 1000).toISOString(),
+  };
+  const reviews = readState();
+  reviews[id] = review;
+  writeState(reviews);
+  return review;
+}
+
+/**
+ * Build the snapshot for review `id` from the head of the dev branch, after
+ * pushing any unsaved dev edits so the snapshot matches what dev.<domain>
+ * shows. `saveDevChanges` does the pushing and resolves like
+ * autoSaveDevChanges; the caller runs it on the dev build queue, which owns
+ * DEV_DIR. Returns `{ ok, output, commit, url }`.
+ */
+export async function buildReview(id, { repoUrl, branch, token, saveDevChanges }) {
+  const review = getReview(id);
+  if (!review) return { ok: false, output: `Unknown review: ${id}` };
+  const reviewDir = getReviewDir(id);
+  const stagingDir = `${reviewDir}.building`;
+  fs.mkdirSync(REVIEWS_DIR, { recursive: true });
+
+  const save = await saveDevChanges();
+  if (!save.ok || (save.saved && !save.pushed)) {
+    const output = `Could not save dev changes before the snapshot: ${save.error || "push failed"}`;
+    updateReview(id, { status: "failed", error: output });
+    return { ok: false, output, url: review.url };
+  }
+
+  console.log(`[reviews] Building ${id} from ${branch}`);
+  const result = await cloneAndBuild(repoUrl, branch, stagingDir, token, { createMissingBranch: false });
+  if (!result.ok) {
+    await safeRemoveDir(stagingDir);
+    await safeRemoveDir(`${stagingDir}_built`);
+    updateReview(id, { status: "failed", commit: result.commit || null, error: "Build failed" });
+    return { ...result, url: review.url };
+  }
+
+  // Never serve the clone's .git (its config can carry the token)
+  await safeRemoveDir(path.join(stagingDir, ".git"));
+  fs.renameSync(stagingDir, reviewDir);
+  invalidateStaticIndex(reviewDir);
+
+  // Deleted while it was building
+  if (!updateReview(id, { status: "ready", commit: result.commit || null })) {
+    await safeRemoveDir(reviewDir);
+    return { ok: false, output: `Review ${id} was deleted during the build` };
+  }
+  console.log(`[reviews] ${id} ready at ${review.url}`);
+  return { ...result, url: review.url, output: `${result.output}\nReview ready: ${review.url}` };
+}
+
+/** Delete a review and its snapshot. Returns false when it doesn't exist. */
+export async function removeReview(id) {
+  if (!getReview(id)) return false;
+  updateReview(id, null);
+  await safeRemoveDir(getReviewDir(id));
+  invalidateStaticIndex(getReviewDir(id));
+  console.log(`[reviews] Removed ${id}`);
+  return true;
+}
+
+/**
+ * Delete the snapshots of expired reviews, and forget reviews that expired
+ * more than 30 days ago.
+ */
+export async function pruneReviews() {
+  const reviews = readState();
+  let changed = false;
+  for (const review of Object.values(reviews)) {
+    if (!isReviewExpired(review)) continue;
+    if (review.status !== "expired") {
+      await safeRemoveDir(getReviewDir(review.id));
+      invalidateStaticIndex(getReviewDir(review.id));
+      review.status = "expired";
+      changed = true;
+      console.log(`[reviews] ${review.id} expired`);
+    }
+    if (Date.now() - Date.parse(review.expiresAt) > KEEP_EXPIRED_MS) {
+      delete reviews[review.id];
+      changed = true;
+    }
+  }
+  if (changed) writeState(reviews);
+}
+
+/** Prune expired reviews now and every hour, so snapshots don't wait for a visit to /api/reviews. */
+export function startReviewPruner() {
+  const prune = () => pruneReviews().catch((err) => console.error(`[reviews] Prune failed: ${err.message}`));
+  prune();
+  setInterval(prune, PRUNE_INTERVAL_MS).unref();
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+/** The banner shown at the bottom of every page of a review snapshot. */
+export function reviewBanner(review) {
+  const details = [
+    review.label ? `<strong>${escapeHtml(review.label)}</strong>` : "<strong>Review snapshot</strong>",
+    review.commit ? `<code>${escapeHtml(review.commit.slice(0, 7))}</code>` : "",
+    `expires ${escapeHtml(new Date(review.expiresAt).toUTCString().replace(/:\d\d GMT$/, " UTC"))}`,
+  ].filter(Boolean);
+
+  let action = "";
+  if (review.status === "approved") {
+    action = "<span>✓ Approved and published</span>";
+  } else if (review.status === "publishing") {
+    action = "<span>Publishing…</span>";
+  } else if (review.approvable) {
+    action =
+      '<button type="button" id="gerald-review-approve" style="background:#00ff87;color:#0a0a0f;border:0;border-radius:4px;padding:6px 14px;font:inherit;font-weight:600;cursor:pointer">Approve &amp; publish</button>';
+  }
+
+  const script = review.approvable && review.status === "ready"
+    ? `<script>(function(){var b=document.getElementById("gerald-review-approve");if(!b)return;b.addEventListener("click",function(){if(!confirm("Publish this version to the live site?"))return;b.disabled=true;b.textContent="Publishing…";fetch(${JSON.stringify(REVIEW_APPROVE_PATH)},{method:"POST",headers:{"X-Gerald-Review":"approve"}}).then(function(r){return r.json().catch(function(){return{ok:false}})}).then(function(d){b.textContent=d.ok?"✓ Approved and published":"Could not publish"+(d.error?": "+d.error:"");if(!d.ok)b.disabled=false;})});})();</script>`
+    : "";
+
+  return (
+    '<div id="gerald-review-banner" style="position:fixed;left:0;right:0;bottom:0;z-index:2147483647;display:flex;gap:12px;align-items:center;justify-content:space-between;padding:8px 16px;background:#0a0a0f;color:#e2e8f0;font:14px/1.4 system-ui,sans-serif;box-shadow:0 -2px 8px rgba(0,0,0,.3)">' +
+    `<span>${details.join(" · ")}</span>${action}</div>${script}`
+  );
+}
+
+/** Add the review banner to an HTML page (before `</body>`, else at the end). */
+export function injectReviewBanner(html, review) {
+  const banner = reviewBanner(review);
+  const index = html.toLowerCase().lastIndexOf("</body>");
+  return index === -1 ? html + banner : html.slice(0, index) + banner + html.slice(index);
+}
@@ -0,0 +1,310 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { ROLES } from "./auth.js";
+import { getClientDomain } from "./config.js";
+import { SITE_DIR, STATE_DIR } from "./constants.js";
+import { domainForHost } from "./domains.js";
+import { validateSecurityOption } from "./security-headers.js";
+
+// Host/path routing table for every request the wrapper doesn't answer
+// itself. HTTP requests and WebSocket upgrades are resolved by the same
+// table: the first route whose host and path match wins.
+//
+// A route:
+//   {
+//     "id": "dev",
+//     "hosts": ["dev.{domain}"],   // see below
+//     "paths": ["/"],              // prefixes ("/a" matches /a and /a/…); "=/x" is exact
+//     "target": { "type": "dev" },
+//     "noindex": true,             // X-Robots-Tag + a disallow-all robots.txt
+//     "auth": null,                // "client" | "operator" | "admin": sign-in required
+//     "websocket": true,           // accept WebSocket upgrades
+//     "http": true,                // false: WebSocket only
+//     "injectToken": false,        // send the gateway token upstream
+//     "security": null             // header profile overrides (security-headers.js)
+//   }
+//
+// Host patterns: a hostname, "*" (any host), "*" within a label
+// ("pr-*.dev.{domain}"), "{domain}" for the primary domain, "{site}" for the
+// primary and alias domains with their www. and "{redirect}" for redirect
+// domains with their www. Patterns using a placeholder never match before
+// a client domain is configured; until then everything goes to the gateway.
+//
+// Target types: production (the live site: metadata files, SSR or static),
+// preview (pr-<n>), review (review-<id> snapshots), dev (dev server or its
+// static build), static ({ dir } under SITE_DIR), ssr (the production SSR
+// server), dashboard, gateway, url ({ url }: any other server), redirect
+// (301 to { to }, or to the primary domain) and next (the wrapper's own
+// routes).
+//
+// The table lives in STATE_DIR/routing.json ({ "routes": [...] }); without
+// it DEFAULT_ROUTES apply.
+
+export const TARGET_TYPES = [
+  "production",
+  "preview",
+  "review",
+  "dev",
+  "static",
+  "ssr",
+  "dashboard",
+  "gateway",
+  "url",
+  "redirect",
+  "next",
+];
+
+export const DEFAULT_ROUTES = [
+  // Webhooks and status checks reach the wrapper on any domain
+  { id: "wrapper", hosts: ["*"], paths: ["=/api/webhook/github", "=/api/rebuild", "=/status"], target: { type: "next" } },
+  { id: "redirect-domains", hosts: ["{redirect}"], target: { type: "redirect" } },
+  { id: "production", hosts: ["{site}"], target: { type: "production" } },
+  { id: "previews", hosts: ["pr-*.dev.{domain}"], target: { type: "preview" }, noindex: true },
+  { id: "reviews", hosts: ["review-*.dev.{domain}"], target: { type: "review" }, noindex: true },
+  { id: "dev", hosts: ["dev.{domain}"], target: { type: "dev" }, noindex: true, websocket: true },
+  // The dashboard calls the gateway under /openclaw; gateway WebSockets also use "/"
+  {
+    id: "dashboard-gateway",
+    hosts: ["gerald.{domain}"],
+    paths: ["/openclaw"],
+    target: { type: "gateway" },
+    websocket: true,
+    injectToken: true,
+  },
+  {
+    id: "dashboard-gateway-ws",
+    hosts: ["gerald.{domain}"],
+    paths: ["=/"],
+    target: { type: "gateway" },
+    http: false,
+    websocket: true,
+    injectToken: true,
+  },
+  { id: "dashboard", hosts: ["gerald.{domain}"], target: { type: "dashboard" }, websocket: true },
+  { id: "gateway", hosts: ["*"], target: { type: "gateway" }, injectToken: true },
+];
+
+// Before a client domain is configured (setup wizard, direct gateway access)
+const UNCONFIGURED_ROUTE = {
+  id: "unconfigured",
+  hosts: ["*"],
+  paths: ["/"],
+  target: { type: "gateway" },
+  http: true,
+  websocket: true,
+  injectToken: true,
+  noindex: false,
+  auth: null,
+  security: null,
+};
+
+const CHECK_MS = 1000;
+
+let cache = { mtimeMs: null, checkedAt: 0, routes: null, custom: false };
+
+export function routingConfigPath() {
+  return path.join(STATE_DIR, "routing.json");
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Check one route and fill in its defaults. Throws with a message naming the
+ * route on anything invalid.
+ */
+function normalizeRoute(route, index) {
+  const label = `routes[${index}]${route?.id ? ` (${route.id})` : ""}`;
+  if (!route || typeof route !== "object") throw new Error(`${label}: must be an object`);
+  if (typeof route.id !== "string" || !/^[A-Za-z0-9_.-]{1,64}$/.test(route.id)) {
+    throw new Error(`${label}: "id" must be 1-64 letters, digits, "_", "." or "-"`);
+  }
+  const hosts = route.hosts;
+  if (!Array.isArray(hosts) || hosts.length === 0 || !hosts.every((h) => typeof h === "string" && h)) {
+    throw new Error(`${label}: "hosts" must be a non-empty list of host patterns`);
+  }
+  for (const host of hosts) {
+    if (/[{}]/.test(host.replace(/\{(domain|site|redirect)\}/g, ""))) {
+      throw new Error(`${label}: unknown placeholder in "${host}"`);
+    }
+    if (/\{(site|redirect)\}/.test(host) && !/^\{(site|redirect)\}$/.test(host)) {
+      throw new Error(`${label}: {site} and {redirect} must be the whole host pattern`);
+    }
+  }
+  const paths = route.paths ?? ["/"];
+  if (!Array.isArray(paths) || paths.length === 0 || !paths.every((p) => typeof p === "string" && /^=?\//.test(p))) {
+    throw new Error(`${label}: "paths" must be a list of paths starting with "/" (or "=/" for exact)`);
+  }
+
+  const target = route.target;
+  if (!target || !TARGET_TYPES.includes(target.type)) {
+    throw new Error(`${label}: "target.type" must be one of: ${TARGET_TYPES.join(", ")}`);
+  }
+  if (target.type === "static") {
+    const dir = typeof target.dir === "string" ? path.resolve(SITE_DIR, target.dir) : null;
+    if (!dir || !dir.startsWith(SITE_DIR + path.sep)) {
+      throw new Error(`${label}: static "target.dir" must be a directory inside ${SITE_DIR}`);
+    }
+  }
+  if (target.type === "url" && !/^https?:\/\/[^/]+/i.test(target.url || "")) {
+    throw new Error(`${label}: url "target.url" must be an http(s) URL`);
+  }
+  if (target.type === "redirect" && target.to !== undefined && !/^https?:\/\/[^/]+/i.test(target.to)) {
+    throw new Error(`${label}: redirect "target.to" must be an http(s) URL`);
+  }
+
+  if (route.auth != null && !ROLES.includes(route.auth)) {
+    throw new Error(`${label}: "auth" must be one of: ${ROLES.join(", ")}`);
+  }
+  for (const key of ["noindex", "websocket", "http", "injectToken"]) {
+    if (route[key] !== undefined && typeof route[key] !== "boolean") {
+      throw new Error(`${label}: "${key}" must be true or false`);
+    }
+  }
+  let security;
+  try {
+    security = validateSecurityOption(route.security);
+  } catch (err) {
+    throw new Error(`${label}: ${err.message}`);
+  }
+
+  return {
+    id: route.id,
+    hosts: [...hosts],
+    paths: [...paths],
+    target: { ...target },
+    noindex: route.noindex ?? false,
+    auth: route.auth ?? null,
+    websocket: route.websocket ?? false,
+    http: route.http ?? true,
+    injectToken: route.injectToken ?? false,
+    security,
+  };
+}
+
+/** Validate a routing table; returns the routes with defaults filled in. */
+export function validateRoutes(routes) {
+  if (!Array.isArray(routes) || routes.length === 0) throw new Error('"routes" must be a non-empty list');
+  const normalized = routes.map(normalizeRoute);
+  const ids = new Set();
+  for (const route of normalized) {
+    if (ids.has(route.id)) throw new Error(`Duplicate route id: ${route.id}`);
+    ids.add(route.id);
+  }
+  return normalized;
+}
+
+const defaultRoutes = validateRoutes(DEFAULT_ROUTES);
+
+/** The routing table in effect, and whether it comes from routing.json. */
+export function getRoutes() {
+  const now = Date.now();
+  if (cache.routes && now - cache.checkedAt < CHECK_MS) return cache;
+  let mtimeMs = null;
+  try {
+    mtimeMs = fs.statSync(routingConfigPath()).mtimeMs;
+  } catch {}
+  if (!cache.routes || mtimeMs !== cache.mtimeMs) {
+    let routes = defaultRoutes;
+    let custom = false;
+    if (mtimeMs !== null) {
+      try {
+        routes = validateRoutes(JSON.parse(fs.readFileSync(routingConfigPath(), "utf8")).routes);
+        custom = true;
+      } catch (err) {
+        console.error(`[routing] Ignoring ${routingConfigPath()}: ${err.message}`);
+      }
+    }
+    cache = { mtimeMs, routes, custom };
+  }
+  cache.checkedAt = now;
+  return cache;
+}
+
+/** Validate and save a routing table. */
+export function writeRoutes(routes) {
+  const normalized = validateRoutes(routes);
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  const tmp = `${routingConfigPath()}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ routes: normalized }, null, 2));
+  fs.renameSync(tmp, routingConfigPath());
+  cache.checkedAt = 0;
+  console.log(`[routing] Saved ${normalized.length} routes`);
+  return normalized;
+}
+
+/** Go back to DEFAULT_ROUTES. Returns false when no table was saved. */
+export function resetRoutes() {
+  try {
+    fs.unlinkSync(routingConfigPath());
+  } catch {
+    return false;
+  }
+  cache.checkedAt = 0;
+  console.log("[routing] Reset to the default routes");
+  return true;
+}
+
+// Compiled host patterns, keyed by pattern and client domain
+const hostMatchers = new Map();
+
+function hostMatcher(pattern, clientDomain) {
+  const key = `${pattern}\n${clientDomain}`;
+  let matcher = hostMatchers.get(key);
+  if (matcher) return matcher;
+  if (pattern === "*") {
+    matcher = () => true;
+  } else if (pattern === "{site}") {
+    matcher = (host) => {
+      const entry = domainForHost(host);
+      return Boolean(entry) && entry.role !== "redirect";
+    };
+  } else if (pattern === "{redirect}") {
+    matcher = (host) => domainForHost(host)?.role === "redirect";
+  } else {
+    const source = pattern
+      .toLowerCase()
+      .split("{domain}")
+      .map((part) => part.split("*").map(escapeRegExp).join("[^.]+"))
+      .join(escapeRegExp(clientDomain));
+    const re = new RegExp(`^${source}$`);
+    matcher = (host) => re.test(host);
+  }
+  if (hostMatchers.size > 1000) hostMatchers.clear();
+  hostMatchers.set(key, matcher);
+  return matcher;
+}
+
+function pathMatches(prefix, urlPath) {
+  if (prefix.startsWith("=")) return urlPath === prefix.slice(1);
+  if (prefix === "/") return true;
+  const base = prefix.replace(/\/+$/, "");
+  return urlPath === base || urlPath.startsWith(`${base}/`);
+}
+
+/**
+ * The route for a request to `host` + `urlPath`, or null when nothing
+ * matches. For a WebSocket upgrade (`websocket: true`) a matching route that
+ * doesn't accept WebSockets also gives null; HTTP skips WebSocket-only
+ * routes.
+ */
+export function resolveRoute(host, urlPath, { websocket = false } = {}) {
+  const clientDomain = getClientDomain();
+  if (!clientDomain) return UNCONFIGURED_ROUTE;
+  const hostname = String(host || "").toLowerCase();
+  for (const route of getRoutes().routes) {
+    if (!websocket && !route.http) continue;
+    if (!route.hosts.some((pattern) => hostMatcher(pattern, clientDomain)(hostname))) continue;
+    if (!route.paths.some((prefix) => pathMatches(prefix, urlPath))) continue;
+    if (websocket && !route.websocket) return null;
+    return route;
+  }
+  return null;
+}
+
+/** The directory a static route serves. */
+export function staticRouteDir(route) {
+  return path.resolve(SITE_DIR, route.target.dir);
+}
@@ -0,0 +1,148 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import http from "node:http";
+import https from "node:https";
+
+// Just enough of the S3 API (SigV4, path-style URLs) to push backups to any
+// S3-compatible store: AWS S3, Cloudflare R2, Backblaze B2, MinIO.
+// Credentials come from the environment, never from illumin8.json (which is
+// itself part of every backup).
+
+const SERVICE = "s3";
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+// RFC 3986 encoding as SigV4 expects it (encodeURIComponent leaves !'()* alone)
+function encodeSegment(segment) {
+  return encodeURIComponent(segment).replace(
+    /[!'()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`,
+  );
+}
+
+/**
+ * Resolve the S3 target from the `backups.s3` section of illumin8.json plus
+ * BACKUP_S3_ACCESS_KEY_ID / BACKUP_S3_SECRET_ACCESS_KEY. Returns null when
+ * either half is missing.
+ */
+export function resolveS3Config(section) {
+  const accessKeyId = process.env.BACKUP_S3_ACCESS_KEY_ID?.trim();
+  const secretAccessKey = process.env.BACKUP_S3_SECRET_ACCESS_KEY?.trim();
+  if (!section?.bucket || !accessKeyId || !secretAccessKey) return null;
+  const region = section.region || "us-east-1";
+  return {
+    endpoint: (section.endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, ""),
+    bucket: section.bucket,
+    region,
+    prefix: (section.prefix || "").replace(/^\/+/, ""),
+    accessKeyId,
+    secretAccessKey,
+  };
+}
+
+function signedRequest(config, method, key, extraHeaders = {}) {
+  const url = new URL(config.endpoint);
+  const basePath = url.pathname.replace(/\/+$/, "");
+  const objectPath = [config.bucket, ...key.split("/")].map(encodeSegment).join("/");
+  const canonicalUri = `${basePath}/${objectPath}`;
+
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const dateStamp = amzDate.slice(0, 8);
+  const headers = {
+    host: url.host,
+    "x-amz-content-sha256": "UNSIGNED-PAYLOAD",
+    "x-amz-date": amzDate,
+    ...Object.fromEntries(
+      Object.entries(extraHeaders).map(([k, v]) => [k.toLowerCase(), String(v)]),
+    ),
+  };
+  const signedHeaders = Object.keys(headers).sort();
+  const canonicalHeaders = signedHeaders.map((h) => `${h}:${headers[h].trim()}\n`).join("");
+  const canonicalRequest = [
+    method,
+    canonicalUri,
+    "",
+    canonicalHeaders,
+    signedHeaders.join(";"),
+    "UNSIGNED-PAYLOAD",
+  ].join("\n");
+
+  const scope = `${dateStamp}/${config.region}/${SERVICE}/aws4_request`;
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    sha256Hex(canonicalRequest),
+  ].join("\n");
+  const signingKey = hmac(
+    hmac(hmac(hmac(`AWS4${config.secretAccessKey}`, dateStamp), config.region), SERVICE),
+    "aws4_request",
+  );
+  const signature = hmac(signingKey, stringToSign).toString("hex");
+
+  headers.authorization =
+    `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, ` +
+    `SignedHeaders=${signedHeaders.join(";")}, Signature=${signature}`;
+
+  return {
+    protocol: url.protocol,
+    hostname: url.hostname,
+    port: url.port || undefined,
+    path: canonicalUri,
+    method,
+    headers,
+  };
+}
+
+function send(config, method, key, { file, headers } = {}) {
+  const options = signedRequest(config, method, key, headers);
+  const client = options.protocol === "http:" ? http : https;
+  return new Promise((resolve, reject) => {
+    const req = client.request(options, (res) => {
+      let body = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        if (body.length < 4096) body += chunk;
+      });
+      res.on("end", () => resolve({ status: res.statusCode, body }));
+    });
+    req.on("error", reject);
+    req.setTimeout(10 * 60_000, () => req.destroy(new Error("S3 request timed out")));
+    if (file) {
+      const stream = fs.createReadStream(file);
+      stream.on("error", (err) => req.destroy(err));
+      stream.pipe(req);
+    } else {
+      req.end();
+    }
+  });
+}
+
+/** Upload a local file to `<prefix><name>`. Returns `{ ok, key, output }`. */
+export async function s3PutFile(config, name, file) {
+  const key = `${config.prefix}${name}`;
+  const { size } = fs.statSync(file);
+  const res = await send(config, "PUT", key, {
+    file,
+    headers: { "content-length": size, "content-type": "application/gzip" },
+  });
+  if (res.status < 200 || res.status >= 300) {
+    return { ok: false, key, output: `S3 upload failed (${res.status}): ${res.body}` };
+  }
+  return { ok: true, key, output: `Uploaded ${size} bytes to s3://${config.bucket}/${key}` };
+}
+
+export async function s3DeleteObject(config, key) {
+  const res = await send(config, "DELETE", key);
+  // 404 means it is already gone
+  if (res.status !== 404 && (res.status < 200 || res.status >= 300)) {
+    return { ok: false, output: `S3 delete failed (${res.status}): ${res.body}` };
+  }
+  return { ok: true, output: `Deleted s3://${config.bucket}/${key}` };
+}
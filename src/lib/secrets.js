@@ -0,0 +1,564 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { STATE_DIR } from "./constants.js";
+import { configPath } from "./config.js";
+
+// Secrets vault. Credentials are encrypted with AES-256-GCM under a key
+// derived from GERALD_MASTER_KEY and stored in STATE_DIR/vault.json. Config
+// files keep their shape, but each secret field holds a "vault:<name>"
+// reference instead of the value; readSecretFile() resolves them again.
+// Every read and write is appended to STATE_DIR/vault-audit.jsonl.
+//
+// Without GERALD_MASTER_KEY the vault is off and the files are read and
+// written in plain text exactly as before.
+//
+// Files another program reads can't hold references. Those `runtime` stores
+// (the Codex CLI's auth.json, and the gateway's auth-profiles.json and
+// openclaw.json) become a symlink to a decrypted copy in RUNTIME_DIR, which
+// is tmpfs, so only the vault is on the volume. When the program rewrites
+// the file, syncRuntimeSecret() moves the new contents into the vault.
+
+export const VAULT_REF_PREFIX = "vault:";
+export const CODEX_AUTH_PATH = "/data/.codex/auth.json";
+// Decrypted copies of `runtime` stores; /dev/shm is tmpfs in the container
+export const RUNTIME_DIR =
+  process.env.GERALD_SECRETS_RUNTIME_DIR?.trim() ||
+  path.join(fs.existsSync("/dev/shm") ? "/dev/shm" : os.tmpdir(), "gerald-secrets");
+
+const VAULT_VERSION = 1;
+const KEY_CHECK = "gerald-vault";
+const AUDIT_MAX_BYTES = 5 * 1024 * 1024;
+// Repeated reads of the same secret by the same actor are logged once per window
+const READ_AUDIT_WINDOW_MS = 10 * 60_000;
+
+/**
+ * Files holding credentials, by store name. `fields` are dot paths (`*`
+ * matches any key) of the secret values; `whole` stores the entire document.
+ * `runtime` names the decrypted copy in RUNTIME_DIR that a `whole` store's
+ * file links to.
+ */
+export const SECRET_FILES = {
+  "github-oauth": {
+    file: () => path.join(STATE_DIR, "github-oauth.json"),
+    fields: ["access_token"],
+  },
+  github: {
+    file: () => path.join(STATE_DIR, "github.json"),
+    fields: ["token", "webhookSecret"],
+  },
+  sendgrid: {
+    file: () => path.join(STATE_DIR, "sendgrid.json"),
+    fields: ["apiKey"],
+  },
+  services: {
+    file: () => path.join(STATE_DIR, "services.json"),
+    fields: ["sendgridKey", "twilio.authToken", "turnstile.secretKey"],
+  },
+  codex: {
+    file: () => CODEX_AUTH_PATH,
+    whole: true,
+    runtime: "codex-auth.json",
+  },
+  "auth-profiles": {
+    file: () => path.join(STATE_DIR, "agents", "main", "agent", "auth-profiles.json"),
+    whole: true,
+    runtime: "auth-profiles.json",
+  },
+  openclaw: {
+    file: () => configPath(),
+    whole: true,
+    runtime: "openclaw.json",
+  },
+};
+
+let cachedKey = null;
+let lockedWarned = false;
+const recentReads = new Map();
+
+function vaultPath() {
+  return path.join(STATE_DIR, "vault.json");
+}
+
+function auditPath() {
+  return path.join(STATE_DIR, "vault-audit.jsonl");
+}
+
+function writeFileAtomic(file, contents) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, contents, { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+function readVault() {
+  try {
+    const data = JSON.parse(fs.readFileSync(vaultPath(), "utf8"));
+    if (data && typeof data.secrets === "object") return data;
+  } catch {}
+  return null;
+}
+
+function writeVault(vault) {
+  writeFileAtomic(vaultPath(), JSON.stringify(vault, null, 2));
+}
+
+function encrypt(key, plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+  return {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+function decrypt(key, entry) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(entry.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(entry.tag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(entry.data, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+/**
+ * The vault key, creating the vault on first use. Null when
+ * GERALD_MASTER_KEY is unset or doesn't match the existing vault.
+ */
+function vaultKey() {
+  const masterKey = process.env.GERALD_MASTER_KEY?.trim();
+  if (!masterKey) return null;
+
+  // Cached per salt: a restored backup can bring a different vault along
+  let vault = readVault();
+  if (vault && cachedKey?.masterKey === masterKey && cachedKey.salt === vault.salt) {
+    return cachedKey.key;
+  }
+  if (!vault) {
+    vault = {
+      version: VAULT_VERSION,
+      salt: crypto.randomBytes(16).toString("base64"),
+      secrets: {},
+    };
+  }
+  const key = crypto.scryptSync(masterKey, Buffer.from(vault.salt, "base64"), 32);
+
+  if (vault.check) {
+    try {
+      if (decrypt(key, vault.check) !== KEY_CHECK) throw new Error("mismatch");
+    } catch {
+      if (!lockedWarned) {
+        console.error("[vault] GERALD_MASTER_KEY does not match the existing vault; secrets are unavailable");
+        lockedWarned = true;
+      }
+      return null;
+    }
+  } else {
+    vault.check = encrypt(key, KEY_CHECK);
+    writeVault(vault);
+    console.log("[vault] Created secrets vault");
+  }
+
+  cachedKey = { masterKey, salt: vault.salt, key };
+  return key;
+}
+
+export function isVaultEnabled() {
+  return Boolean(vaultKey());
+}
+
+/**
+ * `{ enabled, locked, count }` — locked means there is a vault we can't
+ * open.
+ */
+export function getVaultStatus() {
+  const vault = readVault();
+  const enabled = isVaultEnabled();
+  return {
+    enabled,
+    locked: !enabled && Boolean(vault?.check),
+    count: vault ? Object.keys(vault.secrets).length : 0,
+  };
+}
+
+function audit(action, name, actor) {
+  try {
+    const file = auditPath();
+    try {
+      if (fs.statSync(file).size > AUDIT_MAX_BYTES) fs.renameSync(file, `${file}.1`);
+    } catch {}
+    fs.appendFileSync(
+      file,
+      `${JSON.stringify({ at: new Date().toISOString(), action, name, actor })}\n`,
+      { mode: 0o600 },
+    );
+  } catch (err) {
+    console.warn(`[vault] Could not write audit log: ${err.message}`);
+  }
+}
+
+function auditRead(name, actor) {
+  const key = `${actor}\0${name}`;
+  const now = Date.now();
+  if (now - (recentReads.get(key) || 0) < READ_AUDIT_WINDOW_MS) return;
+  recentReads.set(key, now);
+  audit("read", name, actor);
+}
+
+/** Decrypted value of `name`, or null if unset or the vault is unavailable. */
+export function getSecret(name, { actor = "wrapper" } = {}) {
+  const key = vaultKey();
+  const entry = key && readVault()?.secrets[name];
+  if (!entry) return null;
+  try {
+    const value = decrypt(key, entry);
+    auditRead(name, actor);
+    return value;
+  } catch (err) {
+    console.error(`[vault] Could not decrypt ${name}: ${err.message}`);
+    return null;
+  }
+}
+
+export function setSecret(name, value, { actor = "wrapper" } = {}) {
+  const key = vaultKey();
+  if (!key) throw new Error("Secrets vault is not available (GERALD_MASTER_KEY not set or wrong)");
+  if (typeof value !== "string") throw new Error(`Secret ${name} must be a string`);
+
+  const vault = readVault();
+  const previous = vault.secrets[name];
+  vault.secrets[name] = {
+    ...encrypt(key, value),
+    createdAt: previous?.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    updatedBy: actor,
+  };
+  writeVault(vault);
+  audit(previous ? "update" : "create", name, actor);
+}
+
+export function deleteSecret(name, { actor = "wrapper" } = {}) {
+  const vault = vaultKey() && readVault();
+  if (!vault?.secrets[name]) return false;
+  delete vault.secrets[name];
+  writeVault(vault);
+  audit("delete", name, actor);
+  return true;
+}
+
+/** Names and metadata only — values never leave the module this way. */
+export function listSecrets() {
+  const vault = readVault();
+  if (!vault) return [];
+  return Object.entries(vault.secrets)
+    .map(([name, { createdAt, updatedAt, updatedBy }]) => ({ name, createdAt, updatedAt, updatedBy }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/** Newest-first audit entries. */
+export function readAuditLog({ limit = 200 } = {}) {
+  try {
+    return fs
+      .readFileSync(auditPath(), "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .slice(-limit)
+      .reverse()
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+// ── Secret fields inside config files ─────────────────────────────────────
+
+// Concrete [path, value] pairs for a field pattern like "profiles.*.key"
+function matchFields(doc, pattern) {
+  const results = [];
+  const walk = (node, parts, trail) => {
+    if (parts.length === 0) {
+      results.push([trail, node]);
+      return;
+    }
+    if (!node || typeof node !== "object") return;
+    const [head, ...rest] = parts;
+    const keys = head === "*" ? Object.keys(node) : [head];
+    for (const k of keys) {
+      if (k in node) walk(node[k], rest, [...trail, k]);
+    }
+  };
+  walk(doc, pattern.split("."), []);
+  return results;
+}
+
+function setField(doc, trail, value) {
+  let node = doc;
+  for (const k of trail.slice(0, -1)) node = node[k];
+  node[trail[trail.length - 1]] = value;
+}
+
+function secretName(store, trail) {
+  return trail.length ? `${store}:${trail.join(".")}` : store;
+}
+
+function isRef(value) {
+  return typeof value === "string" && value.startsWith(VAULT_REF_PREFIX);
+}
+
+function readRawJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function secretFile(store) {
+  const spec = SECRET_FILES[store];
+  if (!spec) throw new Error(`Unknown secret store: ${store}`);
+  return spec;
+}
+
+// ── Runtime copies (files another program reads) ──────────────────────────
+
+function runtimePath(spec) {
+  return path.join(RUNTIME_DIR, spec.runtime);
+}
+
+function lstatOrNull(file) {
+  try {
+    return fs.lstatSync(file);
+  } catch {
+    return null;
+  }
+}
+
+// Write the decrypted copy to RUNTIME_DIR and point the store's file at it
+function linkRuntimeCopy(spec, plain) {
+  fs.mkdirSync(RUNTIME_DIR, { recursive: true, mode: 0o700 });
+  writeFileAtomic(runtimePath(spec), plain);
+  const file = spec.file();
+  const stat = lstatOrNull(file);
+  if (stat?.isSymbolicLink() && fs.readlinkSync(file) === runtimePath(spec)) return;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.lnk`;
+  fs.rmSync(tmp, { force: true });
+  fs.symlinkSync(runtimePath(spec), tmp);
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Bring a `runtime` store in line with the vault: a plain file (first run,
+ * or the program replaced the link when it rewrote the file) is moved into
+ * the vault; a changed runtime copy (a refreshed token) is saved back; a
+ * missing copy (tmpfs is empty after a restart) is written from the vault.
+ * Returns true when plaintext was moved off the volume.
+ */
+export function syncRuntimeSecret(store, { actor = "wrapper" } = {}) {
+  const spec = secretFile(store);
+  if (!spec.runtime || !isVaultEnabled()) return false;
+  const file = spec.file();
+  const stat = lstatOrNull(file);
+
+  if (stat?.isFile()) {
+    const plain = fs.readFileSync(file, "utf8");
+    JSON.parse(plain);
+    if (getSecret(store, { actor }) !== plain) setSecret(store, plain, { actor });
+    linkRuntimeCopy(spec, plain);
+    return true;
+  }
+
+  let current = null;
+  try {
+    current = fs.readFileSync(runtimePath(spec), "utf8");
+  } catch {}
+  const stored = getSecret(store, { actor });
+  if (current !== null) {
+    if (current !== stored) {
+      JSON.parse(current);
+      setSecret(store, current, { actor });
+    }
+    // The link itself may have been deleted while the copy survived
+    if (!stat) linkRuntimeCopy(spec, current);
+  } else if (stored !== null) {
+    linkRuntimeCopy(spec, stored);
+  }
+  return false;
+}
+
+/**
+ * syncRuntimeSecret() for every `runtime` store; never throws. With `reset`
+ * the old runtime copies are dropped first so the vault wins (after a
+ * restore brought in a different vault).
+ */
+export function syncRuntimeSecrets({ actor = "wrapper", reset = false } = {}) {
+  for (const [store, spec] of Object.entries(SECRET_FILES)) {
+    if (!spec.runtime) continue;
+    try {
+      if (reset) fs.rmSync(runtimePath(spec), { force: true });
+      syncRuntimeSecret(store, { actor });
+    } catch (err) {
+      console.warn(`[vault] Could not sync ${store}: ${err.message}`);
+    }
+  }
+}
+
+/** Whether `file` is a link to a runtime copy (its contents live in the vault). */
+export function isRuntimeLink(file) {
+  try {
+    const target = path.resolve(path.dirname(file), fs.readlinkSync(file));
+    return target.startsWith(`${path.resolve(RUNTIME_DIR)}${path.sep}`);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read a credential file (a SECRET_FILES store) with its vault references
+ * resolved. Returns null when the file doesn't exist.
+ */
+export function readSecretFile(store, { actor = "wrapper" } = {}) {
+  const spec = secretFile(store);
+  if (spec.whole) {
+    const fromVault = getSecret(store, { actor });
+    if (fromVault !== null) {
+      try {
+        return JSON.parse(fromVault);
+      } catch {}
+    }
+    return readRawJson(spec.file());
+  }
+
+  const doc = readRawJson(spec.file());
+  if (!doc || typeof doc !== "object") return doc;
+  for (const pattern of spec.fields) {
+    for (const [trail, value] of matchFields(doc, pattern)) {
+      if (isRef(value)) {
+        setField(doc, trail, getSecret(value.slice(VAULT_REF_PREFIX.length), { actor }));
+      }
+    }
+  }
+  return doc;
+}
+
+/**
+ * Write a credential file. With the vault enabled each secret field is
+ * stored in the vault and the file gets a reference in its place; `whole`
+ * stores drop the file, or link it to a runtime copy.
+ * Vault entries for fields that are no longer present are removed.
+ */
+export function writeSecretFile(store, data, { actor = "wrapper" } = {}) {
+  const spec = secretFile(store);
+  const file = spec.file();
+
+  if (!isVaultEnabled()) {
+    writeFileAtomic(file, JSON.stringify(data, null, 2));
+    return;
+  }
+
+  if (spec.whole) {
+    const plain = JSON.stringify(data, null, 2);
+    setSecret(store, plain, { actor });
+    if (spec.runtime) linkRuntimeCopy(spec, plain);
+    else fs.rmSync(file, { force: true });
+    return;
+  }
+
+  const doc = structuredClone(data);
+  const kept = new Set();
+  for (const pattern of spec.fields) {
+    for (const [trail, value] of matchFields(doc, pattern)) {
+      if (typeof value !== "string" || value === "" || isRef(value)) {
+        if (isRef(value)) kept.add(value.slice(VAULT_REF_PREFIX.length));
+        continue;
+      }
+      const name = secretName(store, trail);
+      if (getSecret(name, { actor }) !== value) setSecret(name, value, { actor });
+      kept.add(name);
+      setField(doc, trail, `${VAULT_REF_PREFIX}${name}`);
+    }
+  }
+  for (const { name } of listSecrets()) {
+    if (name.startsWith(`${store}:`) && !kept.has(name)) deleteSecret(name, { actor });
+  }
+  writeFileAtomic(file, JSON.stringify(doc, null, 2));
+}
+
+/** Delete a credential file and its vault entries. */
+export function removeSecretFile(store, { actor = "wrapper" } = {}) {
+  const spec = secretFile(store);
+  fs.rmSync(spec.file(), { force: true });
+  if (spec.runtime) fs.rmSync(runtimePath(spec), { force: true });
+  for (const { name } of listSecrets()) {
+    if (name === store || name.startsWith(`${store}:`)) deleteSecret(name, { actor });
+  }
+}
+
+/**
+ * Move plaintext secrets from every SECRET_FILES store into the vault. Safe
+ * to run repeatedly: already-migrated fields are references and are skipped.
+ * Returns `{ ok, stores: { <store>: moved count }, output }`.
+ */
+export function migrateSecretsToVault({ actor = "migration" } = {}) {
+  if (!isVaultEnabled()) {
+    return { ok: false, stores: {}, output: "Secrets vault is not available (GERALD_MASTER_KEY not set or wrong)" };
+  }
+
+  const stores = {};
+  const lines = [];
+  for (const [store, spec] of Object.entries(SECRET_FILES)) {
+    try {
+      if (spec.runtime) {
+        if (syncRuntimeSecret(store, { actor })) {
+          stores[store] = 1;
+          lines.push(`${store}: moved into the vault (the file now links to a copy in ${RUNTIME_DIR})`);
+        }
+        // Per-field copies kept while the gateway's files stayed in plain text
+        if (getSecret(store, { actor }) !== null) {
+          for (const { name } of listSecrets()) {
+            if (name.startsWith(`${store}:`)) deleteSecret(name, { actor });
+          }
+        }
+        continue;
+      }
+
+      const raw = readRawJson(spec.file());
+      if (!raw || typeof raw !== "object") continue;
+
+      const plain = spec.whole
+        ? 1
+        : spec.fields
+            .flatMap((pattern) => matchFields(raw, pattern))
+            .filter(([, value]) => typeof value === "string" && value && !isRef(value))
+            .length;
+      if (plain === 0) continue;
+
+      writeSecretFile(store, readSecretFile(store, { actor }), { actor });
+      stores[store] = plain;
+      lines.push(`${store}: moved ${plain} secret(s) into the vault`);
+    } catch (err) {
+      lines.push(`${store}: migration failed: ${err.message}`);
+    }
+  }
+
+  if (lines.length > 0) {
+    audit("migrate", Object.keys(stores).join(",") || "-", actor);
+    console.log(`[vault] Migration:\n  ${lines.join("\n  ")}`);
+  }
+  return {
+    ok: !lines.some((line) => line.includes("failed")),
+    stores,
+    output: lines.join("\n") || "Nothing to migrate",
+  };
+}
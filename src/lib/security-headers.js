@@ -0,0 +1,378 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { TURNSTILE_ORIGIN } from "./cloudflare.js";
+import { STATE_DIR } from "./constants.js";
+
+// Security headers (CSP, HSTS, X-Frame-Options, Referrer-Policy, …) by
+// profile. The wrapper's own pages and API get the "wrapper" profile; a
+// request answered through the routing table gets the profile of its target
+// type (PROFILE_FOR_TARGET), which a route can change with its `security`
+// option:
+//
+//   "security": {
+//     "profile": "site",                        // one of SECURITY_PROFILES
+//     "csp": { "script-src": ["'self'", "https://www.googletagmanager.com"] },
+//     "cspMode": "enforce",                     // or "report-only"
+//     "headers": { "X-Frame-Options": null }    // set or (null) drop any header
+//   }
+//
+// `csp` entries replace the profile's directives (null drops one); a string
+// replaces the whole policy and false sends none. These are defaults: headers
+// the site itself sends (SSR, dashboard, `_headers`) replace them.
+//
+// Violations are posted to CSP_REPORT_PATH and kept, counted per directive,
+// blocked source and page origin, in STATE_DIR/csp-reports.json.
+
+export const SECURITY_PROFILES = ["wrapper", "dashboard", "site", "preview", "none"];
+export const CSP_MODES = ["enforce", "report-only"];
+export const CSP_REPORT_PATH = "/csp-report";
+
+const PROFILE_FOR_TARGET = {
+  production: "site",
+  ssr: "site",
+  static: "site",
+  redirect: "site",
+  dashboard: "dashboard",
+  dev: "preview",
+  preview: "preview",
+  review: "preview",
+  gateway: "none",
+  url: "none",
+  next: "wrapper",
+};
+
+const HSTS = "max-age=31536000";
+
+const PROFILES = {
+  // Setup wizard, sign-in pages and the wrapper API. The wizard uses inline
+  // event handlers and Google Fonts, and lists repositories from GitHub.
+  wrapper: {
+    csp: {
+      "default-src": ["'self'"],
+      "script-src": ["'self'", "'unsafe-inline'"],
+      "style-src": ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
+      "font-src": ["'self'", "https://fonts.gstatic.com"],
+      "img-src": ["'self'", "data:"],
+      "connect-src": ["'self'", "https://api.github.com"],
+      "object-src": ["'none'"],
+      "base-uri": ["'self'"],
+      "form-action": ["'self'"],
+      "frame-ancestors": ["'none'"],
+    },
+    cspMode: "enforce",
+    headers: {
+      "X-Frame-Options": "DENY",
+      "Referrer-Policy": "same-origin",
+      "Permissions-Policy": "camera=(), microphone=(), geolocation=(), payment=()",
+      "Cross-Origin-Opener-Policy": "same-origin",
+    },
+  },
+  // Gerald Dashboard: Telegram Login Widget (script + popup/iframe), gateway
+  // calls and WebSockets on its own host
+  dashboard: {
+    csp: {
+      "default-src": ["'self'"],
+      "script-src": ["'self'", "'unsafe-inline'", "https://telegram.org"],
+      "style-src": ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
+      "font-src": ["'self'", "data:", "https://fonts.gstatic.com"],
+      "img-src": ["'self'", "data:", "blob:", "https:"],
+      "connect-src": ["'self'"],
+      "frame-src": ["https://oauth.telegram.org"],
+      "object-src": ["'none'"],
+      "base-uri": ["'self'"],
+      "form-action": ["'self'"],
+      "frame-ancestors": ["'none'"],
+    },
+    cspMode: "enforce",
+    headers: {
+      "X-Frame-Options": "DENY",
+      "Referrer-Policy": "strict-origin-when-cross-origin",
+      "Permissions-Policy": "camera=(), geolocation=(), payment=()",
+      "Cross-Origin-Opener-Policy": "same-origin-allow-popups",
+    },
+  },
+  // The production site. Client sites embed all sorts of things, so the CSP
+  // only reports until it has been tuned (and switched to "enforce")
+  site: {
+    csp: {
+      "default-src": ["'self'"],
+      "script-src": ["'self'", "'unsafe-inline'", TURNSTILE_ORIGIN],
+      "style-src": ["'self'", "'unsafe-inline'"],
+      "font-src": ["'self'", "data:"],
+      "img-src": ["'self'", "data:", "blob:", "https:"],
+      "connect-src": ["'self'", TURNSTILE_ORIGIN],
+      "frame-src": ["'self'", TURNSTILE_ORIGIN],
+      "object-src": ["'none'"],
+      "base-uri": ["'self'"],
+      "form-action": ["'self'"],
+      "frame-ancestors": ["'self'"],
+    },
+    cspMode: "report-only",
+    headers: {
+      "X-Frame-Options": "SAMEORIGIN",
+      "Referrer-Policy": "strict-origin-when-cross-origin",
+    },
+  },
+  // Dev site, previews and review snapshots: dev tooling, the feedback
+  // widget and the review banner need inline and third-party scripts
+  preview: {
+    csp: null,
+    headers: {
+      "X-Frame-Options": "SAMEORIGIN",
+      "Referrer-Policy": "strict-origin-when-cross-origin",
+    },
+  },
+  // Gateway and other upstream servers: passed through untouched
+  none: { csp: null, headers: {} },
+};
+
+// Every header a profile may set; cleared before another profile applies
+const PROFILE_HEADERS = [
+  "Strict-Transport-Security",
+  "X-Content-Type-Options",
+  "Content-Security-Policy",
+  "Content-Security-Policy-Report-Only",
+  "Reporting-Endpoints",
+  ...new Set(Object.values(PROFILES).flatMap((p) => Object.keys(p.headers))),
+];
+
+const HEADER_NAME_RE = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/;
+const DIRECTIVE_RE = /^[a-z-]+$/;
+
+function validHeaderValue(value) {
+  return typeof value === "string" && !/[\r\n]/.test(value);
+}
+
+/**
+ * Check a route's `security` option; returns it normalized. Throws with a
+ * message for the routing table's error.
+ */
+export function validateSecurityOption(security) {
+  if (security == null) return null;
+  if (typeof security !== "object" || Array.isArray(security)) throw new Error('"security" must be an object');
+  const out = {};
+  if (security.profile !== undefined) {
+    if (!SECURITY_PROFILES.includes(security.profile)) {
+      throw new Error(`"security.profile" must be one of: ${SECURITY_PROFILES.join(", ")}`);
+    }
+    out.profile = security.profile;
+  }
+  if (security.cspMode !== undefined) {
+    if (!CSP_MODES.includes(security.cspMode)) {
+      throw new Error(`"security.cspMode" must be one of: ${CSP_MODES.join(", ")}`);
+    }
+    out.cspMode = security.cspMode;
+  }
+  const { csp } = security;
+  if (csp !== undefined) {
+    if (csp === false || (typeof csp === "string" && validHeaderValue(csp) && csp.trim())) {
+      out.csp = csp;
+    } else if (csp && typeof csp === "object" && !Array.isArray(csp)) {
+      out.csp = {};
+      for (const [directive, sources] of Object.entries(csp)) {
+        if (!DIRECTIVE_RE.test(directive)) throw new Error(`"security.csp": invalid directive "${directive}"`);
+        const list = typeof sources === "string" ? sources.split(/\s+/).filter(Boolean) : sources;
+        if (list !== null && !(Array.isArray(list) && list.every((s) => typeof s === "string" && /^[^\s;,]+$/.test(s)))) {
+          throw new Error(`"security.csp.${directive}" must be a list of sources or null`);
+        }
+        out.csp[directive] = list;
+      }
+    } else {
+      throw new Error('"security.csp" must be an object of directives, a policy string or false');
+    }
+  }
+  if (security.headers !== undefined) {
+    if (!security.headers || typeof security.headers !== "object" || Array.isArray(security.headers)) {
+      throw new Error('"security.headers" must be an object');
+    }
+    out.headers = {};
+    for (const [name, value] of Object.entries(security.headers)) {
+      if (!HEADER_NAME_RE.test(name)) throw new Error(`"security.headers": invalid header name "${name}"`);
+      if (value !== null && !validHeaderValue(value)) {
+        throw new Error(`"security.headers.${name}" must be a string or null`);
+      }
+      out.headers[name] = value;
+    }
+  }
+  return out;
+}
+
+/** The profile for a routing table entry. */
+export function profileForRoute(route) {
+  return route.security?.profile || PROFILE_FOR_TARGET[route.target.type] || "none";
+}
+
+function buildCsp(directives) {
+  return Object.entries(directives)
+    .filter(([, sources]) => sources !== null)
+    .map(([directive, sources]) => [directive, ...sources].join(" "))
+    .join("; ");
+}
+
+/**
+ * The headers `profile` (with a route's `security` overrides) gives a
+ * response, as [name, value] pairs; a null value removes the header.
+ */
+export function securityHeaders(profile, overrides = null, { secure = false, host = "" } = {}) {
+  const base = PROFILES[profile] || PROFILES.none;
+  if (base === PROFILES.none && !overrides?.headers) return [];
+  const headers = [];
+
+  if (base !== PROFILES.none) {
+    if (secure) headers.push(["Strict-Transport-Security", HSTS]);
+    headers.push(["X-Content-Type-Options", "nosniff"]);
+
+    let policy = null;
+    if (overrides?.csp === false) {
+      policy = null;
+    } else if (typeof overrides?.csp === "string") {
+      policy = overrides.csp.trim();
+    } else if (base.csp || overrides?.csp) {
+      policy = buildCsp({ ...base.csp, ...overrides?.csp });
+    }
+    if (policy) {
+      policy += `; report-uri ${CSP_REPORT_PATH}`;
+      if (secure && host) {
+        policy += "; report-to csp";
+        headers.push(["Reporting-Endpoints", `csp="https://${host}${CSP_REPORT_PATH}"`]);
+      }
+      const mode = overrides?.cspMode || base.cspMode || "enforce";
+      headers.push([mode === "report-only" ? "Content-Security-Policy-Report-Only" : "Content-Security-Policy", policy]);
+    }
+    for (const [name, value] of Object.entries(base.headers)) headers.push([name, value]);
+  }
+  for (const [name, value] of Object.entries(overrides?.headers || {})) headers.push([name, value]);
+  return headers;
+}
+
+/** Replace whatever profile `res` had with `profile`. */
+export function applySecurityHeaders(req, res, profile, overrides = null) {
+  for (const name of PROFILE_HEADERS) res.removeHeader(name);
+  for (const [name, value] of securityHeaders(profile, overrides, { secure: req.secure, host: req.hostname })) {
+    if (value === null) res.removeHeader(name);
+    else res.setHeader(name, value);
+  }
+}
+
+// ── Violation reports ──────────────────────────────────────────────────
+
+const MAX_REPORTS = 500;
+const SAVE_DELAY_MS = 5000;
+
+let reports = null;
+let saveTimer = null;
+
+function reportsPath() {
+  return path.join(STATE_DIR, "csp-reports.json");
+}
+
+function loadReports() {
+  if (reports) return reports;
+  reports = new Map();
+  try {
+    const data = JSON.parse(fs.readFileSync(reportsPath(), "utf8"));
+    for (const entry of Array.isArray(data.reports) ? data.reports : []) reports.set(entry.key, entry);
+  } catch {}
+  return reports;
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    try {
+      fs.mkdirSync(STATE_DIR, { recursive: true });
+      const tmp = `${reportsPath()}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ reports: [...loadReports().values()] }, null, 2));
+      fs.renameSync(tmp, reportsPath());
+    } catch (err) {
+      console.error(`[csp] Could not save reports: ${err.message}`);
+    }
+  }, SAVE_DELAY_MS);
+  saveTimer.unref?.();
+}
+
+// Origins say enough about what was blocked (and keep URLs with tokens out)
+function originOf(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol.startsWith("http") ? url.origin : url.protocol.replace(/:$/, "");
+  } catch {
+    return value;
+  }
+}
+
+// report-uri bodies ({ "csp-report": {...} }) and Reporting API batches
+// ([{ type: "csp-violation", body: {...} }]) in one shape
+function normalizeReports(body) {
+  const items = [];
+  if (body?.["csp-report"]) {
+    const r = body["csp-report"];
+    items.push({
+      document: r["document-uri"],
+      directive: r["effective-directive"] || r["violated-directive"],
+      blocked: r["blocked-uri"],
+      disposition: r.disposition,
+      source: r["source-file"],
+    });
+  } else if (Array.isArray(body)) {
+    for (const report of body) {
+      if (report?.type !== "csp-violation" || !report.body) continue;
+      const r = report.body;
+      items.push({
+        document: r.documentURL || report.url,
+        directive: r.effectiveDirective,
+        blocked: r.blockedURL,
+        disposition: r.disposition,
+        source: r.sourceFile,
+      });
+    }
+  }
+  return items.filter((r) => typeof r.directive === "string" && r.directive);
+}
+
+/** Count the violations in a report body. Returns how many were recorded. */
+export function recordCspReports(body) {
+  const all = loadReports();
+  let recorded = 0;
+  const now = new Date().toISOString();
+  for (const report of normalizeReports(body)) {
+    const directive = String(report.directive).split(" ")[0].slice(0, 64);
+    const blocked = originOf(String(report.blocked || "inline")).slice(0, 200);
+    const page = originOf(String(report.document || "")).slice(0, 200);
+    const key = `${directive} ${blocked} ${page}`;
+    let entry = all.get(key);
+    if (!entry) {
+      if (all.size >= MAX_REPORTS) continue;
+      entry = {
+        key,
+        directive,
+        blocked,
+        page,
+        disposition: report.disposition === "enforce" ? "enforce" : "report",
+        example: String(report.document || "").split("?")[0].slice(0, 300),
+        source: report.source ? originOf(String(report.source)).slice(0, 200) : null,
+        count: 0,
+        firstSeen: now,
+      };
+      all.set(key, entry);
+    }
+    entry.count += 1;
+    entry.lastSeen = now;
+    recorded += 1;
+  }
+  if (recorded) scheduleSave();
+  return recorded;
+}
+
+/** Recorded violations, most frequent first. */
+export function listCspReports() {
+  return [...loadReports().values()].sort((a, b) => b.count - a.count);
+}
+
+export function clearCspReports() {
+  loadReports().clear();
+  scheduleSave();
+  console.log("[csp] Cleared violation reports");
+}
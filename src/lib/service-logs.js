@@ -0,0 +1,206 @@
+import { EventEmitter } from "node:events";
+import fs from "node:fs";
+import path from "node:path";
+
+import { STATE_DIR } from "./constants.js";
+import { redactSecrets } from "./helpers.js";
+
+// Output of every supervised service, line by line. The last BUFFER_LINES
+// lines of each service stay in memory; everything is also appended to
+// STATE_DIR/logs/<service>.log (one JSON entry per line), rotated at
+// MAX_FILE_BYTES with ROTATED_FILES old files kept, so logs survive a
+// wrapper restart. Streams: stdout, stderr, prepare (runCmd output of the
+// service's install/build step) and supervisor (start/exit/restart events).
+
+const LOGS_DIR = path.join(STATE_DIR, "logs");
+const BUFFER_LINES = 2000;
+const MAX_LINE_LENGTH = 8192;
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const ROTATED_FILES = 3;
+
+export const LOG_STREAMS = ["stdout", "stderr", "prepare", "supervisor"];
+
+const logs = new Map();
+
+function getLog(service) {
+  let log = logs.get(service);
+  if (!log) {
+    log = {
+      entries: [],
+      partial: {},
+      fileBytes: null,
+      emitter: new EventEmitter(),
+    };
+    log.emitter.setMaxListeners(0);
+    logs.set(service, log);
+  }
+  return log;
+}
+
+function logPath(service, generation = 0) {
+  return path.join(LOGS_DIR, generation ? `${service}.log.${generation}` : `${service}.log`);
+}
+
+function rotate(service) {
+  for (let n = ROTATED_FILES; n > 0; n--) {
+    try {
+      fs.renameSync(logPath(service, n - 1), logPath(service, n));
+    } catch {}
+  }
+}
+
+function persist(service, log, entries) {
+  const text = entries.map((entry) => JSON.stringify(entry)).join("\n") + "\n";
+  try {
+    fs.mkdirSync(LOGS_DIR, { recursive: true });
+    if (log.fileBytes === null) {
+      try {
+        log.fileBytes = fs.statSync(logPath(service)).size;
+      } catch {
+        log.fileBytes = 0;
+      }
+    }
+    if (log.fileBytes > 0 && log.fileBytes + text.length > MAX_FILE_BYTES) {
+      rotate(service);
+      log.fileBytes = 0;
+    }
+    fs.appendFileSync(logPath(service), text);
+    log.fileBytes += Buffer.byteLength(text);
+  } catch {}
+}
+
+function record(service, stream, lines) {
+  if (lines.length === 0) return;
+  const log = getLog(service);
+  const ts = new Date().toISOString();
+  const entries = lines.map((line) => ({
+    ts,
+    stream,
+    line: redactSecrets(line.length > MAX_LINE_LENGTH ? `${line.slice(0, MAX_LINE_LENGTH)}…` : line),
+  }));
+  log.entries.push(...entries);
+  if (log.entries.length > BUFFER_LINES) {
+    log.entries.splice(0, log.entries.length - BUFFER_LINES);
+  }
+  persist(service, log, entries);
+  for (const entry of entries) log.emitter.emit("entry", entry);
+}
+
+/**
+ * Append a chunk of process output. Chunks are split into lines; an
+ * unterminated last line is held back until the rest of it arrives.
+ */
+export function appendServiceOutput(service, stream, chunk) {
+  const log = getLog(service);
+  const text = (log.partial[stream] || "") + chunk.toString().replace(/\r\n?/g, "\n");
+  const lines = text.split("\n");
+  let rest = lines.pop();
+  if (rest.length > MAX_LINE_LENGTH) {
+    lines.push(rest);
+    rest = "";
+  }
+  log.partial[stream] = rest;
+  record(service, stream, lines);
+}
+
+/** Record any held-back partial lines (the process has exited). */
+export function flushServiceOutput(service) {
+  const log = getLog(service);
+  for (const [stream, rest] of Object.entries(log.partial)) {
+    if (rest) record(service, stream, [rest]);
+  }
+  log.partial = {};
+}
+
+/** Record a supervisor event (spawned, exited, restarting…) in the log. */
+export function logServiceEvent(service, message) {
+  record(service, "supervisor", String(message).trimEnd().split("\n"));
+}
+
+function matches(entry, { since, stream, q }) {
+  if (since && Date.parse(entry.ts) <= since) return false;
+  if (stream && entry.stream !== stream) return false;
+  if (q && !entry.line.toLowerCase().includes(q)) return false;
+  return true;
+}
+
+function readLogFiles(service) {
+  const entries = [];
+  for (let n = ROTATED_FILES; n >= 0; n--) {
+    let text;
+    try {
+      text = fs.readFileSync(logPath(service, n), "utf8");
+    } catch {
+      continue;
+    }
+    for (const line of text.split("\n")) {
+      if (!line) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {}
+    }
+  }
+  return entries;
+}
+
+function normalizeFilter({ since, stream, q } = {}) {
+  const sinceMs = since ? (/^\d+$/.test(String(since)) ? Number(since) : Date.parse(since)) : null;
+  return {
+    since: Number.isFinite(sinceMs) ? sinceMs : null,
+    stream: LOG_STREAMS.includes(stream) ? stream : null,
+    q: q ? String(q).toLowerCase() : null,
+  };
+}
+
+/**
+ * Log entries (`{ ts, stream, line }`, oldest first) matching `q`
+ * (case-insensitive substring), `stream` and `since` (ISO timestamp or epoch
+ * ms), limited to the last `tail`. Served from memory unless `history` is set
+ * or `since` reaches back past the buffer, in which case the log files
+ * (including rotated ones) are searched.
+ */
+export function queryServiceLog(service, { tail = 200, history = false, ...filter } = {}) {
+  const log = getLog(service);
+  const criteria = normalizeFilter(filter);
+  const oldest = log.entries[0] ? Date.parse(log.entries[0].ts) : Infinity;
+  const fromFiles = history || (criteria.since !== null && criteria.since < oldest)
+    || (log.entries.length === 0 && fs.existsSync(logPath(service)));
+  const source = fromFiles ? readLogFiles(service) : log.entries;
+  const limit = Math.min(Math.max(Number.parseInt(tail, 10) || 200, 1), 10_000);
+  return {
+    source: fromFiles ? "files" : "memory",
+    entries: source.filter((entry) => matches(entry, criteria)).slice(-limit),
+  };
+}
+
+/**
+ * Call `onEntry` for every new entry matching `filter` (same fields as
+ * queryServiceLog). Returns an unsubscribe function.
+ */
+export function followServiceLog(service, filter, onEntry) {
+  const { emitter } = getLog(service);
+  const criteria = { ...normalizeFilter(filter), since: null };
+  const listener = (entry) => {
+    if (matches(entry, criteria)) onEntry(entry);
+  };
+  emitter.on("entry", listener);
+  return () => emitter.off("entry", listener);
+}
+
+/** Buffered line counts and log file sizes per service. */
+export function describeServiceLog(service) {
+  const log = getLog(service);
+  const files = [];
+  for (let n = 0; n <= ROTATED_FILES; n++) {
+    try {
+      files.push({ name: path.basename(logPath(service, n)), bytes: fs.statSync(logPath(service, n)).size });
+    } catch {}
+  }
+  return {
+    service,
+    buffered: log.entries.length,
+    oldest: log.entries[0]?.ts || null,
+    newest: log.entries.at(-1)?.ts || null,
+    files,
+  };
+}
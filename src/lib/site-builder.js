@@ -2,75 +2,9 @@ import fs from "node:fs";
 import path from "node:path";
 
 import { DEV_DIR, PRODUCTION_DIR, STATE_DIR } from "./constants.js";
-import { runCmd, safeRemoveDir } from "./helpers.js";
+import { gitHead, runCmd, safeRemoveDir } from "./helpers.js";
 import { getGitHubToken } from "./github.js";
 
-export function serveStaticSite(dir, req, res) {
-  const reqPath = decodeURIComponent(req.path);
-  const filePath = path.join(
-    dir,
-    reqPath === "/" ? "index.html" : reqPath,
-  );
-
-  if (reqPath === "/" || reqPath === "/index.html") {
-    const indexExists = fs.existsSync(filePath);
-    const dirContents = fs.existsSync(dir)
-      ? fs.readdirSync(dir).slice(0, 10)
-      : [];
-    console.log(`[static] Serving ${reqPath} from ${dir}`);
-    console.log(
-      `[static] Index exists: ${indexExists}, Dir contents: ${dirContents.join(", ")}`,
-    );
-  }
-
-  if (!filePath.startsWith(dir)) {
-    return res.status(403).send("Forbidden");
-  }
-  if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
-    return res.sendFile(filePath);
-  }
-  const dirIndexPath = path.join(filePath, "index.html");
-  if (
-    fs.existsSync(dirIndexPath) &&
-    fs.statSync(dirIndexPath).isFile()
-  ) {
-    return res.sendFile(dirIndexPath);
-  }
-  const htmlPath = filePath + ".html";
-  if (fs.existsSync(htmlPath) && fs.statSync(htmlPath).isFile()) {
-    return res.sendFile(htmlPath);
-  }
-  const notFoundPath = path.join(dir, "404.html");
-  if (fs.existsSync(notFoundPath)) {
-    return res.status(404).sendFile(notFoundPath);
-  }
-  const placeholderPath = path.join(
-    process.cwd(),
-    "src",
-    "public",
-    "placeholder.html",
-  );
-  if (fs.existsSync(placeholderPath)) {
-    return res.status(200).sendFile(placeholderPath);
-  }
-
-  // SPA catch-all: serve index.html for client-side routes
-  // This handles direct URL access to routes like /about, /blog/post, etc.
-  // that are handled by the SPA's client-side router
-  const indexPath = path.join(dir, "index.html");
-  if (fs.existsSync(indexPath)) {
-    // Don't serve index.html for API paths, static assets, or files with extensions
-    const isApiPath = reqPath.startsWith("/api/") || reqPath.startsWith("/_astro/");
-    const isStaticAsset = path.extname(reqPath) !== "" && !reqPath.endsWith(".html");
-    if (!isApiPath && !isStaticAsset) {
-      console.log(`[static] SPA catch-all: serving index.html for ${reqPath}`);
-      return res.sendFile(indexPath);
-    }
-  }
-
-  return res.status(404).send("Not found");
-}
-
 export async function autoSaveDevChanges() {
   try {
     const gitDir = path.join(DEV_DIR, ".git");
@@ -202,7 +136,9 @@ export async function cloneAndBuild(
   token,
   opts = {},
 ) {
-  const { keepSource = false } = opts;
+  // createMissingBranch: push `branch` from the default branch when it doesn't
+  // exist yet (setup does this for the dev branch; previews must not)
+  const { keepSource = false, createMissingBranch = true } = opts;
   await safeRemoveDir(targetDir);
   fs.mkdirSync(targetDir, { recursive: true });
 
@@ -224,8 +160,9 @@ export async function cloneAndBuild(
   ]);
   if (clone.code !== 0) {
     if (
-      clone.output.includes("not found") ||
-      clone.output.includes("Could not find remote branch")
+      createMissingBranch &&
+      (clone.output.includes("not found") ||
+        clone.output.includes("Could not find remote branch"))
     ) {
       console.log(
         `[build] Branch '${branch}' not found, creating from default branch...`,
@@ -254,6 +191,8 @@ export async function cloneAndBuild(
     }
   }
 
+  const commit = await gitHead(targetDir);
+
   const packageJsonPath = path.join(targetDir, "package.json");
   if (fs.existsSync(packageJsonPath)) {
     const cleanEnv = {
@@ -272,7 +211,7 @@ export async function cloneAndBuild(
       });
       if (install.code !== 0) {
         console.error(`[build] npm install failed: ${install.output}`);
-        return { ok: false, output: install.output };
+        return { ok: false, output: install.output, commit };
       }
 
       if (token) {
@@ -297,6 +236,7 @@ export async function cloneAndBuild(
       return {
         ok: true,
         output: `Cloned source from ${branch} branch (dev mode — ready for npm run dev)`,
+        commit,
       };
     }
 
@@ -307,7 +247,7 @@ export async function cloneAndBuild(
     });
     if (install.code !== 0) {
       console.error(`[build] npm install failed: ${install.output}`);
-      return { ok: false, output: install.output };
+      return { ok: false, output: install.output, commit };
     }
 
     const { execSync } = await import("child_process");
@@ -347,7 +287,7 @@ export async function cloneAndBuild(
     });
     if (build.code !== 0) {
       console.error(`[build] Build failed: ${build.output}`);
-      return { ok: false, output: build.output };
+      return { ok: false, output: build.output, commit };
     }
 
     const possibleDirs = [
@@ -398,10 +338,14 @@ export async function cloneAndBuild(
     }
 
     console.log(`[build] Build complete: ${targetDir}`);
-    return { ok: true, output: `Built successfully from ${branch} branch` };
+    return {
+      ok: true,
+      output: `Built successfully from ${branch} branch`,
+      commit,
+    };
   }
 
-  return { ok: true, output: `Cloned static site from ${branch} branch` };
+  return { ok: true, output: `Cloned static site from ${branch} branch`, commit };
 }
 
 export async function pullDevBranch() {
@@ -440,7 +384,7 @@ export async function pullDevBranch() {
       );
     }
     await runCmd("npm", ["install"], { cwd: DEV_DIR });
-    return { ok: true, output: "Pulled and updated" };
+    return { ok: true, output: "Pulled and updated", commit: await gitHead(DEV_DIR) };
   } else {
     console.log("[dev-server] Fresh clone for dev server...");
     await safeRemoveDir(DEV_DIR);
@@ -454,6 +398,6 @@ export async function pullDevBranch() {
     ]);
     if (clone.code !== 0) return { ok: false, output: clone.output };
     await runCmd("npm", ["install"], { cwd: DEV_DIR });
-    return { ok: true, output: "Cloned fresh" };
+    return { ok: true, output: "Cloned fresh", commit: await gitHead(DEV_DIR) };
   }
 }
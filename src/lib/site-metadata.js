@@ -0,0 +1,442 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { PRODUCTION_DIR, STATE_DIR } from "./constants.js";
+import { getClientDomain } from "./config.js";
+
+// Per-deployment site metadata served on the production domain. For
+// llms.txt, llms-full.txt and robots.txt the first of these wins:
+//   1. the file shipped in the built site (at the site root, or in public/
+//      or client/ for builds that keep them)
+//   2. a template saved through the API in STATE_DIR/site-metadata/, with
+//      {{domain}}, {{url}}, {{title}}, {{description}}, {{pages}} and
+//      {{sitemap}} filled in
+//   3. content generated from the built site's HTML pages
+// sitemap.xml is the shipped one or generated (and persisted) from the
+// release's pages. Every page also gets a canonical Link header pointing at
+// the preferred host (apex or www), so the two don't compete in search.
+
+export const METADATA_FILES = ["llms.txt", "llms-full.txt", "robots.txt"];
+export const CANONICAL_HOSTS = ["apex", "www"];
+
+const TEMPLATES_DIR = path.join(STATE_DIR, "site-metadata");
+const SITE_FILE_DIRS = ["", "public", "client"];
+const SKIP_DIRS = new Set(["node_modules", "_astro", "_next", "assets", "static"]);
+const MAX_PAGES = 500;
+const MAX_HTML_BYTES = 512 * 1024;
+const FULL_TEXT_PER_PAGE = 4000;
+const MAX_TEMPLATE_BYTES = 512 * 1024;
+
+function settingsPath() {
+  return path.join(TEMPLATES_DIR, "settings.json");
+}
+
+function sitemapPath() {
+  return path.join(TEMPLATES_DIR, "sitemap.json");
+}
+
+function templatePath(file) {
+  return path.join(TEMPLATES_DIR, file);
+}
+
+function assertMetadataFile(file) {
+  if (!METADATA_FILES.includes(file)) throw new Error(`Unknown metadata file: ${file}`);
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(Number.parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&nbsp;/g, " ")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+function cleanText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, " ")).replace(/\s+/g, " ").trim();
+}
+
+function metaContent(html, attr, name) {
+  const tags = html.match(/<meta\b[^>]*>/gi) || [];
+  for (const tag of tags) {
+    const key = tag.match(new RegExp(`\\b${attr}\\s*=\\s*["']([^"']*)["']`, "i"));
+    if (key && key[1].toLowerCase() === name) {
+      const content = tag.match(/\bcontent\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+      return content ? decodeEntities(content[1] ?? content[2]).trim() : "";
+    }
+  }
+  return "";
+}
+
+function linkHref(html, rel) {
+  const tags = html.match(/<link\b[^>]*>/gi) || [];
+  for (const tag of tags) {
+    const relMatch = tag.match(/\brel\s*=\s*["']([^"']*)["']/i);
+    if (relMatch && relMatch[1].toLowerCase().split(/\s+/).includes(rel)) {
+      const href = tag.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+      return href ? decodeEntities(href[1] ?? href[2]).trim() : "";
+    }
+  }
+  return "";
+}
+
+/** Title, description, headings and text of an HTML document. */
+export function parsePage(html) {
+  const title = cleanText(html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i)?.[1] || "");
+  const body = html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i)?.[1] ?? html;
+  const main = body.match(/<main\b[^>]*>([\s\S]*)<\/main>/i)?.[1] ?? body;
+  const headings = [...main.matchAll(/<h([1-3])\b[^>]*>([\s\S]*?)<\/h\1>/gi)]
+    .map((m) => ({ level: Number(m[1]), text: cleanText(m[2]) }))
+    .filter((h) => h.text);
+  const text = cleanText(
+    main.replace(/<(script|style|noscript|svg|template|nav|header|footer)\b[\s\S]*?<\/\1>/gi, " "),
+  );
+  const robots = metaContent(html, "name", "robots").toLowerCase();
+  return {
+    title: title || metaContent(html, "property", "og:title"),
+    description: metaContent(html, "name", "description") || metaContent(html, "property", "og:description"),
+    siteName: metaContent(html, "property", "og:site_name"),
+    canonical: linkHref(html, "canonical"),
+    noindex: /\bnoindex\b/.test(robots),
+    headings,
+    text,
+  };
+}
+
+/** URL path of an HTML file relative to the site root. */
+function pageUrlPath(relative) {
+  const posix = relative.split(path.sep).join("/");
+  if (posix === "index.html") return "/";
+  if (posix.endsWith("/index.html")) return `/${posix.slice(0, -"index.html".length)}`;
+  return `/${posix.replace(/\.html$/, "")}`;
+}
+
+function findHtmlFiles(root) {
+  const files = [];
+  const walk = (dir) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    entries.sort((a, b) => (a.name < b.name ? -1 : 1));
+    for (const entry of entries) {
+      if (files.length >= MAX_PAGES) return;
+      if (entry.name.startsWith(".")) continue;
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!SKIP_DIRS.has(entry.name)) walk(full);
+      } else if (entry.isFile() && entry.name.endsWith(".html")) {
+        files.push(full);
+      }
+    }
+  };
+  walk(root);
+  return files;
+}
+
+let pagesCache = null;
+let settingsCache = null;
+// How often the page cache re-checks that the production directory is unchanged
+const PAGES_CHECK_MS = 1000;
+
+function siteVersion(dir) {
+  try {
+    const real = fs.realpathSync(dir);
+    return `${real}:${fs.statSync(real).mtimeMs}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Indexable pages of the built site (`{ path, file, mtime, title,
+ * description, ... }`, home page first). Cached until the production
+ * directory changes (a new release swaps the symlink).
+ */
+export function listSitePages(dir = PRODUCTION_DIR) {
+  if (pagesCache?.dir === dir && Date.now() - pagesCache.checkedAt < PAGES_CHECK_MS) {
+    return pagesCache.pages;
+  }
+  const version = siteVersion(dir);
+  if (!version) return [];
+  if (pagesCache?.version === version) {
+    pagesCache.checkedAt = Date.now();
+    return pagesCache.pages;
+  }
+
+  const root = fs.realpathSync(dir);
+  const pages = [];
+  for (const file of findHtmlFiles(root)) {
+    const relative = path.relative(root, file);
+    const name = path.basename(file);
+    if (/^(404|500)\.html$/.test(name) || relative.split(path.sep).some((p) => p.startsWith("_"))) continue;
+    let stat;
+    let html;
+    try {
+      stat = fs.statSync(file);
+      if (stat.size > MAX_HTML_BYTES) continue;
+      html = fs.readFileSync(file, "utf8");
+    } catch {
+      continue;
+    }
+    const page = parsePage(html);
+    if (page.noindex) continue;
+    pages.push({ path: pageUrlPath(relative), file, mtime: stat.mtime.toISOString(), ...page });
+  }
+  pages.sort((a, b) => (a.path === "/" ? -1 : b.path === "/" ? 1 : a.path < b.path ? -1 : 1));
+  pagesCache = { dir, version, checkedAt: Date.now(), pages, byPath: new Map(pages.map((p) => [p.path, p])) };
+  return pages;
+}
+
+/** `{ canonicalHost }` ("apex" by default). */
+export function readMetadataSettings() {
+  if (settingsCache) return { ...settingsCache };
+  let saved = {};
+  try {
+    saved = JSON.parse(fs.readFileSync(settingsPath(), "utf8"));
+  } catch {}
+  settingsCache = {
+    canonicalHost: CANONICAL_HOSTS.includes(saved.canonicalHost) ? saved.canonicalHost : "apex",
+  };
+  return { ...settingsCache };
+}
+
+export function writeMetadataSettings({ canonicalHost } = {}) {
+  const next = readMetadataSettings();
+  if (canonicalHost !== undefined) {
+    if (!CANONICAL_HOSTS.includes(canonicalHost)) {
+      throw new Error(`canonicalHost must be one of: ${CANONICAL_HOSTS.join(", ")}`);
+    }
+    next.canonicalHost = canonicalHost;
+  }
+  fs.mkdirSync(TEMPLATES_DIR, { recursive: true });
+  fs.writeFileSync(settingsPath(), JSON.stringify(next, null, 2));
+  settingsCache = { ...next };
+  return next;
+}
+
+/** "https://<domain>" or "https://www.<domain>", per the canonicalHost setting. */
+export function canonicalOrigin() {
+  const domain = getClientDomain();
+  if (!domain) return "";
+  return readMetadataSettings().canonicalHost === "www" ? `https://www.${domain}` : `https://${domain}`;
+}
+
+// The page's own <link rel="canonical"> when it points at this site
+function pageCanonical(page, domain) {
+  if (!page?.canonical) return null;
+  try {
+    const url = new URL(page.canonical);
+    if (!/^https?:$/.test(url.protocol)) return null;
+    return url.hostname === domain || url.hostname === `www.${domain}` ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function siteInfo(pages) {
+  const domain = getClientDomain() || "";
+  const home = pages.find((p) => p.path === "/");
+  const url = canonicalOrigin();
+  return {
+    domain,
+    url,
+    sitemap: url ? `${url}/sitemap.xml` : "/sitemap.xml",
+    title: home?.siteName || home?.title || domain || "Website",
+    description: home?.description || "",
+  };
+}
+
+function pageList(pages) {
+  return pages
+    .map((p) => `- [${p.title || p.path}](${p.path})${p.description ? `: ${p.description}` : ""}`)
+    .join("\n");
+}
+
+function generateLlms(pages, info) {
+  const lines = [`# ${info.title}`, ""];
+  if (info.description) lines.push(`> ${info.description}`, "");
+  if (pages.length) lines.push("## Pages", "", pageList(pages), "");
+  if (info.url) lines.push("## Contact", "", `- Website: ${info.url}`, "");
+  return lines.join("\n");
+}
+
+function generateLlmsFull(pages, info) {
+  const lines = [`# ${info.title} (Full Documentation)`, ""];
+  if (info.description) lines.push(`> ${info.description}`, "");
+  for (const page of pages) {
+    lines.push(`## ${page.title || page.path}`, "", `URL: ${info.url}${page.path}`, "");
+    if (page.description) lines.push(page.description, "");
+    const text = page.text.length > FULL_TEXT_PER_PAGE
+      ? `${page.text.slice(0, FULL_TEXT_PER_PAGE).replace(/\s+\S*$/, "")}…`
+      : page.text;
+    if (text) lines.push(text, "");
+  }
+  return lines.join("\n");
+}
+
+function readSiteFile(file, dir) {
+  for (const sub of SITE_FILE_DIRS) {
+    const candidate = path.join(dir, sub, file);
+    try {
+      if (fs.statSync(candidate).isFile()) return fs.readFileSync(candidate, "utf8");
+    } catch {}
+  }
+  return null;
+}
+
+export function readMetadataTemplate(file) {
+  assertMetadataFile(file);
+  try {
+    return fs.readFileSync(templatePath(file), "utf8");
+  } catch {
+    return null;
+  }
+}
+
+function renderTemplate(template, pages, info) {
+  const values = { ...info, pages: pageList(pages) };
+  return template.replace(/\{\{\s*(domain|url|title|description|pages|sitemap)\s*\}\}/g, (_, key) => values[key]);
+}
+
+function generateRobots(info) {
+  return `User-agent: *\nAllow: /\n\nSitemap: ${info.sitemap}\n`;
+}
+
+const GENERATORS = {
+  "llms.txt": generateLlms,
+  "llms-full.txt": generateLlmsFull,
+  "robots.txt": (_pages, info) => generateRobots(info),
+};
+
+/** `{ source: "site" | "template" | "generated", content }` for a metadata file. */
+export function resolveMetadataFile(file, dir = PRODUCTION_DIR) {
+  assertMetadataFile(file);
+  const shipped = readSiteFile(file, dir);
+  if (shipped !== null) return { source: "site", content: shipped };
+
+  const pages = listSitePages(dir);
+  const info = siteInfo(pages);
+  const template = readMetadataTemplate(file);
+  if (template !== null) return { source: "template", content: renderTemplate(template, pages, info) };
+
+  return { source: "generated", content: GENERATORS[file](pages, info) };
+}
+
+function escapeXml(value) {
+  return value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function buildSitemap(pages) {
+  const domain = getClientDomain() || "";
+  const origin = canonicalOrigin();
+  const seen = new Set();
+  const urls = [];
+  for (const page of pages) {
+    const loc = pageCanonical(page, domain) || `${origin}${page.path}`;
+    if (seen.has(loc)) continue;
+    seen.add(loc);
+    urls.push(`  <url>\n    <loc>${escapeXml(loc)}</loc>\n    <lastmod>${page.mtime.slice(0, 10)}</lastmod>\n  </url>`);
+  }
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    "</urlset>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Regenerate the sitemap of the production site and persist it. Called after
+ * every release activation; requests regenerate it too when it is stale.
+ */
+export function refreshSitemap(dir = PRODUCTION_DIR) {
+  pagesCache = null;
+  const pages = listSitePages(dir);
+  const sitemap = {
+    version: siteVersion(dir),
+    origin: canonicalOrigin(),
+    generatedAt: new Date().toISOString(),
+    pages: pages.length,
+    xml: buildSitemap(pages),
+  };
+  fs.mkdirSync(TEMPLATES_DIR, { recursive: true });
+  const tmp = `${sitemapPath()}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(sitemap));
+  fs.renameSync(tmp, sitemapPath());
+  console.log(`[site-metadata] Generated sitemap.xml (${pages.length} pages)`);
+  return sitemap;
+}
+
+/**
+ * `{ source: "site" }` when the build ships sitemap.xml (serve it as a
+ * static file), otherwise `{ source: "generated", xml, pages, generatedAt }`.
+ */
+export function resolveSitemap(dir = PRODUCTION_DIR) {
+  if (readSiteFile("sitemap.xml", dir) !== null) return { source: "site" };
+  let sitemap = null;
+  try {
+    sitemap = JSON.parse(fs.readFileSync(sitemapPath(), "utf8"));
+  } catch {}
+  if (!sitemap || sitemap.version !== siteVersion(dir) || sitemap.origin !== canonicalOrigin()) {
+    sitemap = refreshSitemap(dir);
+  }
+  const { xml, pages, generatedAt } = sitemap;
+  return { source: "generated", xml, pages, generatedAt };
+}
+
+/**
+ * Canonical URL for a page request on the production host, or null for
+ * non-page requests (assets, API paths, anything but GET/HEAD).
+ */
+export function canonicalUrl(req) {
+  if (req.method !== "GET" && req.method !== "HEAD") return null;
+  const urlPath = req.path;
+  const ext = path.extname(urlPath);
+  if ((ext && ext !== ".html") || urlPath.startsWith("/api/")) return null;
+  const origin = canonicalOrigin();
+  if (!origin) return null;
+
+  const pagePath = urlPath.replace(/\/index\.html$/, "/");
+  const pages = listSitePages();
+  const byPath = pages.length ? pagesCache.byPath : new Map();
+  // /about and /about/ both reach about/index.html (and /about/ about.html);
+  // the canonical is the path the sitemap lists, so they don't compete
+  const bare = pagePath.replace(/\.html$/, "");
+  const page =
+    byPath.get(pagePath) ||
+    byPath.get(bare) ||
+    (bare.endsWith("/") ? byPath.get(bare.replace(/\/+$/, "")) : byPath.get(`${bare}/`));
+  return pageCanonical(page, getClientDomain()) || `${origin}${page ? page.path : pagePath}`;
+}
+
+/** Save the template for `file` (used when the site doesn't ship one). */
+export function writeMetadataTemplate(file, content) {
+  assertMetadataFile(file);
+  if (typeof content !== "string" || !content.trim()) throw new Error("content must be a non-empty string");
+  if (Buffer.byteLength(content) > MAX_TEMPLATE_BYTES) throw new Error("content is too large");
+  fs.mkdirSync(TEMPLATES_DIR, { recursive: true });
+  const tmp = `${templatePath(file)}.tmp`;
+  fs.writeFileSync(tmp, content.endsWith("\n") ? content : `${content}\n`);
+  fs.renameSync(tmp, templatePath(file));
+  console.log(`[site-metadata] Saved ${file} template`);
+}
+
+/** Remove the template for `file`; returns false when there was none. */
+export function deleteMetadataTemplate(file) {
+  assertMetadataFile(file);
+  try {
+    fs.unlinkSync(templatePath(file));
+  } catch (err) {
+    if (err.code === "ENOENT") return false;
+    throw err;
+  }
+  console.log(`[site-metadata] Removed ${file} template`);
+  return true;
+}
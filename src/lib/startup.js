@@ -4,6 +4,8 @@ import os from "node:os";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 
+import { CODEX_AUTH_PATH, isVaultEnabled, readSecretFile } from "./secrets.js";
+
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const BUN_BIN = "/root/.bun/bin/bun";
 const QMD_BIN = "/root/.bun/bin/qmd";
@@ -147,13 +149,26 @@ export function restorePersistedTools() {
     }
   }
 
-  const codexPersist = "/data/.codex/auth.json";
+  // With the secrets vault enabled CODEX_AUTH_PATH links to a decrypted copy
+  // on tmpfs (see syncRuntimeSecret); when HOME isn't /data, link to it too
+  // rather than writing the token out in plain text
   const codexRuntime = path.join(home, ".codex", "auth.json");
   try {
-    if (fs.existsSync(codexPersist) && !fs.existsSync(codexRuntime)) {
+    if (isVaultEnabled()) {
+      if (codexRuntime !== CODEX_AUTH_PATH && !fs.existsSync(codexRuntime) && fs.existsSync(CODEX_AUTH_PATH)) {
+        fs.mkdirSync(path.join(home, ".codex"), { recursive: true });
+        fs.rmSync(codexRuntime, { force: true });
+        fs.symlinkSync(CODEX_AUTH_PATH, codexRuntime);
+        console.log(`[startup] linked ${codexRuntime} -> ${CODEX_AUTH_PATH}`);
+      }
+    }
+    const codexAuth = isVaultEnabled() || fs.existsSync(codexRuntime)
+      ? null
+      : readSecretFile("codex", { actor: "startup" });
+    if (codexAuth) {
       fs.mkdirSync(path.join(home, ".codex"), { recursive: true });
-      fs.copyFileSync(codexPersist, codexRuntime);
-      console.log(`[startup] restored Codex auth from ${codexPersist}`);
+      fs.writeFileSync(codexRuntime, JSON.stringify(codexAuth, null, 2), { mode: 0o600 });
+      console.log(`[startup] restored Codex auth from ${CODEX_AUTH_PATH}`);
     }
   } catch (err) {
     console.warn(`[startup] could not restore Codex auth: ${err.message}`);
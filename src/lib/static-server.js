@@ -0,0 +1,632 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { pipeline } from "node:stream/promises";
+import { promisify } from "node:util";
+import zlib from "node:zlib";
+
+import { STATE_DIR } from "./constants.js";
+import { applySiteHeaders, matchRedirect } from "./redirects.js";
+
+// Static file server for built sites (production releases, PR previews and
+// the dev site's fallback). Each site directory gets an in-memory index of
+// its files, built on first request and reused until the directory is
+// replaced (a release swap or preview rebuild gives it a new inode/mtime);
+// mutable directories (the dev site) are re-indexed every few seconds.
+//
+// Responses carry strong content-hash ETags, a Cache-Control policy picked
+// by path (see CACHE_RULES), and the .br/.gz variant written next to a file
+// by precompressSite() when the client accepts it. Small files are answered
+// from memory after their first request. HEAD and single byte ranges are
+// supported. Redirect and header rules (see redirects.js) are applied
+// before the file lookup.
+//
+// Paths without a file are handled by the site's serving mode: "static"
+// (multi-page: 404), "spa" (client-side routes get the nearest index.html up
+// to the root) or "hybrid" (a multi-page site with client-routed sections:
+// the nearest index.html below the root). The mode is detected from the
+// build unless illumin8.json sets `siteMode`.
+
+const SKIP_DIRS = new Set(["node_modules"]);
+// Anything whose name starts with "." (.env, .git, .npmrc, ...) is never
+// served, at any depth; the only exception is these top-level directories
+const PUBLIC_DOT_DIRS = new Set([".well-known"]);
+// Rule files read by redirects.js, not published (in any directory: builds
+// served from the clone root keep them in dist/ or public/)
+const RULE_FILES = new Set(["_redirects", "_headers"]);
+const MAX_INDEX_FILES = 50_000;
+const MUTABLE_INDEX_TTL_MS = 3000;
+// How often an index re-checks that its directory is still the same one;
+// release activation and preview swaps also invalidate it directly
+const INDEX_CHECK_MS = 1000;
+const MEMORY_FILE_BYTES = 256 * 1024;
+const MEMORY_TOTAL_BYTES = 64 * 1024 * 1024;
+const COMPRESSIBLE_RE = /\.(html?|css|m?js|cjs|json|map|svg|xml|txt|md|webmanifest|wasm|ico|ttf|otf|eot)$/i;
+const MIN_COMPRESS_BYTES = 1024;
+const MAX_HASH_BYTES = 16 * 1024 * 1024;
+const ENCODINGS = [
+  { name: "br", ext: ".br" },
+  { name: "gzip", ext: ".gz" },
+];
+
+const IMMUTABLE = "public, max-age=31536000, immutable";
+const REVALIDATE = "public, max-age=0, must-revalidate";
+
+// First match wins. Paths are URL paths; `*` matches within a segment, `**`
+// across segments. STATE_DIR/static-cache.json can prepend rules:
+//   { "rules": [{ "path": "/fonts/**", "cacheControl": "public, max-age=604800" }] }
+const CACHE_RULES = [
+  // Framework build output: file names carry a content hash
+  { path: "/_astro/**", cacheControl: IMMUTABLE },
+  { path: "/_next/static/**", cacheControl: IMMUTABLE },
+  { path: "/_app/immutable/**", cacheControl: IMMUTABLE },
+  { test: (p) => /\/assets\/.+[.-][A-Za-z0-9_-]{8,}\.[a-z0-9]+$/i.test(p), cacheControl: IMMUTABLE },
+  { test: (p) => /\.html?$/i.test(p), cacheControl: REVALIDATE },
+  { path: "/sw.js", cacheControl: "no-cache" },
+  { path: "/**", cacheControl: "public, max-age=3600" },
+];
+
+const SITE_MODES = ["static", "spa", "hybrid"];
+
+const brotli = promisify(zlib.brotliCompress);
+const gzip = promisify(zlib.gzip);
+
+const indexes = new Map();
+
+function globToRegExp(glob) {
+  const source = glob
+    .split("**")
+    .map((part) => part.split("*").map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join("[^/]*"))
+    .join(".*");
+  return new RegExp(`^${source}$`);
+}
+
+function compileRules(rules) {
+  return rules.map((rule) => {
+    const re = rule.test ? null : globToRegExp(rule.path);
+    return { test: rule.test || ((p) => re.test(p)), cacheControl: rule.cacheControl };
+  });
+}
+
+const defaultRules = compileRules(CACHE_RULES);
+let customRules = { mtimeMs: null, checkedAt: 0, rules: [] };
+
+function cacheRules() {
+  if (Date.now() - customRules.checkedAt < INDEX_CHECK_MS) {
+    return customRules.all;
+  }
+  const file = path.join(STATE_DIR, "static-cache.json");
+  let mtimeMs = 0;
+  try {
+    mtimeMs = fs.statSync(file).mtimeMs;
+  } catch {}
+  if (mtimeMs !== customRules.mtimeMs) {
+    let rules = [];
+    if (mtimeMs) {
+      try {
+        const data = JSON.parse(fs.readFileSync(file, "utf8"));
+        rules = compileRules(
+          (Array.isArray(data.rules) ? data.rules : []).filter(
+            (r) => typeof r?.path === "string" && typeof r?.cacheControl === "string",
+          ),
+        );
+      } catch (err) {
+        console.error(`[static] Ignoring ${file}: ${err.message}`);
+      }
+    }
+    customRules = { mtimeMs, rules, all: [...rules, ...defaultRules] };
+  }
+  customRules.checkedAt = Date.now();
+  return customRules.all;
+}
+
+/** Cache-Control for a URL path. */
+export function cacheControlFor(urlPath) {
+  return cacheRules().find((rule) => rule.test(urlPath))?.cacheControl || null;
+}
+
+let modeSetting = { mtimeMs: null, checkedAt: 0, mode: null };
+
+// `siteMode` from illumin8.json, or null for auto-detection
+function configuredSiteMode() {
+  if (Date.now() - modeSetting.checkedAt < INDEX_CHECK_MS) return modeSetting.mode;
+  const file = path.join(STATE_DIR, "illumin8.json");
+  let mtimeMs = 0;
+  try {
+    mtimeMs = fs.statSync(file).mtimeMs;
+  } catch {}
+  if (mtimeMs !== modeSetting.mtimeMs) {
+    let mode = null;
+    try {
+      const value = JSON.parse(fs.readFileSync(file, "utf8")).siteMode;
+      if (SITE_MODES.includes(value)) mode = value;
+      else if (value && value !== "auto") console.error(`[static] Ignoring unknown siteMode "${value}"`);
+    } catch {}
+    modeSetting = { mtimeMs, mode };
+  }
+  modeSetting.checkedAt = Date.now();
+  return modeSetting.mode;
+}
+
+/**
+ * Guess how a build wants unknown paths handled: Astro and Next.js exports
+ * are multi-page ("static"); a build with a single HTML page (Vite, Create
+ * React App) is a "spa".
+ */
+function detectSiteMode(files) {
+  const paths = [...files.keys()];
+  if (paths.some((p) => p.startsWith("/_astro/"))) return { mode: "static", reason: "Astro build" };
+  if (paths.some((p) => p.startsWith("/_next/"))) return { mode: "static", reason: "Next.js export" };
+  const pages = paths.filter((p) => p.endsWith(".html") && p !== "/404.html" && !p.startsWith("/_"));
+  if (files.has("/index.html") && pages.length === 1) {
+    const vite = paths.some((p) => /^\/assets\/index-[A-Za-z0-9_-]+\.js$/.test(p));
+    return { mode: "spa", reason: vite ? "Vite single-page build" : "single index.html" };
+  }
+  return { mode: "static", reason: `${pages.length} pages` };
+}
+
+function dirVersion(dir) {
+  try {
+    const real = fs.realpathSync(dir);
+    const stat = fs.statSync(real);
+    return { real, version: `${real}:${stat.ino}:${stat.mtimeMs}` };
+  } catch {
+    return null;
+  }
+}
+
+function isPublicEntry(entry, urlDir) {
+  if (!entry.name.startsWith(".")) return !(entry.isDirectory() && SKIP_DIRS.has(entry.name));
+  return entry.isDirectory() && urlDir === "" && PUBLIC_DOT_DIRS.has(entry.name);
+}
+
+function buildIndex(root) {
+  const files = new Map();
+  const walk = (dir, urlDir) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (files.size >= MAX_INDEX_FILES) return;
+      if (!isPublicEntry(entry, urlDir)) continue;
+      const full = path.join(dir, entry.name);
+      const urlPath = `${urlDir}/${entry.name}`;
+      if (entry.isDirectory()) {
+        walk(full, urlPath);
+        continue;
+      }
+      let stat;
+      try {
+        // Follows symlinks; anything that isn't a regular file is left out
+        stat = fs.statSync(full);
+      } catch {
+        continue;
+      }
+      if (!stat.isFile() || RULE_FILES.has(entry.name)) continue;
+      files.set(urlPath, { file: full, size: stat.size, mtime: stat.mtime, etag: null, variants: {} });
+    }
+  };
+  walk(root, "");
+
+  // Attach precompressed variants to the file they belong to
+  for (const [urlPath, entry] of files) {
+    for (const { name, ext } of ENCODINGS) {
+      const variant = files.get(urlPath + ext);
+      if (variant && COMPRESSIBLE_RE.test(urlPath)) entry.variants[name] = variant;
+    }
+  }
+  return files;
+}
+
+function getIndex(dir, mutable) {
+  const now = Date.now();
+  const cached = indexes.get(dir);
+  if (cached && now - cached.checkedAt < INDEX_CHECK_MS && (!mutable || now - cached.builtAt < MUTABLE_INDEX_TTL_MS)) {
+    return cached.files;
+  }
+  const current = dirVersion(dir);
+  if (!current) {
+    indexes.delete(dir);
+    return null;
+  }
+  if (cached?.version === current.version && (!mutable || now - cached.builtAt < MUTABLE_INDEX_TTL_MS)) {
+    cached.checkedAt = now;
+    return cached.files;
+  }
+
+  const started = Date.now();
+  const files = buildIndex(current.real);
+  if (cached) releaseMemory(cached.files);
+  const detected = detectSiteMode(files);
+  indexes.set(dir, { version: current.version, builtAt: now, checkedAt: now, files, detected });
+  if (!mutable) {
+    console.log(
+      `[static] Indexed ${files.size} files in ${dir} (${Date.now() - started}ms, ` +
+        `${detected.mode}: ${detected.reason})`,
+    );
+  }
+  return files;
+}
+
+/**
+ * Serving mode of the site in `dir`: `{ mode, source, reason? }` where
+ * source is "config" (illumin8.json `siteMode`) or "detected".
+ */
+export function siteModeFor(dir, options = {}) {
+  const configured = configuredSiteMode();
+  if (configured) return { mode: configured, source: "config" };
+  if (!getIndex(dir, options.mutable)) return { mode: "static", source: "detected", reason: "no build" };
+  return { ...indexes.get(dir).detected, source: "detected" };
+}
+
+let memoryBytes = 0;
+
+function releaseMemory(files) {
+  for (const entry of files.values()) {
+    if (entry.data) memoryBytes -= entry.data.length;
+  }
+}
+
+/** Drop the cached index of `dir` (or of every directory). */
+export function invalidateStaticIndex(dir) {
+  for (const [key, cached] of indexes) {
+    if (dir && key !== dir) continue;
+    releaseMemory(cached.files);
+    indexes.delete(key);
+  }
+}
+
+// Contents of small files, kept with the index entry once read
+async function entryData(entry) {
+  if (entry.data) return entry.data;
+  if (entry.size > MEMORY_FILE_BYTES || memoryBytes + entry.size > MEMORY_TOTAL_BYTES) return null;
+  const data = await fs.promises.readFile(entry.file);
+  if (!entry.data && data.length === entry.size) {
+    entry.data = data;
+    memoryBytes += data.length;
+  }
+  return data;
+}
+
+async function hashFile(entry) {
+  const data = await entryData(entry);
+  if (data) return crypto.createHash("sha256").update(data).digest("base64url").slice(0, 27);
+  const hash = crypto.createHash("sha256");
+  await pipeline(fs.createReadStream(entry.file), hash);
+  return hash.digest("base64url").slice(0, 27);
+}
+
+// Strong ETag from the content, computed once per file per index. Large
+// files (video, archives) use size and mtime instead of being read twice.
+function entryETag(entry) {
+  if (!entry.etag && entry.size > MAX_HASH_BYTES) {
+    entry.etag = Promise.resolve(`"${entry.size.toString(36)}-${entry.mtime.getTime().toString(36)}"`);
+  }
+  if (!entry.etag) {
+    entry.etag = hashFile(entry).then(
+      (hash) => `"${hash}"`,
+      (err) => {
+        entry.etag = null;
+        throw err;
+      },
+    );
+  }
+  return entry.etag;
+}
+
+function resolveEntry(files, urlPath) {
+  const base = urlPath.endsWith("/") ? urlPath.slice(0, -1) : urlPath;
+  if (!urlPath.endsWith("/")) {
+    const exact = files.get(urlPath);
+    if (exact) return { entry: exact, urlPath };
+  }
+  for (const candidate of [`${base}/index.html`, `${base}.html`]) {
+    const entry = files.get(candidate);
+    if (entry) return { entry, urlPath: candidate };
+  }
+  return null;
+}
+
+/** Whether the site in `dir` has a file (or page) for `urlPath`. */
+export function staticPathExists(dir, urlPath, options = {}) {
+  const files = getIndex(dir, options.mutable);
+  return Boolean(files && resolveEntry(files, urlPath === "/" ? "/index.html" : urlPath));
+}
+
+// The page a client-side route falls back to: the nearest index.html above
+// the path ("spa" up to the root, "hybrid" below it), never for assets or
+// API paths
+function fallbackEntry(files, urlPath, mode) {
+  if (mode === "static" || urlPath.startsWith("/api/")) return null;
+  if (path.extname(urlPath) !== "" && !urlPath.endsWith(".html")) return null;
+  const segments = urlPath.split("/").filter(Boolean);
+  const last = mode === "spa" ? 0 : 1;
+  for (let i = segments.length - 1; i >= last; i--) {
+    const candidate = `/${segments.slice(0, i).join("/")}${i > 0 ? "/" : ""}index.html`;
+    const entry = files.get(candidate);
+    if (entry) return { entry, urlPath: candidate };
+  }
+  return null;
+}
+
+function acceptedEncodings(header) {
+  const accepted = new Map();
+  for (const part of String(header || "").split(",")) {
+    const [token, ...params] = part.trim().toLowerCase().split(";");
+    if (!token) continue;
+    const q = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+    accepted.set(token, q ? Number.parseFloat(q.slice(2)) || 0 : 1);
+  }
+  return (name) => (accepted.has(name) ? accepted.get(name) > 0 : (accepted.get("*") ?? 0) > 0);
+}
+
+function etagMatches(header, etag) {
+  if (!header) return false;
+  if (header.trim() === "*") return true;
+  // If-None-Match uses the weak comparison
+  const bare = etag.replace(/^W\//, "");
+  return header.split(",").some((tag) => tag.trim().replace(/^W\//, "") === bare);
+}
+
+function notModifiedSince(req, mtime) {
+  const since = Date.parse(req.headers["if-modified-since"] || "");
+  return Number.isFinite(since) && Math.floor(mtime.getTime() / 1000) * 1000 <= since;
+}
+
+// A single "bytes=" range, or null to send the whole file. Multiple ranges
+// are answered with the whole file, which RFC 9110 allows.
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  if (!m || (m[1] === "" && m[2] === "")) return null;
+  let start;
+  let end;
+  if (m[1] === "") {
+    const suffix = Number(m[2]);
+    if (suffix === 0) return { unsatisfiable: true };
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] === "" ? size - 1 : Math.min(Number(m[2]), size - 1);
+  }
+  if (start >= size || start > end) return { unsatisfiable: true };
+  return { start, end };
+}
+
+function ifRangeMatches(req, etag, mtime) {
+  const header = req.headers["if-range"];
+  if (!header) return true;
+  // If-Range needs a strong match
+  if (header.startsWith('"')) return header === etag;
+  const date = Date.parse(header);
+  return Number.isFinite(date) && Math.floor(mtime.getTime() / 1000) * 1000 === date;
+}
+
+async function sendEntry(req, res, { entry, urlPath }, { status = 200, cacheControl } = {}) {
+  const baseETag = await entryETag(entry);
+  const hasVariants = Object.keys(entry.variants).length > 0;
+  const rangeRequested = status === 200 && req.headers.range && req.method === "GET";
+
+  // Ranges are served from the uncompressed file only
+  let selected = entry;
+  let encoding = null;
+  if (!rangeRequested && hasVariants) {
+    const accepts = acceptedEncodings(req.headers["accept-encoding"]);
+    for (const { name } of ENCODINGS) {
+      if (entry.variants[name] && accepts(name)) {
+        selected = entry.variants[name];
+        encoding = name;
+        break;
+      }
+    }
+  }
+  const etag = encoding ? `${baseETag.slice(0, -1)}-${encoding}"` : baseETag;
+
+  res.type(path.extname(urlPath) || "application/octet-stream");
+  if (hasVariants) res.vary("Accept-Encoding");
+  res.set("ETag", etag);
+  res.set("Last-Modified", entry.mtime.toUTCString());
+  res.set("Accept-Ranges", "bytes");
+  const policy = cacheControl ?? cacheControlFor(urlPath);
+  if (policy && !res.get("Cache-Control")) res.set("Cache-Control", policy);
+  if (encoding) res.set("Content-Encoding", encoding);
+
+  if (status === 200) {
+    const inm = req.headers["if-none-match"];
+    if (inm ? etagMatches(inm, etag) : notModifiedSince(req, entry.mtime)) {
+      res.removeHeader("Content-Type");
+      return res.status(304).end();
+    }
+  }
+
+  let start = 0;
+  let end = selected.size - 1;
+  if (rangeRequested && ifRangeMatches(req, etag, entry.mtime)) {
+    const range = parseRange(req.headers.range, entry.size);
+    if (range?.unsatisfiable) {
+      res.set("Content-Range", `bytes */${entry.size}`);
+      res.removeHeader("Content-Type");
+      return res.status(416).end();
+    }
+    if (range) {
+      ({ start, end } = range);
+      status = 206;
+      res.set("Content-Range", `bytes ${start}-${end}/${entry.size}`);
+    }
+  }
+
+  res.status(status);
+  res.set("Content-Length", String(Math.max(end - start + 1, 0)));
+  if (req.method === "HEAD" || selected.size === 0) return res.end();
+
+  const data = await entryData(selected);
+  if (data) return res.end(status === 206 ? data.subarray(start, end + 1) : data);
+
+  try {
+    await pipeline(fs.createReadStream(selected.file, { start, end }), res);
+  } catch (err) {
+    if (err.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+      console.error(`[static] ${selected.file}: ${err.message}`);
+      res.destroy(err);
+    }
+  }
+}
+
+const PLACEHOLDER_PATH = path.join(process.cwd(), "src", "public", "placeholder.html");
+
+let placeholder;
+
+async function sendPlaceholder(req, res) {
+  if (placeholder === undefined) {
+    try {
+      const stat = fs.statSync(PLACEHOLDER_PATH);
+      placeholder = { file: PLACEHOLDER_PATH, size: stat.size, mtime: stat.mtime, etag: null, variants: {} };
+    } catch {
+      placeholder = null;
+    }
+  }
+  if (!placeholder) return false;
+  await sendEntry(req, res, { entry: placeholder, urlPath: "/placeholder.html" }, { cacheControl: "no-cache" });
+  return true;
+}
+
+/**
+ * Serve `req` from the built site in `dir`: exact file, directory
+ * index.html, then `<path>.html`; otherwise the SPA fallback (per the site
+ * mode), 404.html or a plain 404. The placeholder page is only shown while
+ * the directory holds no build at all. Matching `_redirects` rules run first
+ * and `_headers` rules are added to every response.
+ * `options.mutable` marks a directory that changes in place (the dev site).
+ */
+export async function serveStaticSite(dir, req, res, options = {}) {
+  req._metricsTarget = "static";
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.set("Allow", "GET, HEAD");
+    return res.status(405).send("Method not allowed");
+  }
+
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(req.path);
+  } catch {
+    return res.status(400).send("Bad request");
+  }
+  if (urlPath.includes("\0") || urlPath.split("/").includes("..")) {
+    return res.status(403).send("Forbidden");
+  }
+
+  const files = getIndex(dir, options.mutable);
+  const cacheControl = options.mutable ? "no-cache" : undefined;
+  try {
+    applySiteHeaders(dir, req, res);
+    const redirect = matchRedirect(dir, req, {
+      exists: (p) => Boolean(files && resolveEntry(files, p === "/" ? "/index.html" : p)),
+    });
+    if (redirect?.location) return res.redirect(redirect.status, redirect.location);
+    if (redirect) {
+      const target = files && resolveEntry(files, redirect.path === "/" ? "/index.html" : redirect.path);
+      if (target) {
+        return await sendEntry(req, res, target, {
+          status: redirect.status,
+          cacheControl: redirect.status === 200 ? cacheControl : "no-cache",
+        });
+      }
+      if (redirect.status !== 200) return res.sendStatus(redirect.status);
+      console.warn(`[static] Rewrite ${redirect.rule} → ${redirect.path}: no such file`);
+    }
+
+    // Nothing built yet: the "Coming Soon" placeholder
+    if (!files || files.size === 0) {
+      if (await sendPlaceholder(req, res)) return;
+      return res.status(404).send("Not found");
+    }
+
+    const found = resolveEntry(files, urlPath === "/" ? "/index.html" : urlPath);
+    if (found) return await sendEntry(req, res, found, { cacheControl });
+
+    const fallback = fallbackEntry(files, urlPath, siteModeFor(dir, options).mode);
+    if (fallback) return await sendEntry(req, res, fallback, { cacheControl: "no-cache" });
+
+    const notFound = files.get("/404.html");
+    if (notFound) {
+      return await sendEntry(req, res, { entry: notFound, urlPath: "/404.html" }, {
+        status: 404,
+        cacheControl: "no-cache",
+      });
+    }
+  } catch (err) {
+    console.error(`[static] ${req.path}:`, err);
+    if (!res.headersSent) return res.status(500).send("Internal error");
+    return;
+  }
+
+  return res.status(404).send("Not found");
+}
+
+async function compressFile(file, size) {
+  const data = await fs.promises.readFile(file);
+  const written = [];
+  const variants = [
+    [".br", () => brotli(data, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: size > 1024 * 1024 ? 9 : zlib.constants.BROTLI_MAX_QUALITY,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: size,
+      },
+    })],
+    [".gz", () => gzip(data, { level: zlib.constants.Z_BEST_COMPRESSION })],
+  ];
+  for (const [ext, compress] of variants) {
+    const compressed = await compress();
+    // Not worth a variant unless it saves something
+    if (compressed.length < size * 0.95) {
+      await fs.promises.writeFile(file + ext, compressed);
+      written.push(ext);
+    }
+  }
+  return written;
+}
+
+/**
+ * Write .br and .gz variants next to every compressible file in `dir`
+ * (called on a fresh build, before it goes live). Existing variants shipped
+ * by the build are kept.
+ */
+export async function precompressSite(dir) {
+  const started = Date.now();
+  let files = 0;
+  let originalBytes = 0;
+  let brotliBytes = 0;
+  const walk = async (current, urlDir) => {
+    for (const entry of await fs.promises.readdir(current, { withFileTypes: true })) {
+      if (!isPublicEntry(entry, urlDir)) continue;
+      const full = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        await walk(full, `${urlDir}/${entry.name}`);
+        continue;
+      }
+      if (!entry.isFile() || !COMPRESSIBLE_RE.test(entry.name)) continue;
+      const { size } = await fs.promises.stat(full);
+      if (size < MIN_COMPRESS_BYTES) continue;
+      if (fs.existsSync(`${full}.br`) || fs.existsSync(`${full}.gz`)) continue;
+      const written = await compressFile(full, size);
+      if (written.length === 0) continue;
+      files++;
+      originalBytes += size;
+      brotliBytes += written.includes(".br") ? fs.statSync(`${full}.br`).size : size;
+    }
+  };
+  try {
+    await walk(dir, "");
+  } catch (err) {
+    console.error(`[static] Precompression of ${dir} failed: ${err.message}`);
+    return { ok: false, error: err.message };
+  }
+  console.log(
+    `[static] Precompressed ${files} files in ${dir} ` +
+      `(${originalBytes} → ${brotliBytes} bytes with brotli, ${Date.now() - started}ms)`,
+  );
+  return { ok: true, files, originalBytes, brotliBytes };
+}
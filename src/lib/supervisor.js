@@ -0,0 +1,405 @@
+import childProcess from "node:child_process";
+
+import { cmdOutputSink, sleep } from "./helpers.js";
+import { appendServiceOutput, flushServiceOutput, logServiceEvent } from "./service-logs.js";
+
+// Supervised child processes. Every long-running service the wrapper manages
+// (gateway, dashboard, dev server, prod SSR server) registers here once and
+// is then started, probed, restarted and stopped the same way:
+//
+//   stopped → starting → running → (exit) → crashed → backoff → starting …
+//
+// A service that exits without being asked to is restarted with exponential
+// backoff until it crashes more than `maxRestarts` times within `windowMs`;
+// after that it stays "crashed" until something starts it again. SIGTERM and
+// SIGINT from outside the supervisor count as an intentional stop.
+
+export const SERVICE_STATES = ["starting", "running", "crashed", "backoff", "stopped"];
+
+const DEFAULT_RESTART = {
+  policy: "on-failure", // "on-failure" | "always" | "never"
+  maxRestarts: 5,
+  windowMs: 5 * 60_000,
+  baseDelayMs: 2000,
+  maxDelayMs: 30_000,
+};
+const INTENTIONAL_SIGNALS = ["SIGTERM", "SIGINT"];
+const OUTPUT_TAIL_BYTES = 4096;
+const KILL_GRACE_MS = 2000;
+
+const services = new Map();
+
+/**
+ * Register a managed service. `definition`:
+ *   spawn(...args)    returns the ChildProcess; may do async work first.
+ *                     Receives the arguments of the last explicit start.
+ *   prepare(...args)  optional one-off work (clone, install, build) run on
+ *                     explicit starts only, never on automatic restarts.
+ *                     Throwing aborts the start.
+ *   ready()           optional readiness probe, resolves true once the
+ *                     service answers. Without one a service is running as
+ *                     soon as it is spawned.
+ *   readyTimeoutMs, readyIntervalMs
+ *   killOnReadyTimeout
+ *                     false keeps a service that hasn't answered in time
+ *                     (marked running, with a warning) instead of killing it
+ *   port              killed (lsof, then fuser) before every spawn so a
+ *                     stale process can't hold it
+ *   restart           overrides for DEFAULT_RESTART
+ *   shouldRestart({ code, signal, crashes, outputTail })
+ *                     optional veto for known fatal errors
+ *   stopTimeoutMs     SIGTERM → SIGKILL grace period
+ *   logPrefix         prefix for forwarded stdout/stderr (default `[name]`),
+ *                     or null to forward output untouched
+ */
+export function registerService(name, definition) {
+  if (services.has(name)) throw new Error(`Service already registered: ${name}`);
+  services.set(name, {
+    name,
+    definition: {
+      readyTimeoutMs: 30_000,
+      readyIntervalMs: 1000,
+      killOnReadyTimeout: true,
+      stopTimeoutMs: 10_000,
+      logPrefix: `[${name}]`,
+      ...definition,
+      restart: { ...DEFAULT_RESTART, ...definition.restart },
+    },
+    state: "stopped",
+    proc: null,
+    args: [],
+    starting: null,
+    stopping: null,
+    stopRequested: false,
+    killedUnready: null,
+    restartTimer: null,
+    crashTimes: [],
+    totalRestarts: 0,
+    totalCrashes: 0,
+    startedAt: null,
+    readyAt: null,
+    nextRestartAt: null,
+    lastExit: null,
+    lastError: null,
+    outputTail: "",
+  });
+}
+
+// Log to the console and to the service's own log
+function note(service, level, message) {
+  console[level](`[${service.name}] ${message}`);
+  logServiceEvent(service.name, message);
+}
+
+function getService(name) {
+  const service = services.get(name);
+  if (!service) throw new Error(`Unknown service: ${name}`);
+  return service;
+}
+
+/** Kill whatever is listening on `port` (left over from a previous run). */
+export async function freePort(port) {
+  let pids = "";
+  try {
+    pids = childProcess
+      .execSync(`lsof -ti:${port} 2>/dev/null || true`)
+      .toString()
+      .trim()
+      .split(/\s+/)
+      .filter((pid) => /^\d+$/.test(pid) && Number(pid) !== process.pid)
+      .join(" ");
+  } catch {}
+  try {
+    if (pids) {
+      console.log(`[supervisor] Killing stale process on port ${port}: ${pids}`);
+      childProcess.execSync(`kill -9 ${pids} 2>/dev/null || true`);
+    } else {
+      childProcess.execSync(`fuser -k ${port}/tcp 2>/dev/null || true`);
+    }
+  } catch {}
+  if (pids) await sleep(500);
+}
+
+function forwardOutput(service, stream, streamName, write) {
+  if (!stream) return;
+  const { logPrefix } = service.definition;
+  stream.on("data", (chunk) => {
+    const text = chunk.toString();
+    appendServiceOutput(service.name, streamName, text);
+    service.outputTail = (service.outputTail + text).slice(-OUTPUT_TAIL_BYTES);
+    if (logPrefix === null) {
+      write.raw(chunk);
+    } else if (text.trim()) {
+      write.line(logPrefix, text.trim());
+    }
+  });
+}
+
+const STDOUT = { raw: (c) => process.stdout.write(c), line: (p, t) => console.log(p, t) };
+const STDERR = { raw: (c) => process.stderr.write(c), line: (p, t) => console.error(p, t) };
+
+async function waitUntilReady(service, proc) {
+  const { ready, readyTimeoutMs, readyIntervalMs } = service.definition;
+  if (!ready) return true;
+  const deadline = Date.now() + readyTimeoutMs;
+  while (Date.now() < deadline) {
+    if (service.proc !== proc) return false; // exited or stopped meanwhile
+    try {
+      if (await ready()) return service.proc === proc;
+    } catch {}
+    await sleep(readyIntervalMs);
+  }
+  return false;
+}
+
+function restartDelay(restart, crashes) {
+  return Math.min(restart.baseDelayMs * 2 ** (crashes - 1), restart.maxDelayMs);
+}
+
+function handleExit(service, proc, code, signal) {
+  if (service.proc !== proc) return;
+  service.proc = null;
+  service.readyAt = null;
+  flushServiceOutput(service.name);
+  service.lastExit = { code, signal, at: new Date().toISOString() };
+  note(service, "log", `Process exited code=${code} signal=${signal}`);
+
+  if (service.stopRequested) {
+    service.state = "stopped";
+    return;
+  }
+  // Our own SIGTERM after a failed readiness probe is a crash, not a stop
+  const killedUnready = service.killedUnready === proc;
+  service.killedUnready = null;
+  if (INTENTIONAL_SIGNALS.includes(signal) && !killedUnready) {
+    note(service, "log", `Stopped by ${signal}, not restarting`);
+    service.state = "stopped";
+    return;
+  }
+
+  const { restart, shouldRestart } = service.definition;
+  const failed = code !== 0 || signal !== null;
+  if (restart.policy === "never" || (restart.policy === "on-failure" && !failed)) {
+    service.state = failed ? "crashed" : "stopped";
+    return;
+  }
+
+  const now = Date.now();
+  service.crashTimes = service.crashTimes.filter((at) => now - at < restart.windowMs);
+  service.crashTimes.push(now);
+  service.totalCrashes++;
+  const crashes = service.crashTimes.length;
+  service.state = "crashed";
+
+  if (shouldRestart && !shouldRestart({ code, signal, crashes, outputTail: service.outputTail })) {
+    note(service, "error", `Not restarting after crash ${crashes}`);
+    return;
+  }
+  if (crashes > restart.maxRestarts) {
+    service.lastError = `Crashed ${crashes} times in ${restart.windowMs / 1000}s, not restarting`;
+    note(service, "error", service.lastError);
+    return;
+  }
+
+  const delayMs = restartDelay(restart, crashes);
+  service.state = "backoff";
+  service.nextRestartAt = new Date(now + delayMs).toISOString();
+  note(service, "log", `Restarting in ${delayMs}ms (crash ${crashes}/${restart.maxRestarts})`);
+  service.restartTimer = setTimeout(() => {
+    service.restartTimer = null;
+    service.nextRestartAt = null;
+    service.totalRestarts++;
+    service.starting = launch(service, { automatic: true }).finally(() => {
+      service.starting = null;
+    });
+  }, delayMs);
+  service.restartTimer.unref?.();
+}
+
+// Run the service's prepare step with its runCmd output copied into the
+// service log (and still into a build log, when a build is the caller)
+function prepare(service) {
+  const outer = cmdOutputSink.getStore();
+  return cmdOutputSink.run(
+    (text) => {
+      outer?.(text);
+      appendServiceOutput(service.name, "prepare", text);
+    },
+    () => service.definition.prepare(...service.args),
+  );
+}
+
+// Spawn and wait for readiness. Never throws; returns { ok, output }.
+async function launch(service, { automatic }) {
+  const { definition } = service;
+  service.state = "starting";
+  service.stopRequested = false;
+  service.lastError = null;
+  service.readyAt = null;
+
+  let proc;
+  try {
+    if (!automatic && definition.prepare) await prepare(service);
+    if (service.stopRequested) {
+      service.state = "stopped";
+      return { ok: false, output: "Stopped before it started" };
+    }
+    if (definition.port) await freePort(definition.port);
+    proc = await definition.spawn(...service.args);
+  } catch (err) {
+    service.state = automatic ? "crashed" : "stopped";
+    service.lastError = err.message;
+    note(service, "error", `Start failed: ${err.message}`);
+    return { ok: false, output: err.message };
+  }
+
+  service.proc = proc;
+  service.outputTail = "";
+  service.startedAt = new Date().toISOString();
+  logServiceEvent(service.name, `Spawned pid ${proc.pid}${automatic ? " (automatic restart)" : ""}`);
+  forwardOutput(service, proc.stdout, "stdout", STDOUT);
+  forwardOutput(service, proc.stderr, "stderr", STDERR);
+  proc.on("error", (err) => {
+    service.lastError = `spawn error: ${err.message}`;
+    note(service, "error", service.lastError);
+    handleExit(service, proc, null, null);
+  });
+  proc.on("exit", (code, signal) => handleExit(service, proc, code, signal));
+  if (service.stopRequested) {
+    await terminate(proc, definition.stopTimeoutMs);
+    return { ok: false, output: "Stopped during startup" };
+  }
+
+  if (await waitUntilReady(service, proc)) {
+    service.state = "running";
+    service.readyAt = new Date().toISOString();
+    note(service, "log", `Ready (pid ${proc.pid})`);
+    return { ok: true, output: `${service.name} running (pid ${proc.pid})` };
+  }
+
+  if (service.proc === proc && !definition.killOnReadyTimeout) {
+    service.state = "running";
+    service.lastError = `Not answering after ${definition.readyTimeoutMs / 1000}s, leaving it running`;
+    note(service, "warn", service.lastError);
+    return { ok: true, output: `${service.name} started (pid ${proc.pid}) but is not answering yet` };
+  }
+  if (service.proc === proc) {
+    // Alive but never answered: kill it and let the restart policy decide
+    service.lastError = `Not ready within ${definition.readyTimeoutMs / 1000}s`;
+    note(service, "error", service.lastError);
+    service.killedUnready = proc;
+    await terminate(proc, definition.stopTimeoutMs);
+  } else if (service.stopRequested) {
+    return { ok: false, output: "Stopped during startup" };
+  } else if (!service.lastError) {
+    service.lastError = `Exited during startup (code=${service.lastExit?.code} signal=${service.lastExit?.signal})`;
+  }
+  return { ok: false, output: service.lastError };
+}
+
+// SIGTERM, then SIGKILL if the process is still there after `timeoutMs`
+async function terminate(proc, timeoutMs) {
+  if (proc.exitCode !== null || proc.signalCode !== null) return;
+  const exited = new Promise((resolve) => proc.once("exit", resolve));
+  try {
+    proc.kill("SIGTERM");
+  } catch {}
+  const timedOut = await Promise.race([exited.then(() => false), sleep(timeoutMs).then(() => true)]);
+  if (!timedOut) return;
+  console.warn(`[supervisor] pid ${proc.pid} ignored SIGTERM for ${timeoutMs}ms, sending SIGKILL`);
+  try {
+    proc.kill("SIGKILL");
+  } catch {}
+  await Promise.race([exited, sleep(KILL_GRACE_MS)]);
+}
+
+/**
+ * Start a service (no-op if it is already starting or running). `args` are
+ * passed to prepare/spawn and remembered for automatic restarts.
+ * Returns `{ ok, output }`.
+ */
+export async function startService(name, ...args) {
+  const service = getService(name);
+  if (service.stopping) await service.stopping;
+  if (service.starting) return service.starting;
+  if (service.proc) return { ok: true, output: `${name} already running` };
+
+  clearTimeout(service.restartTimer);
+  service.restartTimer = null;
+  service.nextRestartAt = null;
+  service.crashTimes = [];
+  service.args = args;
+  service.starting = launch(service, { automatic: false });
+  try {
+    return await service.starting;
+  } finally {
+    service.starting = null;
+  }
+}
+
+/** Stop a service and cancel any pending restart. Resolves once it is gone. */
+export async function stopService(name) {
+  const service = getService(name);
+  service.stopRequested = true;
+  clearTimeout(service.restartTimer);
+  service.restartTimer = null;
+  service.nextRestartAt = null;
+  if (service.stopping) return service.stopping;
+
+  const proc = service.proc;
+  if (!proc) {
+    if (!service.starting) service.state = "stopped";
+    return;
+  }
+  note(service, "log", "Stopping...");
+  service.stopping = terminate(proc, service.definition.stopTimeoutMs);
+  try {
+    await service.stopping;
+  } finally {
+    service.stopping = null;
+    if (service.proc === proc) service.proc = null;
+    service.state = "stopped";
+  }
+}
+
+/** Stop then start again with `args` (or the last start's arguments). */
+export async function restartService(name, ...args) {
+  const service = getService(name);
+  await stopService(name);
+  if (service.starting) await service.starting;
+  return startService(name, ...(args.length ? args : service.args));
+}
+
+/** The live ChildProcess of a service, or null. */
+export function getServiceProcess(name) {
+  return services.get(name)?.proc || null;
+}
+
+/** Public state of one service (no arguments, which may hold tokens). */
+export function getServiceState(name) {
+  const service = getService(name);
+  const { restart } = service.definition;
+  const now = Date.now();
+  return {
+    name,
+    state: service.state,
+    pid: service.proc?.pid || null,
+    startedAt: service.proc ? service.startedAt : null,
+    readyAt: service.readyAt,
+    restarts: service.totalRestarts,
+    crashes: service.totalCrashes,
+    recentCrashes: service.crashTimes.filter((at) => now - at < restart.windowMs).length,
+    nextRestartAt: service.nextRestartAt,
+    lastExit: service.lastExit,
+    lastError: service.lastError,
+  };
+}
+
+export function listServices() {
+  return [...services.keys()].map(getServiceState);
+}
+
+/** Stop every registered service in parallel (shutdown). */
+export async function stopAllServices() {
+  await Promise.all([...services.keys()].map((name) => stopService(name)));
+}
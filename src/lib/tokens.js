@@ -0,0 +1,209 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+import { STATE_DIR } from "./constants.js";
+
+// Scoped API tokens for automation (claw CLI, Gerald's own tool calls, CI).
+// Only a SHA-256 of each token is stored; the token itself is shown once on
+// creation. Scopes name what a token may do; routes declare the scope they
+// need alongside their role (see requireRole in auth.js).
+
+export const TOKEN_SCOPES = [
+  "rebuild:production",
+  "rebuild:dev",
+  "rebuild:dashboard",
+  "rebuild:workspace",
+  "publish",
+  "builds:read",
+  "releases:read",
+  "releases:write",
+  "previews:read",
+  "gateway:status",
+  "gateway:restart",
+  "export:read",
+  "backups:read",
+  "backups:write",
+  "secrets:read",
+  "secrets:write",
+  "logs:read",
+  "metrics:read",
+  "health:read",
+  "health:write",
+  "metadata:read",
+  "metadata:write",
+  "redirects:read",
+  "redirects:write",
+  "domains:read",
+  "domains:write",
+  "routing:read",
+  "routing:write",
+  "dev-access:read",
+  "dev-access:write",
+  "reviews:read",
+  "reviews:write",
+  "feedback:read",
+  "feedback:write",
+  "security:read",
+  "security:write",
+];
+
+// Scopes for the token handed to the gateway as CLAW_TOKEN
+export const GERALD_TOKEN_SCOPES = [
+  "rebuild:dev",
+  "rebuild:production",
+  "publish",
+  "builds:read",
+  "releases:read",
+  "previews:read",
+  "gateway:status",
+  "gateway:restart",
+  "metadata:read",
+  "metadata:write",
+  "redirects:read",
+  "redirects:write",
+  "reviews:read",
+  "reviews:write",
+  "feedback:read",
+  "feedback:write",
+];
+
+const TOKEN_PREFIX = "gat_";
+const LAST_USED_RESOLUTION_MS = 60_000;
+
+function tokensPath() {
+  return path.join(STATE_DIR, "api-tokens.json");
+}
+
+function readTokens() {
+  try {
+    const data = JSON.parse(fs.readFileSync(tokensPath(), "utf8"));
+    return Array.isArray(data.tokens) ? data.tokens : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeTokens(tokens) {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  fs.writeFileSync(tokensPath(), JSON.stringify({ tokens }, null, 2), {
+    mode: 0o600,
+  });
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function publicToken({ hash, ...rest }) {
+  return rest;
+}
+
+function isExpired(record, now = Date.now()) {
+  return Boolean(record.expiresAt) && Date.parse(record.expiresAt) <= now;
+}
+
+/** Valid scope names: a known scope, "*" or "<group>:*". */
+export function isValidScope(scope) {
+  if (scope === "*" || TOKEN_SCOPES.includes(scope)) return true;
+  const group = /^([a-z]+):\*$/.exec(scope)?.[1];
+  return Boolean(group) && TOKEN_SCOPES.some((s) => s.startsWith(`${group}:`));
+}
+
+export function hasScope(granted, needed) {
+  if (!Array.isArray(granted)) return false;
+  if (granted.includes("*") || granted.includes(needed)) return true;
+  const group = needed.split(":")[0];
+  return needed.includes(":") && granted.includes(`${group}:*`);
+}
+
+export function listTokens() {
+  const now = Date.now();
+  return readTokens().map((t) => ({
+    ...publicToken(t),
+    expired: isExpired(t, now),
+  }));
+}
+
+/**
+ * Create a token. `expiresAt` is an ISO date or null for no expiry.
+ * Returns `{ ok, token, record }`; `token` is never retrievable again.
+ */
+export function createToken({ name, scopes, expiresAt = null, createdBy = null, system = false }) {
+  if (!name || typeof name !== "string") {
+    return { ok: false, error: "Token name required" };
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { ok: false, error: "At least one scope required" };
+  }
+  const invalid = scopes.filter((s) => !isValidScope(s));
+  if (invalid.length > 0) {
+    return { ok: false, error: `Unknown scope(s): ${invalid.join(", ")}` };
+  }
+  if (expiresAt !== null && Number.isNaN(Date.parse(expiresAt))) {
+    return { ok: false, error: `Invalid expiry: ${expiresAt}` };
+  }
+
+  const id = crypto.randomBytes(6).toString("hex");
+  const token = `${TOKEN_PREFIX}${id}_${crypto.randomBytes(24).toString("base64url")}`;
+  const record = {
+    id,
+    name: name.trim().slice(0, 100),
+    scopes: [...new Set(scopes)],
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    lastUsedAt: null,
+    createdBy,
+    ...(system ? { system: true } : {}),
+    hash: hashToken(token),
+  };
+
+  const tokens = readTokens();
+  tokens.push(record);
+  writeTokens(tokens);
+  console.log(`[tokens] Created ${record.id} "${record.name}" (${record.scopes.join(", ")})`);
+  return { ok: true, token, record: publicToken(record) };
+}
+
+export function revokeToken(id) {
+  const tokens = readTokens();
+  const remaining = tokens.filter((t) => t.id !== id);
+  if (remaining.length === tokens.length) return false;
+  writeTokens(remaining);
+  console.log(`[tokens] Revoked ${id}`);
+  return true;
+}
+
+/** Look up a presented token; returns its public record or null. */
+export function verifyToken(token) {
+  if (typeof token !== "string" || !token.startsWith(TOKEN_PREFIX)) return null;
+  const hash = hashToken(token);
+  const tokens = readTokens();
+  const record = tokens.find(
+    (t) =>
+      t.hash.length === hash.length &&
+      crypto.timingSafeEqual(Buffer.from(t.hash), Buffer.from(hash)),
+  );
+  if (!record || isExpired(record)) return null;
+
+  // Track usage without rewriting the file on every request
+  const now = Date.now();
+  if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+    record.lastUsedAt = new Date(now).toISOString();
+    try {
+      writeTokens(tokens);
+    } catch {}
+  }
+  return publicToken(record);
+}
+
+/**
+ * Mint a fresh system token called `name`, replacing any previous one (only
+ * the hash is stored, so the old value can't be handed out again).
+ */
+export function issueSystemToken(name, scopes) {
+  const tokens = readTokens();
+  const remaining = tokens.filter((t) => !(t.system && t.name === name));
+  if (remaining.length !== tokens.length) writeTokens(remaining);
+  return createToken({ name, scopes, createdBy: "system", system: true }).token;
+}
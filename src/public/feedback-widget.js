@@ -0,0 +1,240 @@
+// Gerald feedback widget - injected into dev site pages when `feedbackWidget`
+// is enabled. Click "Feedback", pick an element, leave a comment; the comment
+// is posted with the element's selector and a screenshot (see src/lib/feedback.js).
+
+(function () {
+  if (window.__geraldFeedback || window.top !== window) return;
+  window.__geraldFeedback = true;
+
+  var POST_PATH = '/__gerald/feedback';
+  // Served by the wrapper, loaded only when a screenshot is taken; without it
+  // comments go out without one
+  var HTML2CANVAS_URL = '/__gerald/html2canvas.js';
+  var MAX_SCREENSHOT_WIDTH = 1280;
+  var ACCENT = '#00ff87';
+
+  var host = document.createElement('div');
+  host.id = 'gerald-feedback';
+  host.style.cssText = 'position:fixed;inset:0;pointer-events:none;z-index:2147483646';
+  var root = host.attachShadow ? host.attachShadow({ mode: 'open' }) : host;
+  root.innerHTML =
+    '<style>' +
+    ':host,*{box-sizing:border-box;font:14px/1.4 system-ui,sans-serif}' +
+    '.btn{pointer-events:auto;border:0;border-radius:6px;padding:8px 14px;cursor:pointer;font-weight:600;background:' + ACCENT + ';color:#0a0a0f}' +
+    '.btn.secondary{background:#1e293b;color:#e2e8f0}' +
+    '.btn:disabled{opacity:.6;cursor:default}' +
+    '#open{position:fixed;right:16px;bottom:16px;box-shadow:0 2px 8px rgba(0,0,0,.3)}' +
+    '#outline{position:fixed;display:none;border:2px solid ' + ACCENT + ';background:rgba(0,255,135,.08);border-radius:2px;transition:all .05s}' +
+    '#tip{position:fixed;left:50%;top:12px;transform:translateX(-50%);display:none;background:#0a0a0f;color:#e2e8f0;padding:8px 14px;border-radius:6px;box-shadow:0 2px 8px rgba(0,0,0,.3)}' +
+    '#panel{position:fixed;right:16px;bottom:16px;width:320px;display:none;pointer-events:auto;background:#0a0a0f;color:#e2e8f0;padding:12px;border-radius:8px;box-shadow:0 4px 16px rgba(0,0,0,.4)}' +
+    '#panel code{display:block;margin:0 0 8px;color:#94a3b8;font:12px ui-monospace,monospace;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}' +
+    '#panel textarea{width:100%;min-height:90px;margin:0 0 8px;padding:8px;border-radius:6px;border:1px solid #334155;background:#111827;color:#e2e8f0;resize:vertical}' +
+    '#panel .row{display:flex;gap:8px;justify-content:flex-end;align-items:center}' +
+    '#status{flex:1;color:#94a3b8;font-size:12px}' +
+    '</style>' +
+    '<div id="outline"></div>' +
+    '<div id="tip">Click the part of the page you want to comment on · Esc to cancel</div>' +
+    '<button type="button" class="btn" id="open">Feedback</button>' +
+    '<div id="panel">' +
+    '<code id="target"></code>' +
+    '<textarea id="comment" placeholder="What should change here?"></textarea>' +
+    '<div class="row"><span id="status"></span>' +
+    '<button type="button" class="btn secondary" id="cancel">Cancel</button>' +
+    '<button type="button" class="btn" id="send">Send</button></div>' +
+    '</div>';
+
+  function $(id) {
+    return root.getElementById ? root.getElementById(id) : root.querySelector('#' + id);
+  }
+
+  var openBtn = $('open');
+  var outline = $('outline');
+  var tip = $('tip');
+  var panel = $('panel');
+  var targetEl = $('target');
+  var commentEl = $('comment');
+  var statusEl = $('status');
+  var sendBtn = $('send');
+
+  var picking = false;
+  var selected = null;
+
+  function escapeCss(value) {
+    return window.CSS && CSS.escape ? CSS.escape(value) : value.replace(/[^a-zA-Z0-9_-]/g, '\\$&');
+  }
+
+  // A selector that finds `el` again: nearest id, then tag.class:nth-of-type steps
+  function selectorFor(el) {
+    var parts = [];
+    while (el && el.nodeType === 1 && el !== document.documentElement) {
+      if (el.id && document.querySelectorAll('#' + escapeCss(el.id)).length === 1) {
+        parts.unshift('#' + escapeCss(el.id));
+        break;
+      }
+      var part = el.tagName.toLowerCase();
+      var classes = Array.prototype.filter.call(el.classList, function (c) {
+        // Skip generated class names (CSS modules, Astro scoping, Tailwind state)
+        return !/^(astro-|svelte-|css-|_)|[:[\]/]/.test(c);
+      }).slice(0, 2);
+      if (classes.length) part += '.' + classes.map(escapeCss).join('.');
+      var parent = el.parentElement;
+      if (parent) {
+        var same = Array.prototype.filter.call(parent.children, function (c) {
+          return c.tagName === el.tagName;
+        });
+        if (same.length > 1) part += ':nth-of-type(' + (same.indexOf(el) + 1) + ')';
+      }
+      parts.unshift(part);
+      if (el.tagName === 'BODY') break;
+      el = parent;
+    }
+    return parts.join(' > ');
+  }
+
+  function showOutline(el) {
+    var r = el.getBoundingClientRect();
+    outline.style.display = 'block';
+    outline.style.left = r.left + 'px';
+    outline.style.top = r.top + 'px';
+    outline.style.width = r.width + 'px';
+    outline.style.height = r.height + 'px';
+  }
+
+  function onMove(e) {
+    if (e.target === host) return;
+    showOutline(e.target);
+  }
+
+  function onClick(e) {
+    if (e.target === host) return;
+    e.preventDefault();
+    e.stopPropagation();
+    selected = e.target;
+    stopPicking();
+    showOutline(selected);
+    targetEl.textContent = selectorFor(selected);
+    statusEl.textContent = '';
+    panel.style.display = 'block';
+    commentEl.focus();
+  }
+
+  function onKey(e) {
+    if (e.key === 'Escape') reset();
+  }
+
+  function startPicking() {
+    picking = true;
+    openBtn.style.display = 'none';
+    tip.style.display = 'block';
+    document.addEventListener('mousemove', onMove, true);
+    document.addEventListener('click', onClick, true);
+    document.addEventListener('keydown', onKey, true);
+  }
+
+  function stopPicking() {
+    picking = false;
+    tip.style.display = 'none';
+    document.removeEventListener('mousemove', onMove, true);
+    document.removeEventListener('click', onClick, true);
+  }
+
+  function reset() {
+    if (picking) stopPicking();
+    document.removeEventListener('keydown', onKey, true);
+    selected = null;
+    outline.style.display = 'none';
+    panel.style.display = 'none';
+    openBtn.style.display = '';
+    commentEl.value = '';
+    sendBtn.disabled = false;
+  }
+
+  function loadHtml2canvas() {
+    if (window.html2canvas) return Promise.resolve(window.html2canvas);
+    return new Promise(function (resolve, reject) {
+      var script = document.createElement('script');
+      script.src = HTML2CANVAS_URL;
+      script.onload = function () { resolve(window.html2canvas); };
+      script.onerror = reject;
+      document.head.appendChild(script);
+    });
+  }
+
+  // The visible viewport with the picked element outlined, as a JPEG data URL
+  function screenshot(rect) {
+    return loadHtml2canvas().then(function (html2canvas) {
+      var scale = Math.min(1, MAX_SCREENSHOT_WIDTH / window.innerWidth);
+      return html2canvas(document.documentElement, {
+        x: window.scrollX,
+        y: window.scrollY,
+        width: window.innerWidth,
+        height: window.innerHeight,
+        scale: scale,
+        logging: false,
+        useCORS: true,
+        ignoreElements: function (el) { return el === host; },
+      }).then(function (canvas) {
+        var ctx = canvas.getContext('2d');
+        ctx.strokeStyle = '#ff2d55';
+        ctx.lineWidth = 3;
+        ctx.strokeRect(rect.x * scale, rect.y * scale, rect.width * scale, rect.height * scale);
+        return canvas.toDataURL('image/jpeg', 0.7);
+      });
+    }).catch(function () {
+      return null;
+    });
+  }
+
+  function send() {
+    var comment = commentEl.value.trim();
+    if (!comment || !selected) return;
+    sendBtn.disabled = true;
+    statusEl.textContent = 'Taking screenshot…';
+
+    var r = selected.getBoundingClientRect();
+    var rect = { x: r.left, y: r.top, width: r.width, height: r.height };
+    var payload = {
+      comment: comment,
+      url: location.href,
+      selector: selectorFor(selected),
+      tag: selected.tagName.toLowerCase(),
+      text: (selected.innerText || '').trim().slice(0, 500),
+      html: selected.outerHTML.slice(0, 2000),
+      rect: rect,
+      viewport: { width: window.innerWidth, height: window.innerHeight },
+    };
+
+    screenshot(rect).then(function (image) {
+      if (image) payload.screenshot = image;
+      statusEl.textContent = 'Sending…';
+      return fetch(POST_PATH, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json', 'X-Gerald-Feedback': '1' },
+        body: JSON.stringify(payload),
+      });
+    }).then(function (res) {
+      return res.json().catch(function () { return { ok: false }; });
+    }).then(function (data) {
+      if (!data.ok) throw new Error(data.error || 'Could not send');
+      statusEl.textContent = 'Sent to Gerald ✓';
+      setTimeout(reset, 1500);
+    }).catch(function (err) {
+      statusEl.textContent = err.message || 'Could not send';
+      sendBtn.disabled = false;
+    });
+  }
+
+  openBtn.addEventListener('click', startPicking);
+  $('cancel').addEventListener('click', reset);
+  sendBtn.addEventListener('click', send);
+  commentEl.addEventListener('keydown', function (e) {
+    if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) send();
+  });
+
+  function mount() {
+    document.body.appendChild(host);
+  }
+  if (document.body) mount();
+  else document.addEventListener('DOMContentLoaded', mount);
+})();
@@ -3,12 +3,13 @@ import crypto from "node:crypto";
 import fs from "node:fs";
 import os from "node:os";
 import path from "node:path";
+import { Transform } from "node:stream";
+import { pipeline } from "node:stream/promises";
 
 import cookieParser from "cookie-parser";
 import express from "express";
 import httpProxy from "http-proxy";
 import sendgrid from "@sendgrid/mail";
-import * as tar from "tar";
 
 // ── Module imports ────────────────────────────────────────────────────────
 import {
@@ -31,6 +32,8 @@ import {
   DASHBOARD_TARGET,
   DASHBOARD_DIR,
   INTERNAL_API_KEY,
+  BACKUPS_DIR,
+  IMPORT_MAX_BYTES,
 } from "./lib/constants.js";
 import { runCmd, sleep, safeRemoveDir, debug, clawArgs } from "./lib/helpers.js";
 import {
@@ -42,23 +45,194 @@ import {
   getClientDomain,
 } from "./lib/config.js";
 import { restorePersistedTools, startTailscale } from "./lib/startup.js";
-import { requireSetupAuth } from "./lib/auth.js";
-import { getGitHubToken, GITHUB_CLIENT_ID, GITHUB_CLIENT_SECRET } from "./lib/github.js";
-import { setupCloudflareDNS, createTurnstileWidget } from "./lib/cloudflare.js";
+import {
+  requireSetupAuth,
+  requireRole,
+  leaveToDashboard,
+  resolvePrincipal,
+  roleForIdentity,
+  verifyTelegramLogin,
+  createSession,
+  destroySession,
+  readAuthConfig,
+  writeAuthConfig,
+  hashSecret,
+  SESSION_COOKIE,
+  SESSION_TTL_MS,
+  upgradeAllowed,
+} from "./lib/auth.js";
+import {
+  clientIp,
+  createShareLink,
+  devAccessMethod,
+  devUpgradeAllowed,
+  enforceDevAccess,
+  readDevAccess,
+  rotateShareSecret,
+  updateDevAccess,
+} from "./lib/dev-access.js";
+import {
+  DEFAULT_ROUTES,
+  TARGET_TYPES,
+  getRoutes,
+  resetRoutes,
+  resolveRoute,
+  staticRouteDir,
+  writeRoutes,
+} from "./lib/routing.js";
+import { listTokens, createToken, revokeToken } from "./lib/tokens.js";
+import {
+  CODEX_AUTH_PATH,
+  readSecretFile,
+  writeSecretFile,
+  removeSecretFile,
+  getVaultStatus,
+  listSecrets,
+  setSecret,
+  deleteSecret,
+  readAuditLog,
+  migrateSecretsToVault,
+  syncRuntimeSecrets,
+  isVaultEnabled,
+} from "./lib/secrets.js";
+import {
+  getGitHubToken,
+  GITHUB_CLIENT_ID,
+  GITHUB_CLIENT_SECRET,
+  generateWebhookSecret,
+  getWebhookSecret,
+  verifyWebhookSignature,
+  registerWebhook,
+} from "./lib/github.js";
+import {
+  setupCloudflareDNS,
+  createTurnstileWidget,
+  railwayCnameTarget,
+  updateTurnstileDomains,
+} from "./lib/cloudflare.js";
+import {
+  DOMAIN_ROLES,
+  addDomain,
+  getDomains,
+  normalizeDomain,
+  removeDomain,
+  siteDomains,
+  updateDomain,
+} from "./lib/domains.js";
 import { setupSendGridDomainAuth } from "./lib/sendgrid.js";
-import { cloneAndBuild, autoSaveDevChanges, pullDevBranch, serveStaticSite } from "./lib/site-builder.js";
+import {
+  CSP_REPORT_PATH,
+  applySecurityHeaders,
+  clearCspReports,
+  listCspReports,
+  profileForRoute,
+  recordCspReports,
+  securityHeaders,
+} from "./lib/security-headers.js";
+import { cloneAndBuild, autoSaveDevChanges, pullDevBranch } from "./lib/site-builder.js";
+import { serveStaticSite, siteModeFor } from "./lib/static-server.js";
+import {
+  applyProxiedSiteRules,
+  describeSiteRules,
+  readRedirectsConfig,
+  writeRedirectsConfig,
+} from "./lib/redirects.js";
+import { deployProductionRelease, activateRelease, listReleases, getActiveReleaseId, isValidReleaseId } from "./lib/releases.js";
+import { publishDevToProduction } from "./lib/publish.js";
+import { createExportStream, restoreArchive, isRestoreInProgress } from "./lib/backup.js";
+import { listBackups, getBackupStatus, getBackupFile, runBackup, deleteBackup, applyBackupRetention, startBackupScheduler } from "./lib/backup-scheduler.js";
+import { buildPreview, removePreview, listPreviews, parsePreviewHost, getPreviewDir } from "./lib/previews.js";
+import {
+  REVIEW_APPROVE_PATH,
+  createReview,
+  buildReview,
+  getReview,
+  listReviews,
+  updateReview,
+  removeReview,
+  pruneReviews,
+  startReviewPruner,
+  parseReviewHost,
+  getReviewDir,
+  injectReviewBanner,
+} from "./lib/reviews.js";
+import {
+  FEEDBACK_SCRIPT_PATH,
+  FEEDBACK_POST_PATH,
+  HTML2CANVAS_FILE,
+  HTML2CANVAS_PATH,
+  allowFeedbackFrom,
+  feedbackEnabled,
+  setFeedbackEnabled,
+  injectFeedbackScript,
+  saveFeedback,
+  listFeedback,
+  getFeedback,
+  feedbackScreenshotPath,
+  removeFeedback,
+  forwardFeedback,
+} from "./lib/feedback.js";
+import {
+  enqueueBuild,
+  waitForBuild,
+  listBuilds,
+  getBuild,
+  publicJob,
+  readBuildLog,
+  followBuildLog,
+} from "./lib/build-queue.js";
 import { startDevServer, stopDevServer, restartDevServer, getDevServerProcess } from "./lib/dev-server.js";
 import { isProdSSR, startProdServer, stopProdServer, restartProdServer, getProdServerProcess } from "./lib/prod-server.js";
 import { setupDashboard, setupWorkspace, startDashboard, stopDashboard, getDashboardProcess } from "./lib/dashboard.js";
 import {
-  startGateway,
-  waitForGatewayReady,
   ensureGatewayRunning,
   restartGateway,
   buildOnboardArgs,
   getGatewayProc,
   isGatewayStarting,
 } from "./lib/gateway.js";
+import { getServiceState, listServices, stopAllServices } from "./lib/supervisor.js";
+import { describeServiceLog, followServiceLog, queryServiceLog } from "./lib/service-logs.js";
+import {
+  getHealthHistory,
+  getHealthHourly,
+  getHealthSettings,
+  getHealthSummary,
+  getHealthVitals,
+  getHealthWorkouts,
+  ingestHealthData,
+  isValidHealthMetric,
+  resolveHealthUser,
+  updateHealthSettings,
+} from "./lib/health.js";
+import { isValidHealthUser } from "./lib/health-store.js";
+import {
+  METADATA_FILES,
+  canonicalOrigin,
+  canonicalUrl,
+  deleteMetadataTemplate,
+  readMetadataSettings,
+  readMetadataTemplate,
+  resolveMetadataFile,
+  resolveSitemap,
+  writeMetadataSettings,
+  writeMetadataTemplate,
+} from "./lib/site-metadata.js";
+import {
+  metricsMiddleware,
+  proxyTargetName,
+  recordProxyError,
+  renderMetrics,
+  trackWebSocket,
+} from "./lib/metrics.js";
+
+// ── Startup: move plaintext credentials into the secrets vault ─────────
+if (isVaultEnabled()) {
+  migrateSecretsToVault();
+  // Codex and the gateway rewrite their files (a refreshed token, a config
+  // change); keep the vault in step and move the files back off the volume
+  setInterval(() => syncRuntimeSecrets({ actor: 'sync' }), 60_000).unref();
+}
 
 // ── Startup: restore persistent tools ─────────────────────────────────
 restorePersistedTools();
@@ -66,10 +240,28 @@ restorePersistedTools();
 // ── Token already resolved in config.js ──────────────────────────────
 // OPENCLAW_GATEWAY_TOKEN is imported from config.js (single source of truth)
 
+const HEALTH_INGEST_PATH = '/api/health/ingest';
+
 const app = express();
 app.set('trust proxy', 1);
 app.disable("x-powered-by");
-app.use(express.json({ limit: "1mb" }));
+app.use(metricsMiddleware);
+// The wrapper's own pages and API; serveRoute() swaps in the route's profile
+app.use((req, res, next) => {
+  applySecurityHeaders(req, res, 'wrapper');
+  next();
+});
+const jsonBody = express.json({
+  limit: "1mb",
+  // Webhook signatures are computed over the exact bytes GitHub sent
+  verify: (req, _res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhook/')) req.rawBody = buf;
+  },
+});
+// Health exports and feedback screenshots are bigger than 1mb; those routes
+// parse their own bodies
+app.use((req, res, next) =>
+  req.path === HEALTH_INGEST_PATH || req.path === FEEDBACK_POST_PATH ? next() : jsonBody(req, res, next));
 app.use(cookieParser());
 
 async function enforceGatewayRuntimeDefaults() {
@@ -165,8 +357,8 @@ app.get("/setup/healthz", (_req, res) => {
   res.json(health);
 });
 
-// Diagnostic endpoint - no auth required
-app.get("/setup/diagnostic", (_req, res) => {
+// Diagnostic endpoint - lists state files and env details, so admin only
+app.get("/setup/diagnostic", requireSetupAuth, (_req, res) => {
   const stateFiles = fs.existsSync(STATE_DIR) ? fs.readdirSync(STATE_DIR) : [];
   const workspaceFiles = fs.existsSync(WORKSPACE_DIR) ? fs.readdirSync(WORKSPACE_DIR).slice(0, 20) : [];
   
@@ -272,6 +464,7 @@ app.get("/status", (_req, res) => {
     site: {
       production: fs.existsSync(path.join(PRODUCTION_DIR, 'index.html')),
       dev: fs.existsSync(path.join(DEV_DIR, 'dist', 'index.html')) || fs.existsSync(path.join(DEV_DIR, 'index.html')),
+      productionMode: siteModeFor(PRODUCTION_DIR),
     },
     timestamp: new Date().toISOString(),
   });
@@ -296,7 +489,156 @@ app.get("/setup", requireSetupAuth, (_req, res) => {
 });
 
 // ── Auth Endpoints ─────────────────────────────────────────────────────────
-// Wrapper auth removed - Dashboard handles its own authentication
+// Sessions for people (Telegram login widget or emailed magic link). The
+// setup password and API keys are checked per request by requireRole().
+
+const MAGIC_LINK_TTL_MS = 15 * 60 * 1000;
+
+function setSessionCookie(req, res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    secure: req.secure,
+    sameSite: 'lax',
+    maxAge: SESSION_TTL_MS,
+    path: '/',
+  });
+}
+
+// Only same-site relative redirects after login
+function safeNextPath(next) {
+  return typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') ? next : '/';
+}
+
+// Start a session for a verified Telegram widget payload. Returns the
+// principal, or null after sending the error response.
+function handleTelegramLogin(req, res, data) {
+  const telegramId = verifyTelegramLogin(data);
+  if (!telegramId) {
+    res.status(401).json({ ok: false, error: 'Invalid Telegram login' });
+    return null;
+  }
+  const role = roleForIdentity(`telegram:${telegramId}`);
+  if (!role) {
+    console.warn(`[auth] Telegram user ${telegramId} is not allowed`);
+    res.status(403).json({ ok: false, error: 'This Telegram account is not allowed' });
+    return null;
+  }
+  const name = [data.first_name, data.last_name].filter(Boolean).join(' ') || data.username || null;
+  setSessionCookie(req, res, createSession('telegram', telegramId, name));
+  console.log(`[auth] Telegram login: ${telegramId} (${role})`);
+  return { kind: 'telegram', id: telegramId, name, role };
+}
+
+// Telegram login widget: POST (data-onauth callback) or GET (data-auth-url redirect)
+app.post('/auth/telegram', (req, res) => {
+  try {
+    const principal = handleTelegramLogin(req, res, req.body || {});
+    if (principal) res.json({ ok: true, principal });
+  } catch (err) {
+    console.error('[auth/telegram]', err);
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+app.get('/auth/telegram', (req, res) => {
+  try {
+    const { next, ...data } = req.query;
+    if (handleTelegramLogin(req, res, data)) res.redirect(safeNextPath(next));
+  } catch (err) {
+    console.error('[auth/telegram]', err);
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+// Email magic link. The response is the same whether or not the address is
+// allowed so the endpoint can't be used to probe the allow-list.
+app.post('/auth/email', async (req, res) => {
+  try {
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    if (!email.includes('@')) {
+      return res.status(400).json({ ok: false, error: 'Email required' });
+    }
+
+    const sendgridConfig = readSecretFile('sendgrid', { actor: 'auth' });
+    if (!sendgridConfig?.apiKey || !sendgridConfig?.senderEmail) {
+      return res.status(503).json({ ok: false, error: 'Email login is not configured' });
+    }
+
+    if (roleForIdentity(`email:${email}`)) {
+      const token = crypto.randomBytes(32).toString('base64url');
+      const authConfig = readAuthConfig();
+      const now = Date.now();
+      for (const [key, link] of Object.entries(authConfig.magicLinks)) {
+        if (link.expiresAt < now) delete authConfig.magicLinks[key];
+      }
+      authConfig.magicLinks[hashSecret(token)] = { email, expiresAt: now + MAGIC_LINK_TTL_MS };
+      writeAuthConfig(authConfig);
+
+      // Never build the link from the Host header (it's attacker-controlled)
+      const clientDomain = getClientDomain();
+      const base = clientDomain ? `https://gerald.${clientDomain}` : `https://${process.env.RAILWAY_PUBLIC_DOMAIN || 'localhost'}`;
+      const link = `${base}/auth/email/verify?token=${token}&next=${encodeURIComponent(safeNextPath(req.body?.next))}`;
+
+      sendgrid.setApiKey(sendgridConfig.apiKey);
+      await sendgrid.send({
+        to: email,
+        from: { email: sendgridConfig.senderEmail, name: sendgridConfig.contactFromName || 'Gerald' },
+        subject: 'Your Gerald sign-in link',
+        text: `Sign in to Gerald: ${link}\n\nThis link expires in 15 minutes. If you didn't ask for it, ignore this email.`,
+      });
+      console.log(`[auth] Magic link sent to ${email}`);
+    } else {
+      console.warn(`[auth] Magic link requested for non-allowed email ${email}`);
+    }
+
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[auth/email]', err);
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+app.get('/auth/email/verify', (req, res) => {
+  try {
+    const token = String(req.query.token || '');
+    const authConfig = readAuthConfig();
+    const key = hashSecret(token);
+    const link = authConfig.magicLinks[key];
+    if (!token || !link) {
+      return res.status(401).type('text/plain').send('This sign-in link is invalid or has already been used.');
+    }
+    delete authConfig.magicLinks[key];
+    writeAuthConfig(authConfig);
+    if (link.expiresAt < Date.now()) {
+      return res.status(401).type('text/plain').send('This sign-in link has expired.');
+    }
+    if (!roleForIdentity(`email:${link.email}`)) {
+      return res.status(403).type('text/plain').send('This email address is no longer allowed.');
+    }
+
+    setSessionCookie(req, res, createSession('email', link.email, link.email));
+    console.log(`[auth] Email login: ${link.email}`);
+    res.redirect(safeNextPath(req.query.next));
+  } catch (err) {
+    console.error('[auth/email/verify]', err);
+    res.status(500).type('text/plain').send(String(err));
+  }
+});
+
+app.post('/auth/logout', (req, res) => {
+  destroySession(req.cookies?.[SESSION_COOKIE]);
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+  res.json({ ok: true });
+});
+
+// Who am I? (any principal: session, password or API key)
+app.get('/auth/me', (req, res) => {
+  const principal = resolvePrincipal(req);
+  if (!principal) {
+    return res.status(401).json({ ok: false, error: 'Not signed in' });
+  }
+  res.json({ ok: true, principal });
+});
 
 // Cache openclaw version to avoid repeated subprocess spawns on every page load
 let cachedOpenClawVersion = null;
@@ -432,10 +774,7 @@ app.get("/setup/api/status", requireSetupAuth, async (_req, res) => {
   // Check SendGrid configuration
   let sendgridConfig = null;
   try {
-    const sgPath = path.join(STATE_DIR, "sendgrid.json");
-    if (fs.existsSync(sgPath)) {
-      sendgridConfig = JSON.parse(fs.readFileSync(sgPath, "utf8"));
-    }
+    sendgridConfig = readSecretFile("sendgrid", { actor: "setup" });
   } catch (err) {
     console.error("[setup/status] Failed to read sendgrid.json:", err);
   }
@@ -545,8 +884,7 @@ app.post('/setup/api/github/poll-auth', requireSetupAuth, async (req, res) => {
     const userData = await userRes.json();
     const username = userData.login;
 
-    // Store token in github-oauth.json
-    fs.mkdirSync(STATE_DIR, { recursive: true });
+    // Store token in github-oauth.json (secret fields go to the vault)
     const oauthData = {
       access_token: access_token,
       token_type: data.token_type || 'bearer',
@@ -555,11 +893,7 @@ app.post('/setup/api/github/poll-auth', requireSetupAuth, async (req, res) => {
       connected_at: new Date().toISOString()
     };
 
-    fs.writeFileSync(
-      path.join(STATE_DIR, 'github-oauth.json'),
-      JSON.stringify(oauthData, null, 2),
-      { mode: 0o600 }
-    );
+    writeSecretFile('github-oauth', oauthData, { actor: 'setup' });
 
     res.json({
       status: 'success',
@@ -641,9 +975,8 @@ app.get('/setup/api/github/repos', requireSetupAuth, async (req, res) => {
 
 app.get('/setup/api/github/status', requireSetupAuth, async (req, res) => {
   try {
-    const oauthPath = path.join(STATE_DIR, 'github-oauth.json');
-    if (fs.existsSync(oauthPath)) {
-      const oauth = JSON.parse(fs.readFileSync(oauthPath, 'utf8'));
+    const oauth = readSecretFile('github-oauth', { actor: 'setup' });
+    if (oauth) {
       if (oauth.access_token && oauth.username) {
         return res.json({
           connected: true,
@@ -660,10 +993,7 @@ app.get('/setup/api/github/status', requireSetupAuth, async (req, res) => {
 
 app.post('/setup/api/github/disconnect', requireSetupAuth, async (req, res) => {
   try {
-    const oauthPath = path.join(STATE_DIR, 'github-oauth.json');
-    if (fs.existsSync(oauthPath)) {
-      fs.unlinkSync(oauthPath);
-    }
+    removeSecretFile('github-oauth', { actor: 'setup' });
     res.json({ ok: true });
   } catch (err) {
     console.error('[github-auth] disconnect error:', err);
@@ -762,7 +1092,6 @@ app.post('/api/github/poll-auth', requireSetupAuth, async (req, res) => {
     const userData = await userRes.json();
     const username = userData.login;
 
-    fs.mkdirSync(STATE_DIR, { recursive: true });
     const oauthData = {
       access_token: access_token,
       token_type: data.token_type || 'bearer',
@@ -771,11 +1100,7 @@ app.post('/api/github/poll-auth', requireSetupAuth, async (req, res) => {
       connected_at: new Date().toISOString()
     };
 
-    fs.writeFileSync(
-      path.join(STATE_DIR, 'github-oauth.json'),
-      JSON.stringify(oauthData, null, 2),
-      { mode: 0o600 }
-    );
+    writeSecretFile('github-oauth', oauthData, { actor: 'setup' });
 
     res.json({
       status: 'success',
@@ -850,9 +1175,8 @@ app.get('/api/github/repos', requireSetupAuth, async (req, res) => {
 app.get('/api/github/status', requireSetupAuth, async (req, res) => {
   try {
     // Check Railway template's OAuth location first
-    const oauthPath = path.join(STATE_DIR, 'github-oauth.json');
-    if (fs.existsSync(oauthPath)) {
-      const oauth = JSON.parse(fs.readFileSync(oauthPath, 'utf8'));
+    const oauth = readSecretFile('github-oauth', { actor: 'dashboard' });
+    if (oauth) {
       if (oauth.access_token && oauth.username) {
         return res.json({
           connected: true,
@@ -883,10 +1207,7 @@ app.get('/api/github/status', requireSetupAuth, async (req, res) => {
 app.post('/api/github/disconnect', requireSetupAuth, async (req, res) => {
   try {
     // Clear Railway template's OAuth token
-    const oauthPath = path.join(STATE_DIR, 'github-oauth.json');
-    if (fs.existsSync(oauthPath)) {
-      fs.unlinkSync(oauthPath);
-    }
+    removeSecretFile('github-oauth', { actor: 'dashboard' });
 
     // Clear Dashboard's OAuth token
     const dashboardOAuthPath = path.join(os.homedir(), '.openclaw', 'github-oauth.json');
@@ -904,9 +1225,11 @@ app.post('/api/github/disconnect', requireSetupAuth, async (req, res) => {
 // ==============================
 // Push Notification API Routes
 // ==============================
-// These proxy to the Gerald Dashboard server which handles push notifications
+// These proxy to the Gerald Dashboard server which handles push notifications.
+// On gerald.<domain>, calls without wrapper credentials go to the dashboard
+// itself (leaveToDashboard).
 
-app.get('/api/push/vapid-key', requireSetupAuth, async (req, res) => {
+app.get('/api/push/vapid-key', leaveToDashboard, requireRole('client'), async (req, res) => {
   try {
     // Forward to dashboard server
     const dashboardRes = await fetch(`http://127.0.0.1:${DASHBOARD_PORT}/api/push/vapid-key`);
@@ -918,7 +1241,7 @@ app.get('/api/push/vapid-key', requireSetupAuth, async (req, res) => {
   }
 });
 
-app.post('/api/push/subscribe', requireSetupAuth, async (req, res) => {
+app.post('/api/push/subscribe', leaveToDashboard, requireRole('client'), async (req, res) => {
   try {
     const dashboardRes = await fetch(`http://127.0.0.1:${DASHBOARD_PORT}/api/push/subscribe`, {
       method: 'POST',
@@ -933,7 +1256,7 @@ app.post('/api/push/subscribe', requireSetupAuth, async (req, res) => {
   }
 });
 
-app.post('/api/push/unsubscribe', requireSetupAuth, async (req, res) => {
+app.post('/api/push/unsubscribe', leaveToDashboard, requireRole('client'), async (req, res) => {
   try {
     const dashboardRes = await fetch(`http://127.0.0.1:${DASHBOARD_PORT}/api/push/unsubscribe`, {
       method: 'POST',
@@ -948,7 +1271,7 @@ app.post('/api/push/unsubscribe', requireSetupAuth, async (req, res) => {
   }
 });
 
-app.post('/api/push/test', requireSetupAuth, async (req, res) => {
+app.post('/api/push/test', leaveToDashboard, requireRole('client'), async (req, res) => {
   try {
     const dashboardRes = await fetch(`http://127.0.0.1:${DASHBOARD_PORT}/api/push/test`, {
       method: 'POST',
@@ -1009,10 +1332,8 @@ app.post('/setup/api/codex/save-token', requireSetupAuth, async (req, res) => {
       return res.status(400).json({ ok: false, error: 'Auth JSON is empty' });
     }
     
-    // Save to /data/.codex/auth.json
-    const codexDir = '/data/.codex';
-    fs.mkdirSync(codexDir, { recursive: true });
-    fs.writeFileSync(path.join(codexDir, 'auth.json'), JSON.stringify(authData, null, 2), { mode: 0o600 });
+    // Save to /data/.codex/auth.json (or the vault)
+    writeSecretFile('codex', authData, { actor: 'setup' });
     
     console.log('[codex-auth] Token saved successfully');
     res.json({ ok: true, message: 'Codex authentication saved' });
@@ -1024,14 +1345,11 @@ app.post('/setup/api/codex/save-token', requireSetupAuth, async (req, res) => {
 
 app.get('/setup/api/codex/status', requireSetupAuth, async (req, res) => {
   try {
-    const authPath = path.join('/data/.codex', 'auth.json');
-
-    if (!fs.existsSync(authPath)) {
+    const authData = readSecretFile('codex', { actor: 'setup' });
+    if (!authData) {
       return res.json({ authenticated: false });
     }
 
-    const authData = JSON.parse(fs.readFileSync(authPath, 'utf8'));
-
     // Check if we have a valid token structure
     if (authData.access_token || authData.token) {
       return res.json({
@@ -1050,10 +1368,7 @@ app.get('/setup/api/codex/status', requireSetupAuth, async (req, res) => {
 
 app.post('/setup/api/codex/disconnect', requireSetupAuth, async (req, res) => {
   try {
-    const authPath = path.join('/data/.codex', 'auth.json');
-    if (fs.existsSync(authPath)) {
-      fs.unlinkSync(authPath);
-    }
+    removeSecretFile('codex', { actor: 'setup' });
     res.json({ ok: true });
   } catch (err) {
     console.error('[codex-auth] disconnect error:', err);
@@ -1068,19 +1383,17 @@ app.post('/setup/api/codex/disconnect', requireSetupAuth, async (req, res) => {
 // Users must authenticate via SSH, then we detect the auth file.
 
 // Check Codex auth status (reads auth file created by `codex login` via SSH)
-app.get('/api/model-settings/openai-codex/status', async (req, res) => {
+app.get('/api/model-settings/openai-codex/status', requireRole('admin'), async (req, res) => {
   try {
-    // Check multiple possible auth file locations
+    // Check the persisted auth (file or vault), then the legacy credentials file
     const possiblePaths = [
-      '/data/.codex/auth.json',
       '/data/.codex/credentials.json',
-      path.join('/data', '.codex', 'auth.json')
     ];
     
-    let authData = null;
+    let authData = readSecretFile('codex', { actor: 'dashboard' });
     let authPath = null;
     
-    for (const p of possiblePaths) {
+    for (const p of authData ? [] : possiblePaths) {
       if (fs.existsSync(p)) {
         authPath = p;
         try {
@@ -1126,7 +1439,7 @@ app.get('/api/model-settings/openai-codex/status', async (req, res) => {
 });
 
 // Disconnect Codex auth
-app.post('/api/model-settings/openai-codex/disconnect', async (req, res) => {
+app.post('/api/model-settings/openai-codex/disconnect', requireRole('admin'), async (req, res) => {
   try {
     const possiblePaths = [
       '/data/.codex/auth.json',
@@ -1135,6 +1448,11 @@ app.post('/api/model-settings/openai-codex/disconnect', async (req, res) => {
     ];
     
     let deleted = false;
+    if (readSecretFile('codex', { actor: 'dashboard' })) {
+      removeSecretFile('codex', { actor: 'dashboard' });
+      deleted = true;
+      console.log('[codex-disconnect] Removed auth:', CODEX_AUTH_PATH);
+    }
     for (const p of possiblePaths) {
       if (fs.existsSync(p)) {
         fs.unlinkSync(p);
@@ -1485,9 +1803,13 @@ app.post("/setup/api/run", requireSetupAuth, async (req, res) => {
         // Store apex domain (e.g., solarwyse.ca) for proper subdomain routing
         const rawDomain = payload.clientDomain.trim().toLowerCase();
         const normalizedDomain = rawDomain.replace(/^www\./, '');
-        
+
+        // Keep aliases and redirect domains added since the last setup run
+        const previousDomains = getDomains().filter((d) => d.role !== 'primary' && d.domain !== normalizedDomain);
+
         const illumin8Config = {
           clientDomain: normalizedDomain,
+          domains: [{ domain: normalizedDomain, role: 'primary' }, ...previousDomains],
           clientName: payload.clientName?.trim() || '',
           guardrailLevel: payload.guardrailLevel || 'standard',
           githubRepo: payload.githubRepo?.trim() || '',
@@ -1549,33 +1871,34 @@ app.post("/setup/api/run", requireSetupAuth, async (req, res) => {
         const domain = rawDomain.replace(/^www\./, '');
 
         // Determine Railway domain for CNAME target
-        // IMPORTANT: Only use the *.up.railway.app domain, NOT custom domains (would be circular CNAME)
-        const publicDomain = process.env.RAILWAY_PUBLIC_DOMAIN?.trim() || '';
-        const staticUrl = process.env.RAILWAY_STATIC_URL?.replace('https://', '')?.trim() || '';
-        const railwayDomain = (publicDomain.endsWith('.up.railway.app') ? publicDomain : '')
-          || (staticUrl.endsWith('.up.railway.app') ? staticUrl : '')
-          || `${(process.env.RAILWAY_SERVICE_NAME || 'gerald').toLowerCase()}-production.up.railway.app`;
+        const railwayDomain = railwayCnameTarget();
 
         extra += `\n[dns] Configuring Cloudflare DNS for ${domain}...\n`;
         const dnsResult = await setupCloudflareDNS(domain, railwayDomain);
         extra += `[dns] ${dnsResult.output}\n`;
 
+        // Aliases and redirect domains (each may live in its own zone)
+        for (const { domain: other, role } of getDomains().filter((d) => d.role !== 'primary')) {
+          extra += `\n[dns] Configuring Cloudflare DNS for ${other} (${role})...\n`;
+          const otherResult = await setupCloudflareDNS(other, railwayDomain, { role });
+          extra += `[dns] ${otherResult.output}\n`;
+        }
+
         // Auto-create Turnstile widget
         if (dnsResult.ok && dnsResult.zoneId) {
           extra += `[turnstile] Creating Turnstile widget...\n`;
-          const turnstileResult = await createTurnstileWidget(domain, dnsResult.zoneId);
+          const aliases = siteDomains().filter((d) => d !== domain);
+          const turnstileResult = await createTurnstileWidget(domain, dnsResult.zoneId, aliases);
           extra += `[turnstile] ${turnstileResult.output}\n`;
 
           if (turnstileResult.ok) {
             // Auto-save Turnstile keys to services config
-            const servicesPath = path.join(STATE_DIR, 'services.json');
-            let services = {};
-            try { services = JSON.parse(fs.readFileSync(servicesPath, 'utf8')); } catch {}
+            const services = readSecretFile('services', { actor: 'setup' }) || {};
             services.turnstile = {
               siteKey: turnstileResult.siteKey,
               secretKey: turnstileResult.secretKey,
             };
-            fs.writeFileSync(servicesPath, JSON.stringify(services, null, 2));
+            writeSecretFile('services', services, { actor: 'setup' });
             extra += `[turnstile] Keys saved to services.json\n`;
           }
         }
@@ -1589,26 +1912,19 @@ app.post("/setup/api/run", requireSetupAuth, async (req, res) => {
           senderEmail: payload.sendgridSenderEmail.trim(),
           contactFromName: payload.contactFromName?.trim() || '',
         };
-        fs.writeFileSync(
-          path.join(STATE_DIR, 'sendgrid.json'),
-          JSON.stringify(sendgridConfig, null, 2),
-          { mode: 0o600 }
-        );
+        writeSecretFile('sendgrid', sendgridConfig, { actor: 'setup' });
         extra += `\n[sendgrid] Configuration saved\n`;
 
         // Auto-configure SendGrid domain authentication if client domain and Cloudflare are available
         const cfKey = process.env.CLOUDFLARE_API_KEY?.trim();
         const cfEmail = process.env.CLOUDFLARE_EMAIL?.trim();
         if (payload.clientDomain?.trim() && cfKey && cfEmail) {
-          // Use normalized domain (www. stripped)
-          const rawDomain = payload.clientDomain.trim().toLowerCase();
-          const normalizedDomain = rawDomain.replace(/^www\./, '');
-          extra += `\n[sendgrid-domain] Configuring SendGrid domain authentication...\n`;
-          const domainAuthResult = await setupSendGridDomainAuth(
-            normalizedDomain,
-            resolvedSendgridKey
-          );
-          extra += domainAuthResult.output;
+          // Every domain that serves the site can send mail (redirect domains don't)
+          for (const domain of siteDomains()) {
+            extra += `\n[sendgrid-domain] Configuring SendGrid domain authentication for ${domain}...\n`;
+            const domainAuthResult = await setupSendGridDomainAuth(domain, resolvedSendgridKey);
+            extra += domainAuthResult.output;
+          }
         }
       }
 
@@ -1654,10 +1970,7 @@ app.post("/setup/api/run", requireSetupAuth, async (req, res) => {
       }
 
       if (Object.keys(servicesConfig).length > 0) {
-        fs.writeFileSync(
-          path.join(STATE_DIR, 'services.json'),
-          JSON.stringify(servicesConfig, null, 2)
-        );
+        writeSecretFile('services', servicesConfig, { actor: 'setup' });
         extra += `\n[services] Configuration saved\n`;
       }
 
@@ -1668,20 +1981,11 @@ app.post("/setup/api/run", requireSetupAuth, async (req, res) => {
       if (payload.openrouterApiKey?.trim()) extraKeys.openrouter = payload.openrouterApiKey.trim();
       
       if (Object.keys(extraKeys).length > 0) {
-        const agentDir = path.join(STATE_DIR, 'agents', 'main', 'agent');
-        const authProfilesPath = path.join(agentDir, 'auth-profiles.json');
-        fs.mkdirSync(agentDir, { recursive: true });
-        
-        let authProfiles = { version: 1, profiles: {}, lastGood: {}, usageStats: {} };
-        if (fs.existsSync(authProfilesPath)) {
-          try { authProfiles = JSON.parse(fs.readFileSync(authProfilesPath, 'utf8')); } catch {}
-        }
+        const authProfiles = readSecretFile('auth-profiles', { actor: 'setup' })
+          || { version: 1, profiles: {}, lastGood: {}, usageStats: {} };
         
         // Also read openclaw.json to save API keys there (dashboard reads from both)
-        let openclawConfig = {};
-        if (fs.existsSync(configPath())) {
-          try { openclawConfig = JSON.parse(fs.readFileSync(configPath(), 'utf8')); } catch {}
-        }
+        const openclawConfig = readSecretFile('openclaw', { actor: 'setup' }) || {};
         
         const providerBaseUrls = {
           anthropic: 'https://api.anthropic.com/v1',
@@ -1712,8 +2016,8 @@ app.post("/setup/api/run", requireSetupAuth, async (req, res) => {
           extra += `\n[auth] Saved ${provider} API key\n`;
         }
         
-        fs.writeFileSync(authProfilesPath, JSON.stringify(authProfiles, null, 2), { mode: 0o600 });
-        fs.writeFileSync(configPath(), JSON.stringify(openclawConfig, null, 2));
+        writeSecretFile('auth-profiles', authProfiles, { actor: 'setup' });
+        writeSecretFile('openclaw', openclawConfig, { actor: 'setup' });
         console.log(`[onboard] Saved extra API keys: ${Object.keys(extraKeys).join(', ')}`);
       }
 
@@ -1729,97 +2033,83 @@ app.post("/setup/api/run", requireSetupAuth, async (req, res) => {
         const devBranch = payload.devBranch?.trim() || 'development';
 
         // Save GitHub config for future rebuilds (only save manual token, not OAuth token)
+        const previousGithubConfig = readGitHubConfig();
         const githubConfig = {
           repo: payload.githubRepo.trim(),
           prodBranch,
           devBranch,
           // Only save manual token (OAuth token is saved separately in github-oauth.json)
           token: payload.githubToken?.trim() || '',
+          // Shared secret GitHub signs webhook deliveries with (kept across re-runs)
+          webhookSecret: previousGithubConfig?.webhookSecret || generateWebhookSecret(),
         };
-        fs.writeFileSync(
-          path.join(STATE_DIR, 'github.json'),
-          JSON.stringify(githubConfig, null, 2),
-          { mode: 0o600 }
-        );
+        writeSecretFile('github', githubConfig, { actor: 'setup' });
 
         // Build production
         extra += `\n[build] Building production site from ${prodBranch}...\n`;
-        const prodResult = await cloneAndBuild(repoUrl, prodBranch, PRODUCTION_DIR, token);
+        const prodJob = enqueueBuild(
+          'production',
+          () => deployProductionRelease(repoUrl, prodBranch, token),
+          { label: `production (${prodBranch})`, trigger: 'setup' },
+        );
+        const prodResult = await waitForBuild(prodJob.id);
         extra += `[build] Production: ${prodResult.output}\n`;
 
-        // Auto-save any existing dev site changes before clone/pull
-        extra += `[build] Checking for uncommitted dev site changes...\n`;
-        const saveResult = await autoSaveDevChanges();
-        if (saveResult.saved) {
-          extra += `[build] ✓ Auto-saved dev site changes\n`;
-        }
+        // Dev goes through the same queue target as webhook and API updates,
+        // so a push arriving mid-setup can't pull into DEV_DIR at the same time
+        const devJob = enqueueBuild('dev', async () => {
+          let log = '';
+          // Auto-save any existing dev site changes before clone/pull
+          log += `[build] Checking for uncommitted dev site changes...\n`;
+          const saveResult = await autoSaveDevChanges();
+          if (saveResult.saved) {
+            log += `[build] ✓ Auto-saved dev site changes\n`;
+          }
 
-        // Clone or pull development branch and start dev server
-        let devResult;
-        const devHasGit = fs.existsSync(path.join(DEV_DIR, '.git'));
-        const devHasPackage = fs.existsSync(path.join(DEV_DIR, 'package.json'));
-        
-        if (devHasGit && devHasPackage) {
-          // Dev site already exists - pull instead of re-cloning
-          extra += `[build] Dev site exists, pulling latest from ${devBranch}...\n`;
-          devResult = await pullDevBranch();
-        } else {
-          // Fresh clone needed
-          extra += `[build] Cloning dev branch (${devBranch}) for live dev server...\n`;
-          extra += `[build] Target directory: ${DEV_DIR}\n`;
-          devResult = await cloneAndBuild(repoUrl, devBranch, DEV_DIR, token, { keepSource: true });
-        }
-        extra += `[build] Dev: ${devResult.output}\n`;
-        
-        // Verify dev site has files
-        const devHasPackageJson = fs.existsSync(path.join(DEV_DIR, 'package.json'));
-        const devHasDist = fs.existsSync(path.join(DEV_DIR, 'dist'));
-        extra += `[build] Dev verification: package.json=${devHasPackageJson}, dist=${devHasDist}\n`;
-        if (!devHasPackageJson) {
-          extra += `[build] ⚠️ Warning: Dev directory missing package.json - dev server may not work\n`;
-        }
+          // Clone or pull development branch and start dev server
+          let devResult;
+          const devHasGit = fs.existsSync(path.join(DEV_DIR, '.git'));
+          const devHasPackage = fs.existsSync(path.join(DEV_DIR, 'package.json'));
+
+          if (devHasGit && devHasPackage) {
+            // Dev site already exists - pull instead of re-cloning
+            log += `[build] Dev site exists, pulling latest from ${devBranch}...\n`;
+            devResult = await pullDevBranch();
+          } else {
+            // Fresh clone needed
+            log += `[build] Cloning dev branch (${devBranch}) for live dev server...\n`;
+            log += `[build] Target directory: ${DEV_DIR}\n`;
+            devResult = await cloneAndBuild(repoUrl, devBranch, DEV_DIR, token, { keepSource: true });
+          }
+          log += `[build] Dev: ${devResult.output}\n`;
+
+          // Verify dev site has files
+          const devHasPackageJson = fs.existsSync(path.join(DEV_DIR, 'package.json'));
+          const devHasDist = fs.existsSync(path.join(DEV_DIR, 'dist'));
+          log += `[build] Dev verification: package.json=${devHasPackageJson}, dist=${devHasDist}\n`;
+          if (!devHasPackageJson) {
+            log += `[build] ⚠️ Warning: Dev directory missing package.json - dev server may not work\n`;
+          }
 
-        // Start dev server
-        try {
-          await startDevServer();
-          extra += `[dev-server] ✓ Live dev server started on port ${DEV_SERVER_PORT}\n`;
-        } catch (err) {
-          extra += `[dev-server] ⚠️ Failed to start dev server: ${err.message}\n`;
-        }
+          // Start dev server
+          try {
+            await startDevServer();
+            log += `[dev-server] ✓ Live dev server started on port ${DEV_SERVER_PORT}\n`;
+          } catch (err) {
+            log += `[dev-server] ⚠️ Failed to start dev server: ${err.message}\n`;
+          }
+          return { ...devResult, output: log };
+        }, { label: `dev (${devBranch})`, trigger: 'setup' });
+        extra += (await waitForBuild(devJob.id))?.output || '';
 
-        // Auto-register GitHub webhook for push events (auto-rebuild on push)
+        // Auto-register GitHub webhook for push/PR events (auto-rebuild on push)
         if (token && payload.clientDomain?.trim()) {
           try {
             const webhookUrl = `https://${payload.clientDomain.trim().toLowerCase()}/api/webhook/github`;
-            const repo = payload.githubRepo.trim();
-
-            // Check if webhook already exists
-            const existingRes = await fetch(`https://api.github.com/repos/${repo}/hooks`, {
-              headers: { 'Authorization': `token ${token}`, 'Accept': 'application/vnd.github.v3+json' },
-            });
-            const existing = existingRes.ok ? await existingRes.json() : [];
-            const alreadyExists = existing.some(h => h.config?.url === webhookUrl);
-
-            if (!alreadyExists) {
-              const hookRes = await fetch(`https://api.github.com/repos/${repo}/hooks`, {
-                method: 'POST',
-                headers: { 'Authorization': `token ${token}`, 'Accept': 'application/vnd.github.v3+json', 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  name: 'web',
-                  active: true,
-                  events: ['push'],
-                  config: { url: webhookUrl, content_type: 'json', insecure_ssl: '0' },
-                }),
-              });
-              if (hookRes.ok) {
-                extra += `[webhook] ✓ GitHub webhook registered: ${webhookUrl}\n`;
-              } else {
-                const err = await hookRes.text();
-                extra += `[webhook] ⚠️ Failed to register webhook (${hookRes.status}): ${err}\n`;
-              }
-            } else {
-              extra += `[webhook] ✓ GitHub webhook already exists\n`;
-            }
+            const hookResult = await registerWebhook(githubConfig.repo, webhookUrl, token, githubConfig.webhookSecret);
+            extra += hookResult.ok
+              ? `[webhook] ✓ ${hookResult.output}\n`
+              : `[webhook] ⚠️ ${hookResult.output}\n`;
           } catch (err) {
             extra += `[webhook] ⚠️ Could not register webhook: ${err.message}\n`;
           }
@@ -1829,8 +2119,12 @@ app.post("/setup/api/run", requireSetupAuth, async (req, res) => {
       // ── Clone and set up Gerald Dashboard ──────────────────────────────
       extra += '\n[dashboard] Setting up Gerald Dashboard...\n';
       const githubToken = payload.githubToken?.trim() || getGitHubToken();
-      const dashResult = await setupDashboard(githubToken);
-      extra += `[dashboard] ${dashResult.output}\n`;
+      const dashJob = enqueueBuild('dashboard', () => setupDashboard(githubToken), {
+        label: 'dashboard',
+        trigger: 'setup',
+      });
+      const dashResult = await waitForBuild(dashJob.id);
+      extra += `[dashboard] ${dashResult?.output || ''}\n`;
 
       // ── Default model configuration ──────────────────────────────────────
       // Configure Moonshot provider if API key is set
@@ -1970,7 +2264,7 @@ app.post("/setup/api/reset", requireSetupAuth, async (_req, res) => {
 });
 
 // Manual gateway control endpoints for debugging
-app.post("/setup/api/gateway/start", requireSetupAuth, async (req, res) => {
+app.post("/setup/api/gateway/start", requireRole("admin", "gateway:restart"), async (req, res) => {
   try {
     if (!isConfigured()) {
       return res.status(400).json({ ok: false, error: 'Not configured. Run setup first.' });
@@ -1988,7 +2282,7 @@ app.post("/setup/api/gateway/start", requireSetupAuth, async (req, res) => {
   }
 });
 
-app.post("/setup/api/gateway/restart", requireSetupAuth, async (req, res) => {
+app.post("/setup/api/gateway/restart", requireRole("admin", "gateway:restart"), async (req, res) => {
   try {
     if (!isConfigured()) {
       return res.status(400).json({ ok: false, error: 'Not configured. Run setup first.' });
@@ -2003,12 +2297,14 @@ app.post("/setup/api/gateway/restart", requireSetupAuth, async (req, res) => {
   }
 });
 
-app.get("/setup/api/gateway/status", requireSetupAuth, async (req, res) => {
+app.get("/setup/api/gateway/status", requireRole("admin", "gateway:status"), async (req, res) => {
+  const service = getServiceState('gateway');
   res.json({
     configured: isConfigured(),
-    running: !!getGatewayProc(),
+    running: service.state === 'running',
     starting: isGatewayStarting(),
-    processId: getGatewayProc()?.pid || null,
+    processId: service.pid,
+    ...service,
   });
 });
 
@@ -2054,7 +2350,10 @@ app.post("/setup/api/dashboard/start", requireSetupAuth, async (req, res) => {
     }
     
     console.log('[manual-dashboard] Starting dashboard...');
-    await startDashboard(OPENCLAW_GATEWAY_TOKEN);
+    const result = await startDashboard(OPENCLAW_GATEWAY_TOKEN);
+    if (!result.ok) {
+      return res.status(500).json({ ok: false, error: result.output });
+    }
     res.json({ ok: true, message: 'Dashboard started successfully' });
   } catch (err) {
     console.error('[manual-dashboard] Failed:', err);
@@ -2063,123 +2362,488 @@ app.post("/setup/api/dashboard/start", requireSetupAuth, async (req, res) => {
 });
 
 app.get("/setup/api/dashboard/status", requireSetupAuth, async (req, res) => {
+  const service = getServiceState('dashboard');
   res.json({
-    running: !!getDashboardProcess(),
+    running: service.state === 'running',
     installed: fs.existsSync(path.join(DASHBOARD_DIR, 'package.json')),
-    processId: getDashboardProcess()?.pid || null,
+    processId: service.pid,
+    ...service,
   });
 });
 
-// Rebuild site from GitHub (can be triggered by Gerald or webhook)
-app.post('/api/rebuild', requireSetupAuth, async (req, res) => {
-  try {
-    // Auto-save dev site changes before rebuild
-    await autoSaveDevChanges();
+// Supervisor state of every managed process (gateway, dashboard, dev and
+// prod servers): starting, running, crashed, backoff or stopped
+app.get("/setup/api/services", requireSetupAuth, async (req, res) => {
+  res.json({ ok: true, services: listServices() });
+});
 
-    const githubConfigPath = path.join(STATE_DIR, 'github.json');
-    if (!fs.existsSync(githubConfigPath)) {
-      return res.status(400).json({ ok: false, error: 'No GitHub configuration found. Run setup first.' });
+// ── Service logs ───────────────────────────────────────────────────────
+// stdout/stderr of every supervised service, plus its prepare output and
+// supervisor events. Recent lines come from memory, older ones from
+// STATE_DIR/logs.
+
+app.get('/setup/api/logs', requireRole('admin', 'logs:read'), (req, res) => {
+  res.json({ ok: true, services: listServices().map((service) => describeServiceLog(service.name)) });
+});
+
+// ?tail=N&q=text&since=ISO|ms&stream=stdout|stderr|prepare|supervisor
+// &history=1 searches the log files. ?format=text returns plain lines;
+// ?follow=1 streams Server-Sent Events: the matching tail as `entry` events,
+// then every new matching line as it arrives.
+app.get('/setup/api/logs/:service', requireRole('admin', 'logs:read'), (req, res) => {
+  const { service } = req.params;
+  if (!listServices().some((s) => s.name === service)) {
+    return res.status(404).json({ ok: false, error: `Unknown service: ${service}` });
+  }
+  const filter = {
+    tail: req.query.tail,
+    q: req.query.q,
+    since: req.query.since,
+    stream: req.query.stream,
+    history: req.query.history === '1' || req.query.history === 'true',
+  };
+
+  if (req.query.follow !== '1' && req.query.follow !== 'true') {
+    const { source, entries } = queryServiceLog(service, filter);
+    if (req.query.format === 'text') {
+      return res.type('text/plain').send(
+        entries.map((e) => `${e.ts} [${e.stream}] ${e.line}\n`).join(''),
+      );
     }
+    return res.json({ ok: true, service, source, entries });
+  }
 
-    const githubConfig = JSON.parse(fs.readFileSync(githubConfigPath, 'utf8'));
-    const repoUrl = `https://github.com/${githubConfig.repo}`;
-    const token = getGitHubToken();
-    const target = req.body?.target || 'both'; // 'production', 'dev', or 'both'
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  const send = (entry) => res.write(`event: entry\ndata: ${JSON.stringify(entry)}\n\n`);
+
+  // Subscribe before reading the backlog (both synchronous) so no line is lost
+  const unsubscribe = followServiceLog(service, filter, send);
+  for (const entry of queryServiceLog(service, filter).entries) send(entry);
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), 30_000);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
 
-    let output = '';
+// Prometheus scrape endpoint. Use an API token with the metrics:read scope:
+//   authorization: { type: Bearer, credentials: gat_... }
+app.get('/metrics', requireRole('admin', 'metrics:read'), (req, res) => {
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+});
 
-    if (target === 'production' || target === 'both') {
-      const result = await cloneAndBuild(repoUrl, githubConfig.prodBranch, PRODUCTION_DIR, token);
-      output += `Production (${githubConfig.prodBranch}): ${result.output}\n`;
-      
-      // For SSR sites, restart the production server
-      if (isProdSSR()) {
-        await restartProdServer();
-        output += 'Production SSR server restarted.\n';
-      }
+// System health endpoint
+app.get('/api/system/health', async (req, res) => {
+  try {
+    const status = {
+      gateway: getServiceState('gateway').state,
+      dashboard: getServiceState('dashboard').state,
+      devServer: getServiceState('dev-server').state,
+      prodServer: getServiceState('prod-server').state,
+      timestamp: new Date().toISOString()
+    };
+    res.json(status);
+  } catch (err) {
+    console.error('[system-health] error:', err);
+    res.status(500).json({ error: String(err) });
+  }
+});
+
+// ── Health data ───────────────────────────────────────────────────────
+// Apple Health data for the dashboard's health screens (src/lib/health.js).
+// Data is kept per user: client sessions always see their own
+// ("telegram:<id>", "email:<address>"); the setup password, the dashboard's
+// INTERNAL_API_KEY and API tokens pick one with ?user= ("default" if unset).
+// illumin8.json `healthUsers` maps identities to the user an export is
+// ingested under (resolveHealthUser). On gerald.<domain>, calls without
+// wrapper credentials are the dashboard's own (leaveToDashboard); its server
+// forwards them with INTERNAL_API_KEY and ?user=<identity>.
+
+function healthUser(req) {
+  const principal = req.principal;
+  const requested = principal.kind !== 'token' && principal.role === 'client'
+    ? `${principal.kind}:${principal.id}`
+    : String(req.query.user || req.body?.user || 'default');
+  return resolveHealthUser(requested);
+}
+
+function withHealthUser(handler) {
+  return (req, res) => {
+    const user = healthUser(req);
+    if (!isValidHealthUser(user)) {
+      return res.status(400).json({ ok: false, error: `Invalid user: ${user}` });
     }
+    try {
+      handler(req, res, user);
+    } catch (err) {
+      console.error('[health]', err);
+      res.status(500).json({ ok: false, error: String(err) });
+    }
+  };
+}
 
-    if (target === 'dev' || target === 'both') {
-      const result = await pullDevBranch();
-      output += `Dev (${githubConfig.devBranch}): ${result.output}\n`;
-      if (getDevServerProcess()) {
-        await restartDevServer();
-        output += 'Dev server restarted.\n';
-      } else {
-        await startDevServer();
-        output += 'Dev server started.\n';
-      }
+// Point Health Auto Export's REST API automation here (JSON, v2 format):
+//   curl -X POST -H "authorization: Bearer gat_..." -H 'content-type: application/json' \
+//     --data-binary @export.json https://<domain>/api/health/ingest?user=default
+app.post(
+  HEALTH_INGEST_PATH,
+  leaveToDashboard,
+  requireRole('operator', 'health:write'),
+  express.json({ limit: '25mb' }),
+  withHealthUser((req, res, user) => {
+    if (!req.body || typeof req.body !== 'object') {
+      return res.status(400).json({ ok: false, error: 'Expected a JSON body' });
     }
+    res.json({ ok: true, user, ...ingestHealthData(user, req.body) });
+  }),
+);
+
+app.get('/api/health/summary', leaveToDashboard, requireRole('client', 'health:read'), withHealthUser((req, res, user) => {
+  res.json(getHealthSummary(user));
+}));
+
+app.get('/api/health/history/:metric', leaveToDashboard, requireRole('client', 'health:read'), withHealthUser((req, res, user) => {
+  if (!isValidHealthMetric(req.params.metric)) {
+    return res.status(400).json({ ok: false, error: 'Invalid metric' });
+  }
+  res.json(getHealthHistory(user, req.params.metric, req.query.days));
+}));
+
+app.get('/api/health/hourly/:metric', leaveToDashboard, requireRole('client', 'health:read'), withHealthUser((req, res, user) => {
+  if (!isValidHealthMetric(req.params.metric)) {
+    return res.status(400).json({ ok: false, error: 'Invalid metric' });
+  }
+  res.json(getHealthHourly(user, req.params.metric, req.query.date));
+}));
+
+app.get('/api/health/vitals', leaveToDashboard, requireRole('client', 'health:read'), withHealthUser((req, res, user) => {
+  res.json(getHealthVitals(user));
+}));
+
+app.get('/api/health/workouts/today', leaveToDashboard, requireRole('client', 'health:read'), withHealthUser((req, res, user) => {
+  res.json(getHealthWorkouts(user));
+}));
+
+app.get('/api/health/workouts', leaveToDashboard, requireRole('client', 'health:read'), withHealthUser((req, res, user) => {
+  res.json(getHealthWorkouts(user, req.query.date));
+}));
 
-    res.json({ ok: true, output });
+app.get('/api/health/settings', leaveToDashboard, requireRole('client', 'health:read'), withHealthUser((req, res, user) => {
+  res.json({ user, ...getHealthSettings(user) });
+}));
+
+// Body: { goals: { step_count: 8000, sleep_hours: null }, timezone: "America/Denver" }
+// (null resets a goal or the timezone to the default)
+app.put('/api/health/settings', leaveToDashboard, requireRole('client', 'health:write'), withHealthUser((req, res, user) => {
+  let settings;
+  try {
+    settings = updateHealthSettings(user, req.body || {});
   } catch (err) {
-    console.error('[rebuild]', err);
-    res.status(500).json({ ok: false, error: String(err) });
+    return res.status(400).json({ ok: false, error: err.message });
   }
-});
+  res.json({ ok: true, user, ...settings });
+}));
 
-// Rebuild Gerald Dashboard from GitHub
-app.post('/api/rebuild-dashboard', requireSetupAuth, async (req, res) => {
+// ── Build jobs ─────────────────────────────────────────────────────────
+// Every rebuild goes through the build queue: one job at a time per target,
+// with status, commit and full output kept in STATE_DIR/builds.
+
+function readGitHubConfig() {
   try {
-    // Auto-save dev site changes before rebuild
+    return readSecretFile('github', { actor: 'github' });
+  } catch {
+    return null;
+  }
+}
+
+function queueProductionBuild(githubConfig, trigger, commit) {
+  const repoUrl = `https://github.com/${githubConfig.repo}`;
+  return enqueueBuild(
+    'production',
+    () => deployProductionRelease(repoUrl, githubConfig.prodBranch, getGitHubToken()),
+    { label: `production (${githubConfig.prodBranch})`, trigger, commit },
+  );
+}
+
+// True when a production build for `commit` is already queued, running or done
+// (publish pushes and queues its own build before GitHub's webhook arrives)
+function productionBuildExists(commit) {
+  if (!commit) return false;
+  return listBuilds({ target: 'production', limit: 20 }).some(
+    (job) => job.commit === commit && ['queued', 'running', 'succeeded'].includes(job.status),
+  );
+}
+
+// Commit and push unsaved dev edits as a job on the dev queue, so it can't
+// run while a pull or rebuild is changing DEV_DIR. Resolves like
+// autoSaveDevChanges.
+async function saveDevChangesQueued(trigger) {
+  const job = enqueueBuild('dev', async () => {
+    const save = await autoSaveDevChanges();
+    const output = !save.ok ? save.error : save.saved ? 'Dev changes saved' : 'No dev changes to save';
+    return { ...save, output };
+  }, { label: 'save dev changes', trigger });
+  return waitForBuild(job.id);
+}
+
+function queueDevUpdate(githubConfig, trigger) {
+  return enqueueBuild('dev', async () => {
+    // Auto-save dev site changes before the pull can reset them
     await autoSaveDevChanges();
+    const result = await pullDevBranch();
+    if (!result.ok) return result;
+    if (getDevServerProcess()) {
+      await restartDevServer();
+      return { ...result, output: `${result.output}\nDev server restarted.` };
+    }
+    await startDevServer();
+    return { ...result, output: `${result.output}\nDev server started.` };
+  }, { label: `dev (${githubConfig.devBranch})`, trigger });
+}
 
-    // Kill existing dashboard
+function queueDashboardRebuild(token, trigger) {
+  return enqueueBuild('dashboard', async () => {
+    // Kill existing dashboard and remove the install to force a fresh clone
     await stopDashboard();
-
-    // Remove existing installation to force fresh clone
     await safeRemoveDir(DASHBOARD_DIR);
 
-    // Token from request body, github.json, or env
-    const token = req.body?.token?.trim() || '';
-
     const result = await setupDashboard(token);
-    if (!result.ok) {
-      return res.status(500).json({ ok: false, output: result.output });
-    }
+    if (!result.ok) return result;
 
-    // Restart dashboard
     await startDashboard(OPENCLAW_GATEWAY_TOKEN);
-    res.json({ ok: true, output: result.output + '\nDashboard restarted.' });
-  } catch (err) {
-    console.error('[rebuild-dashboard]', err);
-    res.status(500).json({ ok: false, error: String(err) });
+    return { ...result, output: `${result.output}\nDashboard restarted.` };
+  }, { label: 'dashboard', trigger });
+}
+
+function queueWorkspaceUpdate(token, trigger) {
+  return enqueueBuild('workspace', () => setupWorkspace(token), { label: 'workspace', trigger });
+}
+
+// Reply with queued job ids right away, or with the results when the caller
+// asked to wait (`{ "wait": true }` / `?wait=true`).
+async function respondWithJobs(req, res, jobs) {
+  if (req.body?.wait === true || req.query.wait === 'true') {
+    const results = await Promise.all(jobs.map((job) => waitForBuild(job.id)));
+    return res.json({
+      ok: results.every((r) => r?.ok),
+      jobs: jobs.map((job) => getBuild(job.id)),
+      output: results.map((r) => r?.output || '').join('\n'),
+    });
   }
-});
+  res.status(202).json({ ok: true, jobs: jobs.map(publicJob) });
+}
 
-// Rebuild/Update Gerald Workspace from GitHub
-app.post('/api/rebuild-workspace', requireSetupAuth, async (req, res) => {
+// Token scopes needed for a /api/rebuild target
+function rebuildScopes(req) {
+  const target = req.body?.target || 'both';
+  return target === 'both' ? ['rebuild:production', 'rebuild:dev'] : [`rebuild:${target}`];
+}
+
+// Rebuild site from GitHub (can be triggered by Gerald or webhook)
+app.post('/api/rebuild', requireRole('operator', rebuildScopes), async (req, res) => {
   try {
-    // Auto-save dev site changes before rebuild
-    await autoSaveDevChanges();
+    const githubConfig = readGitHubConfig();
+    if (!githubConfig) {
+      return res.status(400).json({ ok: false, error: 'No GitHub configuration found. Run setup first.' });
+    }
 
-    const token = req.body?.token?.trim() || '';
-    const result = await setupWorkspace(token);
-    res.json({ ok: result.ok, output: result.output });
+    const target = req.body?.target || 'both'; // 'production', 'dev', or 'both'
+    const jobs = [];
+    if (target === 'production' || target === 'both') {
+      jobs.push(queueProductionBuild(githubConfig, 'api'));
+    }
+    if (target === 'dev' || target === 'both') {
+      jobs.push(queueDevUpdate(githubConfig, 'api'));
+    }
+    if (jobs.length === 0) {
+      return res.status(400).json({ ok: false, error: `Unknown target: ${target}` });
+    }
+
+    await respondWithJobs(req, res, jobs);
   } catch (err) {
-    console.error('[rebuild-workspace]', err);
+    console.error('[rebuild]', err);
     res.status(500).json({ ok: false, error: String(err) });
   }
 });
 
-// Configure workspace repo URL
-app.post('/api/config/workspace-repo', requireSetupAuth, async (req, res) => {
+// Merge the dev branch (or `ref` on it) into production, serialized through
+// the queue so publishes show up in build history, then queue the production
+// build. `buildJob` is null when the publish failed or had nothing to do.
+async function runPublish(githubConfig, { ref, trigger }) {
+  const publishJob = enqueueBuild('publish', () => publishDevToProduction({ ref }), {
+    label: `publish (${githubConfig.devBranch} → ${githubConfig.prodBranch})`,
+    trigger,
+  });
+  const result = await waitForBuild(publishJob.id);
+  if (!result.ok || result.upToDate) return { result, publishJob, buildJob: null };
+  const buildJob = queueProductionBuild(githubConfig, 'publish', result.publishedCommit);
+  return { result, publishJob, buildJob };
+}
+
+// Publish: promote the dev branch to production (merge or fast-forward on
+// GitHub), then build production. `{ "dryRun": true }` only reports what
+// would be published.
+app.post('/api/publish', requireRole('operator', 'publish'), async (req, res) => {
   try {
-    const { repoUrl } = req.body;
-    if (!repoUrl) {
-      return res.status(400).json({ ok: false, error: 'repoUrl required' });
+    const githubConfig = readGitHubConfig();
+    if (!githubConfig) {
+      return res.status(400).json({ ok: false, error: 'No GitHub configuration found. Run setup first.' });
     }
+    const dryRun = req.body?.dryRun === true || req.query.dryRun === 'true';
+    const ref = req.body?.ref || undefined;
 
-    // Read existing config
-    const cfgPath = path.join(STATE_DIR, 'illumin8.json');
-    let config = {};
-    try {
-      config = JSON.parse(fs.readFileSync(cfgPath, 'utf8'));
-    } catch (e) {}
+    if (dryRun) {
+      const result = await publishDevToProduction({ dryRun, ref });
+      return res.status(result.conflict ? 409 : result.ok ? 200 : 500).json(result);
+    }
 
-    // Update workspace repo
-    config.workspaceRepo = repoUrl;
-    fs.writeFileSync(cfgPath, JSON.stringify(config, null, 2));
+    const { result, publishJob, buildJob } = await runPublish(githubConfig, { ref, trigger: 'api' });
+    if (!result.ok) {
+      return res.status(result.conflict ? 409 : 500).json({ ...result, job: getBuild(publishJob.id) });
+    }
+    if (!buildJob) {
+      return res.json({ ...result, job: getBuild(publishJob.id) });
+    }
+
+    if (req.body?.wait === true) {
+      const build = await waitForBuild(buildJob.id);
+      return res.json({ ...result, ok: build.ok, job: getBuild(publishJob.id), build: getBuild(buildJob.id), output: `${result.output}\n${build.output}` });
+    }
+    res.status(202).json({ ...result, job: getBuild(publishJob.id), build: publicJob(buildJob) });
+  } catch (err) {
+    console.error('[publish]', err);
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+// Build history (newest first), optionally filtered by ?target=
+app.get('/api/builds', requireRole('client', 'builds:read'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  res.json({ ok: true, builds: listBuilds({ target: req.query.target, limit }) });
+});
+
+app.get('/api/builds/:id', requireRole('client', 'builds:read'), (req, res) => {
+  const build = getBuild(req.params.id);
+  if (!build) {
+    return res.status(404).json({ ok: false, error: 'Build not found' });
+  }
+  res.json({ ok: true, build });
+});
+
+// Build log as Server-Sent Events: `log` events carry output chunks, a final
+// `end` event carries the finished job. ?format=text returns the log so far.
+app.get('/api/builds/:id/log', requireRole('client', 'builds:read'), (req, res) => {
+  const build = getBuild(req.params.id);
+  if (!build) {
+    return res.status(404).json({ ok: false, error: 'Build not found' });
+  }
+
+  if (req.query.format === 'text') {
+    return res.type('text/plain').send(readBuildLog(build.id) || '');
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // Subscribe before reading the file (both synchronous) so no chunk is lost
+  const unsubscribe = followBuildLog(
+    build.id,
+    (text) => send('log', text),
+    (finished) => {
+      send('end', finished);
+      res.end();
+    },
+  );
+  const existing = readBuildLog(build.id);
+  if (existing) send('log', existing);
+
+  if (!unsubscribe) {
+    send('end', build);
+    return res.end();
+  }
+  req.on('close', unsubscribe);
+});
+
+// Production releases (newest first) — each build is kept for one-click rollback
+app.get('/api/releases', requireRole('client', 'releases:read'), (req, res) => {
+  try {
+    res.json({ ok: true, active: getActiveReleaseId(), releases: listReleases() });
+  } catch (err) {
+    console.error('[releases]', err);
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+// Point production at an existing release (rollback / roll forward)
+app.post('/api/releases/:id/activate', requireRole('operator', 'releases:write'), async (req, res) => {
+  if (!isValidReleaseId(req.params.id)) {
+    return res.status(400).json({ ok: false, error: 'Invalid release id' });
+  }
+  try {
+    const result = await activateRelease(req.params.id);
+    if (!result.ok) {
+      return res.status(404).json(result);
+    }
+    res.json(result);
+  } catch (err) {
+    console.error('[releases] activate', err);
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+// Rebuild Gerald Dashboard from GitHub
+app.post('/api/rebuild-dashboard', requireRole('admin', 'rebuild:dashboard'), async (req, res) => {
+  try {
+    // Token from request body, github.json, or env
+    const token = req.body?.token?.trim() || '';
+    await respondWithJobs(req, res, [queueDashboardRebuild(token, 'api')]);
+  } catch (err) {
+    console.error('[rebuild-dashboard]', err);
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+// Rebuild/Update Gerald Workspace from GitHub
+app.post('/api/rebuild-workspace', requireRole('admin', 'rebuild:workspace'), async (req, res) => {
+  try {
+    const token = req.body?.token?.trim() || '';
+    await respondWithJobs(req, res, [queueWorkspaceUpdate(token, 'api')]);
+  } catch (err) {
+    console.error('[rebuild-workspace]', err);
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+// Configure workspace repo URL
+app.post('/api/config/workspace-repo', requireSetupAuth, async (req, res) => {
+  try {
+    const { repoUrl } = req.body;
+    if (!repoUrl) {
+      return res.status(400).json({ ok: false, error: 'repoUrl required' });
+    }
+
+    // Read existing config
+    const cfgPath = path.join(STATE_DIR, 'illumin8.json');
+    let config = {};
+    try {
+      config = JSON.parse(fs.readFileSync(cfgPath, 'utf8'));
+    } catch (e) {}
+
+    // Update workspace repo
+    config.workspaceRepo = repoUrl;
+    fs.writeFileSync(cfgPath, JSON.stringify(config, null, 2));
 
     res.json({ ok: true, message: `Workspace repo set to ${repoUrl}` });
   } catch (err) {
@@ -2212,21 +2876,22 @@ app.get('/api/config/workspace-repo', requireSetupAuth, (req, res) => {
 app.post('/api/verify-sendgrid-domain', requireSetupAuth, async (req, res) => {
   try {
     // Read config from saved files
-    const sendgridConfigPath = path.join(STATE_DIR, 'sendgrid.json');
-    const illumin8ConfigPath = path.join(STATE_DIR, 'illumin8.json');
+    const sendgridConfig = readSecretFile('sendgrid', { actor: 'setup' });
 
-    if (!fs.existsSync(sendgridConfigPath)) {
+    if (!sendgridConfig) {
       return res.status(400).json({ ok: false, error: 'SendGrid not configured. Run setup first.' });
     }
 
-    if (!fs.existsSync(illumin8ConfigPath)) {
+    const domains = siteDomains();
+    if (domains.length === 0) {
       return res.status(400).json({ ok: false, error: 'Client domain not configured. Run setup first.' });
     }
 
-    const sendgridConfig = JSON.parse(fs.readFileSync(sendgridConfigPath, 'utf8'));
-    const illumin8Config = JSON.parse(fs.readFileSync(illumin8ConfigPath, 'utf8'));
-
-    const domain = illumin8Config.clientDomain;
+    // Body: { domain } — any primary or alias domain; the primary by default
+    const domain = req.body?.domain ? String(req.body.domain).toLowerCase() : domains[0];
+    if (!domains.includes(domain)) {
+      return res.status(400).json({ ok: false, error: `${domain} is not a primary or alias domain` });
+    }
     const apiKey = sendgridConfig.apiKey;
 
     if (!domain || !apiKey) {
@@ -2246,96 +2911,709 @@ app.post('/api/verify-sendgrid-domain', requireSetupAuth, async (req, res) => {
   }
 });
 
-// Webhook for GitHub push events (auto-rebuild)
-app.post('/api/webhook/github', express.json(), async (req, res) => {
+// Re-register (or repair) the GitHub webhook, generating a secret if the
+// install predates signed webhooks
+app.post('/setup/api/github/webhook', requireSetupAuth, async (req, res) => {
   try {
-    const githubConfigPath = path.join(STATE_DIR, 'github.json');
-    if (!fs.existsSync(githubConfigPath)) {
+    const githubConfig = readGitHubConfig();
+    if (!githubConfig?.repo) {
+      return res.status(400).json({ ok: false, error: 'No GitHub configuration found. Run setup first.' });
+    }
+    const clientDomain = getClientDomain();
+    if (!clientDomain) {
+      return res.status(400).json({ ok: false, error: 'No client domain configured' });
+    }
+    const token = getGitHubToken();
+    if (!token) {
+      return res.status(400).json({ ok: false, error: 'No GitHub token available' });
+    }
+
+    if (!githubConfig.webhookSecret) {
+      githubConfig.webhookSecret = generateWebhookSecret();
+      writeSecretFile('github', githubConfig, { actor: 'setup' });
+    }
+
+    const webhookUrl = `https://${clientDomain}/api/webhook/github`;
+    const result = await registerWebhook(githubConfig.repo, webhookUrl, token, getWebhookSecret(githubConfig));
+    res.status(result.ok ? 200 : 502).json({ ...result, url: webhookUrl });
+  } catch (err) {
+    console.error('[github-webhook]', err);
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+// Webhook for GitHub events (auto-rebuild). Deliveries must be signed with
+// the secret stored in github.json and come from the configured repository.
+app.post('/api/webhook/github', async (req, res) => {
+  try {
+    const githubConfig = readGitHubConfig();
+    if (!githubConfig) {
       return res.status(200).json({ ok: true, skipped: true, reason: 'Not configured' });
     }
 
-    const githubConfig = JSON.parse(fs.readFileSync(githubConfigPath, 'utf8'));
-    const ref = req.body?.ref || '';
-    const branch = ref.replace('refs/heads/', '');
+    const secret = getWebhookSecret(githubConfig);
+    if (!secret) {
+      console.warn('[webhook] Rejected delivery: no webhook secret configured (POST /setup/api/github/webhook to fix)');
+      return res.status(403).json({ ok: false, error: 'Webhook secret not configured' });
+    }
+    if (!verifyWebhookSignature(req.rawBody, req.get('x-hub-signature-256'), secret)) {
+      console.warn(`[webhook] Rejected delivery ${req.get('x-github-delivery') || '?'}: bad signature`);
+      return res.status(401).json({ ok: false, error: 'Invalid signature' });
+    }
 
-    console.log(`[webhook] GitHub push to branch: ${branch}`);
+    const repo = req.body?.repository?.full_name || '';
+    if (repo.toLowerCase() !== String(githubConfig.repo || '').toLowerCase()) {
+      console.warn(`[webhook] Rejected delivery for unexpected repository: ${repo}`);
+      return res.status(403).json({ ok: false, error: `Unexpected repository: ${repo}` });
+    }
 
-    const repoUrl = `https://github.com/${githubConfig.repo}`;
-    const token = getGitHubToken();
+    const event = req.get('x-github-event') || '';
+    switch (event) {
+      case 'ping':
+        console.log(`[webhook] Ping received (hook ${req.body?.hook_id})`);
+        return res.json({ ok: true, event, zen: req.body?.zen });
+      case 'push':
+        return handlePushEvent(req.body, githubConfig, res);
+      case 'pull_request':
+        return handlePullRequestEvent(req.body, githubConfig, res);
+      default:
+        return res.json({ ok: true, skipped: true, reason: `Event ${event || 'unknown'} not handled` });
+    }
+  } catch (err) {
+    console.error('[webhook]', err);
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
 
-    if (branch === githubConfig.prodBranch) {
-      console.log(`[webhook] Rebuilding production...`);
-      const result = await cloneAndBuild(repoUrl, branch, PRODUCTION_DIR, token);
-      return res.json({ ok: true, target: 'production', output: result.output });
+function handlePushEvent(payload, githubConfig, res) {
+  const ref = payload?.ref || '';
+
+  if (ref.startsWith('refs/tags/')) {
+    const tag = ref.replace('refs/tags/', '');
+    console.log(`[webhook] Tag ${payload.deleted ? 'deleted' : 'pushed'}: ${tag}`);
+    return res.json({ ok: true, event: 'push', skipped: true, reason: `Tag ${tag} ignored` });
+  }
+
+  const branch = ref.replace('refs/heads/', '');
+  const tracked = branch === githubConfig.prodBranch || branch === githubConfig.devBranch;
+
+  if (payload?.deleted) {
+    // Never rebuild from a deleted branch; the live site keeps its last build
+    if (tracked) {
+      console.warn(`[webhook] Tracked branch ${branch} was deleted on GitHub; keeping current build`);
     }
+    return res.json({ ok: true, event: 'push', skipped: true, reason: `Branch ${branch} deleted` });
+  }
 
-    if (branch === githubConfig.devBranch) {
-      console.log(`[webhook] Updating dev server...`);
-      const result = await pullDevBranch();
-      // Restart dev server if it was running, or start it
-      if (getDevServerProcess()) {
-        await restartDevServer();
-      } else {
-        await startDevServer();
-      }
-      return res.json({ ok: true, target: 'dev', output: result.output });
+  console.log(`[webhook] GitHub push to branch: ${branch}`);
+
+  if (branch === githubConfig.prodBranch) {
+    if (productionBuildExists(payload.after)) {
+      return res.json({ ok: true, event: 'push', skipped: true, reason: `Production build for ${payload.after} already queued` });
+    }
+    console.log(`[webhook] Queueing production rebuild...`);
+    const job = queueProductionBuild(githubConfig, 'webhook');
+    return res.status(202).json({ ok: true, event: 'push', target: 'production', job: publicJob(job) });
+  }
+
+  if (branch === githubConfig.devBranch) {
+    console.log(`[webhook] Queueing dev server update...`);
+    const job = queueDevUpdate(githubConfig, 'webhook');
+    return res.status(202).json({ ok: true, event: 'push', target: 'dev', job: publicJob(job) });
+  }
+
+  res.json({ ok: true, event: 'push', skipped: true, reason: `Branch ${branch} not tracked` });
+}
+
+function handlePullRequestEvent(payload, githubConfig, res) {
+  const number = payload?.number;
+  const action = payload?.action || '';
+  const pr = payload?.pull_request;
+  console.log(`[webhook] Pull request #${number} ${action}`);
+
+  if (!Number.isInteger(number) || !pr) {
+    return res.status(400).json({ ok: false, error: 'Malformed pull_request payload' });
+  }
+  const clientDomain = getClientDomain();
+  if (!clientDomain) {
+    return res.json({ ok: true, event: 'pull_request', number, action, skipped: true, reason: 'No client domain configured' });
+  }
+
+  if (action === 'closed') {
+    const job = enqueueBuild(
+      `preview-${number}`,
+      () => removePreview({ repo: githubConfig.repo, number, token: getGitHubToken() }),
+      { label: `preview #${number} (remove)`, trigger: 'webhook' },
+    );
+    return res.status(202).json({ ok: true, event: 'pull_request', number, action, job: publicJob(job) });
+  }
+
+  if (action === 'opened' || action === 'reopened' || action === 'synchronize') {
+    // Fork PRs would run untrusted build scripts with our token; only build
+    // branches that live in the site repo itself
+    if (pr.head?.repo?.full_name?.toLowerCase() !== String(githubConfig.repo).toLowerCase()) {
+      return res.json({ ok: true, event: 'pull_request', number, action, skipped: true, reason: 'Pull requests from forks are not previewed' });
+    }
+    const branch = pr.head.ref;
+    const job = enqueueBuild(
+      `preview-${number}`,
+      () => buildPreview({ repo: githubConfig.repo, number, branch, token: getGitHubToken(), clientDomain }),
+      { label: `preview #${number} (${branch})`, trigger: 'webhook' },
+    );
+    return res.status(202).json({ ok: true, event: 'pull_request', number, action, job: publicJob(job) });
+  }
+
+  res.json({ ok: true, event: 'pull_request', number, action, skipped: true, reason: `Action ${action} not handled` });
+}
+
+// ── API tokens ─────────────────────────────────────────────────────────
+// Scoped bearer tokens for automation (see src/lib/tokens.js)
+
+app.get('/setup/api/tokens', requireSetupAuth, (_req, res) => {
+  res.json({ ok: true, tokens: listTokens() });
+});
+
+// Body: { name, scopes: [...], expiresInDays? | expiresAt? }. The token is
+// only ever returned here.
+app.post('/setup/api/tokens', requireSetupAuth, (req, res) => {
+  try {
+    const { name, scopes, expiresAt, expiresInDays } = req.body || {};
+    const days = Number(expiresInDays);
+    const expiry = expiresAt || (days > 0 ? new Date(Date.now() + days * 86_400_000).toISOString() : null);
+    const principal = req.principal;
+    const result = createToken({ name, scopes, expiresAt: expiry, createdBy: `${principal.kind}:${principal.id}` });
+    if (!result.ok) {
+      return res.status(400).json(result);
+    }
+    res.status(201).json(result);
+  } catch (err) {
+    console.error('[tokens]', err);
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+app.delete('/setup/api/tokens/:id', requireSetupAuth, (req, res) => {
+  if (!revokeToken(req.params.id)) {
+    return res.status(404).json({ ok: false, error: 'Token not found' });
+  }
+  res.json({ ok: true });
+});
+
+// ── Secrets vault ──────────────────────────────────────────────────────
+// Encrypted credentials (see src/lib/secrets.js). Values can be written and
+// rotated here but are never returned.
+
+const SECRET_NAME_RE = /^[\w.:*@-]{1,200}$/;
+
+app.get('/setup/api/secrets', requireRole('admin', 'secrets:read'), (_req, res) => {
+  res.json({ ok: true, ...getVaultStatus(), secrets: listSecrets() });
+});
+
+app.get('/setup/api/secrets/audit', requireRole('admin', 'secrets:read'), (req, res) => {
+  const limit = Math.min(Number.parseInt(req.query.limit, 10) || 200, 1000);
+  res.json({ ok: true, entries: readAuditLog({ limit }) });
+});
+
+app.post('/setup/api/secrets/migrate', requireRole('admin', 'secrets:write'), (req, res) => {
+  const principal = req.principal;
+  const result = migrateSecretsToVault({ actor: `${principal.kind}:${principal.id}` });
+  res.status(result.ok ? 200 : 400).json(result);
+});
+
+// Body: { value }
+app.put('/setup/api/secrets/:name', requireRole('admin', 'secrets:write'), (req, res) => {
+  try {
+    const { name } = req.params;
+    const value = req.body?.value;
+    if (!SECRET_NAME_RE.test(name)) {
+      return res.status(400).json({ ok: false, error: 'Invalid secret name' });
+    }
+    if (typeof value !== 'string' || value === '') {
+      return res.status(400).json({ ok: false, error: 'value must be a non-empty string' });
+    }
+    if (!isVaultEnabled()) {
+      return res.status(409).json({ ok: false, error: 'Secrets vault is not available (GERALD_MASTER_KEY not set or wrong)' });
+    }
+    const principal = req.principal;
+    setSecret(name, value, { actor: `${principal.kind}:${principal.id}` });
+    res.json({ ok: true, name });
+  } catch (err) {
+    console.error('[vault]', err);
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+app.delete('/setup/api/secrets/:name', requireRole('admin', 'secrets:write'), (req, res) => {
+  const principal = req.principal;
+  if (!deleteSecret(req.params.name, { actor: `${principal.kind}:${principal.id}` })) {
+    return res.status(404).json({ ok: false, error: 'Secret not found' });
+  }
+  res.json({ ok: true });
+});
+
+// ── Domains ──────────────────────────────────────────────────────────
+// Point a changed domain at Railway, let it send mail, and update the
+// contact form widget's hostname list. Output is the combined log.
+async function syncDomainServices(changed) {
+  let output = '';
+  if (changed) {
+    const dnsResult = await setupCloudflareDNS(changed.domain, railwayCnameTarget(), { role: changed.role });
+    output += `[dns] ${dnsResult.output}\n`;
+
+    const sendgridConfig = readSecretFile('sendgrid', { actor: 'setup' });
+    if (changed.role !== 'redirect' && sendgridConfig?.apiKey && process.env.CLOUDFLARE_API_KEY?.trim()) {
+      const domainAuthResult = await setupSendGridDomainAuth(changed.domain, sendgridConfig.apiKey);
+      output += domainAuthResult.output;
+    }
+  }
+
+  const siteKey = readSecretFile('services', { actor: 'setup' })?.turnstile?.siteKey;
+  if (siteKey) {
+    const [primary, ...aliases] = siteDomains();
+    const turnstileResult = await updateTurnstileDomains(siteKey, primary, aliases);
+    output += `[turnstile] ${turnstileResult.output}\n`;
+  }
+  return output;
+}
+
+app.get('/setup/api/domains', requireRole('admin', 'domains:read'), (_req, res) => {
+  res.json({ ok: true, domains: getDomains(), roles: DOMAIN_ROLES, cnameTarget: railwayCnameTarget() });
+});
+
+// Body: { domain, role: "alias" | "redirect" | "primary" }
+app.post('/setup/api/domains', requireRole('admin', 'domains:write'), async (req, res) => {
+  let domains;
+  try {
+    domains = addDomain(req.body || {});
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+  const added = domains.find((d) => d.domain === normalizeDomain(req.body.domain));
+  try {
+    const output = await syncDomainServices(added);
+    res.json({ ok: true, domains, output });
+  } catch (err) {
+    console.error('[domains]', err);
+    res.json({ ok: true, domains, output: `Saved, but DNS/service setup failed: ${err.message}` });
+  }
+});
+
+// Body: { role } — making a domain primary turns the current primary into an alias
+app.put('/setup/api/domains/:domain', requireRole('admin', 'domains:write'), async (req, res) => {
+  let domains;
+  try {
+    domains = updateDomain(req.params.domain, req.body || {});
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+  if (!domains) return res.status(404).json({ ok: false, error: 'Domain not found' });
+  try {
+    const output = await syncDomainServices(domains.find((d) => d.domain === normalizeDomain(req.params.domain)));
+    res.json({ ok: true, domains, output });
+  } catch (err) {
+    console.error('[domains]', err);
+    res.json({ ok: true, domains, output: `Saved, but DNS/service setup failed: ${err.message}` });
+  }
+});
+
+// DNS records of a removed domain are left in Cloudflare
+app.delete('/setup/api/domains/:domain', requireRole('admin', 'domains:write'), async (req, res) => {
+  let domains;
+  try {
+    domains = removeDomain(req.params.domain);
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+  if (!domains) return res.status(404).json({ ok: false, error: 'Domain not found' });
+  try {
+    const output = await syncDomainServices(null);
+    res.json({ ok: true, domains, output });
+  } catch (err) {
+    console.error('[domains]', err);
+    res.json({ ok: true, domains, output: `Removed, but the Turnstile update failed: ${err.message}` });
+  }
+});
+
+// ── Dev site access ──────────────────────────────────────────────────
+app.get('/setup/api/dev-access', requireRole('admin', 'dev-access:read'), (_req, res) => {
+  res.json({ ok: true, ...readDevAccess() });
+});
+
+// Body: { enabled?, allowIps?, allowTailscale?, users?: [{ username, password? }] }
+app.put('/setup/api/dev-access', requireRole('admin', 'dev-access:write'), (req, res) => {
+  try {
+    res.json({ ok: true, ...updateDevAccess(req.body || {}) });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+// Body: { hours?, label? } — a link that lets its holder in until it expires
+app.post('/setup/api/dev-access/share', requireRole('admin', 'dev-access:write'), (req, res) => {
+  try {
+    res.json({ ok: true, ...createShareLink(req.body || {}) });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+// Revoke every share link (and the cookies they set)
+app.post('/setup/api/dev-access/rotate', requireRole('admin', 'dev-access:write'), (_req, res) => {
+  rotateShareSecret();
+  res.json({ ok: true });
+});
+
+// ── Routing table ────────────────────────────────────────────────────
+// The host/path routes in effect (see src/lib/routing.js)
+app.get('/setup/api/routing', requireRole('admin', 'routing:read'), (_req, res) => {
+  const { routes, custom } = getRoutes();
+  res.json({ ok: true, custom, routes, targetTypes: TARGET_TYPES, defaults: DEFAULT_ROUTES });
+});
+
+// Body: { routes: [...] } — replaces the whole table
+app.put('/setup/api/routing', requireRole('admin', 'routing:write'), (req, res) => {
+  try {
+    res.json({ ok: true, routes: writeRoutes(req.body?.routes) });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+// Back to the built-in table
+app.delete('/setup/api/routing', requireRole('admin', 'routing:write'), (_req, res) => {
+  resetRoutes();
+  res.json({ ok: true, routes: getRoutes().routes });
+});
+
+// ── Security headers (src/lib/security-headers.js) ────────────────────
+// Browsers post CSP violations here from every host (report-uri and
+// Reporting API formats); no auth, nothing is sent back
+const cspReportBody = express.json({ type: ['application/csp-report', 'application/reports+json'], limit: '64kb' });
+app.post(CSP_REPORT_PATH, cspReportBody, (req, res) => {
+  recordCspReports(req.body);
+  res.status(204).end();
+});
+
+// Violations seen so far, most frequent first
+app.get('/setup/api/security/csp-reports', requireRole('admin', 'security:read'), (_req, res) => {
+  res.json({ ok: true, reports: listCspReports() });
+});
+
+app.delete('/setup/api/security/csp-reports', requireRole('admin', 'security:write'), (_req, res) => {
+  clearCspReports();
+  res.json({ ok: true });
+});
+
+// The headers the routing table gives a request to ?host=&path= over HTTPS
+// (the wrapper's own routes, such as /setup, always get "wrapper")
+app.get('/setup/api/security/headers', requireRole('admin', 'security:read'), (req, res) => {
+  const host = String(req.query.host || '').toLowerCase();
+  const urlPath = String(req.query.path || '/');
+  if (!host || !urlPath.startsWith('/')) {
+    return res.status(400).json({ ok: false, error: 'host and a path starting with "/" are required' });
+  }
+  const route = resolveRoute(host, urlPath);
+  const profile = route ? profileForRoute(route) : 'wrapper';
+  const headers = securityHeaders(profile, route?.security, { secure: true, host });
+  res.json({ ok: true, route: route?.id || null, profile, headers: Object.fromEntries(headers) });
+});
+
+// Pull request previews currently built or building
+app.get('/api/previews', requireRole('client', 'previews:read'), (_req, res) => {
+  res.json({ ok: true, previews: listPreviews() });
+});
+
+// ── Review snapshots (src/lib/reviews.js) ──────────────────────────────
+// Frozen builds of the dev branch on review-<id>.dev.<domain>, with an
+// expiry and a banner whose Approve button publishes the reviewed commit.
+app.get('/api/reviews', requireRole('client', 'reviews:read'), async (_req, res) => {
+  await pruneReviews();
+  res.json({ ok: true, reviews: listReviews() });
+});
+
+// { hours?, label?, approvable?, wait? } → 202 with the review and its build job
+app.post('/api/reviews', requireRole('operator', 'reviews:write'), async (req, res) => {
+  const githubConfig = readGitHubConfig();
+  if (!githubConfig) {
+    return res.status(400).json({ ok: false, error: 'No GitHub configuration found. Run setup first.' });
+  }
+  const clientDomain = getClientDomain();
+  if (!clientDomain) {
+    return res.status(400).json({ ok: false, error: 'No client domain configured' });
+  }
+  let review;
+  try {
+    review = createReview({
+      hours: req.body?.hours,
+      label: req.body?.label,
+      approvable: req.body?.approvable,
+      clientDomain,
+    });
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+  await pruneReviews();
+
+  const job = enqueueBuild(
+    'review',
+    () => buildReview(review.id, {
+      repoUrl: `https://github.com/${githubConfig.repo}`,
+      branch: githubConfig.devBranch,
+      token: getGitHubToken(),
+      saveDevChanges: () => saveDevChangesQueued('review'),
+    }),
+    { label: `review ${review.id.slice(0, 7)} (${githubConfig.devBranch})`, trigger: 'api' },
+  );
+  if (req.body?.wait === true) {
+    const result = await waitForBuild(job.id);
+    return res.status(result.ok ? 200 : 500).json({ ok: result.ok, review: getReview(review.id), job: getBuild(job.id), output: result.output });
+  }
+  res.status(202).json({ ok: true, review, job: publicJob(job) });
+});
+
+app.delete('/api/reviews/:id', requireRole('operator', 'reviews:write'), async (req, res) => {
+  if (!(await removeReview(req.params.id))) {
+    return res.status(404).json({ ok: false, error: 'Review not found' });
+  }
+  res.json({ ok: true });
+});
+
+// ── Dev site feedback (src/lib/feedback.js) ────────────────────────────
+// Comments left with the feedback widget on dev.<domain>, newest first
+app.get('/api/feedback', requireRole('client', 'feedback:read'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  res.json({ ok: true, enabled: feedbackEnabled(), feedback: listFeedback({ limit }) });
+});
+
+app.get('/api/feedback/:id/screenshot', requireRole('client', 'feedback:read'), (req, res) => {
+  const file = feedbackScreenshotPath(req.params.id);
+  if (!file || !fs.existsSync(file)) {
+    return res.status(404).json({ ok: false, error: 'Screenshot not found' });
+  }
+  res.sendFile(file);
+});
+
+// { "enabled": true } adds the widget to every dev page (needs dev access control)
+app.put('/api/feedback/settings', requireRole('operator', 'feedback:write'), (req, res) => {
+  try {
+    res.json({ ok: true, enabled: setFeedbackEnabled(req.body?.enabled) });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+// Send a comment to Gerald again (e.g. after the gateway was down)
+app.post('/api/feedback/:id/forward', requireRole('operator', 'feedback:write'), async (req, res) => {
+  if (!getFeedback(req.params.id)) {
+    return res.status(404).json({ ok: false, error: 'Feedback not found' });
+  }
+  try {
+    await ensureGatewayRunning(OPENCLAW_GATEWAY_TOKEN);
+  } catch (err) {
+    return res.status(503).json({ ok: false, error: `Gateway not ready: ${String(err)}` });
+  }
+  const item = await forwardFeedback(req.params.id);
+  res.status(item.forward.status === 'sent' ? 200 : 502).json({ ok: item.forward.status === 'sent', feedback: item });
+});
+
+app.delete('/api/feedback/:id', requireRole('operator', 'feedback:write'), (req, res) => {
+  if (!removeFeedback(req.params.id)) {
+    return res.status(404).json({ ok: false, error: 'Feedback not found' });
+  }
+  res.json({ ok: true });
+});
+
+// ── Site metadata (llms.txt, robots.txt, sitemap.xml) ────────────────
+// What the production domain currently serves for each file, and where it
+// comes from: "site" (shipped in the build), "template" or "generated".
+app.get('/api/metadata', requireRole('operator', 'metadata:read'), (_req, res) => {
+  try {
+    const files = METADATA_FILES.map((file) => ({
+      file,
+      ...resolveMetadataFile(file),
+      template: readMetadataTemplate(file),
+    }));
+    const { xml: _xml, ...sitemap } = resolveSitemap();
+    res.json({ ok: true, settings: readMetadataSettings(), files, sitemap });
+  } catch (err) {
+    console.error('[site-metadata]', err);
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+// Body: { canonicalHost: "apex" | "www" } — the host canonical links and the sitemap use
+app.put('/api/metadata/settings', requireRole('operator', 'metadata:write'), (req, res) => {
+  try {
+    res.json({ ok: true, settings: writeMetadataSettings(req.body || {}) });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+// Body: { content } — placeholders: {{domain}} {{url}} {{title}} {{description}} {{pages}} {{sitemap}}
+// A file shipped in the site repo still takes precedence over the template.
+app.put('/api/metadata/:file', requireRole('operator', 'metadata:write'), (req, res) => {
+  const { file } = req.params;
+  if (!METADATA_FILES.includes(file)) {
+    return res.status(404).json({ ok: false, error: `Unknown metadata file: ${file}` });
+  }
+  try {
+    writeMetadataTemplate(file, req.body?.content);
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+  res.json({ ok: true, file, ...resolveMetadataFile(file) });
+});
+
+app.delete('/api/metadata/:file', requireRole('operator', 'metadata:write'), (req, res) => {
+  const { file } = req.params;
+  if (!METADATA_FILES.includes(file)) {
+    return res.status(404).json({ ok: false, error: `Unknown metadata file: ${file}` });
+  }
+  if (!deleteMetadataTemplate(file)) {
+    return res.status(404).json({ ok: false, error: 'No template saved' });
+  }
+  res.json({ ok: true, file, ...resolveMetadataFile(file) });
+});
+
+// ── Redirects and headers ────────────────────────────────────────────
+// Rules from redirects.json (editable here, applies to every site) and from
+// the production build's _redirects / _headers files, in the order they run.
+app.get('/api/redirects', requireRole('operator', 'redirects:read'), (_req, res) => {
+  try {
+    res.json({ ok: true, config: readRedirectsConfig(), production: describeSiteRules(PRODUCTION_DIR) });
+  } catch (err) {
+    console.error('[redirects]', err);
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
+
+// Body: { redirects: [{ from, to, status?, force?, query? }], headers: [{ for, values }] }
+app.put('/api/redirects', requireRole('operator', 'redirects:write'), (req, res) => {
+  try {
+    res.json({ ok: true, config: writeRedirectsConfig(req.body) });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err.message });
+  }
+});
+
+app.get("/setup/export", requireRole("admin", "export:read"), async (_req, res) => {
+  res.setHeader("content-type", "application/gzip");
+  res.setHeader(
+    "content-disposition",
+    `attachment; filename="openclaw-backup-${new Date().toISOString().replace(/[:.]/g, "-")}.tar.gz"`,
+  );
+
+  // Archive layout (relative to /data when possible, so it contains
+  // .openclaw/... and workspace/...) lives in src/lib/backup.js
+  const stream = createExportStream();
+
+  stream.on("error", (err) => {
+    console.error("[export]", err);
+    if (!res.headersSent) res.status(500);
+    res.end(String(err));
+  });
+
+  stream.pipe(res);
+});
+
+// Restore a /setup/export archive. Upload the raw .tar.gz as the request body:
+//   curl -X POST --data-binary @backup.tar.gz -H 'Content-Type: application/gzip' .../setup/import
+app.post("/setup/import", requireSetupAuth, async (req, res) => {
+  if (req.is("application/json") || req.is("application/x-www-form-urlencoded")) {
+    return res.status(415).json({ ok: false, error: "Upload the backup as application/gzip (or application/octet-stream)" });
+  }
+  if (isRestoreInProgress()) {
+    return res.status(409).json({ ok: false, error: "A restore is already in progress" });
+  }
+
+  const tooLarge = () => res
+    .status(413)
+    .set("Connection", "close")
+    .json({ ok: false, error: `Upload is larger than ${Math.round(IMPORT_MAX_BYTES / 1024 / 1024)} MB (GERALD_IMPORT_MAX_MB)` });
+  if (Number(req.headers["content-length"]) > IMPORT_MAX_BYTES) {
+    return tooLarge();
+  }
+
+  const uploadDir = path.join(BACKUPS_DIR, "uploads");
+  fs.mkdirSync(uploadDir, { recursive: true });
+  const uploadPath = path.join(uploadDir, `import-${Date.now()}.tar.gz`);
+
+  try {
+    // Content-Length can be absent (chunked) or wrong, so count while writing
+    let received = 0;
+    const overLimit = new Error("Upload too large");
+    const limit = new Transform({
+      transform(chunk, _encoding, callback) {
+        received += chunk.length;
+        if (received > IMPORT_MAX_BYTES) return callback(overLimit);
+        callback(null, chunk);
+      },
+    });
+    try {
+      await pipeline(req, limit, fs.createWriteStream(uploadPath, { mode: 0o600 }));
+    } catch (err) {
+      if (err === overLimit) return tooLarge();
+      throw err;
+    }
+    if (fs.statSync(uploadPath).size === 0) {
+      return res.status(400).json({ ok: false, error: "Empty upload" });
     }
 
-    res.json({ ok: true, skipped: true, reason: `Branch ${branch} not tracked` });
+    console.log(`[import] Restoring from upload (${fs.statSync(uploadPath).size} bytes)`);
+    const result = await restoreArchive(uploadPath);
+    if (!result.ok && result.problems) {
+      return res.status(400).json(result);
+    }
+    if (result.ok) {
+      // The restore added a pre-import snapshot; keep only the newest few
+      await applyBackupRetention().catch((err) => console.warn(`[import] Retention failed: ${err.message}`));
+    }
+    res.status(result.ok ? 200 : 500).json(result);
   } catch (err) {
-    console.error('[webhook]', err);
+    console.error("[import]", err);
     res.status(500).json({ ok: false, error: String(err) });
+  } finally {
+    fs.rmSync(uploadPath, { force: true });
   }
 });
 
-app.get("/setup/export", requireSetupAuth, async (_req, res) => {
-  fs.mkdirSync(STATE_DIR, { recursive: true });
-  fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
-
-  res.setHeader("content-type", "application/gzip");
-  res.setHeader(
-    "content-disposition",
-    `attachment; filename="openclaw-backup-${new Date().toISOString().replace(/[:.]/g, "-")}.tar.gz"`,
-  );
-
-  // Prefer exporting from a common /data root so archives are easy to inspect and restore.
-  // This preserves dotfiles like /data/.openclaw/openclaw.json.
-  const stateAbs = path.resolve(STATE_DIR);
-  const workspaceAbs = path.resolve(WORKSPACE_DIR);
-
-  const dataRoot = "/data";
-  const underData = (p) => p === dataRoot || p.startsWith(dataRoot + path.sep);
-
-  let cwd = "/";
-  let paths = [stateAbs, workspaceAbs].map((p) => p.replace(/^\//, ""));
-
-  if (underData(stateAbs) && underData(workspaceAbs)) {
-    cwd = dataRoot;
-    // We export relative to /data so the archive contains: .openclaw/... and workspace/...
-    paths = [
-      path.relative(dataRoot, stateAbs) || ".",
-      path.relative(dataRoot, workspaceAbs) || ".",
-    ];
+// Scheduled backups (src/lib/backup-scheduler.js); schedule lives in illumin8.json `backups`
+app.get("/setup/api/backups", requireRole("admin", "backups:read"), (_req, res) => {
+  try {
+    res.json({ ok: true, ...getBackupStatus(), backups: listBackups() });
+  } catch (err) {
+    console.error("[backups]", err);
+    res.status(500).json({ ok: false, error: String(err) });
   }
+});
 
-  const stream = tar.c(
-    {
-      gzip: true,
-      portable: true,
-      noMtime: true,
-      cwd,
-      onwarn: () => {},
-    },
-    paths,
-  );
+app.post("/setup/api/backups", requireRole("admin", "backups:write"), async (_req, res) => {
+  try {
+    const result = await runBackup("manual");
+    res.status(result.ok ? 200 : result.backup ? 502 : 500).json(result);
+  } catch (err) {
+    console.error("[backups]", err);
+    res.status(500).json({ ok: false, error: String(err) });
+  }
+});
 
-  stream.on("error", (err) => {
-    console.error("[export]", err);
-    if (!res.headersSent) res.status(500);
-    res.end(String(err));
-  });
+app.get("/setup/api/backups/:id/download", requireRole("admin", "backups:read"), (req, res) => {
+  const file = getBackupFile(req.params.id);
+  if (!file) {
+    return res.status(404).json({ ok: false, error: "Backup not found" });
+  }
+  res.download(file, req.params.id, { headers: { "content-type": "application/gzip" } });
+});
 
-  stream.pipe(res);
+app.delete("/setup/api/backups/:id", requireRole("admin", "backups:write"), async (req, res) => {
+  try {
+    const result = await deleteBackup(req.params.id);
+    res.status(result.ok ? 200 : 404).json(result);
+  } catch (err) {
+    console.error("[backups]", err);
+    res.status(500).json({ ok: false, error: String(err) });
+  }
 });
 
 // Proxy everything else to the gateway.
@@ -2352,12 +3630,18 @@ const proxy = httpProxy.createProxyServer({
 
 proxy.on("error", (err, req, res) => {
   console.error("[proxy]", err.code || err.message);
+  recordProxyError(req, err);
   if (res && !res.headersSent && typeof res.writeHead === 'function') {
     res.writeHead(503, { 'Content-Type': 'text/html' });
     res.end('<html><body style="background:#0a0a0f;color:#94a3b8;font-family:system-ui;display:flex;align-items:center;justify-content:center;height:100vh;margin:0"><div style="text-align:center"><h2 style="color:#00ff87">Gerald is starting up...</h2><p>Please refresh in a few seconds.</p></div></body></html>');
   }
 });
 
+// Label proxied requests with the service that answers them (metrics)
+proxy.on("start", (req, res, target) => {
+  if (!req._metricsTarget) req._metricsTarget = proxyTargetName(target);
+});
+
 // Keep-alive for streaming connections
 proxy.on('proxyRes', (proxyRes, req, res) => {
   // Disable buffering for SSE/streaming responses
@@ -2382,6 +3666,15 @@ proxy.on('proxyRes', (proxyRes, req, res) => {
   }
 });
 
+// _headers rules and custom error statuses from _redirects (set by
+// applyProxiedSiteRules) take precedence over the dev/SSR server's response
+proxy.on('proxyRes', (proxyRes, req) => {
+  if (req._siteStatus) proxyRes.statusCode = req._siteStatus;
+  for (const { name, value } of req._siteHeaders || []) {
+    proxyRes.headers[name.toLowerCase()] = value;
+  }
+});
+
 // Log proxy timeout errors specifically
 proxy.on('econnreset', (err, req, res) => {
   console.error('[proxy] Connection reset error:', err.message);
@@ -2391,11 +3684,11 @@ proxy.on('timeout', (req, res) => {
   console.error('[proxy] Timeout error on:', req.url);
 });
 
-// Inject auth token into HTTP proxy requests - only for gateway, not Dashboard
+// Inject auth token into HTTP proxy requests - only for gateway routes
 proxy.on("proxyReq", (proxyReq, req, res) => {
-  if (req._proxyTarget === 'dashboard') {
-    // Don't inject gateway token - Dashboard handles its own auth via cookies/JWT
-  } else {
+  // Only routes that ask for it (the gateway); the dashboard, dev and SSR
+  // servers and external URLs never see the token
+  if (req._injectToken) {
     console.log(`[proxy] HTTP ${req.method} ${req.url} - injecting token: ${OPENCLAW_GATEWAY_TOKEN.slice(0, 16)}...`);
     proxyReq.setHeader("Authorization", `Bearer ${OPENCLAW_GATEWAY_TOKEN}`);
   }
@@ -2410,49 +3703,75 @@ proxy.on("proxyReq", (proxyReq, req, res) => {
   }
 });
 
-// Inject X-Robots-Tag and meta tag into dev server responses
-proxy.on("proxyRes", (proxyRes, req, res) => {
-  // Only for dev-server target (set in routing middleware)
-  if (req._proxyTarget === 'dev-server') {
-    // Set X-Robots-Tag header on all proxied responses
-    proxyRes.headers['x-robots-tag'] = 'noindex, nofollow';
+// Buffer an HTML response and send `transform(body)` instead. Anything else
+// (other types, encoded bodies, HEAD, ranges) goes out untouched. Proxied
+// responses pass `proxyRes.headers`, which http-proxy copies to `res` later.
+function rewriteHtmlResponse(res, transform, headers = null) {
+  const header = (name) => (headers ? headers[name] : res.getHeader(name));
+  const _write = res.write;
+  const _end = res.end;
+  const chunks = [];
+  let buffering = null;
+
+  const shouldBuffer = () => {
+    if (buffering === null) {
+      buffering = String(header('content-type') || '').includes('text/html') &&
+        !header('content-encoding') &&
+        res.req?.method !== 'HEAD' &&
+        res.statusCode !== 206;
+      if (!buffering) {
+        res.write = _write;
+        res.end = _end;
+      }
+    }
+    return buffering;
+  };
+
+  res.write = function(chunk, ...args) {
+    if (!shouldBuffer()) return _write.call(this, chunk, ...args);
+    if (chunk) chunks.push(Buffer.from(chunk));
+    return true;
+  };
 
-    // Inject meta tag into HTML responses
-    const contentType = proxyRes.headers['content-type'] || '';
-    if (contentType.includes('text/html')) {
-      const _write = res.write;
-      const _end = res.end;
-      const chunks = [];
+  res.end = function(chunk, ...args) {
+    if (!shouldBuffer()) return _end.call(this, chunk, ...args);
+    if (chunk && typeof chunk !== 'function') {
+      chunks.push(Buffer.from(chunk));
+    }
 
-      res.write = function(chunk, ...args) {
-        chunks.push(Buffer.from(chunk));
-        return true;
-      };
+    const body = transform(Buffer.concat(chunks).toString('utf8'));
 
-      res.end = function(chunk, ...args) {
-        if (chunk) {
-          chunks.push(Buffer.from(chunk));
-        }
+    // Update Content-Length
+    if (headers) delete headers['content-length'];
+    res.setHeader('Content-Length', Buffer.byteLength(body));
 
-        let body = Buffer.concat(chunks).toString('utf8');
+    res.write = _write;
+    res.end = _end;
+    return res.end(body);
+  };
+}
 
-        // Inject noindex meta tag if not already present
-        if (!body.includes('name="robots"') && body.includes('<head>')) {
-          body = body.replace(
-            '<head>',
-            '<head>\n  <meta name="robots" content="noindex, nofollow">'
-          );
-        }
+// The noindex meta tag for HTML on hosts crawlers should skip (dev, previews),
+// alongside their X-Robots-Tag header
+function injectRobotsMeta(body) {
+  if (body.includes('name="robots"') || !body.includes('<head>')) return body;
+  return body.replace('<head>', '<head>\n  <meta name="robots" content="noindex, nofollow">');
+}
 
-        // Update Content-Length
-        delete proxyRes.headers['content-length'];
-        res.setHeader('Content-Length', Buffer.byteLength(body));
+// Inject X-Robots-Tag and meta tag into dev server responses
+proxy.on("proxyRes", (proxyRes, req, res) => {
+  // Only for dev-server target (set in routing middleware)
+  if (req._proxyTarget === 'dev-server') {
+    // Set X-Robots-Tag header on all proxied responses
+    proxyRes.headers['x-robots-tag'] = 'noindex, nofollow';
 
-        res.write = _write;
-        res.end = _end;
-        res.end(body);
-      };
-    }
+    // Inject noindex meta tag into HTML responses if not already present,
+    // and the feedback widget when it is enabled
+    const withFeedback = feedbackEnabled();
+    rewriteHtmlResponse(res, (body) => {
+      body = injectRobotsMeta(body);
+      return withFeedback ? injectFeedbackScript(body) : body;
+    }, proxyRes.headers);
   }
 });
 
@@ -2463,313 +3782,293 @@ proxy.on("proxyReqWs", (proxyReq, req, socket, options, head) => {
 });
 
 app.use(async (req, res, next) => {
+  // Everything behind this router is stopped while a backup is restored
+  if (isRestoreInProgress()) {
+    res.set('Retry-After', '30');
+    return res.status(503).type('text/plain').send('Restoring from backup, try again shortly.');
+  }
+
   // If not configured, force users to /setup for any non-setup routes.
   if (!isConfigured() && !req.path.startsWith("/setup")) {
     return res.redirect("/setup");
   }
 
-  // ── Illumin8 host-based routing ─────────────────────────────────────
-  const clientDomain = getClientDomain();
-  if (clientDomain) {
-    const host = req.hostname?.toLowerCase();
+  // ── Host-based routing (src/lib/routing.js) ─────────────────────────
+  const route = resolveRoute(req.hostname, req.path);
+  if (!route) return res.status(404).type('text/plain').send('Not found');
+  debug(`[routing] ${req.hostname}${req.path} → ${route.id} (${route.target.type})`);
+  if (route.auth) {
+    return requireRole(route.auth)(req, res, () => serveRoute(route, req, res, next));
+  }
+  return serveRoute(route, req, res, next);
+});
 
-    // Allow certain endpoints through on any domain (before subdomain routing)
-    if (req.path === '/api/webhook/github' || req.path === '/api/rebuild' || req.path === '/status') {
-      return next();
+// Production site: metadata files, canonical links, then SSR or static
+function serveProduction(req, res) {
+  // llms.txt / llms-full.txt / robots.txt: from the site, a saved template, or generated
+  if (METADATA_FILES.includes(req.path.slice(1))) {
+    try {
+      const { content } = resolveMetadataFile(req.path.slice(1));
+      res.type('text/plain; charset=utf-8');
+      return res.send(content);
+    } catch (err) {
+      console.error('[site-metadata]', err);
+      return res.status(500).type('text/plain').send('Could not generate ' + req.path.slice(1));
     }
+  }
 
-    // Production site: clientdomain.com or www.clientdomain.com
-    if (host === clientDomain || host === `www.${clientDomain}`) {
-      // Serve llms.txt - tells LLMs what the site is about
-      if (req.path === '/llms.txt') {
-        res.type('text/plain; charset=utf-8');
-        return res.send(`# Cass & Kathryn Morrow - Marriage Coaching
-
-> Marriage coaching for men and women in crisis. We've helped 5,600+ couples save their marriages through The Marriage Reset (for men) and The White Picket Fence Project (for women). We specialize in sexless marriages, constant conflict, and emotional disconnection—even when only one spouse is willing to do the work.
-
-Cass & Kathryn survived extreme marital crisis (abuse, 7 separations, restraining order, 2 divorce lawyers) and created a proven methodology that transforms marriages at the identity level—not through communication tips, but through deep personal transformation. Their programs have a 23% acceptance rate (selective, high-commitment only).
-
-## Programs
-
-- [The Marriage Reset](/men): For men ready to lead - Transform yourself at the identity level and become the man she can't help but respect and desire
-- [The White Picket Fence Project](/women): For women ready to transform - Stop exhausting yourself, reclaim your identity, and require the partnership you deserve
-- [Free Training](/free-training): High-level training covering automatic turn-offs, why marriages fail, and real conflict resolution examples
-
-## Resources
-
-- [Success Stories](/#success-stories): Real transformations from couples on the brink of divorce
-- [FAQ](/#faq): Common questions about saving marriages, sexless relationships, and the coaching process
-
-## Contact
-
-- Website: https://cassandkathryn.com
-- Services: Marriage coaching for men and women (separate programs)
-- Specialty: Sexless marriages, conflict resolution, one-spouse transformation
-- Results: 6-12 months typical transformation timeframe
-`);
+  // sitemap.xml: the build's own, else generated from the release's pages
+  if (req.path === '/sitemap.xml') {
+    try {
+      const sitemap = resolveSitemap();
+      if (sitemap.source === 'generated' && sitemap.pages > 0) {
+        return res.type('application/xml; charset=utf-8').send(sitemap.xml);
       }
+    } catch (err) {
+      console.error('[site-metadata]', err);
+    }
+  }
 
-      // Serve llms-full.txt - extended version with more details
-      if (req.path === '/llms-full.txt') {
-        res.type('text/plain; charset=utf-8');
-        return res.send(`# Cass & Kathryn Morrow - Marriage Coaching (Full Documentation)
-
-> Marriage coaching for men and women in crisis. We've helped 5,600+ couples save their marriages through The Marriage Reset (for men) and The White Picket Fence Project (for women). We specialize in sexless marriages, constant conflict, and emotional disconnection—even when only one spouse is willing to do the work.
-
-## About Cass & Kathryn
-
-Cass and Kathryn Morrow are marriage coaches who survived extreme marital crisis to build a thriving relationship and now help others do the same. Their background includes:
-
-- Emotional, physical, and sexual abuse
-- Restraining order
-- 7 separations
-- 2 divorce lawyers
-- 1 year of probation
-
-From this foundation, they created a unique coaching methodology that has helped 5,600+ marriages transform. Their approach is different from traditional marriage counseling:
-
-**Key Differentiators:**
-- Focus on identity transformation, not communication techniques
-- Only ONE spouse needs to participate (though both benefit)
-- Addresses the root cause of marital breakdown, not just symptoms
-- Selective acceptance (23% acceptance rate) - only works with committed individuals
-- Results-driven: most couples see transformation in 6-12 months
-
-## Programs & Services
-
-### The Marriage Reset (For Men)
-
-**Target Audience:** Men whose wives have checked out, stopped having sex, or mentioned divorce
-
-**Core Premise:** Stop waiting for your wife to change. Become the man she can't help but respect and desire through identity-level transformation.
-
-**What It's Not:**
-- Not communication tips or date night advice
-- Not manipulation tactics
-- Not "happy wife, happy life" people-pleasing
-
-**What It Is:**
-- Deep work on who you are as a man, leader, and husband
-- Learning to lead with strength and presence
-- Becoming someone your wife naturally responds to (not because you manipulated, but because you're undeniable)
-
-**Results:**
-- Men report their wives initiating intimacy again after years of rejection
-- Nasty fights transform into peaceful connection
-- Wives who were "done" suddenly re-engage
-
-### The White Picket Fence Project (For Women)
-
-**Target Audience:** Women exhausting themselves trying to hold their marriage together
-
-**Core Premise:** Stop enabling bad behavior and reclaim your identity. Become the woman who creates transformation—with or without his participation.
-
-**Key Concepts:**
-- Set boundaries and stop doing all the emotional labor
-- Require the partnership you deserve
-- Transform yourself (which often transforms the marriage)
-- Take your power back
-
-**What It Addresses:**
-- Women who feel like roommates, not partners
-- Constant fighting and defensiveness
-- Carrying all the mental/emotional load
-- Husbands who have checked out or won't participate in counseling
-
-### Free Training
-
-High-level training available without commitment. Covers:
-
-- **Automatic Turn-Offs:** From conversations to intimacy—what's killing attraction without you realizing it
-- **Why This Is Happening:** The real reason marriages die (not what traditional counseling says)
-- **Secret Recording:** Live training from Cass & Kathryn showing real conflict resolution
-
-## Common Situations They Address
-
-### Sexless Marriage
-- It's been months or years since intimacy
-- When sex happens, it feels like a chore
-- Your spouse isn't "just not sexual"—they're not having sex with YOU because they don't feel safe/respected/desired
-
-**Their Approach:** Transform who you are → intimacy returns as genuine desire, not transaction
-
-### You're Roommates, Not Partners
-- Co-parent, split bills, sleep in the same bed
-- No connection, no spark
-- Parallel lives
-
-**Their Approach:** Identity transformation creates natural attraction and connection
-
-### Constant Fighting
-- Every conversation becomes conflict
-- Always defending yourself
-- Nastiness that never stops
-
-**Their Approach:** Learn to lead/set boundaries from a place of strength, not reactivity
-
-### Spouse Has Checked Out
-- They've mentioned divorce
-- Emotionally gone
-- May be seeing someone else
-
-**Their Approach:** Transform yourself to become undeniable (they respond to who you are, not what you say)
-
-### Traditional Therapy Failed
-- Tried therapy, books, date nights, love languages
-- Nothing worked
-
-**Why Their Approach Works:** Addresses identity, not surface-level behaviors
-
-## Philosophy & Methodology
-
-**Core Belief:** You can't fix a marriage by working on the marriage. You fix it by becoming a different person. When you change, the marriage changes with you.
-
-**Why Only One Spouse Needs to Participate:**
-- Most couples start with only one person willing to work
-- When you transform at the identity level—who you are, how you show up, how you lead—your spouse responds
-- Not because you manipulated them, but because you became someone they can't help but respond to
-- You don't need their permission to become undeniable
-
-**Selective Acceptance (23% Rate):**
-- Only work with people serious about transformation
-- Not looking for quick fixes or victim validation
-- Committed to doing the deep work
-- If accepted, you're in a room with people who refuse to settle
-
-## Results & Timeframe
-
-**Typical Transformation:** 6-12 months for significant results
+  // apex, www and aliases serve the same pages; point search engines at one of them
+  const canonical = canonicalUrl(req);
+  if (canonical) res.set('Link', `<${canonical}>; rel="canonical"`);
+
+  // For SSR sites, proxy to the production SSR server
+  const isSSR = isProdSSR();
+  const hasProcess = !!getProdServerProcess();
+  debug(`[routing] Production request: isSSR=${isSSR}, hasProcess=${hasProcess}, target=${PROD_SERVER_TARGET}`);
+  if (isSSR && hasProcess) {
+    if (applyProxiedSiteRules(PRODUCTION_DIR, req, res)) return;
+    req._proxyTarget = 'prod-server';
+    return proxy.web(req, res, { target: PROD_SERVER_TARGET });
+  }
+  // For static sites (or SSR fallback), serve static files
+  return serveStaticSite(PRODUCTION_DIR, req, res);
+}
 
-**Early Indicators:** Some men notice shifts in their wives within WEEKS
+const feedbackBody = express.json({ limit: '6mb' });
 
-**Success Metrics:**
-- 5,600+ marriages saved
-- Couples who were filing for divorce ripping up papers
-- Women initiating intimacy after 7+ years of rejection
-- Nasty conflicts transforming into peaceful connection
-- Emotional disconnection becoming genuine partnership
+// Feedback widget on the dev site (src/lib/feedback.js): its script, and the
+// comments it posts. The widget is off unless dev access control is on, and
+// only a visitor it let in may post. The custom header keeps other sites
+// from posting here with a plain form.
+async function serveDevFeedback(req, res) {
+  if (!feedbackEnabled()) return res.status(404).type('text/plain').send('Not found');
 
-## Featured In
+  if (req.path === FEEDBACK_SCRIPT_PATH) {
+    res.set('Cache-Control', 'no-cache');
+    res.type('application/javascript');
+    return res.sendFile(path.join(process.cwd(), 'src', 'public', 'feedback-widget.js'));
+  }
+  if (req.path === HTML2CANVAS_PATH) {
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.type('application/javascript');
+    // pnpm keeps packages under node_modules/.pnpm
+    return res.sendFile(HTML2CANVAS_FILE, { dotfiles: 'allow' });
+  }
 
-Media coverage includes:
-- Maxim
-- Forbes Brunei
-- Los Angeles Magazine
-- LA Weekly
-- Multiple podcast interviews (Chris Voss Show, DreamCatchers, The Success Mindset Show)
+  if (req.method !== 'POST') {
+    res.set('Allow', 'POST');
+    return res.status(405).json({ ok: false, error: 'Method not allowed' });
+  }
+  if (req.get('x-gerald-feedback') !== '1') {
+    return res.status(403).json({ ok: false, error: 'Missing X-Gerald-Feedback header' });
+  }
+  const access = await devAccessMethod(req);
+  if (!access || access === 'open') {
+    return res.status(403).json({ ok: false, error: 'Sign in to the dev site to send feedback' });
+  }
+  const ip = clientIp(req);
+  if (!allowFeedbackFrom(ip)) {
+    res.set('Retry-After', '600');
+    return res.status(429).json({ ok: false, error: 'Too many comments, try again in a few minutes' });
+  }
+  feedbackBody(req, res, (err) => {
+    if (err) {
+      const tooLarge = err.type === 'entity.too.large';
+      return res.status(tooLarge ? 413 : 400).json({ ok: false, error: tooLarge ? 'Feedback is too large' : 'Invalid JSON' });
+    }
+    let item;
+    try {
+      item = saveFeedback(req.body, { ip, access, userAgent: req.get('user-agent') });
+    } catch (saveErr) {
+      return res.status(400).json({ ok: false, error: saveErr.message });
+    }
+    res.status(201).json({ ok: true, id: item.id });
 
-## Who This Is NOT For
+    // Gerald works on it in the background; the widget doesn't wait
+    ensureGatewayRunning(OPENCLAW_GATEWAY_TOKEN)
+      .catch(() => {})
+      .then(() => forwardFeedback(item.id));
+  });
+}
 
-- People looking for quick fixes
-- Those wanting someone to validate their victim story
-- Anyone not willing to do deep personal work
-- People who want their spouse to change but won't change themselves
+// Approve button on a review banner: publish the reviewed commit. The
+// tokenized host is the credential; the custom header keeps other sites from
+// posting here with a plain form.
+async function approveReview(review, req, res) {
+  if (req.method !== 'POST') {
+    res.set('Allow', 'POST');
+    return res.status(405).json({ ok: false, error: 'Method not allowed' });
+  }
+  if (req.get('x-gerald-review') !== 'approve') {
+    return res.status(403).json({ ok: false, error: 'Missing X-Gerald-Review header' });
+  }
+  if (!review.approvable) {
+    return res.status(403).json({ ok: false, error: 'This review link cannot approve changes' });
+  }
+  if (review.status !== 'ready') {
+    return res.status(409).json({ ok: false, error: `Review is ${review.status}` });
+  }
+  const githubConfig = readGitHubConfig();
+  if (!githubConfig) {
+    return res.status(400).json({ ok: false, error: 'No GitHub configuration found' });
+  }
 
-## Contact & Next Steps
+  updateReview(review.id, { status: 'publishing' });
+  console.log(`[reviews] ${review.id} approved, publishing ${review.commit}`);
+  try {
+    const { result, publishJob, buildJob } = await runPublish(githubConfig, { ref: review.commit, trigger: 'review' });
+    if (!result.ok) {
+      updateReview(review.id, { status: 'ready', error: result.output });
+      return res.status(result.conflict ? 409 : 500).json({ ok: false, error: result.conflict ? 'Publishing would conflict with the live site' : 'Publish failed', job: getBuild(publishJob.id) });
+    }
+    updateReview(review.id, {
+      status: 'approved',
+      approvedAt: new Date().toISOString(),
+      publishJob: publishJob.id,
+      buildJob: buildJob?.id || null,
+      error: null,
+    });
+    res.json({ ok: true, upToDate: Boolean(result.upToDate), job: getBuild(publishJob.id), build: buildJob ? publicJob(buildJob) : null });
+  } catch (err) {
+    console.error('[reviews]', err);
+    updateReview(review.id, { status: 'ready', error: String(err) });
+    res.status(500).json({ ok: false, error: 'Publish failed' });
+  }
+}
 
-- **Website:** https://cassandkathryn.com
-- **For Men:** https://cassandkathryn.com/men (The Marriage Reset)
-- **For Women:** https://cassandkathryn.com/women (The White Picket Fence Project)
-- **Free Training:** https://cassandkathryn.com/free-training
-- **Not Sure?** Start with the free training to understand the approach
+// Answer `req` with the target of its routing table entry
+async function serveRoute(route, req, res, next) {
+  applySecurityHeaders(req, res, profileForRoute(route), route.security);
 
-## FAQ Highlights
+  // Dev site and previews: optional password / share link / IP allow-list
+  if ((route.target.type === 'dev' || route.target.type === 'preview') && (await enforceDevAccess(req, res))) return;
 
-**Q: Can I save my marriage if my spouse has given up?**
-A: Yes. Most of the 5,600+ couples started with only ONE person willing to work. When you transform at the identity level, your spouse responds.
+  if (route.noindex) {
+    // Keep crawlers off everything but the production site
+    res.set('X-Robots-Tag', 'noindex, nofollow');
+    if (req.path === '/robots.txt') {
+      res.type('text/plain');
+      return res.send('User-agent: *\nDisallow: /\nNoindex: /');
+    }
+  }
+  req._injectToken = route.injectToken;
 
-**Q: How is this different from marriage counseling?**
-A: Traditional counseling focuses on communication techniques and requires both spouses. We focus on IDENTITY transformation. You can't fix a marriage by working on the marriage—you fix it by becoming a different person.
+  const { target } = route;
+  switch (target.type) {
+    case 'next':
+      return next();
 
-**Q: What if we haven't had sex in years?**
-A: Sexless marriages are our specialty. Your spouse isn't "just not a sexual person." They're not having sex with you because they don't feel safe, respected, or desired. Transform who you are → intimacy returns as genuine desire.
+    case 'redirect': {
+      const base = target.to ? target.to.replace(/\/+$/, '') : canonicalOrigin();
+      return res.redirect(301, `${base}${req.originalUrl}`);
+    }
 
-**Q: How long does it take?**
-A: Most couples see significant transformation within 6-12 months. Some notice shifts within WEEKS. Depends on commitment and depth of damage.
+    case 'production':
+      return serveProduction(req, res);
 
-**Q: Why only 23% acceptance rate?**
-A: We're selective because transformation requires commitment. We only work with people serious about deep work—not looking for quick fixes or victim validation.
-`);
+    // pr-<n>.dev.clientdomain.com → static build of the PR branch
+    case 'preview': {
+      const previewNumber = parsePreviewHost(req.hostname?.toLowerCase(), getClientDomain());
+      if (previewNumber === null) return res.status(404).type('text/plain').send('Not a preview host');
+      const previewDir = getPreviewDir(previewNumber);
+      if (!fs.existsSync(previewDir)) {
+        return res.status(404).type('text/plain').send(`No preview for PR #${previewNumber}`);
       }
+      // Pages get the noindex meta tag like the dev site. Previews are
+      // precompressed, so page loads take the plain file, which can be rewritten
+      if (String(req.headers.accept || '').includes('text/html')) delete req.headers['accept-encoding'];
+      rewriteHtmlResponse(res, injectRobotsMeta);
+      return serveStaticSite(previewDir, req, res);
+    }
 
-      // For SSR sites, proxy to the production SSR server
-      const isSSR = isProdSSR();
-      const hasProcess = !!getProdServerProcess();
-      console.log(`[routing] Production request: isSSR=${isSSR}, hasProcess=${hasProcess}, target=${PROD_SERVER_TARGET}`);
-      if (isSSR && hasProcess) {
-        console.log(`[routing] Proxying to prod-server at ${PROD_SERVER_TARGET}`);
-        req._proxyTarget = 'prod-server';
-        return proxy.web(req, res, { target: PROD_SERVER_TARGET });
-      }
-      // For static sites (or SSR fallback), serve static files
-      console.log(`[routing] Falling back to static: PRODUCTION_DIR=${PRODUCTION_DIR}`);
-      return serveStaticSite(PRODUCTION_DIR, req, res);
-    }
-
-    // Dev site: dev.clientdomain.com → live dev server (or static fallback)
-    if (host === `dev.${clientDomain}`) {
-      // Serve robots.txt that blocks all crawlers
-      if (req.path === '/robots.txt') {
-        res.set('X-Robots-Tag', 'noindex, nofollow');
-        res.type('text/plain');
-        return res.send('User-agent: *\nDisallow: /\nNoindex: /');
+    // review-<id>.dev.clientdomain.com → frozen snapshot with the review banner
+    case 'review': {
+      const review = getReview(parseReviewHost(req.hostname?.toLowerCase(), getClientDomain()));
+      if (!review) return res.status(404).type('text/plain').send('No such review');
+      if (review.status === 'expired') return res.status(410).type('text/plain').send('This review link has expired.');
+      if (req.path === REVIEW_APPROVE_PATH) return approveReview(review, req, res);
+      if (review.status === 'building') {
+        res.set('Retry-After', '30');
+        return res.status(503).type('text/plain').send('This review is still being built, try again shortly.');
       }
+      if (review.status === 'failed') return res.status(404).type('text/plain').send('This review could not be built.');
+      // The banner changes (approved, publishing): always send full pages
+      delete req.headers['if-none-match'];
+      delete req.headers['if-modified-since'];
+      rewriteHtmlResponse(res, (body) => injectReviewBanner(body, review));
+      return serveStaticSite(getReviewDir(review.id), req, res);
+    }
 
-      // Set X-Robots-Tag header on all dev subdomain responses
-      res.set('X-Robots-Tag', 'noindex, nofollow');
-
+    // Live dev server, or the dev site's static build when it isn't running
+    case 'dev': {
+      if ([FEEDBACK_SCRIPT_PATH, FEEDBACK_POST_PATH, HTML2CANVAS_PATH].includes(req.path)) {
+        return serveDevFeedback(req, res);
+      }
       if (getDevServerProcess()) {
-        req._proxyTarget = 'dev-server'; // skip gateway token injection, enable meta tag injection
+        if (applyProxiedSiteRules(DEV_DIR, req, res)) return;
+        req._proxyTarget = 'dev-server'; // enables meta tag injection
         return proxy.web(req, res, { target: DEV_SERVER_TARGET });
       }
-      // Fallback to static files if dev server isn't running
       // Check for dist folder first (source code kept, build output in dist/)
       const devDistDir = path.join(DEV_DIR, 'dist');
       const devStaticDir = fs.existsSync(devDistDir) ? devDistDir : DEV_DIR;
-      console.log(`[dev-routing] Serving static from: ${devStaticDir}`);
-      console.log(`[dev-routing] dist exists: ${fs.existsSync(devDistDir)}, DEV_DIR exists: ${fs.existsSync(DEV_DIR)}`);
-      if (fs.existsSync(devStaticDir)) {
-        const files = fs.readdirSync(devStaticDir).slice(0, 10);
-        console.log(`[dev-routing] Files in ${devStaticDir}: ${files.join(', ')}`);
-      }
-      return serveStaticSite(devStaticDir, req, res);
+      debug(`[dev-routing] Serving static from: ${devStaticDir}`);
+      const withFeedback = feedbackEnabled();
+      rewriteHtmlResponse(res, (body) => {
+        body = injectRobotsMeta(body);
+        return withFeedback ? injectFeedbackScript(body) : body;
+      });
+      // The dev tree changes in place: short-lived index, no browser caching
+      return serveStaticSite(devStaticDir, req, res, { mutable: true });
     }
 
-    // Gerald dashboard: gerald.clientdomain.com → Dashboard (transparent proxy)
-    if (host === `gerald.${clientDomain}`) {
-      if (req.path.startsWith('/openclaw')) {
-        // Proxy /openclaw paths to OpenClaw gateway (dashboard API calls)
-        if (isConfigured()) {
-          try { await ensureGatewayRunning(OPENCLAW_GATEWAY_TOKEN); } catch (err) {
-            return res.status(503).type('text/plain').send(`Gateway not ready: ${String(err)}`);
-          }
-        }
-        return proxy.web(req, res, { target: GATEWAY_TARGET });
+    case 'static':
+      return serveStaticSite(staticRouteDir(route), req, res);
+
+    case 'ssr':
+      if (!getProdServerProcess()) {
+        return res.status(503).type('text/plain').send('Production server is not running');
       }
+      req._proxyTarget = 'prod-server';
+      return proxy.web(req, res, { target: PROD_SERVER_TARGET });
 
-      // Everything else → Gerald Dashboard (Dashboard handles its own auth)
+    // Gerald Dashboard (handles its own auth)
+    case 'dashboard':
       req._proxyTarget = 'dashboard';
       return proxy.web(req, res, { target: DASHBOARD_TARGET });
-    }
 
-    // All other hosts fall through to proxy (setup, healthz, etc.)
-  }
+    case 'url':
+      req._proxyTarget = 'url';
+      return proxy.web(req, res, { target: target.url });
 
-  // ── Existing proxy logic ─────────────────────────────────────────────
-  if (isConfigured()) {
-    try {
-      await ensureGatewayRunning(OPENCLAW_GATEWAY_TOKEN);
-    } catch (err) {
-      return res
-        .status(503)
-        .type("text/plain")
-        .send(`Gateway not ready: ${String(err)}`);
-    }
+    case 'gateway':
+    default:
+      if (isConfigured()) {
+        try {
+          await ensureGatewayRunning(OPENCLAW_GATEWAY_TOKEN);
+        } catch (err) {
+          return res
+            .status(503)
+            .type("text/plain")
+            .send(`Gateway not ready: ${String(err)}`);
+        }
+      }
+      // Auth token injected via proxyReq event when the route asks for it
+      return proxy.web(req, res, { target: GATEWAY_TARGET });
   }
-
-  // Proxy to gateway (auth token injected via proxyReq event)
-  return proxy.web(req, res, { target: GATEWAY_TARGET });
-});
+}
 
 // Create HTTP server from Express app
 // Ensure tailscale directories exist
@@ -2780,17 +4079,32 @@ fs.mkdirSync('/var/run/tailscale', { recursive: true });
 startTailscale().catch(err => console.error('[tailscale] Startup error:', err));
 
 // Graceful shutdown handlers - save dev site changes before exit
-process.on('SIGTERM', async () => {
-  console.log('[shutdown] Received SIGTERM, saving dev site changes...');
-  await autoSaveDevChanges();
+// Save dev site changes, then stop every managed process (SIGKILL for any
+// that linger), but never hold the container past Railway's grace period
+async function shutdown(signal) {
+  console.log(`[shutdown] Received ${signal}, saving dev site changes...`);
+  setTimeout(() => process.exit(0), 8000).unref();
+  try {
+    await autoSaveDevChanges();
+    await stopAllServices();
+  } catch (err) {
+    console.error('[shutdown] error:', err);
+  }
   process.exit(0);
-});
+}
 
-process.on('SIGINT', async () => {
-  console.log('[shutdown] Received SIGINT, saving dev site changes...');
-  await autoSaveDevChanges();
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Supervisor starts report failure as { ok: false } rather than throwing
+function logAutoStart(tag, promise) {
+  promise
+    .then((result) => {
+      if (result?.ok === false) console.error(`[${tag}] ✗ auto-start failed: ${result.output}`);
+      else console.log(`[${tag}] ✓ auto-started`);
+    })
+    .catch((err) => console.error(`[${tag}] ✗ auto-start failed:`, err.message));
+}
 
 const server = app.listen(PORT, () => {
   console.log(`[wrapper] ========== SERVER STARTED ==========`);
@@ -2819,25 +4133,22 @@ const server = app.listen(PORT, () => {
     console.log(`[wrapper] not configured - run /setup to configure`);
   }
 
+  startBackupScheduler();
+  startReviewPruner();
+
   // Start dashboard if installed (background)
-  startDashboard(OPENCLAW_GATEWAY_TOKEN)
-    .then(() => console.log('[dashboard] ✓ auto-started'))
-    .catch(err => console.error('[dashboard] ✗ auto-start failed:', err.message));
+  logAutoStart('dashboard', startDashboard(OPENCLAW_GATEWAY_TOKEN));
 
   // Start dev server if dev site has been cloned (background)
   if (fs.existsSync(path.join(DEV_DIR, 'package.json'))) {
-    startDevServer()
-      .then(() => console.log('[dev-server] ✓ auto-started'))
-      .catch(err => console.error('[dev-server] ✗ auto-start failed:', err.message));
+    logAutoStart('dev-server', startDevServer());
   }
 
   // Start production SSR server if site is SSR (background)
   // Delay by 5 seconds to allow any stale processes to fully terminate
   if (isProdSSR()) {
     setTimeout(() => {
-      startProdServer()
-        .then(() => console.log('[prod-server] ✓ auto-started'))
-        .catch(err => console.error('[prod-server] ✗ auto-start failed:', err.message));
+      logAutoStart('prod-server', startProdServer());
     }, 5000);
   }
 
@@ -2879,65 +4190,83 @@ server.on("upgrade", async (req, socket, head) => {
     return;
   }
 
-  // Route WebSocket by subdomain
-  const clientDomain = getClientDomain();
+  // Same routing table as HTTP requests
   const wsHost = req.headers.host?.split(':')[0]?.toLowerCase();
-
-  // Dev subdomain WebSocket → dev server (HMR)
-  if (clientDomain && wsHost === `dev.${clientDomain}` && getDevServerProcess()) {
-    console.log(`[ws-upgrade] Proxying WebSocket to dev server: ${req.url}`);
-    proxy.ws(req, socket, head, { target: DEV_SERVER_TARGET });
+  const wsUrl = new URL(req.url, 'http://localhost');
+  const route = resolveRoute(wsHost, wsUrl.pathname, { websocket: true });
+  if (!route) {
+    socket.destroy();
     return;
   }
-
-  // Only allow WebSocket for gerald subdomain (or no client domain set)
-  if (clientDomain && wsHost !== `gerald.${clientDomain}`) {
-    socket.destroy();
+  if (route.auth && !upgradeAllowed(req, route.auth)) {
+    socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
     return;
   }
 
-  // Parse the request path for routing
-  const wsUrl = new URL(req.url, 'http://localhost');
+  const { target } = route;
+  switch (target.type) {
+    // Dev server WebSocket (HMR)
+    case 'dev':
+      if (!getDevServerProcess()) break;
+      if (!(await devUpgradeAllowed(req))) {
+        socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+        return;
+      }
+      console.log(`[ws-upgrade] Proxying WebSocket to dev server: ${req.url}`);
+      trackWebSocket(req, socket, 'dev-server');
+      return proxy.ws(req, socket, head, { target: DEV_SERVER_TARGET });
+
+    case 'production':
+    case 'ssr':
+      if (!getProdServerProcess()) break;
+      trackWebSocket(req, socket, 'prod-server');
+      return proxy.ws(req, socket, head, { target: PROD_SERVER_TARGET });
+
+    // Dashboard handles its own auth
+    case 'dashboard':
+      console.log(`[ws-upgrade] Proxying WebSocket to dashboard: ${req.url}`);
+      trackWebSocket(req, socket, 'dashboard');
+      return proxy.ws(req, socket, head, { target: DASHBOARD_TARGET });
+
+    case 'url':
+      trackWebSocket(req, socket, 'url');
+      return proxy.ws(req, socket, head, { target: target.url });
+
+    // OpenClaw gateway WebSocket (chat, node connections, etc.)
+    case 'gateway': {
+      try {
+        await ensureGatewayRunning(OPENCLAW_GATEWAY_TOKEN);
+      } catch {
+        socket.destroy();
+        return;
+      }
 
-  if (wsUrl.pathname.startsWith('/openclaw') || wsUrl.pathname === '/') {
-    // /openclaw paths OR root path → OpenClaw gateway WebSocket (chat, node connections, etc.)
-    try {
-      await ensureGatewayRunning(OPENCLAW_GATEWAY_TOKEN);
-    } catch {
-      socket.destroy();
-      return;
-    }
+      console.log(`[ws-upgrade] Proxying WebSocket to gateway: ${req.url}`);
 
-    console.log(`[ws-upgrade] Proxying WebSocket to gateway: ${req.url}`);
+      const headers = {};
+      if (route.injectToken) {
+        // Append token to the URL if not already present
+        const url = new URL(req.url, GATEWAY_TARGET);
+        if (!url.searchParams.has('token')) {
+          url.searchParams.set('token', OPENCLAW_GATEWAY_TOKEN);
+        }
+        req.url = url.pathname + url.search;
+        headers.Authorization = `Bearer ${OPENCLAW_GATEWAY_TOKEN}`;
+      }
 
-    // Append token to the URL if not already present
-    const url = new URL(req.url, GATEWAY_TARGET);
-    if (!url.searchParams.has('token')) {
-      url.searchParams.set('token', OPENCLAW_GATEWAY_TOKEN);
+      trackWebSocket(req, socket, 'gateway');
+      return proxy.ws(req, socket, head, { target: GATEWAY_TARGET, headers });
     }
-    req.url = url.pathname + url.search;
-
-    proxy.ws(req, socket, head, {
-      target: GATEWAY_TARGET,
-      headers: {
-        Authorization: `Bearer ${OPENCLAW_GATEWAY_TOKEN}`,
-      },
-    });
-  } else {
-    // All other WebSocket paths → Gerald Dashboard (Dashboard handles its own auth)
-    console.log(`[ws-upgrade] Proxying WebSocket to dashboard: ${req.url}`);
-    proxy.ws(req, socket, head, {
-      target: DASHBOARD_TARGET,
-    });
   }
+  socket.destroy();
 });
 
 // ==============================
-// Dashboard API Routes (proxied to Gerald Dashboard - no requireSetupAuth)
+// Dashboard API Routes (the dashboard calls these server-side with INTERNAL_API_KEY)
 // ==============================
 
 // Gerald Dashboard version check
-app.get('/api/dashboard/gerald-version', async (req, res) => {
+app.get('/api/dashboard/gerald-version', requireRole('operator'), async (req, res) => {
   try {
     // Use DASHBOARD_DIR constant (not hardcoded path)
     let currentCommit = 'unknown';
@@ -2971,7 +4300,7 @@ app.get('/api/dashboard/gerald-version', async (req, res) => {
 });
 
 // Gerald Dashboard update
-app.post('/api/dashboard/gerald-update', async (req, res) => {
+app.post('/api/dashboard/gerald-update', requireRole('admin'), async (req, res) => {
   try {
     if (!fs.existsSync(DASHBOARD_DIR)) {
       return res.status(400).json({ success: false, error: 'Dashboard not installed' });
@@ -3000,66 +4329,4 @@ app.post('/api/dashboard/gerald-update', async (req, res) => {
   }
 });
 
-// System health endpoint
-app.get('/api/system/health', async (req, res) => {
-  try {
-    const status = {
-      gateway: getGatewayProc() ? 'running' : 'stopped',
-      dashboard: getDashboardProcess() ? 'running' : 'stopped',
-      devServer: getDevServerProcess() ? 'running' : 'stopped',
-      timestamp: new Date().toISOString()
-    };
-    res.json(status);
-  } catch (err) {
-    console.error('[system-health] error:', err);
-    res.status(500).json({ error: String(err) });
-  }
-});
-
-// Health data endpoints (mock data for Railway template)
-app.get('/api/health/summary', async (req, res) => {
-  res.json({
-    today: { step_count: 0, active_energy: 0, sleep_hours: 0, exercise_minutes: 0, stand_hours: 0 },
-    goals: { step_count: 10000, active_energy: 500, sleep_hours: 8, exercise_minutes: 30, stand_hours: 12 }
-  });
-});
-
-app.get('/api/health/history/:metric', async (req, res) => {
-  res.json({ metric: req.params.metric, days: parseInt(req.query.days) || 7, data: [] });
-});
-
-app.get('/api/health/hourly/:metric', async (req, res) => {
-  res.json({ metric: req.params.metric, date: req.query.date, data: [] });
-});
-
-app.get('/api/health/vitals', async (req, res) => {
-  res.json({ vitals: [] });
-});
-
-app.get('/api/health/workouts/today', async (req, res) => {
-  res.json({ workouts: [] });
-});
-
-// Note: Other Dashboard API routes (/api/health/*) are handled above
-// The Dashboard server handles its own JWT authentication
-
-process.on("SIGTERM", () => {
-  // Best-effort shutdown
-  try {
-    if (getGatewayProc()) getGatewayProc()?.kill("SIGTERM");
-  } catch {
-    // ignore
-  }
-  try {
-    if (getDashboardProcess()) getDashboardProcess()?.kill("SIGTERM");
-  } catch {
-    // ignore
-  }
-  try {
-    if (getDevServerProcess()) getDevServerProcess().kill("SIGTERM");
-  } catch {
-    // ignore
-  }
-  process.exit(0);
-});
 // Trigger redeploy Mon Feb  9 23:19:00 MST 2026
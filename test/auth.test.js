@@ -0,0 +1,145 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "gerald-auth-"));
+process.env.OPENCLAW_STATE_DIR = path.join(tmp, "state");
+process.env.OPENCLAW_WORKSPACE_DIR = path.join(tmp, "workspace");
+process.env.CLIENT_DOMAIN = "acme.com";
+process.env.SETUP_PASSWORD = "setup secret";
+process.env.INTERNAL_API_KEY = "internal key";
+process.env.ALLOWED_TELEGRAM_IDS = "111, 222";
+
+const {
+  createSession,
+  destroySession,
+  leaveToDashboard,
+  requireRole,
+  resolvePrincipal,
+  roleForIdentity,
+  upgradeAllowed,
+} = await import("../src/lib/auth.js");
+const { createToken } = await import("../src/lib/tokens.js");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function writeIllumin8(config) {
+  fs.mkdirSync(process.env.OPENCLAW_STATE_DIR, { recursive: true });
+  fs.writeFileSync(path.join(process.env.OPENCLAW_STATE_DIR, "illumin8.json"), JSON.stringify(config));
+}
+
+function request({ method = "GET", host = "acme.com", path: reqPath = "/api/x", auth, bearer, session, origin } = {}) {
+  return {
+    method,
+    hostname: host,
+    path: reqPath,
+    headers: {
+      host,
+      ...(auth ? { authorization: `Basic ${Buffer.from(auth).toString("base64")}` } : {}),
+      ...(bearer ? { authorization: `Bearer ${bearer}` } : {}),
+      ...(origin ? { origin } : {}),
+    },
+    cookies: session ? { gerald_session: session } : {},
+  };
+}
+
+function response() {
+  return {
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    type() { return this; },
+    send(body) { this.body = body; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+// Runs a middleware; returns what it passed to next() or the response
+function run(middleware, req) {
+  const res = response();
+  let nextArg = "not called";
+  middleware(req, res, (arg) => { nextArg = arg; });
+  return { res, nextArg, passed: nextArg === undefined };
+}
+
+test("the setup password is admin and the internal key is operator", () => {
+  assert.deepEqual(resolvePrincipal(request({ auth: ":setup secret" })), { kind: "password", id: "setup", role: "admin" });
+  assert.equal(resolvePrincipal(request({ auth: "anyone:wrong" })), null);
+  assert.equal(resolvePrincipal(request({ bearer: "internal key" })).role, "operator");
+  assert.equal(resolvePrincipal(request({ bearer: "internal" })), null);
+  assert.equal(resolvePrincipal(request()), null);
+});
+
+test("identities get explicit roles first, then the guardrail role if allow-listed", () => {
+  writeIllumin8({ guardrailLevel: "standard", roles: { "telegram:999": "admin", "telegram:222": "operator" } });
+  assert.equal(roleForIdentity("telegram:999"), "admin");
+  assert.equal(roleForIdentity("telegram:222"), "operator");
+  assert.equal(roleForIdentity("telegram:111"), "client");
+  assert.equal(roleForIdentity("telegram:333"), null);
+  assert.equal(roleForIdentity("email:someone@acme.com"), null);
+
+  writeIllumin8({ guardrailLevel: "admin" });
+  assert.equal(roleForIdentity("telegram:111"), "operator");
+});
+
+test("sessions resolve their role per request and end on logout", () => {
+  writeIllumin8({ guardrailLevel: "standard" });
+  const session = createSession("telegram", "111", "Ana");
+  assert.deepEqual(resolvePrincipal(request({ session })), { kind: "telegram", id: "111", name: "Ana", role: "client" });
+
+  writeIllumin8({ guardrailLevel: "standard", roles: { "telegram:111": "operator" } });
+  assert.equal(resolvePrincipal(request({ session })).role, "operator");
+
+  destroySession(session);
+  assert.equal(resolvePrincipal(request({ session })), null);
+  assert.equal(resolvePrincipal(request({ session: "made-up" })), null);
+});
+
+test("requireRole enforces the role order", () => {
+  assert.equal(run(requireRole("admin"), request()).res.statusCode, 401);
+  assert.match(run(requireRole("admin"), request()).res.headers["WWW-Authenticate"], /^Basic /);
+  assert.equal(run(requireRole("admin"), request({ bearer: "internal key" })).res.statusCode, 403);
+  assert.ok(run(requireRole("operator"), request({ bearer: "internal key" })).passed);
+  assert.ok(run(requireRole("client"), request({ auth: ":setup secret" })).passed);
+});
+
+test("tokens pass only with the route's scope", () => {
+  const { token } = createToken({ name: "ci", scopes: ["builds:read", "redirects:*"] });
+  assert.ok(run(requireRole("client", "builds:read"), request({ bearer: token })).passed);
+  assert.ok(run(requireRole("operator", "redirects:write"), request({ bearer: token })).passed);
+  assert.equal(run(requireRole("operator", "publish"), request({ bearer: token })).res.statusCode, 403);
+  assert.equal(run(requireRole("client"), request({ bearer: token })).res.statusCode, 403);
+
+  const byTarget = requireRole("operator", (req) => `rebuild:${req.body.target}`);
+  const req = { ...request({ bearer: token }), body: { target: "dev" } };
+  assert.equal(run(byTarget, req).res.statusCode, 403);
+});
+
+test("session cookies only change state from the same origin", () => {
+  writeIllumin8({ roles: { "telegram:111": "admin" } });
+  const session = createSession("telegram", "111");
+  const put = (origin) => run(requireRole("operator"), request({ method: "PUT", session, origin }));
+
+  assert.ok(put("https://acme.com").passed);
+  assert.equal(put("https://dev.acme.com").res.statusCode, 403);
+  assert.equal(put("null").res.statusCode, 403);
+  assert.equal(put(undefined).res.statusCode, 403);
+  assert.ok(run(requireRole("operator"), request({ session })).passed);
+
+  // Headers can't be forged cross-site, so Basic auth needs no Origin
+  assert.ok(run(requireRole("admin"), request({ method: "POST", auth: ":setup secret" })).passed);
+
+  const upgrade = (origin) => upgradeAllowed({ headers: { cookie: `gerald_session=${session}`, host: "acme.com", ...(origin ? { origin } : {}) } }, "client");
+  assert.equal(upgrade("https://acme.com"), true);
+  assert.equal(upgrade("https://pr-4.dev.acme.com"), false);
+});
+
+test("credential-less calls on the gerald host are left to the dashboard", () => {
+  const onGerald = { host: "gerald.acme.com", path: "/api/push/subscribe" };
+  assert.equal(run(leaveToDashboard, request(onGerald)).nextArg, "route");
+  assert.ok(run(leaveToDashboard, request({ ...onGerald, bearer: "internal key" })).passed);
+  assert.ok(run(leaveToDashboard, request({ path: "/api/push/subscribe" })).passed);
+  assert.equal(run(leaveToDashboard, request({ ...onGerald, bearer: "guess" })).nextArg, "route");
+});
@@ -0,0 +1,102 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+import zlib from "node:zlib";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "gerald-backup-"));
+const stateDir = path.join(tmp, "state");
+process.env.OPENCLAW_STATE_DIR = stateDir;
+process.env.OPENCLAW_WORKSPACE_DIR = path.join(tmp, "workspace");
+// Inside the state dir on purpose: exports must skip it and restores refuse it
+process.env.GERALD_BACKUPS_DIR = path.join(stateDir, "backups");
+
+const tar = await import("tar");
+const { exportLayout, inspectArchive, isRestoreInProgress, restoreArchive, writeSnapshot } =
+  await import("../src/lib/backup.js");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const { roots } = exportLayout();
+const stateRoot = roots[0];
+
+// A gzip'd tar with exactly these entries, bypassing the safety checks a
+// normal tar writer applies
+function archive(name, entries) {
+  const blocks = [];
+  for (const { path: entryPath, type = "File", body = "", linkpath } of entries) {
+    const data = Buffer.from(body);
+    const header = new tar.Header({ path: entryPath, type, linkpath, size: data.length, mode: 0o644, mtime: new Date(0) });
+    header.encode();
+    blocks.push(header.block, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+  blocks.push(Buffer.alloc(1024));
+  const file = path.join(tmp, name);
+  fs.writeFileSync(file, zlib.gzipSync(Buffer.concat(blocks)));
+  return file;
+}
+
+test("a well-formed export passes inspection", async () => {
+  const file = archive("good.tar.gz", [
+    { path: `${stateRoot}/`, type: "Directory" },
+    { path: `${stateRoot}/openclaw.json`, body: "{}" },
+    { path: `${stateRoot}/current`, type: "SymbolicLink", linkpath: "openclaw.json" },
+  ]);
+  const result = await inspectArchive(file);
+  assert.deepEqual(result.problems, []);
+  assert.equal(result.ok, true);
+  assert.equal(result.files, 2);
+});
+
+test("traversal, absolute paths, escaping links and devices are rejected", async () => {
+  const file = archive("evil.tar.gz", [
+    { path: `${stateRoot}/ok.json`, body: "{}" },
+    { path: `${stateRoot}/../../escape.txt`, body: "x" },
+    { path: "/etc/cron.d/evil", body: "x" },
+    { path: "elsewhere/file.txt", body: "x" },
+    { path: `${stateRoot}/passwd`, type: "SymbolicLink", linkpath: "/etc/passwd" },
+    { path: `${stateRoot}/up`, type: "SymbolicLink", linkpath: "../../../.." },
+    { path: `${stateRoot}/tty`, type: "CharacterDevice" },
+  ]);
+  const { ok, problems } = await inspectArchive(file);
+  assert.equal(ok, false);
+  const text = problems.join("\n");
+  assert.match(text, /escape\.txt: path traversal/);
+  assert.match(text, /cron\.d\/evil: (path traversal|outside the backup layout)/);
+  assert.match(text, /elsewhere\/file\.txt: outside the backup layout/);
+  assert.match(text, /passwd: link target \/etc\/passwd escapes the backup/);
+  assert.match(text, /up: link target \.\.\/\.\.\/\.\.\/\.\. escapes the backup/);
+  assert.match(text, /tty: unsupported entry type CharacterDevice/);
+});
+
+test("archives without the state directory are not Gerald exports", async () => {
+  const { ok, problems } = await inspectArchive(archive("workspace-only.tar.gz", [
+    { path: `${roots[1]}/notes.md`, body: "x" },
+  ]));
+  assert.equal(ok, false);
+  assert.match(problems.join("\n"), /not a Gerald export/);
+});
+
+test("snapshots never contain the backups directory", async () => {
+  fs.mkdirSync(stateDir, { recursive: true });
+  fs.writeFileSync(path.join(stateDir, "openclaw.json"), "{}");
+  // The second one would pick up the first if BACKUPS_DIR weren't skipped
+  const first = await writeSnapshot("backup");
+  const { file } = await writeSnapshot("backup");
+  assert.equal(path.dirname(first.file), process.env.GERALD_BACKUPS_DIR);
+
+  const listed = [];
+  await tar.t({ file, onReadEntry: (entry) => listed.push(entry.path) });
+  assert.ok(listed.includes(`${stateRoot}/openclaw.json`));
+  assert.equal(listed.filter((p) => p.includes("/backups")).length, 0);
+});
+
+test("a restore refuses a backups directory it would delete midway", async () => {
+  const file = archive("restore.tar.gz", [{ path: `${stateRoot}/openclaw.json`, body: "{}" }]);
+  const result = await restoreArchive(file);
+  assert.equal(result.ok, false);
+  assert.match(result.problems[0], /GERALD_BACKUPS_DIR .* is inside .*state/);
+  assert.equal(isRestoreInProgress(), false);
+  assert.equal(fs.readFileSync(path.join(stateDir, "openclaw.json"), "utf8"), "{}");
+});
@@ -0,0 +1,134 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "gerald-dev-access-"));
+process.env.OPENCLAW_STATE_DIR = path.join(tmp, "state");
+process.env.OPENCLAW_WORKSPACE_DIR = path.join(tmp, "workspace");
+process.env.CLIENT_DOMAIN = "acme.com";
+
+const {
+  clientIp,
+  createShareLink,
+  devAccessMethod,
+  enforceDevAccess,
+  readDevAccess,
+  rotateShareSecret,
+  updateDevAccess,
+} = await import("../src/lib/dev-access.js");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function request({ ip = "203.0.113.10", auth, cookie, headers = {}, url = "/" } = {}) {
+  const parsed = new URL(url, "http://dev.acme.com");
+  return {
+    headers: {
+      ...(auth ? { authorization: `Basic ${Buffer.from(auth).toString("base64")}` } : {}),
+      ...(cookie ? { cookie } : {}),
+      ...headers,
+    },
+    socket: { remoteAddress: ip },
+    query: Object.fromEntries(parsed.searchParams),
+    originalUrl: url,
+    secure: true,
+  };
+}
+
+function response() {
+  return {
+    headers: {},
+    cookies: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    type() { return this; },
+    send(body) { this.body = body; return this; },
+    cookie(name, value, options) { this.cookies[name] = { value, options }; return this; },
+    redirect(code, location) { this.statusCode = code; this.location = location; return this; },
+  };
+}
+
+const USERS = [{ username: "acme", password: "correct horse" }];
+
+test("access control is off by default", async () => {
+  assert.equal(readDevAccess().enabled, false);
+  assert.equal(await devAccessMethod(request()), "open");
+  assert.equal(await enforceDevAccess(request(), response()), false);
+});
+
+test("updateDevAccess validates input and never returns password hashes", () => {
+  assert.throws(() => updateDevAccess({ allowIps: ["not-an-ip"] }), /Invalid IP or CIDR/);
+  assert.throws(() => updateDevAccess({ users: [{ username: "short", password: "1234" }] }), /at least 8 characters/);
+  assert.throws(() => updateDevAccess({ users: [{ username: "new" }] }), /needs a password/);
+
+  const settings = updateDevAccess({ enabled: true, users: USERS, allowIps: ["198.51.100.0/24"] });
+  assert.deepEqual(settings.users, [{ username: "acme" }]);
+  assert.doesNotMatch(fs.readFileSync(path.join(process.env.OPENCLAW_STATE_DIR, "dev-access.json"), "utf8"), /correct horse/);
+});
+
+test("Basic credentials are verified against the stored scrypt hash", async () => {
+  assert.equal(await devAccessMethod(request({ auth: "acme:correct horse" })), "basic");
+  assert.equal(await devAccessMethod(request({ auth: "acme:wrong password" })), null);
+  assert.equal(await devAccessMethod(request({ auth: "nobody:correct horse" })), null);
+
+  const res = response();
+  assert.equal(await enforceDevAccess(request(), res), true);
+  assert.equal(res.statusCode, 401);
+  assert.match(res.headers["WWW-Authenticate"], /^Basic /);
+
+  // Keeping a user without a new password keeps the old one
+  updateDevAccess({ users: [{ username: "acme" }] });
+  assert.equal(await devAccessMethod(request({ auth: "acme:correct horse" })), "basic");
+});
+
+test("repeated wrong logins from one address are refused with 429", async () => {
+  updateDevAccess({ users: [{ username: "acme" }, { username: "beta", password: "battery staple" }] });
+  const ip = "203.0.113.77";
+  for (let i = 0; i < 10; i++) await devAccessMethod(request({ ip, auth: `beta:guess ${i}` }));
+
+  // Not even hashed any more, right or wrong
+  assert.equal(await devAccessMethod(request({ ip, auth: "beta:battery staple" })), null);
+  const res = response();
+  assert.equal(await enforceDevAccess(request({ ip, auth: "acme:guess" }), res), true);
+  assert.equal(res.statusCode, 429);
+  assert.ok(Number(res.headers["Retry-After"]) > 0);
+
+  // Other addresses are unaffected
+  assert.equal(await devAccessMethod(request({ ip: "203.0.113.78", auth: "beta:battery staple" })), "basic");
+});
+
+test("allowed IPs get in; CF-Connecting-IP only counts from Cloudflare's edge", async () => {
+  assert.equal(await devAccessMethod(request({ ip: "198.51.100.9" })), "ip");
+  assert.equal(await devAccessMethod(request({ ip: "::ffff:198.51.100.9" })), "ip");
+
+  const spoofed = request({ ip: "203.0.113.10", headers: { "cf-connecting-ip": "198.51.100.9" } });
+  assert.equal(clientIp(spoofed), "203.0.113.10");
+  assert.equal(await devAccessMethod(spoofed), null);
+
+  const viaCloudflare = request({ ip: "172.64.0.1", headers: { "cf-connecting-ip": "198.51.100.9" } });
+  assert.equal(clientIp(viaCloudflare), "198.51.100.9");
+  assert.equal(await devAccessMethod(viaCloudflare), "ip");
+});
+
+test("a share link is traded for a cookie, and rotating the secret revokes it", async () => {
+  const { url } = createShareLink({ hours: 1, label: "Board" });
+  const link = new URL(url);
+  assert.equal(link.host, "dev.acme.com");
+
+  const res = response();
+  assert.equal(await enforceDevAccess(request({ url: `/pricing${link.search}&x=1` }), res), true);
+  assert.equal(res.statusCode, 302);
+  assert.equal(res.location, "/pricing?x=1");
+  const { value, options } = res.cookies.gerald_dev_access;
+  assert.equal(options.domain, "dev.acme.com");
+  assert.equal(options.httpOnly, true);
+
+  const cookie = `gerald_dev_access=${value}`;
+  assert.equal(await devAccessMethod(request({ cookie })), "cookie");
+  assert.equal(await devAccessMethod(request({ cookie: `gerald_dev_access=${value.slice(0, -2)}xx` })), null);
+
+  rotateShareSecret();
+  assert.equal(await devAccessMethod(request({ cookie })), null);
+  assert.throws(() => createShareLink({ hours: 24 * 31 }), /hours must be between/);
+});
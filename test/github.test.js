@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "gerald-github-"));
+process.env.OPENCLAW_STATE_DIR = path.join(tmp, "state");
+process.env.OPENCLAW_WORKSPACE_DIR = path.join(tmp, "workspace");
+delete process.env.GITHUB_WEBHOOK_SECRET;
+
+const { generateWebhookSecret, getWebhookSecret, verifyWebhookSignature } =
+  await import("../src/lib/github.js");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const SECRET = "whsec-test";
+const body = Buffer.from(JSON.stringify({ ref: "refs/heads/main", repository: { full_name: "acme/site" } }));
+
+function sign(payload, secret = SECRET) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(payload).digest("hex")}`;
+}
+
+test("a delivery signed with the secret over the raw body verifies", () => {
+  assert.equal(verifyWebhookSignature(body, sign(body), SECRET), true);
+});
+
+test("wrong secrets, altered bodies and malformed headers are rejected", () => {
+  assert.equal(verifyWebhookSignature(body, sign(body, "other secret"), SECRET), false);
+  assert.equal(verifyWebhookSignature(Buffer.from(`${body} `), sign(body), SECRET), false);
+  assert.equal(verifyWebhookSignature(body, sign(body).replace("sha256=", "sha1="), SECRET), false);
+  assert.equal(verifyWebhookSignature(body, sign(body).slice(0, -2), SECRET), false);
+  assert.equal(verifyWebhookSignature(body, sign(body).toUpperCase(), SECRET), false);
+  assert.equal(verifyWebhookSignature(body, undefined, SECRET), false);
+  assert.equal(verifyWebhookSignature(undefined, sign(body), SECRET), false);
+});
+
+test("nothing verifies without a secret", () => {
+  assert.equal(verifyWebhookSignature(body, sign(body, ""), ""), false);
+  assert.equal(getWebhookSecret(null), "");
+});
+
+test("GITHUB_WEBHOOK_SECRET overrides the generated secret", () => {
+  const generated = generateWebhookSecret();
+  assert.match(generated, /^[0-9a-f]{64}$/);
+  assert.notEqual(generateWebhookSecret(), generated);
+  assert.equal(getWebhookSecret({ webhookSecret: generated }), generated);
+
+  process.env.GITHUB_WEBHOOK_SECRET = " from-env ";
+  try {
+    assert.equal(getWebhookSecret({ webhookSecret: generated }), "from-env");
+  } finally {
+    delete process.env.GITHUB_WEBHOOK_SECRET;
+  }
+});
@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "gerald-redirects-"));
+process.env.OPENCLAW_STATE_DIR = path.join(tmp, "state");
+process.env.OPENCLAW_WORKSPACE_DIR = path.join(tmp, "workspace");
+
+const { matchRedirect, parseHeadersFile, parseRedirectsFile, readRedirectsConfig, writeRedirectsConfig } =
+  await import("../src/lib/redirects.js");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function request(url) {
+  return { path: url.split("?")[0], originalUrl: url };
+}
+
+test("parseRedirectsFile reads status, force, placeholders and query conditions", () => {
+  const { rules, errors } = parseRedirectsFile(
+    [
+      "# comment",
+      "/old        /new",
+      "/blog/:slug /posts/:slug 302",
+      "/store id=:id /products/:id",
+      "/app/*      /app/index.html 200",
+      "/legacy     https://old.example.com 301!",
+      "",
+    ].join("\n"),
+  );
+  assert.deepEqual(errors, []);
+  assert.deepEqual(
+    rules.map(({ from, to, status, force }) => [from, to, status, force]),
+    [
+      ["/old", "/new", 301, false],
+      ["/blog/:slug", "/posts/:slug", 302, false],
+      ["/store", "/products/:id", 301, false],
+      ["/app/*", "/app/index.html", 200, false],
+      ["/legacy", "https://old.example.com", 301, true],
+    ],
+  );
+  assert.deepEqual(rules[2].query, { id: ":id" });
+});
+
+test("parseRedirectsFile reports bad lines with their line number and skips them", () => {
+  const { rules, errors } = parseRedirectsFile(
+    ["/ok /fine", "old /new", "/a /b 301 Country=ca", "/ext https://x.test 200"].join("\n"),
+  );
+  assert.equal(rules.length, 1);
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /^_redirects:2: "from" must be a path/);
+  assert.match(errors[1], /^_redirects:3: conditions are not supported/);
+  assert.match(errors[2], /^_redirects:4: Rewrites \(200\) must target a path/);
+});
+
+test("parseHeadersFile groups header lines under their path", () => {
+  const { rules, errors } = parseHeadersFile(
+    ["/*", "  X-Frame-Options: DENY", "/_astro/*", "  Cache-Control: public, max-age=31536000, immutable"].join("\n"),
+  );
+  assert.deepEqual(errors, []);
+  assert.deepEqual(
+    rules.map((rule) => [rule.for, rule.values]),
+    [
+      ["/*", [["X-Frame-Options", "DENY"]]],
+      ["/_astro/*", [["Cache-Control", "public, max-age=31536000, immutable"]]],
+    ],
+  );
+});
+
+test("parseHeadersFile rejects header names and values Node can't send", () => {
+  const { rules, errors } = parseHeadersFile(
+    ["/*", "  Bad Name: x", "  X-Ok: fine", "  X-Control: a\u0007b", "orphan", "  X-Lost: y"].join("\n"),
+  );
+  assert.deepEqual(rules[0].values, [["X-Ok", "fine"]]);
+  assert.equal(errors.length, 4);
+  assert.match(errors[0], /^_headers:2: invalid header name "Bad Name"/);
+  assert.match(errors[1], /^_headers:4: invalid characters/);
+  assert.match(errors[2], /^_headers:5: expected a path/);
+  assert.match(errors[3], /^_headers:6: expected "Name: value" under a path/);
+});
+
+test("writeRedirectsConfig saves valid rules and rejects invalid ones", () => {
+  const config = {
+    redirects: [{ from: "/docs/*", to: "/guide/:splat", status: 302 }],
+    headers: [{ for: "/*", values: { "X-Robots-Tag": "noindex" } }],
+  };
+  assert.deepEqual(writeRedirectsConfig(config), config);
+  assert.deepEqual(readRedirectsConfig(), config);
+
+  assert.throws(() => writeRedirectsConfig({ headers: [{ for: "/*", values: { "X-Evil": "a\r\nSet-Cookie: x" } }] }), /invalid characters/);
+  assert.throws(() => writeRedirectsConfig({ redirects: [{ from: "/a", to: "ftp://x" }] }), /"to" must be a path/);
+  assert.throws(() => writeRedirectsConfig([]), /Expected \{ redirects, headers \}/);
+  assert.deepEqual(readRedirectsConfig(), config);
+});
+
+test("matchRedirect applies saved rules with splats and keeps the query string", () => {
+  const dir = path.join(tmp, "site");
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, "_redirects"), "/old /new 301\n/shadowed /elsewhere\n");
+
+  assert.deepEqual(matchRedirect(dir, request("/docs/a/b?x=1")), { status: 302, location: "/guide/a/b?x=1", rule: "/docs/*" });
+  assert.deepEqual(matchRedirect(dir, request("/old/")), { status: 301, location: "/new", rule: "/old" });
+  assert.equal(matchRedirect(dir, request("/shadowed"), { exists: () => true }), null);
+  assert.equal(matchRedirect(dir, request("/nothing")), null);
+});
@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "gerald-releases-"));
+process.env.OPENCLAW_STATE_DIR = path.join(tmp, "state");
+process.env.OPENCLAW_WORKSPACE_DIR = path.join(tmp, "workspace");
+
+const { RELEASES_DIR, PRODUCTION_DIR } = await import("../src/lib/constants.js");
+const { activateRelease, getActiveReleaseId, isValidReleaseId } = await import("../src/lib/releases.js");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+test("release ids are plain names, never paths", () => {
+  assert.equal(isValidReleaseId("20260101-120000"), true);
+  assert.equal(isValidReleaseId("v1.2.3_rc"), true);
+  for (const id of ["", undefined, ".", "..", ".hidden", "-x", "a/b", "../prod", "a b"]) {
+    assert.equal(isValidReleaseId(id), false, String(id));
+  }
+});
+
+test("activation rejects malformed ids and reports missing ones", async () => {
+  assert.match((await activateRelease("../etc")).error, /Invalid release id/);
+  assert.match((await activateRelease("20990101-000000")).error, /not found/);
+});
+
+test("activation points production at the release", async () => {
+  fs.mkdirSync(path.join(RELEASES_DIR, "r1"), { recursive: true });
+  fs.writeFileSync(path.join(RELEASES_DIR, "r1", "index.html"), "<h1>r1</h1>");
+  const result = await activateRelease("r1");
+  assert.equal(result.ok, true);
+  assert.equal(getActiveReleaseId(), "r1");
+  assert.equal(fs.readFileSync(path.join(PRODUCTION_DIR, "index.html"), "utf8"), "<h1>r1</h1>");
+});
@@ -0,0 +1,90 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "gerald-routing-"));
+process.env.OPENCLAW_STATE_DIR = path.join(tmp, "state");
+process.env.OPENCLAW_WORKSPACE_DIR = path.join(tmp, "workspace");
+process.env.CLIENT_DOMAIN = "acme.com";
+
+const { addDomain } = await import("../src/lib/domains.js");
+const { getRoutes, resetRoutes, resolveRoute, validateRoutes, writeRoutes } = await import("../src/lib/routing.js");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function routeId(host, urlPath, options) {
+  return resolveRoute(host, urlPath, options)?.id ?? null;
+}
+
+test("the default table sends each host to its target", () => {
+  addDomain({ domain: "acme.ca", role: "alias" });
+  addDomain({ domain: "acme-old.com", role: "redirect" });
+
+  assert.equal(routeId("acme.com", "/about"), "production");
+  assert.equal(routeId("www.acme.com", "/"), "production");
+  assert.equal(routeId("acme.ca", "/"), "production");
+  assert.equal(routeId("www.acme-old.com", "/x"), "redirect-domains");
+  assert.equal(routeId("dev.acme.com", "/"), "dev");
+  assert.equal(routeId("pr-12.dev.acme.com", "/"), "previews");
+  assert.equal(routeId("review-0123456789abcdef0123.dev.acme.com", "/"), "reviews");
+  assert.equal(routeId("gerald.acme.com", "/openclaw/api"), "dashboard-gateway");
+  assert.equal(routeId("gerald.acme.com", "/"), "dashboard");
+  assert.equal(routeId("unknown.example", "/"), "gateway");
+});
+
+test("host matching is case-insensitive and * stays within one label", () => {
+  assert.equal(routeId("DEV.ACME.COM", "/"), "dev");
+  assert.equal(routeId("pr-1.x.dev.acme.com", "/"), "gateway");
+  assert.equal(routeId("dev.acme.com.evil.test", "/"), "gateway");
+});
+
+test("exact paths only match themselves, on any host", () => {
+  assert.equal(routeId("acme.com", "/api/webhook/github"), "wrapper");
+  assert.equal(routeId("dev.acme.com", "/status"), "wrapper");
+  assert.equal(routeId("acme.com", "/status/page"), "production");
+});
+
+test("WebSocket upgrades skip HTTP-only routes and stop at routes without WebSockets", () => {
+  assert.equal(routeId("gerald.acme.com", "/", { websocket: true }), "dashboard-gateway-ws");
+  assert.equal(routeId("dev.acme.com", "/", { websocket: true }), "dev");
+  assert.equal(routeId("acme.com", "/", { websocket: true }), null);
+  assert.equal(routeId("pr-3.dev.acme.com", "/", { websocket: true }), null);
+});
+
+test("a saved table replaces the defaults; path prefixes match whole segments", () => {
+  writeRoutes([
+    { id: "docs", hosts: ["{domain}"], paths: ["/docs/"], target: { type: "static", dir: "docs" } },
+    { id: "api", hosts: ["api.{domain}", "*.api.{domain}"], target: { type: "url", url: "http://127.0.0.1:9000" }, websocket: true },
+    { id: "rest", hosts: ["*"], target: { type: "gateway" } },
+  ]);
+  assert.equal(getRoutes().custom, true);
+  assert.equal(routeId("acme.com", "/docs"), "docs");
+  assert.equal(routeId("acme.com", "/docs/intro"), "docs");
+  assert.equal(routeId("acme.com", "/docsearch"), "rest");
+  assert.equal(routeId("eu.api.acme.com", "/v1", { websocket: true }), "api");
+
+  assert.equal(resetRoutes(), true);
+  assert.equal(getRoutes().custom, false);
+  assert.equal(routeId("acme.com", "/docs"), "production");
+});
+
+test("validateRoutes fills in defaults and names the route it rejects", () => {
+  const [route] = validateRoutes([{ id: "one", hosts: ["*"], target: { type: "gateway" } }]);
+  assert.deepEqual(route.paths, ["/"]);
+  assert.equal(route.http, true);
+  assert.equal(route.websocket, false);
+
+  assert.throws(() => validateRoutes([]), /non-empty list/);
+  assert.throws(() => validateRoutes([{ id: "x", hosts: ["{nope}.acme.com"], target: { type: "gateway" } }]), /routes\[0\] \(x\): unknown placeholder/);
+  assert.throws(() => validateRoutes([{ id: "x", hosts: ["*"], target: { type: "static", dir: "../../etc" } }]), /must be a directory inside/);
+  assert.throws(() => validateRoutes([{ id: "x", hosts: ["*"], paths: ["docs"], target: { type: "gateway" } }]), /"paths" must be a list/);
+  assert.throws(
+    () => validateRoutes([
+      { id: "x", hosts: ["*"], target: { type: "gateway" } },
+      { id: "x", hosts: ["*"], target: { type: "gateway" } },
+    ]),
+    /Duplicate route id: x/,
+  );
+});
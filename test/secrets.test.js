@@ -0,0 +1,142 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "gerald-secrets-"));
+const stateDir = path.join(tmp, "state");
+process.env.OPENCLAW_STATE_DIR = stateDir;
+process.env.OPENCLAW_WORKSPACE_DIR = path.join(tmp, "workspace");
+process.env.GERALD_SECRETS_RUNTIME_DIR = path.join(tmp, "runtime");
+process.env.GERALD_MASTER_KEY = "test master key";
+
+const {
+  SECRET_FILES,
+  getSecret,
+  getVaultStatus,
+  isRuntimeLink,
+  isVaultEnabled,
+  migrateSecretsToVault,
+  readSecretFile,
+  removeSecretFile,
+  setSecret,
+  syncRuntimeSecret,
+  syncRuntimeSecrets,
+  writeSecretFile,
+} = await import("../src/lib/secrets.js");
+
+// A `runtime` store like Codex's auth.json, kept inside the temp directory
+SECRET_FILES["test-runtime"] = {
+  file: () => path.join(tmp, "home", "auth.json"),
+  whole: true,
+  runtime: "test-auth.json",
+};
+
+after(() => {
+  delete SECRET_FILES["test-runtime"];
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function vaultText() {
+  return fs.readFileSync(path.join(stateDir, "vault.json"), "utf8");
+}
+
+test("setSecret / getSecret round-trip through the encrypted vault", () => {
+  assert.equal(isVaultEnabled(), true);
+  setSecret("test:token", "ghp_plaintext");
+  assert.equal(getSecret("test:token"), "ghp_plaintext");
+  assert.equal(getSecret("test:missing"), null);
+  assert.doesNotMatch(vaultText(), /ghp_plaintext/);
+});
+
+test("writeSecretFile keeps references in the file and readSecretFile resolves them", () => {
+  const github = { repo: "acme/site", token: "ghp_secret", webhookSecret: "whsec" };
+  writeSecretFile("github", github);
+
+  const onDisk = JSON.parse(fs.readFileSync(path.join(stateDir, "github.json"), "utf8"));
+  assert.deepEqual(onDisk, { repo: "acme/site", token: "vault:github:token", webhookSecret: "vault:github:webhookSecret" });
+  assert.deepEqual(readSecretFile("github"), github);
+  assert.doesNotMatch(vaultText(), /ghp_secret|whsec/);
+
+  // A field that is gone loses its vault entry
+  writeSecretFile("github", { repo: "acme/site", token: "ghp_secret" });
+  assert.equal(getSecret("github:webhookSecret"), null);
+
+  removeSecretFile("github");
+  assert.equal(readSecretFile("github"), null);
+  assert.equal(getSecret("github:token"), null);
+});
+
+test("migrateSecretsToVault moves plaintext fields into the vault and is idempotent", () => {
+  fs.writeFileSync(path.join(stateDir, "sendgrid.json"), JSON.stringify({ apiKey: "SG.plain", from: "a@b.c" }));
+  migrateSecretsToVault();
+  migrateSecretsToVault();
+  const onDisk = JSON.parse(fs.readFileSync(path.join(stateDir, "sendgrid.json"), "utf8"));
+  assert.deepEqual(onDisk, { apiKey: "vault:sendgrid:apiKey", from: "a@b.c" });
+  assert.deepEqual(readSecretFile("sendgrid"), { apiKey: "SG.plain", from: "a@b.c" });
+});
+
+test("runtime stores link to a decrypted copy outside the state directory", () => {
+  const spec = SECRET_FILES["test-runtime"];
+  const runtimeCopy = path.join(process.env.GERALD_SECRETS_RUNTIME_DIR, "test-auth.json");
+
+  writeSecretFile("test-runtime", { token: "one" });
+  assert.equal(fs.readlinkSync(spec.file()), runtimeCopy);
+  assert.deepEqual(readSecretFile("test-runtime"), { token: "one" });
+
+  // The program refreshes its token through the link: saved back to the vault
+  fs.writeFileSync(spec.file(), JSON.stringify({ token: "two" }));
+  syncRuntimeSecret("test-runtime");
+  assert.deepEqual(JSON.parse(getSecret("test-runtime")), { token: "two" });
+
+  // tmpfs is empty after a restart: the copy comes back from the vault
+  fs.rmSync(runtimeCopy);
+  syncRuntimeSecret("test-runtime");
+  assert.deepEqual(JSON.parse(fs.readFileSync(spec.file(), "utf8")), { token: "two" });
+
+  // The program replaced the link with a plain file: moved off the volume again
+  fs.rmSync(spec.file());
+  fs.writeFileSync(spec.file(), JSON.stringify({ token: "three" }));
+  assert.equal(syncRuntimeSecret("test-runtime"), true);
+  assert.equal(fs.lstatSync(spec.file()).isSymbolicLink(), true);
+  assert.deepEqual(JSON.parse(getSecret("test-runtime")), { token: "three" });
+});
+
+test("the gateway's config and auth profiles leave the volume too", () => {
+  const config = path.join(stateDir, "openclaw.json");
+  const profiles = path.join(stateDir, "agents", "main", "agent", "auth-profiles.json");
+  fs.mkdirSync(path.dirname(profiles), { recursive: true });
+  fs.writeFileSync(config, JSON.stringify({ models: { providers: { openai: { apiKey: "sk-config" } } } }));
+  fs.writeFileSync(profiles, JSON.stringify({ profiles: { main: { key: "sk-profile" } } }));
+  // A per-field copy from when these files stayed in plain text
+  setSecret("openclaw:models.providers.openai.apiKey", "sk-config");
+
+  const { stores } = migrateSecretsToVault();
+  assert.deepEqual(stores, { "auth-profiles": 1, openclaw: 1 });
+  assert.equal(isRuntimeLink(config), true);
+  assert.equal(isRuntimeLink(profiles), true);
+  assert.equal(getSecret("openclaw:models.providers.openai.apiKey"), null);
+  assert.equal(readSecretFile("openclaw").models.providers.openai.apiKey, "sk-config");
+  // The gateway still reads the file where it always was
+  assert.equal(JSON.parse(fs.readFileSync(profiles, "utf8")).profiles.main.key, "sk-profile");
+  assert.doesNotMatch(vaultText(), /sk-config|sk-profile/);
+
+  // After a restore the vault wins over the old tmpfs copy
+  setSecret("openclaw", JSON.stringify({ restored: true }));
+  syncRuntimeSecrets({ reset: true });
+  assert.deepEqual(JSON.parse(fs.readFileSync(config, "utf8")), { restored: true });
+});
+
+test("a different master key locks the vault instead of reading it", () => {
+  process.env.GERALD_MASTER_KEY = "wrong key";
+  try {
+    assert.equal(isVaultEnabled(), false);
+    assert.equal(getVaultStatus().locked, true);
+    assert.equal(getSecret("test:token"), null);
+    assert.throws(() => setSecret("test:token", "x"), /vault is not available/);
+  } finally {
+    process.env.GERALD_MASTER_KEY = "test master key";
+  }
+  assert.equal(getSecret("test:token"), "ghp_plaintext");
+});
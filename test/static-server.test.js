@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "gerald-static-"));
+process.env.OPENCLAW_STATE_DIR = path.join(tmp, "state");
+process.env.OPENCLAW_WORKSPACE_DIR = path.join(tmp, "workspace");
+
+const { cacheControlFor, serveStaticSite, staticPathExists } =
+  await import("../src/lib/static-server.js");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function site(name, files) {
+  const dir = path.join(tmp, name);
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+function request(url, headers = {}) {
+  const parsed = new URL(url, "http://acme.com");
+  return {
+    method: "GET",
+    url,
+    originalUrl: url,
+    path: url.split("?")[0],
+    query: Object.fromEntries(parsed.searchParams),
+    headers,
+  };
+}
+
+function response() {
+  const headers = {};
+  return {
+    headers,
+    headersSent: false,
+    set(name, value) { headers[name.toLowerCase()] = value; return this; },
+    get(name) { return headers[name.toLowerCase()]; },
+    removeHeader(name) { delete headers[name.toLowerCase()]; },
+    type(ext) { headers["content-type"] = ext; return this; },
+    vary() { return this; },
+    status(code) { this.statusCode = code; return this; },
+    sendStatus(code) { this.statusCode = code; return this; },
+    send(body) { this.body = String(body); return this; },
+    end(body) { this.body = body === undefined ? "" : String(body); return this; },
+    redirect(code, location) { this.statusCode = code; this.location = location; return this; },
+  };
+}
+
+async function get(dir, url, headers) {
+  const res = response();
+  await serveStaticSite(dir, request(url, headers), res);
+  return res;
+}
+
+test("dotfiles, rule files and node_modules are never served", async () => {
+  const dir = site("hidden", {
+    "index.html": "<h1>Home</h1>",
+    "about.html": "<h1>About</h1>",
+    ".env": "SECRET=1",
+    "assets/.npmrc": "//registry/:_authToken=x",
+    ".git/config": "[core]",
+    ".github/workflows/ci.yml": "on: push",
+    "node_modules/pkg/index.js": "x",
+    "_redirects": "/a /b",
+    "docs/.well-known/x.txt": "nested",
+    ".well-known/security.txt": "Contact: mailto:security@acme.com",
+    ".well-known/.hidden": "x",
+  });
+
+  for (const url of ["/.env", "/assets/.npmrc", "/.git/config", "/.github/workflows/ci.yml",
+    "/node_modules/pkg/index.js", "/_redirects", "/docs/.well-known/x.txt", "/.well-known/.hidden"]) {
+    assert.equal(staticPathExists(dir, url), false, url);
+    assert.equal((await get(dir, url)).statusCode, 404, url);
+  }
+
+  const res = await get(dir, "/.well-known/security.txt");
+  assert.equal(res.statusCode, 200);
+  assert.match(res.body, /Contact:/);
+});
+
+test("pages resolve to index.html or .html, with ETags and 304s", async () => {
+  const dir = site("pages", {
+    "index.html": "<h1>Home</h1>",
+    "about/index.html": "<h1>About</h1>",
+    "pricing.html": "<h1>Pricing</h1>",
+    "404.html": "<h1>Missing</h1>",
+  });
+  assert.equal((await get(dir, "/")).body, "<h1>Home</h1>");
+  assert.equal((await get(dir, "/about")).body, "<h1>About</h1>");
+
+  const first = await get(dir, "/pricing");
+  assert.equal(first.body, "<h1>Pricing</h1>");
+  assert.equal(first.headers["content-type"], ".html");
+  assert.equal(first.headers["cache-control"], "public, max-age=0, must-revalidate");
+  assert.equal((await get(dir, "/pricing", { "if-none-match": first.headers.etag })).statusCode, 304);
+
+  const missing = await get(dir, "/nope");
+  assert.equal(missing.statusCode, 404);
+  assert.equal(missing.body, "<h1>Missing</h1>");
+  assert.equal((await get(dir, "/../pricing.html")).statusCode, 403);
+});
+
+test("single-page sites fall back to index.html, but not for assets", async () => {
+  const dir = site("spa", { "index.html": "<div id=root></div>", "assets/app.js": "run()" });
+  const route = await get(dir, "/settings/profile");
+  assert.equal(route.statusCode, 200);
+  assert.equal(route.headers["cache-control"], "no-cache");
+  assert.equal((await get(dir, "/assets/missing.js")).statusCode, 404);
+});
+
+test("cache policy follows the path", () => {
+  assert.equal(cacheControlFor("/_astro/index.DvJ3x8pQ.css"), "public, max-age=31536000, immutable");
+  assert.equal(cacheControlFor("/assets/index-3f9a1c2b.js"), "public, max-age=31536000, immutable");
+  assert.equal(cacheControlFor("/sw.js"), "no-cache");
+  assert.equal(cacheControlFor("/logo.png"), "public, max-age=3600");
+});
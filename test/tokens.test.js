@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "gerald-tokens-"));
+process.env.OPENCLAW_STATE_DIR = path.join(tmp, "state");
+process.env.OPENCLAW_WORKSPACE_DIR = path.join(tmp, "workspace");
+
+const {
+  createToken,
+  hasScope,
+  isValidScope,
+  issueSystemToken,
+  listTokens,
+  revokeToken,
+  verifyToken,
+} = await import("../src/lib/tokens.js");
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const tokensFile = () => path.join(process.env.OPENCLAW_STATE_DIR, "api-tokens.json");
+
+test("only a hash of the token is stored, and the value verifies", () => {
+  const { ok, token, record } = createToken({ name: "ci", scopes: ["builds:read", "builds:read"] });
+  assert.equal(ok, true);
+  assert.match(token, /^gat_[0-9a-f]{12}_/);
+  assert.deepEqual(record.scopes, ["builds:read"]);
+  assert.equal(record.hash, undefined);
+  assert.doesNotMatch(fs.readFileSync(tokensFile(), "utf8"), new RegExp(token));
+
+  assert.equal(verifyToken(token).id, record.id);
+  assert.equal(verifyToken(`${token}x`), null);
+  assert.equal(verifyToken("not-a-token"), null);
+  assert.ok(listTokens().find((t) => t.id === record.id).lastUsedAt);
+});
+
+test("creation rejects missing names, unknown scopes and bad expiry dates", () => {
+  assert.match(createToken({ scopes: ["publish"] }).error, /name required/);
+  assert.match(createToken({ name: "x", scopes: [] }).error, /At least one scope/);
+  assert.match(createToken({ name: "x", scopes: ["publish", "root:all"] }).error, /Unknown scope\(s\): root:all/);
+  assert.match(createToken({ name: "x", scopes: ["publish"], expiresAt: "someday" }).error, /Invalid expiry/);
+});
+
+test("scopes match exactly, by group wildcard or by *", () => {
+  assert.equal(isValidScope("redirects:*"), true);
+  assert.equal(isValidScope("nothing:*"), false);
+  assert.equal(isValidScope("*"), true);
+
+  assert.equal(hasScope(["rebuild:dev"], "rebuild:dev"), true);
+  assert.equal(hasScope(["rebuild:dev"], "rebuild:production"), false);
+  assert.equal(hasScope(["rebuild:*"], "rebuild:production"), true);
+  assert.equal(hasScope(["rebuild:*"], "publish"), false);
+  assert.equal(hasScope(["*"], "secrets:write"), true);
+  assert.equal(hasScope(undefined, "publish"), false);
+});
+
+test("expired and revoked tokens stop verifying", () => {
+  const past = createToken({ name: "old", scopes: ["publish"], expiresAt: "2000-01-01" });
+  assert.equal(verifyToken(past.token), null);
+  assert.equal(listTokens().find((t) => t.id === past.record.id).expired, true);
+
+  const live = createToken({ name: "live", scopes: ["publish"] });
+  assert.equal(revokeToken(live.record.id), true);
+  assert.equal(verifyToken(live.token), null);
+  assert.equal(revokeToken(live.record.id), false);
+});
+
+test("issuing a system token replaces the previous one", () => {
+  const first = issueSystemToken("CLAW_TOKEN", ["rebuild:dev"]);
+  const second = issueSystemToken("CLAW_TOKEN", ["rebuild:dev"]);
+  assert.equal(verifyToken(first), null);
+  assert.equal(verifyToken(second).system, true);
+  assert.equal(listTokens().filter((t) => t.name === "CLAW_TOKEN").length, 1);
+});